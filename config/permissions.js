@@ -0,0 +1,134 @@
+// permissions.js
+
+/**
+ * Every role a user account can hold
+ */
+const ROLES = ['admin', 'landlord', 'caretaker', 'agent', 'tenant'];
+
+/**
+ * Permission matrix: action -> roles allowed to perform it.
+ * Admins are allowed everything and are not listed.
+ *
+ * Which records a role can see is decided separately by utils/ownership.js;
+ * this matrix only decides which actions it may attempt.
+ */
+const PERMISSIONS = {
+  'properties:read': ['landlord', 'caretaker', 'agent'],
+  'properties:create': ['landlord'],
+  'properties:update': ['landlord'],
+  'properties:delete': ['landlord'],
+
+  'units:read': ['landlord', 'caretaker', 'agent'],
+  'units:create': ['landlord'],
+  'units:update': ['landlord'],
+  'units:delete': ['landlord'],
+
+  'tenants:read': ['landlord', 'caretaker', 'agent'],
+  'tenants:create': ['landlord', 'agent'],
+  'tenants:update': ['landlord', 'caretaker'],
+  'tenants:delete': ['landlord'],
+
+  // Moving tenants out: caretakers can inspect and read meters
+  'move_outs:read': ['landlord', 'caretaker', 'tenant'],
+  'move_outs:manage': ['landlord'],
+  'move_outs:inspect': ['landlord', 'caretaker'],
+
+  'leases:read': ['landlord', 'caretaker', 'tenant'],
+  'leases:manage': ['landlord'],
+  'leases:terminate': ['landlord'],
+
+  'rent_escalations:read': ['landlord', 'caretaker', 'tenant'],
+  'rent_escalations:manage': ['landlord'],
+
+  // Generated letters and agreements; templates belong to landlords
+  'documents:read': ['landlord', 'caretaker', 'tenant'],
+  'documents:generate': ['landlord'],
+  'document_templates:read': ['landlord'],
+  'document_templates:manage': ['landlord'],
+
+  'payments:read': ['landlord', 'caretaker', 'tenant'],
+  'payments:create': ['landlord', 'caretaker'],
+  'payments:update': ['landlord'],
+  'payments:delete': ['landlord'],
+  'payments:reverse': ['landlord'],
+  'payments:import': ['landlord'],
+  'mpesa:stk_push': ['landlord', 'caretaker', 'tenant'],
+  'mpesa:reconcile': ['landlord'],
+  'mpesa:configure': [],
+
+  'ledger:read': ['landlord', 'caretaker', 'tenant'],
+  'ledger:adjust': ['landlord'],
+
+  'invoices:read': ['landlord', 'caretaker', 'tenant'],
+  'invoices:generate': ['landlord'],
+  'invoices:void': ['landlord'],
+
+  'late_fees:read': ['landlord', 'caretaker', 'tenant'],
+  'late_fees:manage': ['landlord'],
+  'late_fees:waive': ['landlord'],
+
+  'deposits:read': ['landlord', 'caretaker', 'tenant'],
+  'deposits:manage': ['landlord'],
+  'deposits:settle': ['landlord'],
+
+  'refunds:read': ['landlord', 'caretaker', 'tenant'],
+  'refunds:request': ['landlord', 'caretaker'],
+  'refunds:pay': ['landlord'],
+
+  'payment_plans:read': ['landlord', 'caretaker', 'tenant'],
+  'payment_plans:create': ['landlord'],
+  'payment_plans:update': ['landlord'],
+  'payment_plans:delete': ['landlord'],
+
+  'expenses:read': ['landlord', 'caretaker'],
+  'expenses:create': ['landlord', 'caretaker'],
+  'expenses:update': ['landlord'],
+  'expenses:delete': ['landlord'],
+  'expenses:approve': ['landlord'],
+
+  'utilities:read': ['landlord', 'caretaker'],
+  'utilities:create': ['landlord', 'caretaker'],
+  'utilities:update': ['landlord', 'caretaker'],
+  'utilities:delete': ['landlord'],
+
+  'maintenance:read': ['landlord', 'caretaker', 'tenant'],
+  'maintenance:create': ['landlord', 'caretaker', 'tenant'],
+  'maintenance:update': ['landlord', 'caretaker'],
+
+  'caretakers:read': ['landlord'],
+  'caretakers:manage': ['landlord'],
+
+  'agents:read': ['landlord'],
+  'agents:manage': ['landlord'],
+
+  'commissions:read': ['landlord', 'agent'],
+  'commissions:manage': ['landlord'],
+
+  'messages:read': ['landlord', 'caretaker'],
+  'messages:send': ['landlord', 'caretaker'],
+
+  // Aggregated figures (stats, monthly totals, category breakdowns)
+  'reports:view': ['landlord'],
+
+  // Creating logins for caretaker, agent and tenant records
+  'accounts:create': ['landlord'],
+
+  // Users manage their own profile; only admins create or unlock other users
+  'users:create': [],
+  'users:unlock': []
+};
+
+/**
+ * Check whether a role may perform an action
+ */
+const hasPermission = (role, action) => {
+  if (role === 'admin') return true;
+  const roles = PERMISSIONS[action];
+  return Boolean(roles && roles.includes(role));
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission
+};
@@ -1,4 +1,6 @@
 const pool = require('../config/db');
+const { isAdmin, propertyScope, canAccessProperty } = require('../utils/ownership');
+const { createLinkedAccount } = require('../utils/accounts');
 
 // Validation utilities
 const validators = {
@@ -49,9 +51,13 @@ const handleDatabaseError = (error, res) => {
  */
 const getAllAgents = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'a.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         a.agent_id,
+        a.property_id,
         a.full_name,
         a.phone,
         a.email,
@@ -65,9 +71,10 @@ const getAllAgents = async (req, res, next) => {
         COUNT(ac.commission_id) FILTER (WHERE ac.status = 'pending') as commissions_pending
       FROM agents a
       LEFT JOIN agent_commissions ac ON a.agent_id = ac.agent_id
+      WHERE ${scope}
       GROUP BY a.agent_id
       ORDER BY a.full_name
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -94,9 +101,13 @@ const getAgentById = async (req, res, next) => {
       });
     }
     
+    const params = [id];
+    const scope = propertyScope(req.user, 'a.property_id', params);
+    
     const result = await pool.query(`
       SELECT 
         a.agent_id,
+        a.property_id,
         a.full_name,
         a.phone,
         a.email,
@@ -111,9 +122,9 @@ const getAgentById = async (req, res, next) => {
         COUNT(ac.commission_id) FILTER (WHERE ac.status = 'pending') as commissions_pending
       FROM agents a
       LEFT JOIN agent_commissions ac ON a.agent_id = ac.agent_id
-      WHERE a.agent_id = $1
+      WHERE a.agent_id = $1 AND ${scope}
       GROUP BY a.agent_id
-    `, [id]);
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -140,6 +151,7 @@ const createAgent = async (req, res, next) => {
   
   try {
     const {
+      property_id,
       full_name,
       phone,
       email,
@@ -180,14 +192,30 @@ const createAgent = async (req, res, next) => {
       });
     }
 
+    // Agents are only reachable through the property they work for
+    if (!property_id && !isAdmin(req.user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: property_id'
+      });
+    }
+
+    if (property_id && !(await canAccessProperty(req.user, property_id, client))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
     await client.query('BEGIN');
 
     const result = await client.query(`
       INSERT INTO agents (
-        full_name, phone, email, id_number, commission_rate, is_active
-      ) VALUES ($1, $2, $3, $4, $5, $6)
+        property_id, full_name, phone, email, id_number, commission_rate, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `, [
+      property_id || null,
       full_name.trim(), 
       phone.trim(), 
       email?.trim() || null, 
@@ -235,6 +263,7 @@ const updateAgent = async (req, res, next) => {
   try {
     const { id } = req.params;
     const {
+      property_id,
       full_name,
       phone,
       email,
@@ -277,9 +306,11 @@ const updateAgent = async (req, res, next) => {
     await client.query('BEGIN');
 
     // Check if agent exists
+    const checkParams = [id];
+    const scope = propertyScope(req.user, 'property_id', checkParams);
     const checkResult = await client.query(
-      'SELECT agent_id FROM agents WHERE agent_id = $1',
-      [id]
+      `SELECT agent_id FROM agents WHERE agent_id = $1 AND ${scope}`,
+      checkParams
     );
 
     if (checkResult.rows.length === 0) {
@@ -290,6 +321,14 @@ const updateAgent = async (req, res, next) => {
       });
     }
 
+    if (property_id && !(await canAccessProperty(req.user, property_id, client))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
     const result = await client.query(`
       UPDATE agents 
       SET 
@@ -299,8 +338,9 @@ const updateAgent = async (req, res, next) => {
         id_number = COALESCE($4, id_number),
         commission_rate = COALESCE($5, commission_rate),
         is_active = COALESCE($6, is_active),
+        property_id = COALESCE($7, property_id),
         updated_at = CURRENT_TIMESTAMP
-      WHERE agent_id = $7
+      WHERE agent_id = $8
       RETURNING *
     `, [
       full_name?.trim(), 
@@ -309,6 +349,7 @@ const updateAgent = async (req, res, next) => {
       id_number?.trim(), 
       commission_rate ? parseFloat(commission_rate) : null, 
       is_active, 
+      property_id || null,
       id
     ]);
 
@@ -356,6 +397,21 @@ const deleteAgent = async (req, res, next) => {
 
     await client.query('BEGIN');
 
+    const ownerParams = [id];
+    const scope = propertyScope(req.user, 'property_id', ownerParams);
+    const ownerCheck = await client.query(
+      `SELECT agent_id FROM agents WHERE agent_id = $1 AND ${scope}`,
+      ownerParams
+    );
+
+    if (ownerCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
     // Check if agent has any commissions
     const commissionCheck = await client.query(
       'SELECT COUNT(*) FROM agent_commissions WHERE agent_id = $1',
@@ -404,11 +460,45 @@ const deleteAgent = async (req, res, next) => {
 /**
  * Get active agents
  */
+const createAgentAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+
+    const check = await pool.query(
+      `SELECT agent_id FROM agents WHERE agent_id = $1 AND ${scope}`,
+      params
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    const user = await createLinkedAccount('agent', id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent account created successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getActiveAgents = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'a.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         a.agent_id,
+        a.property_id,
         a.full_name,
         a.phone,
         a.email,
@@ -420,10 +510,10 @@ const getActiveAgents = async (req, res, next) => {
         COALESCE(SUM(CASE WHEN ac.status = 'paid' THEN ac.commission_amount ELSE 0 END), 0) as total_earned
       FROM agents a
       LEFT JOIN agent_commissions ac ON a.agent_id = ac.agent_id
-      WHERE a.is_active = true
+      WHERE a.is_active = true AND ${scope}
       GROUP BY a.agent_id
       ORDER BY a.full_name
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -441,6 +531,11 @@ const getActiveAgents = async (req, res, next) => {
  */
 const getAgentStats = async (req, res, next) => {
   try {
+    const agentParams = [];
+    const agentScope = propertyScope(req.user, 'property_id', agentParams);
+    const commissionParams = [];
+    const commissionScope = propertyScope(req.user, 'property_id', commissionParams);
+
     const stats = await pool.query(`
       SELECT 
         COUNT(*) as total_agents,
@@ -450,7 +545,8 @@ const getAgentStats = async (req, res, next) => {
         COALESCE(MAX(commission_rate), 0) as max_commission_rate,
         COALESCE(MIN(commission_rate), 0) as min_commission_rate
       FROM agents
-    `);
+      WHERE ${agentScope}
+    `, agentParams);
 
     const earnings = await pool.query(`
       SELECT 
@@ -459,7 +555,8 @@ const getAgentStats = async (req, res, next) => {
         COUNT(*) FILTER (WHERE status = 'paid') as paid_count,
         COUNT(*) FILTER (WHERE status = 'pending') as pending_count
       FROM agent_commissions
-    `);
+      WHERE ${commissionScope}
+    `, commissionParams);
 
     res.json({
       success: true,
@@ -481,5 +578,6 @@ module.exports = {
   updateAgent,
   deleteAgent,
   getActiveAgents,
-  getAgentStats
+  getAgentStats,
+  createAgentAccount
 };
\ No newline at end of file
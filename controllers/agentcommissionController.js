@@ -1,4 +1,5 @@
 const pool = require('../config/db');
+const { propertyScope } = require('../utils/ownership');
 
 // Validation utilities
 const validators = {
@@ -136,6 +137,9 @@ const getAllCommissions = async (req, res, next) => {
       paramCounter++;
     }
 
+    whereConditions.push(propertyScope(req.user, 'ac.property_id', queryParams));
+    paramCounter = queryParams.length + 1;
+
     const whereClause = whereConditions.length > 0 
       ? `WHERE ${whereConditions.join(' AND ')}` 
       : '';
@@ -200,6 +204,9 @@ const getCommissionById = async (req, res, next) => {
         error: 'Invalid commission ID format'
       });
     }
+
+    const params = [id];
+    const scope = propertyScope(req.user, 'ac.property_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -214,8 +221,8 @@ const getCommissionById = async (req, res, next) => {
       LEFT JOIN tenants t ON ac.tenant_id = t.tenant_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
       JOIN properties p ON ac.property_id = p.property_id
-      WHERE ac.commission_id = $1
-    `, [id]);
+      WHERE ac.commission_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -262,9 +269,11 @@ const createCommission = async (req, res, next) => {
     await client.query('BEGIN');
 
     // Verify property exists
+    const propertyParams = [property_id];
+    const propertyScopeClause = propertyScope(req.user, 'property_id', propertyParams);
     const propertyCheck = await client.query(
-      'SELECT property_id FROM properties WHERE property_id = $1',
-      [property_id]
+      `SELECT property_id FROM properties WHERE property_id = $1 AND ${propertyScopeClause}`,
+      propertyParams
     );
 
     if (propertyCheck.rows.length === 0) {
@@ -378,9 +387,11 @@ const updateCommission = async (req, res, next) => {
     await client.query('BEGIN');
 
     // Check if commission exists and get current status
+    const checkParams = [id];
+    const scope = propertyScope(req.user, 'property_id', checkParams);
     const checkResult = await client.query(
-      'SELECT status FROM agent_commissions WHERE commission_id = $1',
-      [id]
+      `SELECT status FROM agent_commissions WHERE commission_id = $1 AND ${scope}`,
+      checkParams
     );
 
     if (checkResult.rows.length === 0) {
@@ -445,9 +456,11 @@ const markAsPaid = async (req, res, next) => {
     await client.query('BEGIN');
 
     // Check current status
+    const checkParams = [id];
+    const scope = propertyScope(req.user, 'property_id', checkParams);
     const checkResult = await client.query(
-      'SELECT status, commission_amount FROM agent_commissions WHERE commission_id = $1',
-      [id]
+      `SELECT status, commission_amount FROM agent_commissions WHERE commission_id = $1 AND ${scope}`,
+      checkParams
     );
 
     if (checkResult.rows.length === 0) {
@@ -498,6 +511,9 @@ const markAsPaid = async (req, res, next) => {
  */
 const getPendingCommissions = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'ac.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         ac.*,
@@ -508,9 +524,9 @@ const getPendingCommissions = async (req, res, next) => {
       FROM agent_commissions ac
       LEFT JOIN tenants t ON ac.tenant_id = t.tenant_id
       JOIN properties p ON ac.property_id = p.property_id
-      WHERE ac.status = 'pending'
+      WHERE ac.status = 'pending' AND ${scope}
       ORDER BY ac.created_at DESC, ac.commission_id DESC
-    `);
+    `, params);
 
     const totalPending = result.rows.reduce((sum, comm) => {
       return sum + parseFloat(comm.commission_amount || 0);
@@ -578,6 +594,8 @@ const getCommissionStats = async (req, res, next) => {
       paramCounter++;
     }
 
+    whereConditions.push(propertyScope(req.user, 'ac.property_id', queryParams));
+
     const whereClause = whereConditions.length > 0 
       ? `WHERE ${whereConditions.join(' AND ')}` 
       : '';
@@ -631,9 +649,11 @@ const deleteCommission = async (req, res, next) => {
 
     await client.query('BEGIN');
 
+    const checkParams = [id];
+    const scope = propertyScope(req.user, 'property_id', checkParams);
     const checkResult = await client.query(
-      'SELECT status FROM agent_commissions WHERE commission_id = $1',
-      [id]
+      `SELECT status FROM agent_commissions WHERE commission_id = $1 AND ${scope}`,
+      checkParams
     );
 
     if (checkResult.rows.length === 0) {
@@ -1,8 +1,21 @@
 // authController.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const pool = require('../config/db');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { startChallenge, generatePreAuthToken } = require('../utils/twoFactor');
+const {
+  recordAttempt,
+  accountDelay,
+  isLocked,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/authThrottle');
 
 /**
  * =========================
@@ -21,15 +34,6 @@ const verifyPassword = async (password, hash) => {
   return bcrypt.compare(password, hash);
 };
 
-// Generate JWT token
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '99y' }
-  );
-};
-
 /**
  * =========================
  * Register a new user
@@ -42,7 +46,7 @@ const register = async (req, res) => {
     if (!errors.isEmpty())
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
 
-    const { username, email, password, full_name, phone, role } = req.body;
+    const { username, email, password, full_name, phone } = req.body;
 
     // Check if username/email exists
     const exists = await pool.query(
@@ -60,18 +64,20 @@ const register = async (req, res) => {
       `INSERT INTO users (username, email, password_hash, full_name, phone, role)
        VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING user_id, username, email, full_name, phone, role, created_at`,
-      [username, email, passwordHash, full_name, phone || null, role || 'landlord']
+      [username, email, passwordHash, full_name, phone || null, 'landlord']
     );
 
     const user = result.rows[0];
 
-    // Generate JWT
-    const token = generateToken(user.user_id, user.role);
+    // Start a session for this device
+    const session = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         userId: user.user_id,
         username: user.username,
@@ -103,12 +109,17 @@ const login = async (req, res) => {
 
     // Find user by username/email
     const result = await pool.query(
-      'SELECT user_id, username, email, password_hash, role, is_active FROM users WHERE username=$1 OR email=$1',
+      `SELECT user_id, username, email, phone, full_name, password_hash, role, is_active,
+              two_factor_enabled, two_factor_method,
+              failed_login_count, last_failed_login_at, locked_until
+       FROM users WHERE username=$1 OR email=$1`,
       [username]
     );
 
-    if (!result.rows.length)
+    if (!result.rows.length) {
+      await recordAttempt('login', req.ip, username, false);
       return res.status(401).json({ error: 'Invalid username or password' });
+    }
 
     const user = result.rows[0];
 
@@ -116,17 +127,60 @@ const login = async (req, res) => {
     if (!user.is_active)
       return res.status(403).json({ error: 'Account is deactivated. Contact support.' });
 
+    // Check for a lockout or a pending delay before looking at the password
+    if (isLocked(user))
+      return res.status(423).json({
+        error: 'Account is temporarily locked after too many failed attempts. Try again later or reset your password.',
+        lockedUntil: user.locked_until
+      });
+
+    const wait = accountDelay(user);
+    if (wait) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: `Too many failed attempts. Please wait ${wait} seconds.`, retryAfter: wait });
+    }
+
     // Verify password
     const isValid = await verifyPassword(password, user.password_hash);
-    if (!isValid) return res.status(401).json({ error: 'Invalid username or password' });
+    if (!isValid) {
+      await recordAttempt('login', req.ip, username, false);
+      const lockedUntil = await recordLoginFailure(user);
+
+      if (lockedUntil)
+        return res.status(423).json({
+          error: 'Account is temporarily locked after too many failed attempts. Try again later or reset your password.',
+          lockedUntil
+        });
+
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    // With 2FA on, the password only earns a pre-auth token until the code is
+    // verified; failures are cleared once it is
+    if (user.two_factor_enabled) {
+      const challenge = await startChallenge(user, user.two_factor_method, 'login');
+
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: `Verification code sent to ${challenge.destination}`,
+        preAuthToken: generatePreAuthToken(user.user_id, challenge.challengeId),
+        method: challenge.method,
+        destination: challenge.destination
+      });
+    }
+
+    if (user.failed_login_count || user.locked_until) await clearLoginFailures(user.user_id);
 
-    // Generate JWT
-    const token = generateToken(user.user_id, user.role);
+    // Start a session for this device
+    const session = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         userId: user.user_id,
         username: user.username,
@@ -148,7 +202,7 @@ const login = async (req, res) => {
 const getCurrentUser = async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT user_id, username, email, full_name, phone, role, is_active, created_at, updated_at FROM users WHERE user_id=$1',
+      'SELECT user_id, username, email, full_name, phone, role, is_active, two_factor_enabled, created_at, updated_at FROM users WHERE user_id=$1',
       [req.user.user_id]
     );
 
@@ -166,6 +220,7 @@ const getCurrentUser = async (req, res) => {
         phone: user.phone,
         role: user.role,
         isActive: user.is_active,
+        twoFactorEnabled: user.two_factor_enabled,
         createdAt: user.created_at,
         updatedAt: user.updated_at
       }
@@ -209,7 +264,17 @@ const changePassword = async (req, res) => {
       [newHash, req.user.user_id]
     );
 
-    res.json({ success: true, message: 'Password changed successfully' });
+    // Sign out every device, then give this one a fresh session
+    await revokeAllSessions(req.user.user_id);
+    const session = await createSession(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. All other sessions have been signed out.',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
   } catch (err) {
     console.error('Change password error:', err);
     res.status(500).json({ error: 'Failed to change password. Please try again later.' });
@@ -270,16 +335,120 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * =========================
+ * Refresh access token
+ * =========================
+ */
+const refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+
+    const session = await rotateSession(req.body.refreshToken);
+    if (!session)
+      return res.status(401).json({ error: 'Invalid or expired refresh token. Please login again.' });
+
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ error: 'Failed to refresh token. Please try again later.' });
+  }
+};
+
+/**
+ * =========================
+ * List active sessions
+ * =========================
+ */
+const getSessions = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.user_id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      sessions: result.rows.map(session => ({
+        sessionId: session.session_id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.session_id === req.user.session_id
+      }))
+    });
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+};
+
+/**
+ * =========================
+ * Revoke one session
+ * =========================
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id, 10);
+    if (isNaN(sessionId)) return res.status(400).json({ error: 'Invalid session ID' });
+
+    const revoked = await revokeSession(req.user.user_id, sessionId);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+/**
+ * =========================
+ * Revoke all other sessions
+ * =========================
+ */
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.user_id, req.user.session_id);
+
+    res.json({ success: true, message: `${count} other session(s) revoked`, revoked: count });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
+
 /**
  * =========================
  * Logout
  * =========================
  */
-const logout = (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful. Remove your token from client storage.'
-  });
+const logout = async (req, res) => {
+  try {
+    if (req.user.session_id) await revokeSession(req.user.user_id, req.user.session_id);
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed. Please try again later.' });
+  }
 };
 
 module.exports = {
@@ -288,5 +457,9 @@ module.exports = {
   getCurrentUser,
   changePassword,
   updateProfile,
+  refresh,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
   logout
 };
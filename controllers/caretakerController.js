@@ -1,7 +1,12 @@
 const pool = require('../config/db');
+const { isAdmin, propertyScope, canAccessProperty } = require('../utils/ownership');
+const { createLinkedAccount } = require('../utils/accounts');
 
 const getAllCaretakers = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'c.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         c.*,
@@ -9,8 +14,9 @@ const getAllCaretakers = async (req, res, next) => {
         p.location
       FROM caretakers c
       LEFT JOIN properties p ON c.property_id = p.property_id
+      WHERE ${scope}
       ORDER BY p.property_name, c.full_name
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -25,6 +31,8 @@ const getAllCaretakers = async (req, res, next) => {
 const getCaretakerById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'c.property_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -33,8 +41,8 @@ const getCaretakerById = async (req, res, next) => {
         p.location
       FROM caretakers c
       LEFT JOIN properties p ON c.property_id = p.property_id
-      WHERE c.caretaker_id = $1
-    `, [id]);
+      WHERE c.caretaker_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -71,6 +79,21 @@ const createCaretaker = async (req, res, next) => {
       });
     }
 
+    // Caretakers are only reachable through their property
+    if (!property_id && !isAdmin(req.user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: property_id'
+      });
+    }
+
+    if (property_id && !(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
     // Check if ID number already exists (only if provided)
     if (id_number) {
       const checkId = await pool.query(
@@ -153,9 +176,11 @@ const updateCaretaker = async (req, res, next) => {
     } = req.body;
 
     // Check if caretaker exists
+    const checkParams = [id];
+    const scope = propertyScope(req.user, 'property_id', checkParams);
     const checkResult = await pool.query(
-      'SELECT * FROM caretakers WHERE caretaker_id = $1',
-      [id]
+      `SELECT * FROM caretakers WHERE caretaker_id = $1 AND ${scope}`,
+      checkParams
     );
 
     if (checkResult.rows.length === 0) {
@@ -165,6 +190,13 @@ const updateCaretaker = async (req, res, next) => {
       });
     }
 
+    if (property_id && !(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
     // Check for duplicate ID number (if provided and different from current)
     if (id_number && id_number !== checkResult.rows[0].id_number) {
       const checkId = await pool.query(
@@ -245,13 +277,15 @@ const updateCaretaker = async (req, res, next) => {
 const deleteCaretaker = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
 
     const result = await pool.query(`
       UPDATE caretakers 
       SET is_active = false, updated_at = CURRENT_TIMESTAMP
-      WHERE caretaker_id = $1
+      WHERE caretaker_id = $1 AND ${scope}
       RETURNING *
-    `, [id]);
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -269,8 +303,41 @@ const deleteCaretaker = async (req, res, next) => {
   }
 };
 
+const createCaretakerAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+
+    const check = await pool.query(
+      `SELECT caretaker_id FROM caretakers WHERE caretaker_id = $1 AND ${scope}`,
+      params
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Caretaker not found'
+      });
+    }
+
+    const user = await createLinkedAccount('caretaker', id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Caretaker account created successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getActiveCaretakers = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'c.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         c.*,
@@ -278,9 +345,9 @@ const getActiveCaretakers = async (req, res, next) => {
         p.location
       FROM caretakers c
       LEFT JOIN properties p ON c.property_id = p.property_id
-      WHERE c.is_active = true
+      WHERE c.is_active = true AND ${scope}
       ORDER BY p.property_name
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -298,5 +365,6 @@ module.exports = {
   createCaretaker,
   updateCaretaker,
   deleteCaretaker,
-  getActiveCaretakers
+  getActiveCaretakers,
+  createCaretakerAccount
 };
\ No newline at end of file
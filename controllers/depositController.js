@@ -0,0 +1,227 @@
+const { findAccessibleTenant } = require('../utils/ownership');
+const { isValidDate } = require('../utils/helpers');
+const {
+  validateDeductions,
+  getDepositAccount,
+  recordDepositPayment,
+  deductFromDeposit,
+  refundDeposit: refundDepositRecord,
+  previewSettlement: previewSettlementRecord,
+  settleDeposit: settleDepositRecord,
+  getSettlementStatement
+} = require('../utils/deposits');
+
+const tenantNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Tenant not found'
+});
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error
+});
+
+const validateSettlementRequest = ({ deductions = [], settlement_date }) => {
+  const invalid = validateDeductions(deductions);
+  if (invalid) return invalid;
+  if (settlement_date && !isValidDate(settlement_date)) return 'settlement_date must be in YYYY-MM-DD format';
+  return null;
+};
+
+/**
+ * Get a tenant's deposit account
+ */
+const getDeposit = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.params;
+
+    if (!(await findAccessibleTenant(req.user, tenant_id))) return tenantNotFound(res);
+
+    const account = await getDepositAccount(tenant_id);
+    const settlement = await getSettlementStatement(tenant_id);
+
+    res.json({
+      success: true,
+      data: { ...account, settled: Boolean(settlement) }
+    });
+  } catch (error) {
+    console.error('Error in getDeposit:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record deposit money received
+ */
+const topUpDeposit = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.params;
+    const { amount, payment_method, reference_number, date } = req.body || {};
+
+    if (!(Number(amount) > 0)) return badRequest(res, 'Amount must be greater than 0');
+    if (date && !isValidDate(date)) return badRequest(res, 'date must be in YYYY-MM-DD format');
+
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+    if (!tenant) return tenantNotFound(res);
+
+    const transaction = await recordDepositPayment(
+      tenant,
+      { amount: Number(amount), payment_method, reference_number, date },
+      req.user.user_id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Deposit payment recorded successfully',
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Error in topUpDeposit:', error);
+    next(error);
+  }
+};
+
+/**
+ * Deduct from the deposit during the tenancy
+ */
+const deductDeposit = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.params;
+    const { category, description, amount, date } = req.body || {};
+
+    const invalid = validateDeductions([{ category, description, amount }], { allowUnpaidRent: true });
+    if (invalid) return badRequest(res, invalid);
+    if (date && !isValidDate(date)) return badRequest(res, 'date must be in YYYY-MM-DD format');
+
+    if (!(await findAccessibleTenant(req.user, tenant_id))) return tenantNotFound(res);
+
+    const result = await deductFromDeposit(tenant_id, { category, description, amount, date }, req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Deduction recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in deductDeposit:', error);
+    next(error);
+  }
+};
+
+/**
+ * Refund deposit money to the tenant
+ */
+const refundDeposit = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.params;
+    const { amount, payment_method, reference_number, date } = req.body || {};
+
+    if (!(Number(amount) > 0)) return badRequest(res, 'Amount must be greater than 0');
+    if (date && !isValidDate(date)) return badRequest(res, 'date must be in YYYY-MM-DD format');
+
+    if (!(await findAccessibleTenant(req.user, tenant_id))) return tenantNotFound(res);
+
+    const transaction = await refundDepositRecord(
+      tenant_id,
+      { amount: Number(amount), payment_method, reference_number, date },
+      req.user.user_id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Deposit refund recorded successfully',
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Error in refundDeposit:', error);
+    next(error);
+  }
+};
+
+/**
+ * Show the move-out settlement for a set of deductions without saving it
+ */
+const previewSettlement = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.params;
+    const { deductions = [] } = req.body || {};
+
+    const invalid = validateSettlementRequest(req.body || {});
+    if (invalid) return badRequest(res, invalid);
+
+    if (!(await findAccessibleTenant(req.user, tenant_id))) return tenantNotFound(res);
+
+    res.json({
+      success: true,
+      data: await previewSettlementRecord(tenant_id, deductions)
+    });
+  } catch (error) {
+    console.error('Error in previewSettlement:', error);
+    next(error);
+  }
+};
+
+/**
+ * Settle the deposit at move-out
+ */
+const settleDeposit = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.params;
+    const body = req.body || {};
+
+    const invalid = validateSettlementRequest(body);
+    if (invalid) return badRequest(res, invalid);
+
+    if (!(await findAccessibleTenant(req.user, tenant_id))) return tenantNotFound(res);
+
+    const settlement = await settleDepositRecord(tenant_id, body, req.user.user_id);
+    const statement = await getSettlementStatement(tenant_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Deposit settled successfully',
+      data: { ...statement, payment: settlement.payment }
+    });
+  } catch (error) {
+    console.error('Error in settleDeposit:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the move-out settlement statement
+ */
+const getSettlement = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.params;
+
+    if (!(await findAccessibleTenant(req.user, tenant_id))) return tenantNotFound(res);
+
+    const statement = await getSettlementStatement(tenant_id);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: 'This deposit has not been settled'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error in getSettlement:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getDeposit,
+  topUpDeposit,
+  deductDeposit,
+  refundDeposit,
+  previewSettlement,
+  settleDeposit,
+  getSettlement
+};
@@ -0,0 +1,148 @@
+const {
+  DOCUMENT_TYPES,
+  MERGE_FIELDS,
+  listTemplates,
+  getTemplate,
+  createTemplate: createTemplateRecord,
+  updateTemplate: updateTemplateRecord,
+  deleteTemplate: deleteTemplateRecord
+} = require('../utils/documents');
+
+const templateNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Template not found'
+});
+
+/**
+ * List the built-in templates and the landlord's own, optionally by
+ * document_type (?active=true for those offered when generating)
+ */
+const getTemplates = async (req, res, next) => {
+  try {
+    const { document_type, active } = req.query;
+
+    if (document_type && !DOCUMENT_TYPES.includes(document_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    const templates = await listTemplates(req.user, {
+      document_type,
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error in getTemplates:', error);
+    next(error);
+  }
+};
+
+/**
+ * The merge fields templates can use, with what each one is filled with
+ */
+const getMergeFields = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        document_types: DOCUMENT_TYPES,
+        fields: Object.entries(MERGE_FIELDS).map(([field, description]) => ({
+          field: `{{${field}}}`,
+          description
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error in getMergeFields:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single template with its HTML
+ */
+const getTemplateById = async (req, res, next) => {
+  try {
+    const template = await getTemplate(req.user, req.params.id);
+    if (!template) return templateNotFound(res);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error in getTemplateById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Save a new template
+ */
+const createTemplate = async (req, res, next) => {
+  try {
+    const template = await createTemplateRecord(req.user, req.body || {}, req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Error in createTemplate:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change one of the landlord's templates
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    const template = await updateTemplateRecord(req.user, req.params.id, req.body || {});
+    if (!template) return templateNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Error in updateTemplate:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete one of the landlord's templates
+ */
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const deleted = await deleteTemplateRecord(req.user, req.params.id);
+    if (!deleted) return templateNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteTemplate:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getMergeFields,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
@@ -1,7 +1,14 @@
 const pool = require('../config/db');
+const { propertyScope, canAccessProperty } = require('../utils/ownership');
+const { hasPermission } = require('../config/permissions');
+
+const APPROVAL_STATUSES = ['approved', 'rejected'];
 
 const getAllExpenses = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'e.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         e.expense_id,
@@ -13,6 +20,7 @@ const getAllExpenses = async (req, res, next) => {
         e.description,
         e.vendor_name,
         e.receipt_number,
+        e.approval_status,
         e.created_at,
         e.updated_at,
         p.property_name,
@@ -20,8 +28,9 @@ const getAllExpenses = async (req, res, next) => {
       FROM expenses e
       LEFT JOIN properties p ON e.property_id = p.property_id
       LEFT JOIN units u ON e.unit_id = u.unit_id
+      WHERE ${scope}
       ORDER BY e.expense_date DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -37,6 +46,8 @@ const getAllExpenses = async (req, res, next) => {
 const getExpenseById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'e.property_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -46,8 +57,8 @@ const getExpenseById = async (req, res, next) => {
       FROM expenses e
       LEFT JOIN properties p ON e.property_id = p.property_id
       LEFT JOIN units u ON e.unit_id = u.unit_id
-      WHERE e.expense_id = $1
-    `, [id]);
+      WHERE e.expense_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -89,6 +100,16 @@ const createExpense = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    // Expenses from roles that cannot approve wait for the landlord
+    const autoApproved = hasPermission(req.user.role, 'expenses:approve');
+
     const result = await pool.query(`
       INSERT INTO expenses (
         property_id, 
@@ -98,8 +119,12 @@ const createExpense = async (req, res, next) => {
         expense_date, 
         description, 
         vendor_name, 
-        receipt_number
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        receipt_number,
+        created_by,
+        approval_status,
+        approved_by,
+        approved_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
       RETURNING *
     `, [
       property_id,
@@ -109,7 +134,11 @@ const createExpense = async (req, res, next) => {
       expense_date,
       description || null,
       vendor_name || null,
-      receipt_number || null
+      receipt_number || null,
+      req.user.user_id,
+      autoApproved ? 'approved' : 'pending',
+      autoApproved ? req.user.user_id : null,
+      autoApproved ? new Date() : null
     ]);
 
     console.log('✅ Expense created:', result.rows[0]);
@@ -144,6 +173,26 @@ const updateExpense = async (req, res, next) => {
 
     console.log('📝 Updating expense', id, 'with:', req.body);
 
+    if (property_id && !(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    const params = [
+      property_id,
+      unit_id,
+      expense_type,
+      amount,
+      expense_date,
+      description,
+      vendor_name,
+      receipt_number,
+      id
+    ];
+    const scope = propertyScope(req.user, 'property_id', params);
+
     const result = await pool.query(`
       UPDATE expenses
       SET 
@@ -156,19 +205,9 @@ const updateExpense = async (req, res, next) => {
         vendor_name = COALESCE($7, vendor_name),
         receipt_number = COALESCE($8, receipt_number),
         updated_at = CURRENT_TIMESTAMP
-      WHERE expense_id = $9
+      WHERE expense_id = $9 AND ${scope}
       RETURNING *
-    `, [
-      property_id,
-      unit_id,
-      expense_type,
-      amount,
-      expense_date,
-      description,
-      vendor_name,
-      receipt_number,
-      id
-    ]);
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -199,9 +238,12 @@ const deleteExpense = async (req, res, next) => {
 
     console.log('🗑️ Deleting expense', id);
 
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+
     const result = await pool.query(
-      'DELETE FROM expenses WHERE expense_id = $1 RETURNING *',
-      [id]
+      `DELETE FROM expenses WHERE expense_id = $1 AND ${scope} RETURNING *`,
+      params
     );
 
     if (result.rows.length === 0) {
@@ -226,17 +268,65 @@ const deleteExpense = async (req, res, next) => {
   }
 };
 
+const approveExpense = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const status = req.body.status || 'approved';
+
+    if (!APPROVAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${APPROVAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const params = [status, req.user.user_id, id];
+    const scope = propertyScope(req.user, 'property_id', params);
+
+    const result = await pool.query(`
+      UPDATE expenses
+      SET 
+        approval_status = $1,
+        approved_by = $2,
+        approved_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE expense_id = $3 AND ${scope}
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Expense ${status} successfully`,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error in approveExpense:', error);
+    next(error);
+  }
+};
+
 const getExpensesByCategory = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'property_id', params);
+
     const result = await pool.query(`
       SELECT 
         expense_type,
         COUNT(*) as count,
         SUM(amount) as total_amount
       FROM expenses
+      WHERE ${scope} AND COALESCE(approval_status, 'approved') = 'approved'
       GROUP BY expense_type
       ORDER BY total_amount DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -259,6 +349,9 @@ const getMonthlyExpenses = async (req, res, next) => {
       });
     }
 
+    const params = [month, year];
+    const scope = propertyScope(req.user, 'e.property_id', params);
+
     const result = await pool.query(`
       SELECT
         e.*,
@@ -269,10 +362,13 @@ const getMonthlyExpenses = async (req, res, next) => {
       LEFT JOIN units u ON e.unit_id = u.unit_id
       WHERE EXTRACT(MONTH FROM e.expense_date) = $1
         AND EXTRACT(YEAR FROM e.expense_date) = $2
+        AND ${scope}
       ORDER BY e.expense_date DESC
-    `, [month, year]);
+    `, params);
 
-    const totalAmount = result.rows.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
+    const totalAmount = result.rows
+      .filter(expense => (expense.approval_status || 'approved') === 'approved')
+      .reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
 
     res.json({
       success: true,
@@ -293,5 +389,6 @@ module.exports = {
   updateExpense,
   deleteExpense,
   getExpensesByCategory,
-  getMonthlyExpenses
+  getMonthlyExpenses,
+  approveExpense
 };
\ No newline at end of file
@@ -2,6 +2,8 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const pool = require('../config/db');
 const { sendMail } = require('../config/email');
+const { revokeAllSessions } = require('../utils/sessions');
+const { recordAttempt, clearLoginFailures } = require('../utils/authThrottle');
 
 /**
  * Send password reset email
@@ -161,6 +163,7 @@ exports.resetPassword = async (req, res) => {
     
     if (userResult.rows.length === 0) {
       console.log('❌ Invalid or expired token');
+      await recordAttempt('reset_password', req.ip, null, false);
       return res.status(400).json({ 
         error: 'Invalid or expired reset token' 
       });
@@ -184,6 +187,13 @@ exports.resetPassword = async (req, res) => {
     await pool.query(updateQuery, [hashedPassword, user.user_id]);
     console.log('✅ Password updated successfully');
     
+    // Anyone holding an old session is signed out
+    const revoked = await revokeAllSessions(user.user_id);
+    console.log(`🔒 Revoked ${revoked} session(s)`);
+    
+    // Proving control of the email address also lifts any lockout
+    await clearLoginFailures(user.user_id);
+    
     // Send confirmation email
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5000';
     const mailOptions = {
@@ -266,6 +276,7 @@ exports.verifyResetToken = async (req, res) => {
     const result = await pool.query(query, [resetTokenHash]);
     
     if (result.rows.length === 0) {
+      await recordAttempt('reset_password', req.ip, null, false);
       return res.status(400).json({ 
         valid: false, 
         error: 'Invalid or expired token' 
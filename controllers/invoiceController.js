@@ -0,0 +1,237 @@
+const pool = require('../config/db');
+const { propertyScope, tenantScope, canAccessProperty } = require('../utils/ownership');
+const {
+  isValidPeriod,
+  currentPeriod,
+  previewInvoices,
+  generateInvoices,
+  voidInvoice: voidInvoiceRecord
+} = require('../utils/invoices');
+
+/**
+ * Read and check the period and filters shared by preview and generate.
+ * Sends a 400/404 and returns null when they are unusable.
+ */
+const readBillingRequest = async (req, res) => {
+  const { period = currentPeriod(), property_id, tenant_id } = req.body || {};
+
+  if (!isValidPeriod(period)) {
+    res.status(400).json({
+      success: false,
+      error: 'period must be in YYYY-MM format'
+    });
+    return null;
+  }
+
+  if (property_id && !(await canAccessProperty(req.user, property_id))) {
+    res.status(404).json({
+      success: false,
+      error: 'Property not found'
+    });
+    return null;
+  }
+
+  return {
+    period,
+    filters: { propertyId: property_id || null, tenantId: tenant_id || null }
+  };
+};
+
+/**
+ * Get all invoices, optionally filtered by period, tenant, property or status
+ */
+const getAllInvoices = async (req, res, next) => {
+  try {
+    const { period, tenant_id, property_id, status } = req.query;
+    const params = [];
+    const scope = propertyScope(req.user, 'i.property_id', params);
+    const ownScope = tenantScope(req.user, 'i.tenant_id', params);
+
+    let query = `
+      SELECT
+        i.*,
+        t.full_name as tenant_name,
+        t.phone as tenant_phone,
+        u.unit_number,
+        pr.property_name
+      FROM invoices i
+      LEFT JOIN tenants t ON i.tenant_id = t.tenant_id
+      LEFT JOIN units u ON i.unit_id = u.unit_id
+      LEFT JOIN properties pr ON i.property_id = pr.property_id
+      WHERE ${scope} AND ${ownScope}
+    `;
+
+    if (period) {
+      params.push(period);
+      query += ` AND i.billing_period = $${params.length}`;
+    }
+    if (tenant_id) {
+      params.push(tenant_id);
+      query += ` AND i.tenant_id = $${params.length}`;
+    }
+    if (property_id) {
+      params.push(property_id);
+      query += ` AND i.property_id = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      query += ` AND i.status = $${params.length}`;
+    }
+
+    query += ' ORDER BY i.billing_period DESC, pr.property_name, u.unit_number';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error in getAllInvoices:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get single invoice with its lines
+ */
+const getInvoiceById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'i.property_id', params);
+    const ownScope = tenantScope(req.user, 'i.tenant_id', params);
+
+    const result = await pool.query(`
+      SELECT
+        i.*,
+        t.full_name as tenant_name,
+        t.phone as tenant_phone,
+        u.unit_number,
+        pr.property_name
+      FROM invoices i
+      LEFT JOIN tenants t ON i.tenant_id = t.tenant_id
+      LEFT JOIN units u ON i.unit_id = u.unit_id
+      LEFT JOIN properties pr ON i.property_id = pr.property_id
+      WHERE i.invoice_id = $1 AND ${scope} AND ${ownScope}
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    const lines = await pool.query(
+      'SELECT * FROM invoice_lines WHERE invoice_id = $1 ORDER BY line_id',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: { ...result.rows[0], lines: lines.rows }
+    });
+  } catch (error) {
+    console.error('Error in getInvoiceById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Show the invoices a generate run would create, without creating them
+ */
+const previewInvoiceRun = async (req, res, next) => {
+  try {
+    const request = await readBillingRequest(req, res);
+    if (!request) return;
+
+    const entries = await previewInvoices(req.user, request.period, request.filters);
+    const pending = entries.filter(entry => entry.status === 'new');
+
+    res.json({
+      success: true,
+      period: request.period,
+      summary: {
+        to_create: pending.length,
+        already_invoiced: entries.filter(entry => entry.status === 'exists').length,
+        no_lease: entries.filter(entry => entry.status === 'no_lease').length,
+        no_rent: entries.filter(entry => entry.status === 'no_rent').length,
+        total_amount: pending.reduce((sum, entry) => sum + entry.total_amount, 0)
+      },
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error in previewInvoiceRun:', error);
+    next(error);
+  }
+};
+
+/**
+ * Generate invoices for a period. Safe to repeat: tenants already invoiced
+ * for the period are skipped.
+ */
+const generateInvoiceRun = async (req, res, next) => {
+  try {
+    const request = await readBillingRequest(req, res);
+    if (!request) return;
+
+    const result = await generateInvoices(req.user, request.period, request.filters, req.user.user_id);
+
+    res.status(result.created.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `${result.created.length} invoice(s) generated for ${request.period}`,
+      period: request.period,
+      created_count: result.created.length,
+      skipped_count: result.skipped.length,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in generateInvoiceRun:', error);
+    next(error);
+  }
+};
+
+/**
+ * Void an invoice. The tenant can then be invoiced again for that period.
+ */
+const voidInvoice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to void an invoice'
+      });
+    }
+
+    const invoice = await voidInvoiceRecord(req.user, id, String(reason).trim(), req.user.user_id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice voided successfully',
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Error in voidInvoice:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllInvoices,
+  getInvoiceById,
+  previewInvoiceRun,
+  generateInvoiceRun,
+  voidInvoice
+};
@@ -0,0 +1,228 @@
+const pool = require('../config/db');
+const { propertyScope, tenantScope, canAccessProperty } = require('../utils/ownership');
+const { validateRule, applyLateFees, waiveLateFee: waiveLateFeeRecord } = require('../utils/lateFees');
+
+/**
+ * Get the late-fee rules of every property in scope
+ */
+const getLateFeeRules = async (req, res, next) => {
+  try {
+    const params = [];
+    const scope = propertyScope(req.user, 'r.property_id', params);
+
+    const result = await pool.query(`
+      SELECT r.*, p.property_name
+      FROM late_fee_rules r
+      JOIN properties p ON r.property_id = p.property_id
+      WHERE ${scope}
+      ORDER BY p.property_name
+    `, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error in getLateFeeRules:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create or replace a property's late-fee rule
+ */
+const saveLateFeeRule = async (req, res, next) => {
+  try {
+    const { property_id } = req.params;
+    const {
+      grace_days = 0,
+      fee_type,
+      fee_value,
+      frequency = 'once',
+      max_fee = null,
+      is_active = true
+    } = req.body || {};
+
+    const invalid = validateRule({ grace_days, fee_type, fee_value, frequency, max_fee });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    if (!(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO late_fee_rules (property_id, grace_days, fee_type, fee_value, frequency, max_fee, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (property_id) DO UPDATE SET
+        grace_days = EXCLUDED.grace_days,
+        fee_type = EXCLUDED.fee_type,
+        fee_value = EXCLUDED.fee_value,
+        frequency = EXCLUDED.frequency,
+        max_fee = EXCLUDED.max_fee,
+        is_active = EXCLUDED.is_active
+      RETURNING *
+    `, [property_id, grace_days, fee_type, fee_value, frequency, max_fee, is_active !== false]);
+
+    res.json({
+      success: true,
+      message: 'Late fee rule saved successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error in saveLateFeeRule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a property's late-fee rule. Fees already charged are kept.
+ */
+const deleteLateFeeRule = async (req, res, next) => {
+  try {
+    const { property_id } = req.params;
+    const params = [property_id];
+    const scope = propertyScope(req.user, 'property_id', params);
+
+    const result = await pool.query(
+      `DELETE FROM late_fee_rules WHERE property_id = $1 AND ${scope} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Late fee rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Late fee rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteLateFeeRule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get charged late fees, optionally filtered by tenant, invoice or status
+ */
+const getLateFees = async (req, res, next) => {
+  try {
+    const { tenant_id, invoice_id, status } = req.query;
+    const params = [];
+    const scope = propertyScope(req.user, 'f.property_id', params);
+    const ownScope = tenantScope(req.user, 'f.tenant_id', params);
+
+    let query = `
+      SELECT
+        f.*,
+        i.invoice_number,
+        t.full_name as tenant_name,
+        p.property_name
+      FROM late_fees f
+      JOIN invoices i ON f.invoice_id = i.invoice_id
+      LEFT JOIN tenants t ON f.tenant_id = t.tenant_id
+      LEFT JOIN properties p ON f.property_id = p.property_id
+      WHERE ${scope} AND ${ownScope}
+    `;
+
+    if (tenant_id) {
+      params.push(tenant_id);
+      query += ` AND f.tenant_id = $${params.length}`;
+    }
+    if (invoice_id) {
+      params.push(invoice_id);
+      query += ` AND f.invoice_id = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      query += ` AND f.status = $${params.length}`;
+    }
+
+    query += ' ORDER BY f.fee_date DESC, f.late_fee_id DESC';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error in getLateFees:', error);
+    next(error);
+  }
+};
+
+/**
+ * Run the late-fee job now for the user's properties
+ */
+const runLateFees = async (req, res, next) => {
+  try {
+    const result = await applyLateFees(req.user);
+
+    res.json({
+      success: true,
+      message: `${result.applied.length} late fee(s) applied`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in runLateFees:', error);
+    next(error);
+  }
+};
+
+/**
+ * Waive a late fee
+ */
+const waiveLateFee = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to waive a late fee'
+      });
+    }
+
+    const fee = await waiveLateFeeRecord(req.user, id, String(reason).trim(), req.user.user_id);
+
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Late fee not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Late fee waived successfully',
+      data: fee
+    });
+  } catch (error) {
+    console.error('Error in waiveLateFee:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getLateFeeRules,
+  saveLateFeeRule,
+  deleteLateFeeRule,
+  getLateFees,
+  runLateFees,
+  waiveLateFee
+};
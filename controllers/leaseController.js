@@ -0,0 +1,346 @@
+const { findAccessibleTenant } = require('../utils/ownership');
+const {
+  LEASE_STATUSES,
+  listLeases,
+  getLease,
+  createLease: createLeaseRecord,
+  updateLease: updateLeaseRecord,
+  activateLease: activateLeaseRecord,
+  terminateLease: terminateLeaseRecord,
+  cancelLease: cancelLeaseRecord,
+  deleteLease: deleteLeaseRecord
+} = require('../utils/leases');
+const {
+  listExpiringLeases,
+  checkLeaseExpiry,
+  listRenewals,
+  offerRenewal: offerRenewalRecord,
+  respondToRenewal: respondToRenewalRecord
+} = require('../utils/leaseRenewals');
+const { dateString } = require('../utils/helpers');
+
+const CREATED_MESSAGES = {
+  draft: 'Lease drafted successfully',
+  pending: 'Lease created; it takes effect on its start date',
+  active: 'Lease created and activated'
+};
+
+const leaseNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Lease not found'
+});
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error
+});
+
+const RENEWAL_MESSAGES = {
+  accepted: 'Renewal accepted; the new lease takes effect on its start date',
+  month_to_month: 'Tenant goes month-to-month from the new lease\'s start date',
+  declined: 'Renewal declined'
+};
+
+/**
+ * List leases, optionally by status, tenant or property
+ */
+const getLeases = async (req, res, next) => {
+  try {
+    const { status, tenant_id, property_id } = req.query;
+
+    if (status && !LEASE_STATUSES.includes(status)) {
+      return badRequest(res, `status must be one of: ${LEASE_STATUSES.join(', ')}`);
+    }
+
+    const leases = await listLeases(req.user, { status, tenant_id, property_id });
+
+    res.json({
+      success: true,
+      count: leases.length,
+      data: leases
+    });
+  } catch (error) {
+    console.error('Error in getLeases:', error);
+    next(error);
+  }
+};
+
+/**
+ * Active leases ending within ?days= days (90 by default), soonest first.
+ * Leases already past their end date are included.
+ */
+const getExpiringLeases = async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 90 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 0 || days > 366) {
+      return badRequest(res, 'days must be a whole number from 0 to 366');
+    }
+
+    const leases = await listExpiringLeases(req.user, { days });
+
+    res.json({
+      success: true,
+      count: leases.length,
+      data: leases
+    });
+  } catch (error) {
+    console.error('Error in getExpiringLeases:', error);
+    next(error);
+  }
+};
+
+/**
+ * Run the expiry check now (it also runs daily)
+ */
+const runLeaseExpiryCheck = async (req, res, next) => {
+  try {
+    const result = await checkLeaseExpiry(req.user);
+
+    res.json({
+      success: true,
+      message: `${result.checked} lease(s) checked, ${result.notified.length} alert(s) sent`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in runLeaseExpiryCheck:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single lease
+ */
+const getLeaseById = async (req, res, next) => {
+  try {
+    const lease = await getLease(req.user, req.params.id);
+    if (!lease) return leaseNotFound(res);
+
+    res.json({
+      success: true,
+      data: lease
+    });
+  } catch (error) {
+    console.error('Error in getLeaseById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Draft a lease for a tenant (activate: true puts it into effect at once)
+ */
+const createLease = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.body || {};
+
+    if (!tenant_id) return badRequest(res, 'tenant_id is required');
+
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const lease = await createLeaseRecord(req.user, tenant, req.body, req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: CREATED_MESSAGES[lease.status],
+      data: lease
+    });
+  } catch (error) {
+    console.error('Error in createLease:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change the terms of a draft lease
+ */
+const updateLease = async (req, res, next) => {
+  try {
+    const lease = await updateLeaseRecord(req.user, req.params.id, req.body || {});
+    if (!lease) return leaseNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Lease updated successfully',
+      data: lease
+    });
+  } catch (error) {
+    console.error('Error in updateLease:', error);
+    next(error);
+  }
+};
+
+/**
+ * Put a draft lease into effect, ending the tenant's current one
+ */
+const activateLease = async (req, res, next) => {
+  try {
+    const lease = await activateLeaseRecord(req.user, req.params.id);
+    if (!lease) return leaseNotFound(res);
+
+    res.json({
+      success: true,
+      message: lease.status === 'pending'
+        ? `Lease will take effect on ${dateString(lease.start_date)}`
+        : 'Lease activated successfully',
+      data: lease
+    });
+  } catch (error) {
+    console.error('Error in activateLease:', error);
+    next(error);
+  }
+};
+
+/**
+ * End an active lease early, with a reason
+ */
+const terminateLease = async (req, res, next) => {
+  try {
+    const { end_date, reason } = req.body || {};
+
+    const lease = await terminateLeaseRecord(req.user, req.params.id, { end_date, reason }, req.user.user_id);
+    if (!lease) return leaseNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Lease terminated successfully',
+      data: lease
+    });
+  } catch (error) {
+    console.error('Error in terminateLease:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending lease before it starts, with a reason
+ */
+const cancelLease = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    const lease = await cancelLeaseRecord(req.user, req.params.id, { reason }, req.user.user_id);
+    if (!lease) return leaseNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Lease cancelled successfully',
+      data: lease
+    });
+  } catch (error) {
+    console.error('Error in cancelLease:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a draft lease
+ */
+const deleteLease = async (req, res, next) => {
+  try {
+    const deleted = await deleteLeaseRecord(req.user, req.params.id);
+    if (!deleted) return leaseNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Lease deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteLease:', error);
+    next(error);
+  }
+};
+
+/**
+ * Renewal offers made on a lease
+ */
+const getLeaseRenewals = async (req, res, next) => {
+  try {
+    const lease = await getLease(req.user, req.params.id);
+    if (!lease) return leaseNotFound(res);
+
+    const renewals = await listRenewals(req.user, lease.lease_id);
+
+    res.json({
+      success: true,
+      count: renewals.length,
+      data: renewals
+    });
+  } catch (error) {
+    console.error('Error in getLeaseRenewals:', error);
+    next(error);
+  }
+};
+
+/**
+ * Offer the tenant a renewal with new rent and dates
+ */
+const offerRenewal = async (req, res, next) => {
+  try {
+    const { rent_amount, start_date, end_date, notes } = req.body || {};
+
+    const renewal = await offerRenewalRecord(
+      req.user,
+      req.params.id,
+      { rent_amount, start_date, end_date, notes },
+      req.user.user_id
+    );
+    if (!renewal) return leaseNotFound(res);
+
+    res.status(201).json({
+      success: true,
+      message: 'Renewal offered successfully',
+      data: renewal
+    });
+  } catch (error) {
+    console.error('Error in offerRenewal:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record whether the tenant accepted, declined or went month-to-month
+ */
+const respondToRenewal = async (req, res, next) => {
+  try {
+    const { outcome, notes } = req.body || {};
+
+    const renewal = await respondToRenewalRecord(req.user, req.params.renewalId, { outcome, notes }, req.user.user_id);
+    if (!renewal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Renewal offer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: RENEWAL_MESSAGES[renewal.status],
+      data: renewal
+    });
+  } catch (error) {
+    console.error('Error in respondToRenewal:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getLeases,
+  getExpiringLeases,
+  runLeaseExpiryCheck,
+  getLeaseById,
+  createLease,
+  updateLease,
+  activateLease,
+  terminateLease,
+  cancelLease,
+  deleteLease,
+  getLeaseRenewals,
+  offerRenewal,
+  respondToRenewal
+};
@@ -1,8 +1,13 @@
 // controllers/maintenanceController.js
 const pool = require('../config/db');
+const { propertyScope, tenantScope, canAccessProperty, findAccessibleTenant } = require('../utils/ownership');
 
 const getAllRequests = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'mr.property_id', params);
+    const ownScope = tenantScope(req.user, 'mr.tenant_id', params);
+
     const result = await pool.query(`
       SELECT 
         mr.*,
@@ -14,8 +19,9 @@ const getAllRequests = async (req, res, next) => {
       LEFT JOIN units u ON mr.unit_id = u.unit_id
       LEFT JOIN tenants t ON mr.tenant_id = t.tenant_id
       LEFT JOIN properties p ON mr.property_id = p.property_id
+      WHERE ${scope} AND ${ownScope}
       ORDER BY mr.created_at DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -31,6 +37,9 @@ const getAllRequests = async (req, res, next) => {
 const getRequestById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'mr.property_id', params);
+    const ownScope = tenantScope(req.user, 'mr.tenant_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -43,8 +52,8 @@ const getRequestById = async (req, res, next) => {
       LEFT JOIN units u ON mr.unit_id = u.unit_id
       LEFT JOIN tenants t ON mr.tenant_id = t.tenant_id
       LEFT JOIN properties p ON mr.property_id = p.property_id
-      WHERE mr.request_id = $1
-    `, [id]);
+      WHERE mr.request_id = $1 AND ${scope} AND ${ownScope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -88,6 +97,21 @@ const createRequest = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    // Tenants can only report issues against their own tenancy
+    if ((tenant_id || req.user.role === 'tenant') && !(await findAccessibleTenant(req.user, tenant_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
     const result = await pool.query(`
       INSERT INTO maintenance_requests (
         property_id,
@@ -149,9 +173,11 @@ const updateRequest = async (req, res, next) => {
     } = req.body;
 
     // Check if request exists
+    const checkParams = [id];
+    const scope = propertyScope(req.user, 'property_id', checkParams);
     const checkResult = await pool.query(
-      'SELECT * FROM maintenance_requests WHERE request_id = $1',
-      [id]
+      `SELECT * FROM maintenance_requests WHERE request_id = $1 AND ${scope}`,
+      checkParams
     );
 
     if (checkResult.rows.length === 0) {
@@ -161,6 +187,13 @@ const updateRequest = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
     const result = await pool.query(`
       UPDATE maintenance_requests 
       SET 
@@ -210,6 +243,8 @@ const completeRequest = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { cost, notes } = req.body;
+    const params = [cost, notes, id];
+    const scope = propertyScope(req.user, 'property_id', params);
 
     const result = await pool.query(`
       UPDATE maintenance_requests 
@@ -219,9 +254,9 @@ const completeRequest = async (req, res, next) => {
         cost = $1,
         notes = $2,
         updated_at = CURRENT_TIMESTAMP
-      WHERE request_id = $3
+      WHERE request_id = $3 AND ${scope}
       RETURNING *
-    `, [cost, notes, id]);
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -243,6 +278,10 @@ const completeRequest = async (req, res, next) => {
 
 const getPendingRequests = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'mr.property_id', params);
+    const ownScope = tenantScope(req.user, 'mr.tenant_id', params);
+
     const result = await pool.query(`
       SELECT 
         mr.*,
@@ -254,7 +293,7 @@ const getPendingRequests = async (req, res, next) => {
       LEFT JOIN units u ON mr.unit_id = u.unit_id
       LEFT JOIN tenants t ON mr.tenant_id = t.tenant_id
       LEFT JOIN properties p ON mr.property_id = p.property_id
-      WHERE mr.status IN ('pending', 'in_progress')
+      WHERE mr.status IN ('pending', 'in_progress') AND ${scope} AND ${ownScope}
       ORDER BY 
         CASE mr.priority 
           WHEN 'urgent' THEN 1
@@ -263,7 +302,7 @@ const getPendingRequests = async (req, res, next) => {
           WHEN 'low' THEN 4
         END,
         mr.reported_date DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
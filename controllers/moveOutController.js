@@ -0,0 +1,223 @@
+const { findAccessibleTenant } = require('../utils/ownership');
+const {
+  MOVE_OUT_STATUSES,
+  listMoveOuts,
+  getMoveOut,
+  startMoveOut: startMoveOutRecord,
+  recordInspection: recordInspectionRecord,
+  recordMeterReadings: recordMeterReadingsRecord,
+  settleMoveOut: settleMoveOutRecord,
+  completeMoveOut: completeMoveOutRecord,
+  cancelMoveOut: cancelMoveOutRecord
+} = require('../utils/moveOuts');
+
+const moveOutNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Move-out not found'
+});
+
+/**
+ * List move-outs, optionally by status, tenant or property
+ */
+const getMoveOuts = async (req, res, next) => {
+  try {
+    const { status, tenant_id, property_id } = req.query;
+
+    if (status && !MOVE_OUT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${MOVE_OUT_STATUSES.join(', ')}`
+      });
+    }
+
+    const moveOuts = await listMoveOuts(req.user, { status, tenant_id, property_id });
+
+    res.json({
+      success: true,
+      count: moveOuts.length,
+      data: moveOuts
+    });
+  } catch (error) {
+    console.error('Error in getMoveOuts:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a move-out with its steps, inspection, meter readings and settlement
+ */
+const getMoveOutById = async (req, res, next) => {
+  try {
+    const moveOut = await getMoveOut(req.user, req.params.id);
+    if (!moveOut) return moveOutNotFound(res);
+
+    res.json({
+      success: true,
+      data: moveOut
+    });
+  } catch (error) {
+    console.error('Error in getMoveOutById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record a tenant's notice and start their move-out
+ */
+const startMoveOut = async (req, res, next) => {
+  try {
+    const { tenant_id, notice_date, move_out_date, reason, notes } = req.body || {};
+
+    if (!tenant_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'tenant_id is required'
+      });
+    }
+
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const moveOut = await startMoveOutRecord(
+      req.user,
+      tenant,
+      { notice_date, move_out_date, reason, notes },
+      req.user.user_id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Notice recorded; move-out started',
+      data: moveOut
+    });
+  } catch (error) {
+    console.error('Error in startMoveOut:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record the exit inspection and what it found
+ */
+const recordInspection = async (req, res, next) => {
+  try {
+    const { inspection_date, notes, items } = req.body || {};
+
+    const moveOut = await recordInspectionRecord(req.user, req.params.id, { inspection_date, notes, items }, req.user.user_id);
+    if (!moveOut) return moveOutNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Exit inspection recorded',
+      data: moveOut
+    });
+  } catch (error) {
+    console.error('Error in recordInspection:', error);
+    next(error);
+  }
+};
+
+/**
+ * Bill the final meter readings
+ */
+const recordMeterReadings = async (req, res, next) => {
+  try {
+    const { reading_date, readings } = req.body || {};
+
+    const moveOut = await recordMeterReadingsRecord(req.user, req.params.id, { reading_date, readings }, req.user.user_id);
+    if (!moveOut) return moveOutNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Final meter readings recorded',
+      data: moveOut
+    });
+  } catch (error) {
+    console.error('Error in recordMeterReadings:', error);
+    next(error);
+  }
+};
+
+/**
+ * Settle rent and the deposit
+ */
+const settleMoveOut = async (req, res, next) => {
+  try {
+    const { settlement_date, payment_method, reference_number, notes } = req.body || {};
+
+    const moveOut = await settleMoveOutRecord(
+      req.user,
+      req.params.id,
+      { settlement_date, payment_method, reference_number, notes },
+      req.user.user_id
+    );
+    if (!moveOut) return moveOutNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Rent and deposit settled',
+      data: moveOut
+    });
+  } catch (error) {
+    console.error('Error in settleMoveOut:', error);
+    next(error);
+  }
+};
+
+/**
+ * Close the tenancy and free the unit
+ */
+const completeMoveOut = async (req, res, next) => {
+  try {
+    const { move_out_date } = req.body || {};
+
+    const moveOut = await completeMoveOutRecord(req.user, req.params.id, { move_out_date }, req.user.user_id);
+    if (!moveOut) return moveOutNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Tenancy closed and unit freed',
+      data: moveOut
+    });
+  } catch (error) {
+    console.error('Error in completeMoveOut:', error);
+    next(error);
+  }
+};
+
+/**
+ * Withdraw the notice before the move-out is settled
+ */
+const cancelMoveOut = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    const moveOut = await cancelMoveOutRecord(req.user, req.params.id, { reason });
+    if (!moveOut) return moveOutNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Move-out cancelled',
+      data: moveOut
+    });
+  } catch (error) {
+    console.error('Error in cancelMoveOut:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMoveOuts,
+  getMoveOutById,
+  startMoveOut,
+  recordInspection,
+  recordMeterReadings,
+  settleMoveOut,
+  completeMoveOut,
+  cancelMoveOut
+};
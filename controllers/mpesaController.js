@@ -0,0 +1,264 @@
+const mpesaService = require('../services/mpesaService');
+const { findAccessibleTenant } = require('../utils/ownership');
+const {
+  initiateStkPush,
+  handleStkCallback,
+  findStkTransaction,
+  validateC2BPayment,
+  recordC2BPayment,
+  getSuspenseQueue,
+  assignSuspensePayment
+} = require('../utils/mpesa');
+
+/**
+ * Send an STK Push prompt for a tenant's rent
+ */
+const stkPush = async (req, res, next) => {
+  try {
+    const { tenant_id, amount, phone_number } = req.body || {};
+
+    if (!tenant_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: tenant_id'
+      });
+    }
+
+    if (amount !== undefined && !(Number(amount) >= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be at least 1'
+      });
+    }
+
+    if (!(await findAccessibleTenant(req.user, tenant_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const transaction = await initiateStkPush(tenant_id, { amount, phone_number }, req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: transaction.customer_message || 'Payment request sent to phone',
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Error in stkPush:', error);
+    next(error);
+  }
+};
+
+/**
+ * Check the status of an STK Push request
+ */
+const getStkStatus = async (req, res, next) => {
+  try {
+    const transaction = await findStkTransaction(req.user, req.params.checkout_request_id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'M-Pesa request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Error in getStkStatus:', error);
+    next(error);
+  }
+};
+
+/**
+ * Result of an STK Push, posted by Daraja.
+ * Callbacks we cannot use are logged and accepted. A callback we fail to
+ * process is answered with an error so Daraja sends it again; settling is
+ * idempotent, so a repeat is harmless.
+ */
+const stkCallback = async (req, res) => {
+  if (!mpesaService.isValidCallbackToken(req.query.token)) {
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  try {
+    const callback = mpesaService.parseStkCallback(req.body);
+
+    if (!callback) {
+      console.warn('⚠️ Ignoring malformed M-Pesa STK callback');
+    } else {
+      const transaction = await handleStkCallback(callback);
+      if (!transaction) {
+        console.warn(`⚠️ Ignoring M-Pesa callback for unknown or settled request ${callback.checkoutRequestId}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error in stkCallback:', error);
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Internal error, please retry' });
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+};
+
+/**
+ * C2B validation, posted by Daraja before it completes a Paybill payment.
+ * A payment we fail to check is rejected, so the payer keeps their money
+ * rather than it going to no one.
+ */
+const c2bValidation = async (req, res) => {
+  if (!mpesaService.isValidCallbackToken(req.query.token)) {
+    return res.status(403).json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+  }
+
+  try {
+    const payment = mpesaService.parseC2BPayload(req.body);
+    const result = payment ? await validateC2BPayment(payment) : { accepted: false, reason: 'Malformed request' };
+
+    if (!result.accepted) {
+      console.warn(`⚠️ Rejecting M-Pesa Paybill payment: ${result.reason}`);
+      return res.json({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+    }
+  } catch (error) {
+    console.error('Error in c2bValidation:', error);
+    return res.json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+};
+
+/**
+ * C2B confirmation, posted by Daraja once a Paybill payment has gone through.
+ * One we fail to record is answered with an error so Daraja sends it again;
+ * confirmations are stored once per TransID, so a repeat is harmless.
+ */
+const c2bConfirmation = async (req, res) => {
+  if (!mpesaService.isValidCallbackToken(req.query.token)) {
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  try {
+    const payment = mpesaService.parseC2BPayload(req.body);
+
+    if (!payment) {
+      console.warn('⚠️ Ignoring malformed M-Pesa C2B confirmation');
+    } else {
+      const entry = await recordC2BPayment(payment, req.body);
+      if (entry.status === 'suspense') {
+        console.warn(`⚠️ M-Pesa payment ${entry.trans_id} (${entry.bill_ref_number}) held in suspense: ${entry.suspense_reason}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error in c2bConfirmation:', error);
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Internal error, please retry' });
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+};
+
+/**
+ * Register the C2B URLs with Daraja
+ */
+const registerC2BUrls = async (req, res, next) => {
+  try {
+    if (!mpesaService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'M-Pesa is not configured'
+      });
+    }
+
+    const result = await mpesaService.registerC2BUrls();
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: `M-Pesa request failed: ${result.error}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'C2B URLs registered successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error in registerC2BUrls:', error);
+    next(error);
+  }
+};
+
+/**
+ * Paybill payments that could not be matched to a tenant
+ */
+const getSuspense = async (req, res, next) => {
+  try {
+    const entries = await getSuspenseQueue(req.user);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error in getSuspense:', error);
+    next(error);
+  }
+};
+
+/**
+ * Assign a suspense payment to a tenant
+ */
+const assignSuspense = async (req, res, next) => {
+  try {
+    const { tenant_id } = req.body || {};
+
+    if (!tenant_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: tenant_id'
+      });
+    }
+
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const entry = await assignSuspensePayment(req.user, req.params.id, tenant, req.user.user_id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suspense payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment assigned successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error in assignSuspense:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  stkPush,
+  getStkStatus,
+  stkCallback,
+  c2bValidation,
+  c2bConfirmation,
+  registerC2BUrls,
+  getSuspense,
+  assignSuspense
+};
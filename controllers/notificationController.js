@@ -0,0 +1,73 @@
+const {
+  listNotifications,
+  markRead,
+  markAllRead
+} = require('../utils/notifications');
+
+/**
+ * The signed-in user's notifications (?unread=true for unread only)
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { notifications, unread } = await listNotifications(req.user, {
+      unread: req.query.unread === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unread,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Error in getNotifications:', error);
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification read
+ */
+const readNotification = async (req, res, next) => {
+  try {
+    const notification = await markRead(req.user, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error in readNotification:', error);
+    next(error);
+  }
+};
+
+/**
+ * Mark all of the user's notifications read
+ */
+const readAllNotifications = async (req, res, next) => {
+  try {
+    const count = await markAllRead(req.user);
+
+    res.json({
+      success: true,
+      message: `${count} notification(s) marked read`
+    });
+  } catch (error) {
+    console.error('Error in readAllNotifications:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  readNotification,
+  readAllNotifications
+};
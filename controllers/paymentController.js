@@ -1,8 +1,31 @@
 ﻿const pool = require('../config/db');
+const { propertyScope, tenantScope, findAccessibleTenant } = require('../utils/ownership');
+const { syncPaymentEntries } = require('../utils/ledger');
+const { getPaymentAllocations } = require('../utils/allocations');
+const { getReceipt, renderReceiptHtml, renderReceiptPdf } = require('../utils/receipts');
+const {
+  updatePayment: updatePaymentRecord,
+  cancelPayment: cancelPaymentRecord,
+  reversePayment: reversePaymentRecord,
+  getPaymentHistory
+} = require('../utils/reversals');
+const { normalizeCode, assertNotDuplicate } = require('../utils/duplicates');
+
+// A duplicate lists the payments it clashes with; `can_override` says whether allow_duplicate helps
+const duplicateResponse = (res, error) => res.status(409).json({
+  success: false,
+  error: error.message,
+  can_override: error.overridable,
+  duplicates: error.duplicates
+});
 
 
 const getAllPayments = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+    const ownScope = tenantScope(req.user, 'p.tenant_id', params);
+
     const result = await pool.query(`
       SELECT 
         p.payment_id,
@@ -28,8 +51,9 @@ const getAllPayments = async (req, res, next) => {
       LEFT JOIN units u ON p.unit_id = u.unit_id
       LEFT JOIN properties pr ON p.property_id = pr.property_id
       LEFT JOIN properties pr2 ON u.property_id = pr2.property_id
+      WHERE ${scope} AND ${ownScope}
       ORDER BY p.payment_date DESC, p.created_at DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -48,6 +72,9 @@ const getAllPayments = async (req, res, next) => {
 const getPaymentById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+    const ownScope = tenantScope(req.user, 'p.tenant_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -62,8 +89,8 @@ const getPaymentById = async (req, res, next) => {
       LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
       LEFT JOIN properties pr ON p.property_id = pr.property_id
       LEFT JOIN units u ON p.unit_id = u.unit_id
-      WHERE p.payment_id = $1
-    `, [id]);
+      WHERE p.payment_id = $1 AND ${scope} AND ${ownScope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -101,7 +128,8 @@ const createPayment = async (req, res, next) => {
       payment_method,
       reference_number,
       mpesa_code,
-      notes
+      notes,
+      allow_duplicate
     } = req.body;
 
     // Validation
@@ -122,12 +150,33 @@ const createPayment = async (req, res, next) => {
       });
     }
 
+    // Payments follow the tenant's property so they stay with its landlord
+    const tenant = await findAccessibleTenant(req.user, tenant_id, client);
+
+    if (!tenant) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
     // Default to today if payment_date not provided
     const finalPaymentDate = payment_date || new Date().toISOString().split('T')[0];
 
     // Ensure payment_month is in YYYY-MM format if provided
     const finalPaymentMonth = payment_month ? payment_month.substring(0, 7) : null;
 
+    await assertNotDuplicate({
+      tenant_id,
+      property_id: tenant.property_id || property_id || null,
+      amount,
+      payment_date: finalPaymentDate,
+      payment_method,
+      mpesa_code,
+      reference_number
+    }, { allowDuplicate: allow_duplicate === true || allow_duplicate === 'true' }, client);
+
     // Insert payment
     const result = await client.query(`
       INSERT INTO payments (
@@ -146,26 +195,30 @@ const createPayment = async (req, res, next) => {
       RETURNING *
     `, [
       tenant_id,
-      property_id || null,
-      unit_id || null,
+      tenant.property_id || property_id || null,
+      unit_id || tenant.unit_id || null,
       amount,
       finalPaymentDate,
       finalPaymentMonth,
       payment_method,
       reference_number || null,
-      mpesa_code || null,
+      normalizeCode(mpesa_code),
       notes || null
     ]);
 
+    await syncPaymentEntries(result.rows[0], req.user.user_id, client);
+    const allocations = await getPaymentAllocations(result.rows[0].payment_id, client);
+
     await client.query('COMMIT');
 
     res.status(201).json({
       success: true,
       message: 'Payment recorded successfully',
-      data: result.rows[0]
+      data: { ...result.rows[0], allocations }
     });
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.duplicates) return duplicateResponse(res, error);
     console.error('Error in createPayment:', error);
     next(error);
   } finally {
@@ -174,14 +227,11 @@ const createPayment = async (req, res, next) => {
 };
 
 /**
- * Update existing payment
+ * Update existing payment. Once completed, only notes and payment_month
+ * can change; anything else is corrected by reversing the payment.
  */
 const updatePayment = async (req, res, next) => {
-  const client = await pool.connect();
-  
   try {
-    await client.query('BEGIN');
-
     const { id } = req.params;
     const {
       amount,
@@ -194,104 +244,182 @@ const updatePayment = async (req, res, next) => {
       notes
     } = req.body;
 
-    // Check if payment exists
-    const checkResult = await client.query(
-      'SELECT * FROM payments WHERE payment_id = $1',
-      [id]
-    );
-
-    if (checkResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({
-        success: false,
-        error: 'Payment not found'
-      });
-    }
-
-    // Update payment
-    const result = await client.query(`
-      UPDATE payments 
-      SET 
-        amount = COALESCE($1, amount),
-        payment_date = COALESCE($2, payment_date),
-        payment_month = COALESCE($3, payment_month),
-        payment_method = COALESCE($4, payment_method),
-        reference_number = COALESCE($5, reference_number),
-        mpesa_code = COALESCE($6, mpesa_code),
-        payment_status = COALESCE($7, payment_status),
-        notes = COALESCE($8, notes),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE payment_id = $9
-      RETURNING *
-    `, [
+    const payment = await updatePaymentRecord(req.user, id, {
       amount,
       payment_date,
-      payment_month ? payment_month.substring(0, 7) : null,
+      payment_month,
       payment_method,
       reference_number,
       mpesa_code,
       payment_status,
-      notes,
-      id
-    ]);
-
-    await client.query('COMMIT');
+      notes
+    }, req.user.user_id);
 
     res.json({
       success: true,
       message: 'Payment updated successfully',
-      data: result.rows[0]
+      data: payment
     });
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (error.duplicates) return duplicateResponse(res, error);
     console.error('Error in updatePayment:', error);
     next(error);
-  } finally {
-    client.release();
   }
 };
 
 /**
- * Delete payment (soft delete by changing status)
+ * Cancel a payment that has not completed. Completed payments are reversed.
  */
 const deletePayment = async (req, res, next) => {
-  const client = await pool.connect();
-  
   try {
-    await client.query('BEGIN');
+    const { id } = req.params;
+    const reason = req.body ? req.body.reason : null;
+
+    const payment = await cancelPaymentRecord(req.user, id, { reason }, req.user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Payment cancelled successfully',
+      data: payment
+    });
+  } catch (error) {
+    console.error('Error in deletePayment:', error);
+    next(error);
+  }
+};
 
+/**
+ * Reverse a completed payment, posting a counter-entry to the ledger
+ */
+const reversePaymentById = async (req, res, next) => {
+  try {
     const { id } = req.params;
+    const { reason } = req.body || {};
 
-    const result = await client.query(`
-      UPDATE payments 
-      SET 
-        payment_status = 'cancelled',
-        updated_at = CURRENT_TIMESTAMP
-      WHERE payment_id = $1
-      RETURNING *
-    `, [id]);
+    const payment = await reversePaymentRecord(req.user, id, { reason }, req.user.user_id);
 
-    if (result.rows.length === 0) {
-      await client.query('ROLLBACK');
+    res.json({
+      success: true,
+      message: 'Payment reversed successfully',
+      data: payment
+    });
+  } catch (error) {
+    console.error('Error in reversePaymentById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Audit trail of changes made to a payment
+ */
+const getPaymentHistoryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+    const ownScope = tenantScope(req.user, 'tenant_id', params);
+
+    const payment = await pool.query(
+      `SELECT payment_id, payment_status, reversal_reason, reversed_by, reversed_at
+       FROM payments WHERE payment_id = $1 AND ${scope} AND ${ownScope}`,
+      params
+    );
+
+    if (payment.rows.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Payment not found'
       });
     }
 
-    await client.query('COMMIT');
+    const events = await getPaymentHistory(id);
 
     res.json({
       success: true,
-      message: 'Payment cancelled successfully',
-      data: result.rows[0]
+      data: { ...payment.rows[0], events }
     });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error in deletePayment:', error);
+    console.error('Error in getPaymentHistoryById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Charges a payment was allocated to, and any part held as credit
+ */
+const getPaymentAllocationsById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+    const ownScope = tenantScope(req.user, 'tenant_id', params);
+
+    const payment = await pool.query(
+      `SELECT payment_id, tenant_id, amount, payment_status FROM payments WHERE payment_id = $1 AND ${scope} AND ${ownScope}`,
+      params
+    );
+
+    if (payment.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const allocations = await getPaymentAllocations(id);
+    const total = (lines) => lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0) / 100;
+
+    res.json({
+      success: true,
+      data: {
+        ...payment.rows[0],
+        allocated: total(allocations.filter((line) => line.category !== 'credit')),
+        credit: total(allocations.filter((line) => line.category === 'credit')),
+        allocations
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPaymentAllocationsById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Official receipt for a payment: PDF by default, HTML with ?format=html
+ */
+const getPaymentReceipt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'pdf';
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be pdf or html'
+      });
+    }
+
+    const receipt = await getReceipt(req.user, id);
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderReceiptHtml(receipt));
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="receipt-${receipt.receipt_number}.pdf"`
+    });
+    res.send(renderReceiptPdf(receipt));
+  } catch (error) {
+    console.error('Error in getPaymentReceipt:', error);
     next(error);
-  } finally {
-    client.release();
   }
 };
 
@@ -301,6 +429,9 @@ const deletePayment = async (req, res, next) => {
 const getPaymentsByTenant = async (req, res, next) => {
   try {
     const { tenant_id } = req.params;
+    const params = [tenant_id];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+    const ownScope = tenantScope(req.user, 'p.tenant_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -310,19 +441,27 @@ const getPaymentsByTenant = async (req, res, next) => {
       FROM payments p
       LEFT JOIN properties pr ON p.property_id = pr.property_id
       LEFT JOIN units u ON p.unit_id = u.unit_id
-      WHERE p.tenant_id = $1
+      WHERE p.tenant_id = $1 AND ${scope} AND ${ownScope}
       ORDER BY p.payment_date DESC, p.created_at DESC
-    `, [tenant_id]);
-
-    // Calculate total amount paid
-    const totalPaid = result.rows.reduce((sum, payment) => 
-      sum + parseFloat(payment.amount || 0), 0
-    );
+    `, params);
+
+    // Totals come from the ledger, so cancelled payments are not counted
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+    const totals = tenant
+      ? await pool.query(`
+          SELECT
+            COALESCE(SUM(credit - debit) FILTER (WHERE payment_id IS NOT NULL), 0) as total_paid,
+            COALESCE(SUM(debit - credit), 0) as balance
+          FROM tenant_ledger_entries
+          WHERE tenant_id = $1
+        `, [tenant_id])
+      : { rows: [{ total_paid: 0, balance: 0 }] };
 
     res.json({
       success: true,
       count: result.rows.length,
-      totalPaid: totalPaid,
+      totalPaid: parseFloat(totals.rows[0].total_paid),
+      balance: parseFloat(totals.rows[0].balance),
       data: result.rows
     });
   } catch (error) {
@@ -363,6 +502,9 @@ const getMonthlyPayments = async (req, res, next) => {
       });
     }
 
+    const params = [monthNum, yearNum];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         p.payment_id,
@@ -383,8 +525,9 @@ const getMonthlyPayments = async (req, res, next) => {
       LEFT JOIN units u ON p.unit_id = u.unit_id
       WHERE EXTRACT(MONTH FROM p.payment_date) = $1
         AND EXTRACT(YEAR FROM p.payment_date) = $2
+        AND ${scope}
       ORDER BY p.payment_date DESC, p.created_at DESC
-    `, [monthNum, yearNum]);
+    `, params);
 
     const totalAmount = result.rows
       .filter(p => p.payment_status === 'completed')
@@ -410,6 +553,9 @@ const getMonthlyPayments = async (req, res, next) => {
 const getPaymentsByProperty = async (req, res, next) => {
   try {
     const { property_id } = req.params;
+    const params = [property_id];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+    const ownScope = tenantScope(req.user, 'p.tenant_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -420,9 +566,9 @@ const getPaymentsByProperty = async (req, res, next) => {
       FROM payments p
       LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
       LEFT JOIN units u ON p.unit_id = u.unit_id
-      WHERE p.property_id = $1
+      WHERE p.property_id = $1 AND ${scope} AND ${ownScope}
       ORDER BY p.payment_date DESC, p.created_at DESC
-    `, [property_id]);
+    `, params);
 
     const totalAmount = result.rows
       .filter(p => p.payment_status === 'completed')
@@ -445,6 +591,9 @@ const getPaymentsByProperty = async (req, res, next) => {
  */
 const getPaymentStats = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'property_id', params);
+
     const result = await pool.query(`
       SELECT 
         COUNT(*) as total_payments,
@@ -453,9 +602,11 @@ const getPaymentStats = async (req, res, next) => {
         COUNT(DISTINCT tenant_id) as unique_tenants,
         COUNT(CASE WHEN payment_status = 'completed' THEN 1 END) as completed_payments,
         COUNT(CASE WHEN payment_status = 'pending' THEN 1 END) as pending_payments,
-        COUNT(CASE WHEN payment_status = 'cancelled' THEN 1 END) as cancelled_payments
+        COUNT(CASE WHEN payment_status = 'cancelled' THEN 1 END) as cancelled_payments,
+        COUNT(CASE WHEN payment_status = 'reversed' THEN 1 END) as reversed_payments
       FROM payments
-    `);
+      WHERE ${scope}
+    `, params);
 
     res.json({
       success: true,
@@ -473,6 +624,10 @@ module.exports = {
   createPayment,
   updatePayment,
   deletePayment,
+  reversePaymentById,
+  getPaymentHistoryById,
+  getPaymentAllocationsById,
+  getPaymentReceipt,
   getPaymentsByTenant,
   getMonthlyPayments,
   getPaymentsByProperty,
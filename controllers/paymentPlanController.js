@@ -1,7 +1,29 @@
 const pool = require('../config/db');
+const { propertyScope, tenantScope, findAccessibleTenant } = require('../utils/ownership');
+const { syncPaymentEntries } = require('../utils/ledger');
+const { isValidDate } = require('../utils/helpers');
+const { getPaymentAllocations } = require('../utils/allocations');
+const { normalizeCode, assertNotDuplicate } = require('../utils/duplicates');
+const {
+  PLAN_FREQUENCIES,
+  PLAN_STATUSES,
+  buildSchedule,
+  insertSchedule,
+  recordStatusChange,
+  syncPlanSchedule,
+  getPlanSchedule,
+  getPlanHistory,
+  getPlanVersions,
+  restructurePlan,
+  checkPlanArrears
+} = require('../utils/paymentPlans');
 
 const getAllPaymentPlans = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+    const ownScope = tenantScope(req.user, 'p.tenant_id', params);
+
     const result = await pool.query(`
       SELECT 
         p.plan_id,
@@ -18,6 +40,8 @@ const getAllPaymentPlans = async (req, res, next) => {
         p.next_due_date,
         p.status,
         p.description,
+        p.restructured_from,
+        p.restructured_to,
         p.created_at,
         p.updated_at,
         t.full_name as tenant_name,
@@ -28,8 +52,9 @@ const getAllPaymentPlans = async (req, res, next) => {
       LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
       LEFT JOIN properties pr ON p.property_id = pr.property_id
       LEFT JOIN units u ON p.unit_id = u.unit_id
+      WHERE ${scope} AND ${ownScope}
       ORDER BY p.start_date DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -44,6 +69,10 @@ const getAllPaymentPlans = async (req, res, next) => {
 
 const getActivePaymentPlans = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+    const ownScope = tenantScope(req.user, 'p.tenant_id', params);
+
     const result = await pool.query(`
       SELECT 
         p.plan_id,
@@ -60,6 +89,8 @@ const getActivePaymentPlans = async (req, res, next) => {
         p.next_due_date,
         p.status,
         p.description,
+        p.restructured_from,
+        p.restructured_to,
         p.created_at,
         p.updated_at,
         t.full_name as tenant_name,
@@ -70,9 +101,9 @@ const getActivePaymentPlans = async (req, res, next) => {
       LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
       LEFT JOIN properties pr ON p.property_id = pr.property_id
       LEFT JOIN units u ON p.unit_id = u.unit_id
-      WHERE p.status = 'active'
+      WHERE p.status IN ('active', 'in_arrears') AND ${scope} AND ${ownScope}
       ORDER BY p.next_due_date ASC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -88,6 +119,9 @@ const getActivePaymentPlans = async (req, res, next) => {
 const getPaymentPlanById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+    const ownScope = tenantScope(req.user, 'p.tenant_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -100,8 +134,8 @@ const getPaymentPlanById = async (req, res, next) => {
       LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
       LEFT JOIN properties pr ON p.property_id = pr.property_id
       LEFT JOIN units u ON p.unit_id = u.unit_id
-      WHERE p.plan_id = $1
-    `, [id]);
+      WHERE p.plan_id = $1 AND ${scope} AND ${ownScope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -121,6 +155,8 @@ const getPaymentPlanById = async (req, res, next) => {
 };
 
 const createPaymentPlan = async (req, res, next) => {
+  const client = await pool.connect();
+
   try {
     const {
       tenant_id,
@@ -156,6 +192,15 @@ const createPaymentPlan = async (req, res, next) => {
       });
     }
 
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
     // Validate numeric values
     const totalAmt = parseFloat(total_amount);
     const installmentAmt = parseFloat(installment_amount);
@@ -177,38 +222,54 @@ const createPaymentPlan = async (req, res, next) => {
     }
 
     // Validate installment frequency
-    const validFrequencies = ['weekly', 'biweekly', 'monthly', 'quarterly'];
     const frequency = installment_frequency || 'monthly';
     
-    if (!validFrequencies.includes(frequency)) {
+    if (!PLAN_FREQUENCIES.includes(frequency)) {
       console.error('❌ Invalid frequency:', frequency);
       return res.status(400).json({
         success: false,
-        error: `Invalid installment frequency. Must be one of: ${validFrequencies.join(', ')}`
+        error: `Invalid installment frequency. Must be one of: ${PLAN_FREQUENCIES.join(', ')}`
+      });
+    }
+
+    // The schedule decides the due dates; the plan ends with its last installment
+    const schedule = buildSchedule({
+      total_amount: totalAmt,
+      installment_amount: installmentAmt,
+      installment_frequency: frequency,
+      start_date
+    });
+    const lastDueDate = schedule[schedule.length - 1].due_date;
+
+    if (end_date && end_date < lastDueDate) {
+      return res.status(400).json({
+        success: false,
+        error: `${schedule.length} installments of ${installmentAmt} run until ${lastDueDate}, after end_date`
       });
     }
 
-    // Calculate balance and next due date
     const balance = totalAmt;
-    const nextDueDate = calculateNextDueDate(start_date, frequency);
+    const nextDueDate = schedule[0].due_date;
 
     console.log('💾 Inserting into database:', {
       tenant_id,
-      property_id: property_id || null,
-      unit_id: unit_id || null,
+      property_id: tenant.property_id || property_id || null,
+      unit_id: unit_id || tenant.unit_id || null,
       total_amount: totalAmt,
       amount_paid: 0,
       balance,
       installment_amount: installmentAmt,
       installment_frequency: frequency,
       start_date,
-      end_date: end_date || null,
+      end_date: end_date || lastDueDate,
       next_due_date: nextDueDate,
       status: 'active',
       description: description || null
     });
 
-    const result = await pool.query(`
+    await client.query('BEGIN');
+
+    const result = await client.query(`
       INSERT INTO payment_plans (
         tenant_id, 
         property_id, 
@@ -227,28 +288,38 @@ const createPaymentPlan = async (req, res, next) => {
       RETURNING *
     `, [
       tenant_id,
-      property_id || null,
-      unit_id || null,
+      tenant.property_id || property_id || null,
+      unit_id || tenant.unit_id || null,
       totalAmt,
       0,
       balance,
       installmentAmt,
       frequency,
       start_date,
-      end_date || null,
+      end_date || lastDueDate,
       nextDueDate,
       'active',
       description || null
     ]);
 
+    await insertSchedule(result.rows[0], client);
+    await recordStatusChange(result.rows[0], null, 'active', {
+      reason: 'Plan created',
+      changedBy: req.user.user_id
+    }, client);
+    const installments = await getPlanSchedule(result.rows[0].plan_id, client);
+
+    await client.query('COMMIT');
+
     console.log('✅ Payment plan created successfully:', result.rows[0]);
 
     res.status(201).json({
       success: true,
       message: 'Payment plan created successfully',
-      data: result.rows[0]
+      data: { ...result.rows[0], installments }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ Error in createPaymentPlan:', error.message);
     console.error('❌ Error stack:', error.stack);
     
@@ -257,55 +328,104 @@ const createPaymentPlan = async (req, res, next) => {
       success: false,
       error: 'Failed to create payment plan: ' + error.message
     });
+  } finally {
+    client.release();
   }
 };
 
 const updatePaymentPlan = async (req, res, next) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
-    const {
-      installment_amount,
-      installment_frequency,
-      end_date,
-      status,
-      description
-    } = req.body;
+    const { status, reason, description } = req.body || {};
 
     console.log('📝 Updating payment plan', id, 'with:', req.body);
 
-    const result = await pool.query(`
-      UPDATE payment_plans
-      SET 
-        installment_amount = COALESCE($1, installment_amount),
-        installment_frequency = COALESCE($2, installment_frequency),
-        end_date = COALESCE($3, end_date),
-        status = COALESCE($4, status),
-        description = COALESCE($5, description),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE plan_id = $6
-      RETURNING *
-    `, [installment_amount, installment_frequency, end_date, status, description, id]);
+    // Changing terms in place would lose them; a restructure keeps both versions
+    const terms = ['installment_amount', 'installment_frequency', 'end_date']
+      .filter(field => (req.body || {})[field] !== undefined);
 
-    if (result.rows.length === 0) {
+    if (terms.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${terms.join(', ')} can only be changed by restructuring the plan (POST /api/payment-plans/${id}/restructure)`
+      });
+    }
+
+    if (status && (!PLAN_STATUSES.includes(status) || status === 'restructured')) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${PLAN_STATUSES.filter(s => s !== 'restructured').join(', ')}`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const planParams = [id];
+    const scope = propertyScope(req.user, 'p.property_id', planParams);
+    const existing = await client.query(`
+      SELECT p.*, t.full_name as tenant_name
+      FROM payment_plans p
+      LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
+      WHERE p.plan_id = $1 AND ${scope}
+      FOR UPDATE OF p
+    `, planParams);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'Payment plan not found'
       });
     }
 
+    if (status && existing.rows[0].status === 'restructured') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `This plan was restructured into plan #${existing.rows[0].restructured_to}`
+      });
+    }
+
+    await client.query(`
+      UPDATE payment_plans
+      SET 
+        status = COALESCE($1, status),
+        description = COALESCE($2, description),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE plan_id = $3
+    `, [status, description, id]);
+
+    if (status && status !== existing.rows[0].status) {
+      await recordStatusChange(existing.rows[0], existing.rows[0].status, status, {
+        reason: reason || null,
+        changedBy: req.user.user_id,
+        notifyOwner: false
+      }, client);
+    }
+
+    const plan = await syncPlanSchedule(id, {}, client);
+    const installments = await getPlanSchedule(id, client);
+
+    await client.query('COMMIT');
+
     console.log('✅ Payment plan updated successfully');
 
     res.json({
       success: true,
       message: 'Payment plan updated successfully',
-      data: result.rows[0]
+      data: { ...plan, installments }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ Error in updatePaymentPlan:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to update payment plan: ' + error.message
     });
+  } finally {
+    client.release();
   }
 };
 
@@ -314,7 +434,7 @@ const recordInstallmentPayment = async (req, res, next) => {
   
   try {
     const { id } = req.params;
-    const { amount, payment_date, payment_method, reference_number, notes } = req.body;
+    const { amount, payment_date, payment_method, reference_number, mpesa_code, notes, allow_duplicate } = req.body || {};
 
     console.log('💰 Recording installment payment for plan', id);
 
@@ -327,9 +447,11 @@ const recordInstallmentPayment = async (req, res, next) => {
 
     await client.query('BEGIN');
 
+    const planParams = [id];
+    const scope = propertyScope(req.user, 'property_id', planParams);
     const planResult = await client.query(
-      'SELECT * FROM payment_plans WHERE plan_id = $1',
-      [id]
+      `SELECT * FROM payment_plans WHERE plan_id = $1 AND ${scope} FOR UPDATE`,
+      planParams
     );
 
     if (planResult.rows.length === 0) {
@@ -341,34 +463,44 @@ const recordInstallmentPayment = async (req, res, next) => {
     }
 
     const plan = planResult.rows[0];
-    const newAmountPaid = parseFloat(plan.amount_paid) + parseFloat(amount);
-    const newBalance = parseFloat(plan.total_amount) - newAmountPaid;
-    
-    let newStatus = plan.status;
-    if (newBalance <= 0) {
-      newStatus = 'completed';
+
+    if (plan.status === 'restructured') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `This plan was restructured into plan #${plan.restructured_to}; pay towards that plan`
+      });
     }
 
-    const nextDueDate = newStatus === 'completed' 
-      ? null 
-      : calculateNextDueDate(payment_date || new Date(), plan.installment_frequency);
+    await assertNotDuplicate({
+      tenant_id: plan.tenant_id,
+      property_id: plan.property_id,
+      amount,
+      payment_date,
+      payment_method: payment_method || 'M-Pesa',
+      mpesa_code,
+      reference_number
+    }, { allowDuplicate: allow_duplicate === true || allow_duplicate === 'true' }, client);
 
     await client.query(`
       UPDATE payment_plans
-      SET 
-        amount_paid = $1,
-        balance = $2,
-        next_due_date = $3,
-        status = $4,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE plan_id = $5
-    `, [newAmountPaid, newBalance, nextDueDate, newStatus, id]);
-
-    await client.query(`
+      SET amount_paid = amount_paid + $1, updated_at = CURRENT_TIMESTAMP
+      WHERE plan_id = $2
+    `, [amount, id]);
+
+    const updatedPlan = await syncPlanSchedule(id, {
+      paidDate: payment_date || null,
+      changedBy: req.user.user_id
+    }, client);
+
+    // The installment is an ordinary payment tagged with the plan, so it is
+    // allocated to the tenant's charges like any other
+    const payment = await client.query(`
       INSERT INTO payments (
         tenant_id, property_id, unit_id, amount, payment_date,
-        payment_method, reference_number, notes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        payment_method, reference_number, mpesa_code, payment_status, notes, plan_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'completed', $9, $10)
+      RETURNING *
     `, [
       plan.tenant_id, 
       plan.property_id, 
@@ -377,9 +509,15 @@ const recordInstallmentPayment = async (req, res, next) => {
       payment_date || new Date(), 
       payment_method || 'M-Pesa',
       reference_number, 
-      notes || `Installment payment for plan #${id}`
+      normalizeCode(mpesa_code),
+      notes || `Installment payment for plan #${id}`,
+      id
     ]);
 
+    await syncPaymentEntries(payment.rows[0], req.user.user_id, client);
+    const allocations = await getPaymentAllocations(payment.rows[0].payment_id, client);
+    const installments = await getPlanSchedule(id, client);
+
     await client.query('COMMIT');
 
     console.log('✅ Installment payment recorded successfully');
@@ -388,13 +526,25 @@ const recordInstallmentPayment = async (req, res, next) => {
       success: true,
       message: 'Installment payment recorded successfully',
       data: {
-        new_amount_paid: newAmountPaid,
-        new_balance: newBalance,
-        status: newStatus
+        new_amount_paid: Number(updatedPlan.amount_paid),
+        new_balance: Number(updatedPlan.balance),
+        status: updatedPlan.status,
+        next_due_date: updatedPlan.next_due_date,
+        payment: payment.rows[0],
+        allocations,
+        installments
       }
     });
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.duplicates) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        can_override: error.overridable,
+        duplicates: error.duplicates
+      });
+    }
     console.error('❌ Error in recordInstallmentPayment:', error);
     res.status(500).json({
       success: false,
@@ -405,15 +555,169 @@ const recordInstallmentPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Installment schedule of a plan
+ */
+const getPaymentPlanSchedule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+    const ownScope = tenantScope(req.user, 'tenant_id', params);
+
+    const planResult = await pool.query(`
+      SELECT plan_id, tenant_id, total_amount, amount_paid, balance, installment_amount,
+             installment_frequency, start_date, end_date, next_due_date, status
+      FROM payment_plans
+      WHERE plan_id = $1 AND ${scope} AND ${ownScope}
+    `, params);
+
+    if (planResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment plan not found'
+      });
+    }
+
+    const installments = await getPlanSchedule(id);
+
+    res.json({
+      success: true,
+      data: {
+        ...planResult.rows[0],
+        installments_paid: installments.filter(installment => installment.status === 'paid').length,
+        installments_overdue: installments.filter(installment => installment.overdue).length,
+        installments
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error in getPaymentPlanSchedule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Status changes of a plan, oldest first
+ */
+const getPaymentPlanHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+    const ownScope = tenantScope(req.user, 'tenant_id', params);
+
+    const planResult = await pool.query(
+      `SELECT plan_id, status FROM payment_plans WHERE plan_id = $1 AND ${scope} AND ${ownScope}`,
+      params
+    );
+
+    if (planResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment plan not found'
+      });
+    }
+
+    const history = await getPlanHistory(id);
+    const versions = await getPlanVersions(id);
+
+    res.json({
+      success: true,
+      data: {
+        ...planResult.rows[0],
+        versions,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error in getPaymentPlanHistory:', error);
+    next(error);
+  }
+};
+
+/**
+ * Close a plan and continue it on new terms as a linked new version
+ */
+const restructurePaymentPlan = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    console.log('🔁 Restructuring payment plan', id, 'with:', body);
+
+    for (const field of ['start_date', 'end_date']) {
+      if (body[field] && !isValidDate(body[field])) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a date (YYYY-MM-DD)`
+        });
+      }
+    }
+
+    const result = await restructurePlan(req.user, id, body, req.user.user_id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment plan not found'
+      });
+    }
+
+    console.log('✅ Payment plan', id, 'restructured into plan', result.plan.plan_id);
+
+    res.status(201).json({
+      success: true,
+      message: `Payment plan restructured into plan #${result.plan.plan_id}`,
+      data: {
+        previous: result.previous,
+        plan: { ...result.plan, installments: result.installments }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('❌ Error in restructurePaymentPlan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restructure payment plan: ' + error.message
+    });
+  }
+};
+
+/**
+ * Run the overdue installment check now (it also runs daily)
+ */
+const runPlanArrearsCheck = async (req, res, next) => {
+  try {
+    const result = await checkPlanArrears(req.user);
+
+    res.json({
+      success: true,
+      message: `${result.checked} plan(s) checked, ${result.changed.length} changed status`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error in runPlanArrearsCheck:', error);
+    next(error);
+  }
+};
+
 const deletePaymentPlan = async (req, res, next) => {
   try {
     const { id } = req.params;
 
     console.log('🗑️ Deleting payment plan', id);
 
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+
     const result = await pool.query(
-      'DELETE FROM payment_plans WHERE plan_id = $1 RETURNING *',
-      [id]
+      `DELETE FROM payment_plans WHERE plan_id = $1 AND ${scope} RETURNING *`,
+      params
     );
 
     if (result.rows.length === 0) {
@@ -438,35 +742,15 @@ const deletePaymentPlan = async (req, res, next) => {
   }
 };
 
-// Helper function to calculate next due date
-function calculateNextDueDate(currentDate, frequency) {
-  const date = new Date(currentDate);
-  
-  switch(frequency) {
-    case 'weekly':
-      date.setDate(date.getDate() + 7);
-      break;
-    case 'biweekly':
-      date.setDate(date.getDate() + 14);
-      break;
-    case 'monthly':
-      date.setMonth(date.getMonth() + 1);
-      break;
-    case 'quarterly':
-      date.setMonth(date.getMonth() + 3);
-      break;
-    default:
-      date.setMonth(date.getMonth() + 1);
-  }
-  
-  return date.toISOString().split('T')[0];
-}
-
 module.exports = {
   getAllPaymentPlans,
   getActivePaymentPlans,
   getPaymentPlanById,
+  getPaymentPlanSchedule,
+  getPaymentPlanHistory,
+  runPlanArrearsCheck,
   createPaymentPlan,
+  restructurePaymentPlan,
   updatePaymentPlan,
   recordInstallmentPayment,
   deletePaymentPlan
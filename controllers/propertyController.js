@@ -1,7 +1,13 @@
 ﻿const pool = require('../config/db');
+const { isAdmin, propertyScope } = require('../utils/ownership');
+const { PRORATION_METHODS } = require('../utils/invoices');
+const { ALLOCATION_METHODS, reallocateProperty } = require('../utils/allocations');
 
 const getAllProperties = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'p.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         p.*,
@@ -12,9 +18,10 @@ const getAllProperties = async (req, res, next) => {
       FROM properties p
       LEFT JOIN units u ON p.property_id = u.property_id
       LEFT JOIN tenants t ON u.unit_id = t.unit_id AND t.is_active = true
+      WHERE ${scope}
       GROUP BY p.property_id
       ORDER BY p.property_name
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -29,6 +36,8 @@ const getAllProperties = async (req, res, next) => {
 const getPropertyById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'p.property_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -38,9 +47,9 @@ const getPropertyById = async (req, res, next) => {
         COUNT(DISTINCT CASE WHEN u.is_occupied = false THEN u.unit_id END) as vacant_units
       FROM properties p
       LEFT JOIN units u ON p.property_id = u.property_id
-      WHERE p.property_id = $1
+      WHERE p.property_id = $1 AND ${scope}
       GROUP BY p.property_id
-    `, [id]);
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -74,12 +83,15 @@ const createProperty = async (req, res, next) => {
       });
     }
 
+    // Landlords always own what they create; admins may assign an owner
+    const ownerId = isAdmin(req.user) ? (user_id || req.user.user_id) : req.user.user_id;
+
     const result = await pool.query(`
       INSERT INTO properties (
         user_id, property_name, location, total_units, property_type
       ) VALUES ($1, $2, $3, $4, $5)
       RETURNING *
-    `, [user_id || null, property_name, location, total_units, property_type]);
+    `, [ownerId, property_name, location, total_units, property_type]);
 
     res.status(201).json({
       success: true,
@@ -94,7 +106,56 @@ const createProperty = async (req, res, next) => {
 const updateProperty = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
+
+    delete updates.property_id;
+    if (!isAdmin(req.user)) delete updates.user_id;
+
+    if (updates.proration_method !== undefined && !PRORATION_METHODS.includes(updates.proration_method)) {
+      return res.status(400).json({
+        success: false,
+        error: `proration_method must be one of: ${PRORATION_METHODS.join(', ')}`
+      });
+    }
+
+    if (updates.allocation_method !== undefined && !ALLOCATION_METHODS[updates.allocation_method]) {
+      return res.status(400).json({
+        success: false,
+        error: `allocation_method must be one of: ${Object.keys(ALLOCATION_METHODS).join(', ')}`
+      });
+    }
+
+    // Tenants pay to the Paybill with this prefix before their unit number
+    if (updates.paybill_prefix !== undefined && updates.paybill_prefix !== null) {
+      updates.paybill_prefix = String(updates.paybill_prefix).trim().toUpperCase();
+      if (!/^[A-Z0-9]{2,10}$/.test(updates.paybill_prefix)) {
+        return res.status(400).json({
+          success: false,
+          error: 'paybill_prefix must be 2-10 letters or digits'
+        });
+      }
+    }
+
+    // Receipts for this property get their own numbering with this prefix
+    if (updates.receipt_prefix !== undefined && updates.receipt_prefix !== null) {
+      updates.receipt_prefix = String(updates.receipt_prefix).trim().toUpperCase();
+      if (!/^[A-Z0-9]{2,10}$/.test(updates.receipt_prefix)) {
+        return res.status(400).json({
+          success: false,
+          error: 'receipt_prefix must be 2-10 letters or digits'
+        });
+      }
+    }
+
+    // Days an installment may be overdue before a payment plan is in arrears or defaulted
+    for (const field of ['plan_arrears_days', 'plan_default_days']) {
+      if (updates[field] !== undefined && !(Number.isInteger(Number(updates[field])) && Number(updates[field]) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a whole number of days`
+        });
+      }
+    }
 
     const fields = Object.keys(updates);
     const values = Object.values(updates);
@@ -107,13 +168,15 @@ const updateProperty = async (req, res, next) => {
     }
 
     const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    const params = [...values, id];
+    const scope = propertyScope(req.user, 'property_id', params);
     
     const result = await pool.query(`
       UPDATE properties 
       SET ${setClause}
-      WHERE property_id = $${fields.length + 1}
+      WHERE property_id = $${fields.length + 1} AND ${scope}
       RETURNING *
-    `, [...values, id]);
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -122,12 +185,23 @@ const updateProperty = async (req, res, next) => {
       });
     }
 
+    // Payments already received are re-spread under the new priority
+    if (updates.allocation_method !== undefined) {
+      await reallocateProperty(id);
+    }
+
     res.json({
       success: true,
       message: 'Property updated successfully',
       data: result.rows[0]
     });
   } catch (error) {
+    if (error.code === '23505' && error.constraint === 'properties_paybill_prefix_key') {
+      return res.status(400).json({
+        success: false,
+        error: 'That paybill prefix is already used by another property'
+      });
+    }
     next(error);
   }
 };
@@ -135,6 +209,20 @@ const updateProperty = async (req, res, next) => {
 const deleteProperty = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'property_id', params);
+
+    const owned = await pool.query(
+      `SELECT property_id FROM properties WHERE property_id = $1 AND ${scope}`,
+      params
+    );
+
+    if (owned.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
 
     const tenantsCheck = await pool.query(`
       SELECT COUNT(*) 
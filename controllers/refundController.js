@@ -0,0 +1,162 @@
+const { findAccessibleTenant } = require('../utils/ownership');
+const { isValidDate } = require('../utils/helpers');
+const {
+  REFUND_STATUSES,
+  refundableCredit,
+  requestRefund: requestRefundRecord,
+  payRefund: payRefundRecord,
+  cancelRefund: cancelRefundRecord,
+  listRefunds,
+  getRefund
+} = require('../utils/refunds');
+
+const refundNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Refund not found'
+});
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error
+});
+
+/**
+ * List refunds, optionally by status or tenant
+ */
+const getRefunds = async (req, res, next) => {
+  try {
+    const { status, tenant_id } = req.query;
+
+    if (status && !REFUND_STATUSES.includes(status)) {
+      return badRequest(res, `status must be one of: ${REFUND_STATUSES.join(', ')}`);
+    }
+
+    const refunds = await listRefunds(req.user, { status, tenant_id });
+
+    res.json({
+      success: true,
+      count: refunds.length,
+      data: refunds
+    });
+  } catch (error) {
+    console.error('Error in getRefunds:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single refund
+ */
+const getRefundById = async (req, res, next) => {
+  try {
+    const refund = await getRefund(req.user, req.params.id);
+    if (!refund) return refundNotFound(res);
+
+    res.json({
+      success: true,
+      data: refund
+    });
+  } catch (error) {
+    console.error('Error in getRefundById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Request a refund of a tenant's credit balance
+ */
+const requestRefund = async (req, res, next) => {
+  try {
+    const { tenant_id, amount, reason, payment_id, payout_method, payout_account } = req.body || {};
+
+    if (!tenant_id) return badRequest(res, 'tenant_id is required');
+    if (!(Number(amount) > 0)) return badRequest(res, 'Amount must be greater than 0');
+    if (!reason || !String(reason).trim()) return badRequest(res, 'A reason is required');
+
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const refund = await requestRefundRecord(
+      tenant,
+      { amount: Number(amount), reason, payment_id, payout_method, payout_account },
+      req.user.user_id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund requested successfully',
+      data: {
+        ...refund,
+        credit_remaining: await refundableCredit(tenant.tenant_id)
+      }
+    });
+  } catch (error) {
+    console.error('Error in requestRefund:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record the payout of a requested refund
+ */
+const payRefund = async (req, res, next) => {
+  try {
+    const { payout_method, payout_reference, paid_date } = req.body || {};
+
+    if (paid_date && !isValidDate(paid_date)) return badRequest(res, 'paid_date must be in YYYY-MM-DD format');
+
+    const refund = await getRefund(req.user, req.params.id);
+    if (!refund) return refundNotFound(res);
+
+    const paid = await payRefundRecord(
+      refund,
+      { payout_method, payout_reference, paid_date },
+      req.user.user_id
+    );
+
+    res.json({
+      success: true,
+      message: 'Refund paid successfully',
+      data: paid
+    });
+  } catch (error) {
+    console.error('Error in payRefund:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a refund that has not been paid
+ */
+const cancelRefund = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    const refund = await getRefund(req.user, req.params.id);
+    if (!refund) return refundNotFound(res);
+
+    const cancelled = await cancelRefundRecord(refund, { reason }, req.user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Refund cancelled successfully',
+      data: cancelled
+    });
+  } catch (error) {
+    console.error('Error in cancelRefund:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getRefunds,
+  getRefundById,
+  requestRefund,
+  payRefund,
+  cancelRefund
+};
@@ -0,0 +1,161 @@
+const {
+  listEscalations,
+  getEscalation,
+  createEscalation: createEscalationRecord,
+  updateEscalation: updateEscalationRecord,
+  cancelEscalation: cancelEscalationRecord,
+  runEscalations,
+  listRentHistory
+} = require('../utils/rentEscalations');
+
+const escalationNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Escalation schedule not found'
+});
+
+/**
+ * List escalation schedules, optionally by lease or unit (?active=true for
+ * those still running)
+ */
+const getEscalations = async (req, res, next) => {
+  try {
+    const { lease_id, unit_id, active } = req.query;
+
+    const escalations = await listEscalations(req.user, {
+      lease_id,
+      unit_id,
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: escalations.length,
+      data: escalations
+    });
+  } catch (error) {
+    console.error('Error in getEscalations:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single escalation schedule
+ */
+const getEscalationById = async (req, res, next) => {
+  try {
+    const escalation = await getEscalation(req.user, req.params.id);
+    if (!escalation) return escalationNotFound(res);
+
+    res.json({
+      success: true,
+      data: escalation
+    });
+  } catch (error) {
+    console.error('Error in getEscalationById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Set up a percentage or fixed increase on a lease or unit
+ */
+const createEscalation = async (req, res, next) => {
+  try {
+    const escalation = await createEscalationRecord(req.user, req.body || {}, req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rent escalation scheduled successfully',
+      data: escalation
+    });
+  } catch (error) {
+    console.error('Error in createEscalation:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change an escalation schedule
+ */
+const updateEscalation = async (req, res, next) => {
+  try {
+    const escalation = await updateEscalationRecord(req.user, req.params.id, req.body || {});
+    if (!escalation) return escalationNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Rent escalation updated successfully',
+      data: escalation
+    });
+  } catch (error) {
+    console.error('Error in updateEscalation:', error);
+    next(error);
+  }
+};
+
+/**
+ * Stop an escalation schedule
+ */
+const cancelEscalation = async (req, res, next) => {
+  try {
+    const escalation = await cancelEscalationRecord(req.user, req.params.id);
+    if (!escalation) return escalationNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Rent escalation cancelled',
+      data: escalation
+    });
+  } catch (error) {
+    console.error('Error in cancelEscalation:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send due notices and apply due increases now (this also runs daily)
+ */
+const runEscalationCheck = async (req, res, next) => {
+  try {
+    const result = await runEscalations(req.user);
+
+    res.json({
+      success: true,
+      message: `${result.noticed.length} notice(s) sent, ${result.applied.length} increase(s) applied`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in runEscalationCheck:', error);
+    next(error);
+  }
+};
+
+/**
+ * What rent was charged when, by lease, unit or tenant
+ */
+const getRentHistory = async (req, res, next) => {
+  try {
+    const { lease_id, unit_id, tenant_id } = req.query;
+
+    const history = await listRentHistory(req.user, { lease_id, unit_id, tenant_id });
+
+    res.json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error in getRentHistory:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getEscalations,
+  getEscalationById,
+  createEscalation,
+  updateEscalation,
+  cancelEscalation,
+  runEscalationCheck,
+  getRentHistory
+};
@@ -0,0 +1,117 @@
+const {
+  createImport,
+  getImport,
+  listImports,
+  confirmImport
+} = require('../utils/statementImports');
+
+/**
+ * Upload a statement CSV, either as a text/csv body or as { csv, file_name }
+ */
+const uploadStatement = async (req, res, next) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    const fileName = typeof req.body === 'string' ? req.query.file_name : req.body && req.body.file_name;
+
+    if (!csv || !String(csv).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Statement CSV is required'
+      });
+    }
+
+    const statement = await createImport(req.user, { csv, file_name: fileName });
+
+    res.status(201).json({
+      success: true,
+      message: `Statement imported: ${statement.line_count} payment lines, ${statement.ignored_count} ignored`,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error in uploadStatement:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the user's statement imports
+ */
+const getStatementImports = async (req, res, next) => {
+  try {
+    const imports = await listImports(req.user);
+
+    res.json({
+      success: true,
+      count: imports.length,
+      data: imports
+    });
+  } catch (error) {
+    console.error('Error in getStatementImports:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get an import with its lines, suggestions and duplicate flags
+ */
+const getStatementImportById = async (req, res, next) => {
+  try {
+    const statement = await getImport(req.user, req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Statement import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error in getStatementImportById:', error);
+    next(error);
+  }
+};
+
+/**
+ * Post the import's lines as payments
+ */
+const confirmStatementImport = async (req, res, next) => {
+  try {
+    const { lines = [] } = req.body || {};
+
+    if (!Array.isArray(lines)) {
+      return res.status(400).json({
+        success: false,
+        error: 'lines must be a list'
+      });
+    }
+
+    const result = await confirmImport(req.user, req.params.id, lines);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Statement import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.posted.length} payments posted, ${result.skipped.length} lines not posted`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in confirmStatementImport:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadStatement,
+  getStatementImports,
+  getStatementImportById,
+  confirmStatementImport
+};
@@ -0,0 +1,319 @@
+// twoFactorController.js
+const bcrypt = require('bcryptjs');
+const { validationResult } = require('express-validator');
+const pool = require('../config/db');
+const { createSession } = require('../utils/sessions');
+const {
+  startChallenge,
+  findChallenge,
+  checkChallenge,
+  verifyChallenge,
+  resendChallenge,
+  verifyPreAuthToken,
+  generateRecoveryCodes,
+  useRecoveryCode,
+  remainingRecoveryCodes
+} = require('../utils/twoFactor');
+const {
+  recordAttempt,
+  isLocked,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/authThrottle');
+
+/**
+ * =========================
+ * Helper Functions
+ * =========================
+ */
+
+const loadUser = async (userId) => {
+  const result = await pool.query(
+    `SELECT user_id, username, email, phone, full_name, role, is_active, password_hash,
+            two_factor_enabled, two_factor_method, failed_login_count, locked_until
+     FROM users WHERE user_id=$1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+const checkPassword = async (user, password) => {
+  return Boolean(password) && bcrypt.compare(password, user.password_hash);
+};
+
+/**
+ * =========================
+ * Get 2FA status
+ * =========================
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      success: true,
+      enabled: user.two_factor_enabled,
+      method: user.two_factor_method,
+      recoveryCodesRemaining: user.two_factor_enabled ? await remainingRecoveryCodes(user.user_id) : 0
+    });
+  } catch (err) {
+    console.error('2FA status error:', err);
+    res.status(500).json({ error: 'Failed to retrieve two-factor settings' });
+  }
+};
+
+/**
+ * =========================
+ * Start enabling 2FA (sends a code to confirm the channel)
+ * =========================
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+
+    const { method, password } = req.body;
+
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!(await checkPassword(user, password)))
+      return res.status(401).json({ error: 'Password is incorrect' });
+
+    if (method === 'sms' && !user.phone)
+      return res.status(400).json({ error: 'Add a phone number to your profile before enabling SMS codes' });
+    if (method === 'email' && !user.email)
+      return res.status(400).json({ error: 'Add an email address to your profile before enabling email codes' });
+
+    const challenge = await startChallenge(user, method, 'setup');
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${challenge.destination}`,
+      challengeId: challenge.challengeId,
+      method: challenge.method,
+      destination: challenge.destination
+    });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Failed to send verification code. Please try again later.' });
+  }
+};
+
+/**
+ * =========================
+ * Confirm the setup code and turn 2FA on
+ * =========================
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+
+    const { challengeId, code } = req.body;
+
+    const challenge = await findChallenge(req.user.user_id, challengeId, 'setup');
+    if (!challenge)
+      return res.status(400).json({ error: 'Verification code has expired. Please start again.' });
+
+    const outcome = await verifyChallenge(challenge, code);
+    if (outcome === 'locked')
+      return res.status(429).json({ error: 'Too many incorrect codes. Please start again.' });
+    if (outcome !== 'ok')
+      return res.status(401).json({ error: 'Invalid verification code' });
+
+    await pool.query(
+      'UPDATE users SET two_factor_enabled=TRUE, two_factor_method=$1, updated_at=CURRENT_TIMESTAMP WHERE user_id=$2',
+      [challenge.method, req.user.user_id]
+    );
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.',
+      method: challenge.method,
+      recoveryCodes
+    });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+};
+
+/**
+ * =========================
+ * Turn 2FA off
+ * =========================
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!(await checkPassword(user, req.body.password)))
+      return res.status(401).json({ error: 'Password is incorrect' });
+
+    await pool.query(
+      'UPDATE users SET two_factor_enabled=FALSE, updated_at=CURRENT_TIMESTAMP WHERE user_id=$1',
+      [user.user_id]
+    );
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id=$1', [user.user_id]);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+};
+
+/**
+ * =========================
+ * Regenerate recovery codes
+ * =========================
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!user.two_factor_enabled)
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+
+    if (!(await checkPassword(user, req.body.password)))
+      return res.status(401).json({ error: 'Password is incorrect' });
+
+    const recoveryCodes = await generateRecoveryCodes(user.user_id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+};
+
+/**
+ * =========================
+ * Complete login with a code or recovery code
+ * =========================
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+
+    const { preAuthToken, code, recoveryCode } = req.body;
+
+    const preAuth = verifyPreAuthToken(preAuthToken);
+    if (!preAuth)
+      return res.status(401).json({ error: 'Login session expired. Please login again.' });
+
+    const challenge = await findChallenge(preAuth.userId, preAuth.challengeId, 'login');
+    if (!challenge)
+      return res.status(401).json({ error: 'Login session expired. Please login again.' });
+
+    const user = await loadUser(preAuth.userId);
+    if (!user || !user.is_active)
+      return res.status(403).json({ error: 'Account is deactivated. Contact support.' });
+
+    if (isLocked(user))
+      return res.status(423).json({
+        error: 'Account is temporarily locked after too many failed attempts. Try again later or reset your password.',
+        lockedUntil: user.locked_until
+      });
+
+    const outcome = recoveryCode
+      ? await checkChallenge(challenge, () => useRecoveryCode(user.user_id, recoveryCode))
+      : await verifyChallenge(challenge, code);
+
+    if (outcome !== 'ok') {
+      // Wrong codes count towards the account lock, like wrong passwords
+      await recordAttempt('two_factor', req.ip, user.username, false);
+      const lockedUntil = await recordLoginFailure(user);
+
+      if (lockedUntil)
+        return res.status(423).json({
+          error: 'Account is temporarily locked after too many failed attempts. Try again later or reset your password.',
+          lockedUntil
+        });
+      if (outcome === 'locked')
+        return res.status(429).json({ error: 'Too many incorrect codes. Please login again.' });
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    if (user.failed_login_count || user.locked_until) await clearLoginFailures(user.user_id);
+
+    const session = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      recoveryCodesRemaining: recoveryCode ? await remainingRecoveryCodes(user.user_id) : undefined,
+      user: {
+        userId: user.user_id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (err) {
+    console.error('2FA verify error:', err);
+    res.status(500).json({ error: 'Verification failed. Please try again later.' });
+  }
+};
+
+/**
+ * =========================
+ * Resend the login code
+ * =========================
+ */
+const resendTwoFactor = async (req, res) => {
+  try {
+    const preAuth = verifyPreAuthToken(req.body.preAuthToken);
+    if (!preAuth)
+      return res.status(401).json({ error: 'Login session expired. Please login again.' });
+
+    const challenge = await findChallenge(preAuth.userId, preAuth.challengeId, 'login');
+    if (!challenge)
+      return res.status(401).json({ error: 'Login session expired. Please login again.' });
+
+    const user = await loadUser(preAuth.userId);
+    const result = await resendChallenge(user, challenge);
+
+    if (!result.sent) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: result.retryAfter
+          ? `Please wait ${result.retryAfter} seconds before requesting another code`
+          : 'Too many codes requested. Please login again.',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({ success: true, message: `Verification code sent to ${result.destination}` });
+  } catch (err) {
+    console.error('2FA resend error:', err);
+    res.status(500).json({ error: 'Failed to send verification code. Please try again later.' });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactor,
+  resendTwoFactor
+};
@@ -1,7 +1,13 @@
 ﻿const pool = require('../config/db');
+const { propertyScope, canAccessProperty, findAccessibleUnit } = require('../utils/ownership');
+const { recordRentChange } = require('../utils/rentEscalations');
+const { todayString } = require('../utils/helpers');
 
 const getAllUnits = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'u.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         u.*,
@@ -12,8 +18,9 @@ const getAllUnits = async (req, res, next) => {
       FROM units u
       JOIN properties p ON u.property_id = p.property_id
       LEFT JOIN tenants t ON u.unit_id = t.unit_id AND t.is_active = true
+      WHERE ${scope}
       ORDER BY p.property_name, u.unit_number
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -28,6 +35,8 @@ const getAllUnits = async (req, res, next) => {
 const getUnitById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'u.property_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -37,13 +46,15 @@ const getUnitById = async (req, res, next) => {
         t.full_name as tenant_name,
         t.phone as tenant_phone,
         t.email as tenant_email,
-        t.move_in_date as lease_start_date,
-        t.move_out_date as lease_end_date
+        l.lease_id,
+        l.start_date as lease_start_date,
+        COALESCE(l.end_date, t.move_out_date) as lease_end_date
       FROM units u
       JOIN properties p ON u.property_id = p.property_id
       LEFT JOIN tenants t ON u.unit_id = t.unit_id AND t.is_active = true
-      WHERE u.unit_id = $1
-    `, [id]);
+      LEFT JOIN leases l ON l.tenant_id = t.tenant_id AND l.status = 'active'
+      WHERE u.unit_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -83,6 +94,13 @@ const createUnit = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
     const result = await pool.query(`
       INSERT INTO units (
         property_id, 
@@ -141,6 +159,13 @@ const updateUnit = async (req, res, next) => {
       is_occupied
     } = req.body;
 
+    if (property_id !== undefined && !(await canAccessProperty(req.user, property_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
     // Build dynamic update query
     const updates = [];
     const values = [];
@@ -207,12 +232,16 @@ const updateUnit = async (req, res, next) => {
       });
     }
 
+    // The rent before this change, for the rent history
+    const previous = monthly_rent !== undefined ? await findAccessibleUnit(req.user, id) : null;
+
     values.push(id);
+    const scope = propertyScope(req.user, 'property_id', values);
     
     const result = await pool.query(`
       UPDATE units 
       SET ${updates.join(', ')}
-      WHERE unit_id = $${paramCount}
+      WHERE unit_id = $${paramCount} AND ${scope}
       RETURNING *
     `, values);
 
@@ -223,6 +252,19 @@ const updateUnit = async (req, res, next) => {
       });
     }
 
+    const unit = result.rows[0];
+    if (previous && Number(previous.monthly_rent) !== Number(unit.monthly_rent)) {
+      await recordRentChange({
+        propertyId: unit.property_id,
+        unitId: unit.unit_id,
+        previousRent: previous.monthly_rent,
+        rentAmount: unit.monthly_rent,
+        effectiveDate: todayString(),
+        changeType: 'manual',
+        changedBy: req.user.user_id
+      });
+    }
+
     res.json({
       success: true,
       message: 'Unit updated successfully',
@@ -243,6 +285,13 @@ const deleteUnit = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    if (!(await findAccessibleUnit(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found'
+      });
+    }
+
     // Check if unit has active tenant
     const tenantCheck = await pool.query(
       'SELECT COUNT(*) FROM tenants WHERE unit_id = $1 AND is_active = true',
@@ -279,6 +328,9 @@ const deleteUnit = async (req, res, next) => {
 
 const getVacantUnits = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'u.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         u.*,
@@ -286,9 +338,9 @@ const getVacantUnits = async (req, res, next) => {
         p.location
       FROM units u
       JOIN properties p ON u.property_id = p.property_id
-      WHERE u.is_occupied = false
+      WHERE u.is_occupied = false AND ${scope}
       ORDER BY p.property_name, u.unit_number
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -1,14 +1,35 @@
 const pool = require('../config/db');
 const { validatePhone } = require('../utils/helpers');
+const { isAdmin } = require('../utils/ownership');
+const { ROLES } = require('../config/permissions');
+const { clearLoginFailures } = require('../utils/authThrottle');
+
+// Non-admins only ever see their own account; admins manage everyone
+const isSelfOrAdmin = (user, id) => isAdmin(user) || String(user.user_id) === String(id);
+
+// Details a user can change on their own account. Passwords, two-factor
+// and lockout state have their own endpoints.
+const USER_FIELDS = ['full_name', 'email', 'phone'];
+// Only an admin can change these
+const ADMIN_USER_FIELDS = ['role', 'is_active', 'mpesa_shortcode'];
 
 const getAllUsers = async (req, res, next) => {
   try {
+    const params = [];
+    let where = '';
+
+    if (!isAdmin(req.user)) {
+      params.push(req.user.user_id);
+      where = 'WHERE user_id = $1';
+    }
+
     const result = await pool.query(`
       SELECT 
         user_id, full_name, email, phone, role, created_at, last_login
       FROM users
+      ${where}
       ORDER BY created_at DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -23,6 +44,13 @@ const getAllUsers = async (req, res, next) => {
 const getUserById = async (req, res, next) => {
   try {
     const { id } = req.params;
+
+    if (!isSelfOrAdmin(req.user, id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
     
     const result = await pool.query(`
       SELECT 
@@ -71,6 +99,13 @@ const createUser = async (req, res, next) => {
       });
     }
 
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
     const result = await pool.query(`
       INSERT INTO users (
         full_name, email, phone, password_hash, role
@@ -97,9 +132,27 @@ const createUser = async (req, res, next) => {
 const updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const body = req.body || {};
+
+    if (!isSelfOrAdmin(req.user, id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
 
-    delete updates.password_hash;
+    const allowed = isAdmin(req.user) ? [...USER_FIELDS, ...ADMIN_USER_FIELDS] : USER_FIELDS;
+    const updates = {};
+    for (const field of allowed) {
+      if (body[field] !== undefined) updates[field] = body[field];
+    }
+
+    if (updates.role !== undefined && !ROLES.includes(updates.role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
 
     const fields = Object.keys(updates);
     const values = Object.values(updates);
@@ -107,7 +160,7 @@ const updateUser = async (req, res, next) => {
     if (fields.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'No fields to update'
+        error: `No fields to update; these can be changed: ${allowed.join(', ')}`
       });
     }
 
@@ -117,7 +170,7 @@ const updateUser = async (req, res, next) => {
       UPDATE users 
       SET ${setClause}
       WHERE user_id = $${fields.length + 1}
-      RETURNING user_id, full_name, email, phone, role, created_at
+      RETURNING user_id, full_name, email, phone, role, mpesa_shortcode, created_at
       `, [...values, id]);
 if (result.rows.length === 0) {
   return res.status(404).json({
@@ -132,12 +185,26 @@ res.json({
   data: result.rows[0]
 });
 } catch (error) {
+if (error.code === '23505' && error.constraint === 'users_mpesa_shortcode_key') {
+  return res.status(400).json({
+    success: false,
+    error: 'That M-Pesa shortcode already belongs to another user'
+  });
+}
 next(error);
 }
 };
 const deleteUser = async (req, res, next) => {
 try {
 const { id } = req.params;
+
+if (!isSelfOrAdmin(req.user, id)) {
+  return res.status(404).json({
+    success: false,
+    error: 'User not found'
+  });
+}
+
 const propertiesCheck = await pool.query(
   'SELECT COUNT(*) FROM properties WHERE user_id = $1',
   [id]
@@ -170,9 +237,32 @@ res.json({
 next(error);
 }
 };
+const unlockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const unlocked = await clearLoginFailures(id);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
 getAllUsers,
 getUserById,
 createUser,
 updateUser,
-deleteUser};
+deleteUser,
+unlockUser};
@@ -1,7 +1,20 @@
 const pool = require('../config/db');
+const {
+  propertyScope,
+  findAccessibleUnit,
+  findAccessibleTenant
+} = require('../utils/ownership');
+const { syncUtilityEntries, syncPaymentEntries } = require('../utils/ledger');
+const { normalizeCode, assertNotDuplicate } = require('../utils/duplicates');
+
+// Utilities carry no property_id; ownership comes from the billed unit
+const UTILITY_PROPERTY = '(SELECT property_id FROM units WHERE units.unit_id = utilities.unit_id)';
 
 const getAllUtilities = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'u.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         ut.*,
@@ -12,8 +25,9 @@ const getAllUtilities = async (req, res, next) => {
       JOIN units u ON ut.unit_id = u.unit_id
       JOIN tenants t ON ut.tenant_id = t.tenant_id
       JOIN properties p ON u.property_id = p.property_id
+      WHERE ${scope}
       ORDER BY ut.billing_month DESC, p.property_name, u.unit_number
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -28,6 +42,8 @@ const getAllUtilities = async (req, res, next) => {
 const getUtilityById = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'u.property_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -40,8 +56,8 @@ const getUtilityById = async (req, res, next) => {
       JOIN units u ON ut.unit_id = u.unit_id
       JOIN tenants t ON ut.tenant_id = t.tenant_id
       JOIN properties p ON u.property_id = p.property_id
-      WHERE ut.utility_id = $1
-    `, [id]);
+      WHERE ut.utility_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -60,6 +76,8 @@ const getUtilityById = async (req, res, next) => {
 };
 
 const createUtility = async (req, res, next) => {
+  const client = await pool.connect();
+
   try {
     const {
       unit_id,
@@ -80,10 +98,22 @@ const createUtility = async (req, res, next) => {
       });
     }
 
+    const unit = await findAccessibleUnit(req.user, unit_id);
+    const tenant = await findAccessibleTenant(req.user, tenant_id);
+
+    if (!unit || !tenant) {
+      return res.status(404).json({
+        success: false,
+        error: unit ? 'Tenant not found' : 'Unit not found'
+      });
+    }
+
     const unitsConsumed = current_reading - (previous_reading || 0);
     const amountDue = unitsConsumed * rate_per_unit;
 
-    const result = await pool.query(`
+    await client.query('BEGIN');
+
+    const result = await client.query(`
       INSERT INTO utilities (
         unit_id, tenant_id, utility_type, billing_month,
         previous_reading, current_reading, units_consumed,
@@ -96,20 +126,49 @@ const createUtility = async (req, res, next) => {
       rate_per_unit, amountDue, reading_date || new Date(), notes
     ]);
 
+    await syncUtilityEntries(result.rows[0], req.user.user_id, client);
+    const utility = await client.query('SELECT * FROM utilities WHERE utility_id = $1', [result.rows[0].utility_id]);
+
+    await client.query('COMMIT');
+
     res.status(201).json({
       success: true,
       message: 'Utility bill created successfully',
-      data: result.rows[0]
+      data: utility.rows[0]
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 };
 
 const updateUtility = async (req, res, next) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
+
+    delete updates.utility_id;
+    // What has been paid comes from the payments allocated to the bill
+    delete updates.amount_paid;
+    delete updates.payment_status;
+
+    if (updates.unit_id && !(await findAccessibleUnit(req.user, updates.unit_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found'
+      });
+    }
+
+    if (updates.tenant_id && !(await findAccessibleTenant(req.user, updates.tenant_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
 
     if (updates.current_reading && updates.previous_reading && updates.rate_per_unit) {
       updates.units_consumed = updates.current_reading - updates.previous_reading;
@@ -126,59 +185,102 @@ const updateUtility = async (req, res, next) => {
       });
     }
 
+    await client.query('BEGIN');
+
+    const currentParams = [id];
+    const currentScope = propertyScope(req.user, UTILITY_PROPERTY, currentParams);
+    const current = await client.query(
+      `SELECT * FROM utilities WHERE utility_id = $1 AND ${currentScope} FOR UPDATE`,
+      currentParams
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Utility bill not found'
+      });
+    }
+
     const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
     
-    const result = await pool.query(`
+    const result = await client.query(`
       UPDATE utilities 
       SET ${setClause}
       WHERE utility_id = $${fields.length + 1}
       RETURNING *
     `, [...values, id]);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Utility bill not found'
-      });
+    // A bill moved to another tenant comes off the first tenant's ledger
+    const before = current.rows[0];
+    if (before.tenant_id && before.tenant_id !== result.rows[0].tenant_id) {
+      await syncUtilityEntries({ ...before, removed: true }, req.user.user_id, client);
     }
+    await syncUtilityEntries(result.rows[0], req.user.user_id, client);
+
+    const utility = await client.query('SELECT * FROM utilities WHERE utility_id = $1', [id]);
+
+    await client.query('COMMIT');
 
     res.json({
       success: true,
       message: 'Utility bill updated successfully',
-      data: result.rows[0]
+      data: utility.rows[0]
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 };
 
 const deleteUtility = async (req, res, next) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
 
-    const result = await pool.query(
-      'DELETE FROM utilities WHERE utility_id = $1 RETURNING *',
-      [id]
+    const params = [id];
+    const scope = propertyScope(req.user, UTILITY_PROPERTY, params);
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `DELETE FROM utilities WHERE utility_id = $1 AND ${scope} RETURNING *`,
+      params
     );
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'Utility bill not found'
       });
     }
 
+    // Anything paid on the bill becomes credit for the tenant's other charges
+    await syncUtilityEntries({ ...result.rows[0], removed: true }, req.user.user_id, client);
+
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       message: 'Utility bill deleted successfully'
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 };
 
 const getPendingUtilities = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'u.property_id', params);
+
     const result = await pool.query(`
       SELECT 
         ut.*,
@@ -191,9 +293,9 @@ const getPendingUtilities = async (req, res, next) => {
       JOIN units u ON ut.unit_id = u.unit_id
       JOIN tenants t ON ut.tenant_id = t.tenant_id
       JOIN properties p ON u.property_id = p.property_id
-      WHERE ut.payment_status = 'pending'
+      WHERE ut.payment_status = 'pending' AND ${scope}
       ORDER BY ut.billing_month DESC
-    `);
+    `, params);
 
     const totalPending = result.rows.reduce((sum, utility) => {
       return sum + (parseFloat(utility.amount_due) - parseFloat(utility.amount_paid));
@@ -213,6 +315,8 @@ const getPendingUtilities = async (req, res, next) => {
 const getUtilitiesByTenant = async (req, res, next) => {
   try {
     const { tenant_id } = req.params;
+    const params = [tenant_id];
+    const scope = propertyScope(req.user, 'u.property_id', params);
     
     const result = await pool.query(`
       SELECT 
@@ -222,9 +326,9 @@ const getUtilitiesByTenant = async (req, res, next) => {
       FROM utilities ut
       JOIN units u ON ut.unit_id = u.unit_id
       JOIN properties p ON u.property_id = p.property_id
-      WHERE ut.tenant_id = $1
+      WHERE ut.tenant_id = $1 AND ${scope}
       ORDER BY ut.billing_month DESC
-    `, [tenant_id]);
+    `, params);
 
     res.json({
       success: true,
@@ -236,10 +340,16 @@ const getUtilitiesByTenant = async (req, res, next) => {
   }
 };
 
+/**
+ * Record money paid on a utility bill. `amount_paid` is the new total paid;
+ * the difference is recorded as a payment allocated to this bill first.
+ */
 const markUtilityAsPaid = async (req, res, next) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
-    const { amount_paid } = req.body;
+    const { amount_paid, payment_method, reference_number, mpesa_code, allow_duplicate } = req.body || {};
 
     if (!amount_paid) {
       return res.status(400).json({
@@ -248,34 +358,69 @@ const markUtilityAsPaid = async (req, res, next) => {
       });
     }
 
-    const utilityCheck = await pool.query(
-      'SELECT amount_due FROM utilities WHERE utility_id = $1',
-      [id]
-    );
+    await client.query('BEGIN');
+
+    const checkParams = [id];
+    const scope = propertyScope(req.user, UTILITY_PROPERTY, checkParams);
+    const utilityCheck = await client.query(`
+      SELECT utilities.*, u.property_id
+      FROM utilities
+      JOIN units u ON utilities.unit_id = u.unit_id
+      WHERE utility_id = $1 AND ${scope}
+      FOR UPDATE OF utilities
+    `, checkParams);
 
     if (utilityCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'Utility bill not found'
       });
     }
 
-    const amountDue = parseFloat(utilityCheck.rows[0].amount_due);
-    const amountPaidValue = parseFloat(amount_paid);
+    const utility = utilityCheck.rows[0];
+    const difference = Math.round((parseFloat(amount_paid) - parseFloat(utility.amount_paid)) * 100) / 100;
 
-    let paymentStatus = 'pending';
-    if (amountPaidValue >= amountDue) {
-      paymentStatus = 'paid';
-    } else if (amountPaidValue > 0) {
-      paymentStatus = 'partial';
+    if (!(difference > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'amount_paid must be more than the amount already paid'
+      });
     }
 
-    const result = await pool.query(`
-      UPDATE utilities 
-      SET amount_paid = $1, payment_status = $2
-      WHERE utility_id = $3
+    await assertNotDuplicate({
+      tenant_id: utility.tenant_id,
+      property_id: utility.property_id,
+      amount: difference,
+      payment_method: payment_method || 'Cash',
+      mpesa_code,
+      reference_number
+    }, { allowDuplicate: allow_duplicate === true || allow_duplicate === 'true' }, client);
+
+    const payment = await client.query(`
+      INSERT INTO payments (
+        tenant_id, property_id, unit_id, amount, payment_date,
+        payment_method, reference_number, mpesa_code, payment_status, notes, utility_id
+      ) VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, $6, $7, 'completed', $8, $9)
       RETURNING *
-    `, [amount_paid, paymentStatus, id]);
+    `, [
+      utility.tenant_id,
+      utility.property_id,
+      utility.unit_id,
+      difference,
+      payment_method || 'Cash',
+      reference_number || null,
+      normalizeCode(mpesa_code),
+      `Payment for ${utility.utility_type} bill #${id}`,
+      id
+    ]);
+
+    await syncPaymentEntries(payment.rows[0], req.user.user_id, client);
+
+    const result = await client.query('SELECT * FROM utilities WHERE utility_id = $1', [id]);
+
+    await client.query('COMMIT');
 
     res.json({
       success: true,
@@ -283,7 +428,18 @@ const markUtilityAsPaid = async (req, res, next) => {
       data: result.rows[0]
     });
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.duplicates) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        can_override: error.overridable,
+        duplicates: error.duplicates
+      });
+    }
     next(error);
+  } finally {
+    client.release();
   }
 };
 
@@ -1,5 +1,9 @@
 const pool = require('../config/db');
 const whatsappService = require('../services/whatsappService');
+const { propertyScope, findAccessibleTenant } = require('../utils/ownership');
+
+// Messages belong to the landlord of the tenant they were sent to
+const TENANT_PROPERTY = 'COALESCE(t.property_id, u.property_id)';
 
 // Check WhatsApp connection status
 const checkWhatsAppStatus = async (req, res, next) => {
@@ -28,6 +32,13 @@ const sendWhatsAppMessage = async (req, res, next) => {
       });
     }
 
+    if (tenant_id && !(await findAccessibleTenant(req.user, tenant_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
     const result = await whatsappService.sendMessage(
       phone, 
       message, 
@@ -52,6 +63,8 @@ const sendWhatsAppMessage = async (req, res, next) => {
 const sendRentReminder = async (req, res, next) => {
   try {
     const { tenantId } = req.body;
+    const params = [tenantId];
+    const scope = propertyScope(req.user, TENANT_PROPERTY, params);
 
     // Get tenant details
     const result = await pool.query(`
@@ -59,8 +72,8 @@ const sendRentReminder = async (req, res, next) => {
       FROM tenants t
       LEFT JOIN properties p ON t.property_id = p.property_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
-      WHERE t.tenant_id = $1
-    `, [tenantId]);
+      WHERE t.tenant_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -113,6 +126,8 @@ Thank you! 🙏
 const sendPaymentConfirmation = async (req, res, next) => {
   try {
     const { tenant_id, amount, payment_date } = req.body;
+    const params = [tenant_id];
+    const scope = propertyScope(req.user, TENANT_PROPERTY, params);
 
     // Get tenant details
     const result = await pool.query(`
@@ -120,8 +135,8 @@ const sendPaymentConfirmation = async (req, res, next) => {
       FROM tenants t
       LEFT JOIN properties p ON t.property_id = p.property_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
-      WHERE t.tenant_id = $1
-    `, [tenant_id]);
+      WHERE t.tenant_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -173,13 +188,16 @@ Your account is now up to date. ✨
 const sendAllReminders = async (req, res, next) => {
   try {
     // Get all active tenants with phone numbers
+    const params = [];
+    const scope = propertyScope(req.user, TENANT_PROPERTY, params);
     const result = await pool.query(`
       SELECT t.*, p.property_name, u.unit_number
       FROM tenants t
       LEFT JOIN properties p ON t.property_id = p.property_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
       WHERE t.status = 'active' AND t.phone IS NOT NULL AND t.phone != ''
-    `);
+        AND ${scope}
+    `, params);
 
     const tenants = result.rows;
     let successCount = 0;
@@ -235,6 +253,9 @@ Thank you! 🙏
 // Existing message history functions
 const getAllMessages = async (req, res, next) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, TENANT_PROPERTY, params);
+
     const result = await pool.query(`
       SELECT 
         wm.*,
@@ -245,8 +266,9 @@ const getAllMessages = async (req, res, next) => {
       JOIN tenants t ON wm.tenant_id = t.tenant_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
       LEFT JOIN properties p ON t.property_id = p.property_id
+      WHERE ${scope}
       ORDER BY wm.sent_at DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -270,6 +292,9 @@ const getMessageById = async (req, res, next) => {
       });
     }
     
+    const params = [messageId];
+    const scope = propertyScope(req.user, TENANT_PROPERTY, params);
+    
     const result = await pool.query(`
       SELECT 
         wm.*,
@@ -278,8 +303,8 @@ const getMessageById = async (req, res, next) => {
       FROM whatsapp_messages wm
       JOIN tenants t ON wm.tenant_id = t.tenant_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
-      WHERE wm.message_id = $1
-    `, [messageId]);
+      WHERE wm.message_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -315,6 +340,13 @@ const logMessage = async (req, res, next) => {
       });
     }
 
+    if (!(await findAccessibleTenant(req.user, tenant_id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
     const result = await pool.query(`
       INSERT INTO whatsapp_messages (
         tenant_id, recipient_phone, recipient_name, message_type, message_text, status
@@ -343,6 +375,13 @@ const getMessagesByTenant = async (req, res, next) => {
         error: 'Invalid tenant ID. Must be a number.'
       });
     }
+
+    if (!(await findAccessibleTenant(req.user, tenantId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
     
     const result = await pool.query(`
       SELECT *
@@ -364,6 +403,8 @@ const getMessagesByTenant = async (req, res, next) => {
 const getMessagesByType = async (req, res, next) => {
   try {
     const { type } = req.params;
+    const params = [type];
+    const scope = propertyScope(req.user, TENANT_PROPERTY, params);
     
     const result = await pool.query(`
       SELECT 
@@ -373,9 +414,9 @@ const getMessagesByType = async (req, res, next) => {
       FROM whatsapp_messages wm
       JOIN tenants t ON wm.tenant_id = t.tenant_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
-      WHERE wm.message_type = $1
+      WHERE wm.message_type = $1 AND ${scope}
       ORDER BY wm.sent_at DESC
-    `, [type]);
+    `, params);
 
     res.json({
       success: true,
@@ -399,6 +440,9 @@ const getMessagesByStatus = async (req, res, next) => {
       });
     }
     
+    const params = [status];
+    const scope = propertyScope(req.user, TENANT_PROPERTY, params);
+    
     const result = await pool.query(`
       SELECT 
         wm.*,
@@ -409,9 +453,9 @@ const getMessagesByStatus = async (req, res, next) => {
       JOIN tenants t ON wm.tenant_id = t.tenant_id
       LEFT JOIN units u ON t.unit_id = u.unit_id
       LEFT JOIN properties p ON t.property_id = p.property_id
-      WHERE wm.status = $1
+      WHERE wm.status = $1 AND ${scope}
       ORDER BY wm.sent_at DESC
-    `, [status]);
+    `, params);
 
     res.json({
       success: true,
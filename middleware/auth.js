@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { isSessionActive } = require('../utils/sessions');
 
 /**
  * Authentication Middleware
@@ -70,13 +72,21 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Check the token's session has not been revoked or logged out
+    if (!(await isSessionActive(decoded.sessionId, user.user_id))) {
+      return res.status(401).json({ 
+        error: 'Session has ended. Please login again.' 
+      });
+    }
+
     // Attach user info to request object for use in route handlers
     req.user = {
       user_id: user.user_id,
       username: user.username,
       email: user.email,
       role: user.role,
-      full_name: user.full_name
+      full_name: user.full_name,
+      session_id: decoded.sessionId
     };
 
     // Proceed to next middleware or route handler
@@ -147,6 +157,46 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Permission-Based Authorization Middleware
+ * Checks the user's role against the permission matrix in config/permissions.js
+ * 
+ * @param {string} action - Action name (e.g., 'payments:create', 'expenses:approve')
+ * @returns {Function} Middleware function
+ * 
+ * @example
+ * router.post('/', requirePermission('payments:create'), createPayment);
+ */
+const requirePermission = (action) => {
+  // Fail at startup on a typo rather than silently denying every request
+  if (!PERMISSIONS[action]) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+
+  return (req, res, next) => {
+    // DEVELOPMENT BYPASS - Skip permission checks in dev mode
+    if (process.env.NODE_ENV === 'development' && process.env.BYPASS_AUTH === 'true') {
+      return next();
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required.' 
+      });
+    }
+
+    if (!hasPermission(req.user.role, action)) {
+      return res.status(403).json({ 
+        error: `Access denied. Your role is not allowed to perform ${action}`,
+        permission: action,
+        userRole: req.user.role
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional Authentication Middleware
  * Attaches user info if token is present, but doesn't require it
@@ -193,13 +243,15 @@ const optionalAuth = async (req, res, next) => {
       [decoded.userId]
     );
 
-    if (result.rows.length > 0 && result.rows[0].is_active) {
+    if (result.rows.length > 0 && result.rows[0].is_active &&
+        await isSessionActive(decoded.sessionId, result.rows[0].user_id)) {
       req.user = {
         user_id: result.rows[0].user_id,
         username: result.rows[0].username,
         email: result.rows[0].email,
         role: result.rows[0].role,
-        full_name: result.rows[0].full_name
+        full_name: result.rows[0].full_name,
+        session_id: decoded.sessionId
       };
     } else {
       req.user = null;
@@ -217,5 +269,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authMiddleware,
   authorize,
+  requirePermission,
   optionalAuth
 };
\ No newline at end of file
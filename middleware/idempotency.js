@@ -0,0 +1,75 @@
+const {
+  MAX_KEY_LENGTH,
+  requestFingerprint,
+  claimKey,
+  completeKey,
+  releaseKey
+} = require('../utils/idempotency');
+
+/**
+ * Idempotency Middleware
+ * Honours an Idempotency-Key header: a retry of a request that already
+ * succeeded gets the original response back (marked Idempotent-Replayed)
+ * instead of running again. See utils/idempotency.js.
+ * Must come after authMiddleware; requests without the header pass through.
+ *
+ * @example
+ * router.post('/', requirePermission('payments:create'), idempotent, createPayment);
+ */
+const idempotent = async (req, res, next) => {
+  try {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const userId = req.user.user_id;
+    const fingerprint = requestFingerprint(req);
+    const existing = await claimKey(userId, key, fingerprint);
+
+    if (existing) {
+      if (existing.request_hash !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+      if (existing.status_code === null) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status_code).json(existing.response_body);
+    }
+
+    // Store successful responses before sending them; release the key otherwise
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const success = res.statusCode >= 200 && res.statusCode < 300;
+      const settle = success
+        ? completeKey(userId, key, res.statusCode, body)
+        : releaseKey(userId, key);
+
+      settle
+        .catch((err) => console.error('Error saving idempotency key:', err))
+        .then(() => send(body));
+      return res;
+    };
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  idempotent
+};
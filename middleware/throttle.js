@@ -0,0 +1,47 @@
+const { POLICIES, checkLimits, recordAttempt } = require('../utils/authThrottle');
+
+/**
+ * Auth Throttling Middleware
+ * Refuses requests from an IP (or for an identifier such as an email address)
+ * that has used up its attempts for the window. See utils/authThrottle.js.
+ * 
+ * @param {string} action - Policy name ('login', 'two_factor', 'forgot_password', 'reset_password')
+ * @param {string} [identifierField] - Body field identifying the account
+ * @returns {Function} Middleware function
+ * 
+ * @example
+ * router.post('/forgot-password', authThrottle('forgot_password', 'email'), forgotPassword);
+ */
+const authThrottle = (action, identifierField) => {
+  if (!POLICIES[action]) {
+    throw new Error(`Unknown throttle policy: ${action}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const identifier = identifierField && req.body ? req.body[identifierField] : null;
+      const retryAfter = await checkLimits(action, req.ip, identifier);
+
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ 
+          error: `Too many attempts. Please try again in ${retryAfter} seconds.`,
+          retryAfter
+        });
+      }
+
+      // Requests that cost something whatever the outcome are counted up front
+      if (POLICIES[action].countAll) {
+        await recordAttempt(action, req.ip, identifier, null);
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = {
+  authThrottle
+};
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllCommissions,
   getCommissionById,
@@ -9,11 +10,13 @@ const {
   getPendingCommissions
 } = require('../controllers/agentcommissionController');
 
-router.get('/', getAllCommissions);
-router.get('/pending', getPendingCommissions);
-router.get('/:id', getCommissionById);
-router.post('/', createCommission);
-router.put('/:id', updateCommission);
-router.put('/:id/pay', markAsPaid);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('commissions:read'), getAllCommissions);
+router.get('/pending', requirePermission('commissions:read'), getPendingCommissions);
+router.get('/:id', requirePermission('commissions:read'), getCommissionById);
+router.post('/', requirePermission('commissions:manage'), createCommission);
+router.put('/:id', requirePermission('commissions:manage'), updateCommission);
+router.put('/:id/pay', requirePermission('commissions:manage'), markAsPaid);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllAgents,
   getAgentById,
@@ -7,15 +8,19 @@ const {
   updateAgent,
   deleteAgent,
   getActiveAgents,
-  getAgentStats
+  getAgentStats,
+  createAgentAccount
 } = require('../controllers/agentController');
 
-router.get('/', getAllAgents);
-router.get('/stats', getAgentStats);
-router.get('/active', getActiveAgents);
-router.get('/:id', getAgentById);
-router.post('/', createAgent);
-router.put('/:id', updateAgent);
-router.delete('/:id', deleteAgent);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('agents:read'), getAllAgents);
+router.get('/stats', requirePermission('reports:view'), getAgentStats);
+router.get('/active', requirePermission('agents:read'), getActiveAgents);
+router.get('/:id', requirePermission('agents:read'), getAgentById);
+router.post('/', requirePermission('agents:manage'), createAgent);
+router.post('/:id/account', requirePermission('accounts:create'), createAgentAccount);
+router.put('/:id', requirePermission('agents:manage'), updateAgent);
+router.delete('/:id', requirePermission('agents:manage'), deleteAgent);
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authMiddleware } = require('../middleware/auth');
+const { authThrottle } = require('../middleware/throttle');
 const {
   register,
   login,
   getCurrentUser,
   changePassword,
+  refresh,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
   logout
 } = require('../controllers/authController');
 
@@ -15,6 +20,17 @@ const {
   verifyResetToken
 } = require('../controllers/forgotPasswordController');
 
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactor,
+  resendTwoFactor
+} = require('../controllers/twoFactorController');
+const { METHODS: TWO_FACTOR_METHODS } = require('../utils/twoFactor');
+
 const router = express.Router();
 
 // ============================================
@@ -86,10 +102,12 @@ const registerValidation = [
     .isLength({ max: 20 })
     .withMessage('Phone number is too long'),
   
+  // Public sign-up is for landlords only; other accounts are created by an
+  // admin (POST /api/users) or linked to a caretaker, agent or tenant record
   body('role')
     .optional()
-    .isIn(['landlord', 'tenant', 'admin'])
-    .withMessage('Role must be landlord, tenant, or admin')
+    .equals('landlord')
+    .withMessage('Only landlord accounts can be registered here')
 ];
 
 /**
@@ -120,6 +138,61 @@ const changePasswordValidation = [
     .custom(validateStrongPassword)
 ];
 
+/**
+ * Refresh token validation rules
+ */
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+/**
+ * Two-factor setup validation rules
+ */
+const twoFactorSetupValidation = [
+  body('method')
+    .isIn(TWO_FACTOR_METHODS)
+    .withMessage(`Method must be one of: ${TWO_FACTOR_METHODS.join(', ')}`),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+/**
+ * Two-factor enable validation rules
+ */
+const twoFactorEnableValidation = [
+  body('challengeId')
+    .isInt()
+    .withMessage('Challenge ID is required'),
+  
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+/**
+ * Two-factor login verification rules
+ */
+const twoFactorVerifyValidation = [
+  body('preAuthToken')
+    .notEmpty()
+    .withMessage('Pre-auth token is required'),
+  
+  body()
+    .custom(value => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('A verification code or recovery code is required');
+      }
+      return true;
+    })
+];
+
 /**
  * Forgot password validation rules
  */
@@ -162,28 +235,49 @@ router.post('/register', registerValidation, register);
  * @desc    Login user and return JWT token
  * @access  Public
  */
-router.post('/login', loginValidation, login);
+router.post('/login', authThrottle('login'), loginValidation, login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+router.post('/refresh', refreshValidation, refresh);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a 2FA login with an OTP or recovery code
+ * @access  Public (requires pre-auth token from login)
+ */
+router.post('/2fa/verify', authThrottle('two_factor'), twoFactorVerifyValidation, verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/resend
+ * @desc    Resend the login OTP (throttled)
+ * @access  Public (requires pre-auth token from login)
+ */
+router.post('/2fa/resend', authThrottle('two_factor'), resendTwoFactor);
 
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Send password reset email
  * @access  Public
  */
-router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/forgot-password', forgotPasswordValidation, authThrottle('forgot_password', 'email'), forgotPassword);
 
 /**
  * @route   POST /api/auth/reset-password
  * @desc    Reset password using token
  * @access  Public
  */
-router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/reset-password', authThrottle('reset_password'), resetPasswordValidation, resetPassword);
 
 /**
  * @route   GET /api/auth/verify-reset-token
  * @desc    Verify if reset token is valid
  * @access  Public
  */
-router.get('/verify-reset-token', verifyResetToken);
+router.get('/verify-reset-token', authThrottle('reset_password'), verifyResetToken);
 
 // ============================================
 // PROTECTED ROUTES (Authentication required)
@@ -203,9 +297,65 @@ router.get('/me', authMiddleware, getCurrentUser);
  */
 router.put('/change-password', authMiddleware, changePasswordValidation, changePassword);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the user's active sessions (one per device)
+ * @access  Private
+ */
+router.get('/sessions', authMiddleware, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke every session except the current one
+ * @access  Private
+ */
+router.delete('/sessions', authMiddleware, deleteOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a single session
+ * @access  Private
+ */
+router.delete('/sessions/:id', authMiddleware, deleteSession);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the user's two-factor settings
+ * @access  Private
+ */
+router.get('/2fa', authMiddleware, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Send a code to confirm the chosen 2FA channel
+ * @access  Private
+ */
+router.post('/2fa/setup', authMiddleware, twoFactorSetupValidation, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm the setup code, turn 2FA on and issue recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', authMiddleware, twoFactorEnableValidation, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off (requires password)
+ * @access  Private
+ */
+router.post('/2fa/disable', authMiddleware, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires password)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authMiddleware, regenerateRecoveryCodes);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user and revoke the current session
  * @access  Private
  */
 router.post('/logout', authMiddleware, logout);
@@ -1,19 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllCaretakers,
   getCaretakerById,
   createCaretaker,
   updateCaretaker,
   deleteCaretaker,
-  getActiveCaretakers
+  getActiveCaretakers,
+  createCaretakerAccount
 } = require('../controllers/caretakerController');
 
-router.get('/', getAllCaretakers);
-router.get('/active', getActiveCaretakers);
-router.get('/:id', getCaretakerById);
-router.post('/', createCaretaker);
-router.put('/:id', updateCaretaker);
-router.delete('/:id', deleteCaretaker);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('caretakers:read'), getAllCaretakers);
+router.get('/active', requirePermission('caretakers:read'), getActiveCaretakers);
+router.get('/:id', requirePermission('caretakers:read'), getCaretakerById);
+router.post('/', requirePermission('caretakers:manage'), createCaretaker);
+router.post('/:id/account', requirePermission('accounts:create'), createCaretakerAccount);
+router.put('/:id', requirePermission('caretakers:manage'), updateCaretaker);
+router.delete('/:id', requirePermission('caretakers:manage'), deleteCaretaker);
 
 module.exports = router;
\ No newline at end of file
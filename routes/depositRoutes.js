@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getDeposit,
+  topUpDeposit,
+  deductDeposit,
+  refundDeposit,
+  previewSettlement,
+  settleDeposit,
+  getSettlement
+} = require('../controllers/depositController');
+
+router.use(authMiddleware);
+
+router.get('/:tenant_id', requirePermission('deposits:read'), getDeposit);
+router.post('/:tenant_id/top-up', requirePermission('deposits:manage'), topUpDeposit);
+router.post('/:tenant_id/deductions', requirePermission('deposits:manage'), deductDeposit);
+router.post('/:tenant_id/refund', requirePermission('deposits:manage'), refundDeposit);
+router.post('/:tenant_id/settlement/preview', requirePermission('deposits:settle'), previewSettlement);
+router.post('/:tenant_id/settlement', requirePermission('deposits:settle'), settleDeposit);
+router.get('/:tenant_id/settlement', requirePermission('deposits:read'), getSettlement);
+
+module.exports = router;
\ No newline at end of file
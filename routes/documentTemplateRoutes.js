@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getTemplates,
+  getMergeFields,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/documentTemplateController');
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission('document_templates:read'), getTemplates);
+router.get('/fields', requirePermission('document_templates:read'), getMergeFields);
+router.get('/:id', requirePermission('document_templates:read'), getTemplateById);
+router.post('/', requirePermission('document_templates:manage'), createTemplate);
+router.put('/:id', requirePermission('document_templates:manage'), updateTemplate);
+router.delete('/:id', requirePermission('document_templates:manage'), deleteTemplate);
+
+module.exports = router;
\ No newline at end of file
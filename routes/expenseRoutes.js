@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllExpenses,
   getExpenseById,
@@ -7,15 +8,19 @@ const {
   updateExpense,
   deleteExpense,
   getExpensesByCategory,
-  getMonthlyExpenses
+  getMonthlyExpenses,
+  approveExpense
 } = require('../controllers/expenseController');
 
-router.get('/', getAllExpenses);
-router.get('/monthly', getMonthlyExpenses);
-router.get('/category', getExpensesByCategory);
-router.get('/:id', getExpenseById);
-router.post('/', createExpense);
-router.put('/:id', updateExpense);
-router.delete('/:id', deleteExpense);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('expenses:read'), getAllExpenses);
+router.get('/monthly', requirePermission('reports:view'), getMonthlyExpenses);
+router.get('/category', requirePermission('reports:view'), getExpensesByCategory);
+router.get('/:id', requirePermission('expenses:read'), getExpenseById);
+router.post('/', requirePermission('expenses:create'), createExpense);
+router.put('/:id/approve', requirePermission('expenses:approve'), approveExpense);
+router.put('/:id', requirePermission('expenses:update'), updateExpense);
+router.delete('/:id', requirePermission('expenses:delete'), deleteExpense);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getAllInvoices,
+  getInvoiceById,
+  previewInvoiceRun,
+  generateInvoiceRun,
+  voidInvoice
+} = require('../controllers/invoiceController');
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission('invoices:read'), getAllInvoices);
+router.post('/preview', requirePermission('invoices:generate'), previewInvoiceRun);
+router.post('/generate', requirePermission('invoices:generate'), generateInvoiceRun);
+router.get('/:id', requirePermission('invoices:read'), getInvoiceById);
+router.post('/:id/void', requirePermission('invoices:void'), voidInvoice);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getLateFeeRules,
+  saveLateFeeRule,
+  deleteLateFeeRule,
+  getLateFees,
+  runLateFees,
+  waiveLateFee
+} = require('../controllers/lateFeeController');
+
+router.use(authMiddleware);
+
+router.get('/rules', requirePermission('late_fees:manage'), getLateFeeRules);
+router.put('/rules/:property_id', requirePermission('late_fees:manage'), saveLateFeeRule);
+router.delete('/rules/:property_id', requirePermission('late_fees:manage'), deleteLateFeeRule);
+router.get('/', requirePermission('late_fees:read'), getLateFees);
+router.post('/apply', requirePermission('late_fees:manage'), runLateFees);
+router.post('/:id/waive', requirePermission('late_fees:waive'), waiveLateFee);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getLeases,
+  getExpiringLeases,
+  runLeaseExpiryCheck,
+  getLeaseById,
+  createLease,
+  updateLease,
+  activateLease,
+  terminateLease,
+  cancelLease,
+  deleteLease,
+  getLeaseRenewals,
+  offerRenewal,
+  respondToRenewal
+} = require('../controllers/leaseController');
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission('leases:read'), getLeases);
+router.get('/expiring', requirePermission('leases:read'), getExpiringLeases);
+router.get('/:id', requirePermission('leases:read'), getLeaseById);
+router.get('/:id/renewals', requirePermission('leases:read'), getLeaseRenewals);
+router.post('/', requirePermission('leases:manage'), createLease);
+router.post('/check-expiry', requirePermission('leases:manage'), runLeaseExpiryCheck);
+router.post('/renewals/:renewalId/respond', requirePermission('leases:manage'), respondToRenewal);
+router.put('/:id', requirePermission('leases:manage'), updateLease);
+router.post('/:id/activate', requirePermission('leases:manage'), activateLease);
+router.post('/:id/renewals', requirePermission('leases:manage'), offerRenewal);
+router.post('/:id/terminate', requirePermission('leases:terminate'), terminateLease);
+router.post('/:id/cancel', requirePermission('leases:terminate'), cancelLease);
+router.delete('/:id', requirePermission('leases:manage'), deleteLease);
+
+module.exports = router;
\ No newline at end of file
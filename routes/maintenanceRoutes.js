@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllRequests,
   getRequestById,
@@ -9,11 +10,13 @@ const {
   getPendingRequests
 } = require('../controllers/maintenanceController');
 
-router.get('/', getAllRequests);
-router.get('/pending', getPendingRequests);
-router.get('/:id', getRequestById);
-router.post('/', createRequest);
-router.put('/:id', updateRequest);
-router.put('/:id/complete', completeRequest);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('maintenance:read'), getAllRequests);
+router.get('/pending', requirePermission('maintenance:read'), getPendingRequests);
+router.get('/:id', requirePermission('maintenance:read'), getRequestById);
+router.post('/', requirePermission('maintenance:create'), createRequest);
+router.put('/:id', requirePermission('maintenance:update'), updateRequest);
+router.put('/:id/complete', requirePermission('maintenance:update'), completeRequest);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getMoveOuts,
+  getMoveOutById,
+  startMoveOut,
+  recordInspection,
+  recordMeterReadings,
+  settleMoveOut,
+  completeMoveOut,
+  cancelMoveOut
+} = require('../controllers/moveOutController');
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission('move_outs:read'), getMoveOuts);
+router.get('/:id', requirePermission('move_outs:read'), getMoveOutById);
+router.post('/', requirePermission('move_outs:manage'), startMoveOut);
+router.post('/:id/inspection', requirePermission('move_outs:inspect'), recordInspection);
+router.post('/:id/meter-readings', requirePermission('move_outs:inspect'), recordMeterReadings);
+router.post('/:id/settle', requirePermission('move_outs:manage'), settleMoveOut);
+router.post('/:id/complete', requirePermission('move_outs:manage'), completeMoveOut);
+router.post('/:id/cancel', requirePermission('move_outs:manage'), cancelMoveOut);
+
+module.exports = router;
\ No newline at end of file
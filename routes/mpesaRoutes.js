@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  stkPush,
+  getStkStatus,
+  stkCallback,
+  c2bValidation,
+  c2bConfirmation,
+  registerC2BUrls,
+  getSuspense,
+  assignSuspense
+} = require('../controllers/mpesaController');
+
+// Daraja posts results here without a user token
+router.post('/stk-push/callback', stkCallback);
+router.post('/c2b/validation', c2bValidation);
+router.post('/c2b/confirmation', c2bConfirmation);
+
+router.use(authMiddleware);
+
+router.post('/stk-push', requirePermission('mpesa:stk_push'), stkPush);
+router.get('/stk-push/:checkout_request_id', requirePermission('payments:read'), getStkStatus);
+router.post('/c2b/register', requirePermission('mpesa:configure'), registerC2BUrls);
+router.get('/c2b/suspense', requirePermission('mpesa:reconcile'), getSuspense);
+router.post('/c2b/suspense/:id/assign', requirePermission('mpesa:reconcile'), assignSuspense);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const {
+  getNotifications,
+  readNotification,
+  readAllNotifications
+} = require('../controllers/notificationController');
+
+// Every user reads only their own notifications
+router.use(authMiddleware);
+
+router.get('/', getNotifications);
+router.post('/read-all', readAllNotifications);
+router.post('/:id/read', readNotification);
+
+module.exports = router;
\ No newline at end of file
@@ -1,19 +1,33 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const {
   getAllPaymentPlans,
   getPaymentPlanById,
+  getPaymentPlanSchedule,
+  getPaymentPlanHistory,
+  runPlanArrearsCheck,
   createPaymentPlan,
+  restructurePaymentPlan,
   updatePaymentPlan,
+  recordInstallmentPayment,
   deletePaymentPlan,
   getActivePaymentPlans
 } = require('../controllers/paymentPlanController');
 
-router.get('/', getAllPaymentPlans);
-router.get('/active', getActivePaymentPlans);
-router.get('/:id', getPaymentPlanById);
-router.post('/', createPaymentPlan);
-router.put('/:id', updatePaymentPlan);
-router.delete('/:id', deletePaymentPlan);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('payment_plans:read'), getAllPaymentPlans);
+router.get('/active', requirePermission('payment_plans:read'), getActivePaymentPlans);
+router.get('/:id', requirePermission('payment_plans:read'), getPaymentPlanById);
+router.get('/:id/schedule', requirePermission('payment_plans:read'), getPaymentPlanSchedule);
+router.get('/:id/history', requirePermission('payment_plans:read'), getPaymentPlanHistory);
+router.post('/', requirePermission('payment_plans:create'), createPaymentPlan);
+router.post('/check-arrears', requirePermission('payment_plans:update'), runPlanArrearsCheck);
+router.put('/:id', requirePermission('payment_plans:update'), updatePaymentPlan);
+router.post('/:id/restructure', requirePermission('payment_plans:update'), restructurePaymentPlan);
+router.post('/:id/payments', requirePermission('payments:create'), idempotent, recordInstallmentPayment);
+router.delete('/:id', requirePermission('payment_plans:delete'), deletePaymentPlan);
 
 module.exports = router;
\ No newline at end of file
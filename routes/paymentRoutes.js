@@ -1,32 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const {
   getAllPayments,
   getPaymentById,
   createPayment,
   updatePayment,
   deletePayment,
+  reversePaymentById,
+  getPaymentHistoryById,
+  getPaymentAllocationsById,
+  getPaymentReceipt,
   getPaymentsByTenant,
   getMonthlyPayments,
   getPaymentsByProperty,
   getPaymentStats
 } = require('../controllers/paymentController');
 
+router.use(authMiddleware);
+
 // Statistics route - must come before /:id to avoid conflicts
-router.get('/stats', getPaymentStats);
+router.get('/stats', requirePermission('reports:view'), getPaymentStats);
 
 // Query-based routes - must come before /:id
-router.get('/monthly', getMonthlyPayments);
+router.get('/monthly', requirePermission('reports:view'), getMonthlyPayments);
 
 // Specific resource routes
-router.get('/tenant/:tenant_id', getPaymentsByTenant);
-router.get('/property/:property_id', getPaymentsByProperty);
+router.get('/tenant/:tenant_id', requirePermission('payments:read'), getPaymentsByTenant);
+router.get('/property/:property_id', requirePermission('payments:read'), getPaymentsByProperty);
 
 // General CRUD routes
-router.get('/', getAllPayments);
-router.get('/:id', getPaymentById);
-router.post('/', createPayment);
-router.put('/:id', updatePayment);
-router.delete('/:id', deletePayment);
+router.get('/', requirePermission('payments:read'), getAllPayments);
+router.get('/:id', requirePermission('payments:read'), getPaymentById);
+router.get('/:id/allocations', requirePermission('payments:read'), getPaymentAllocationsById);
+router.get('/:id/receipt', requirePermission('payments:read'), getPaymentReceipt);
+router.get('/:id/history', requirePermission('payments:read'), getPaymentHistoryById);
+router.post('/', requirePermission('payments:create'), idempotent, createPayment);
+router.put('/:id', requirePermission('payments:update'), updatePayment);
+router.delete('/:id', requirePermission('payments:delete'), deletePayment);
+router.post('/:id/reverse', requirePermission('payments:reverse'), reversePaymentById);
 
 module.exports = router;
\ No newline at end of file
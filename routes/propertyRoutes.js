@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllProperties,
   getPropertyById,
@@ -8,10 +9,12 @@ const {
   deleteProperty
 } = require('../controllers/propertyController');
 
-router.get('/', getAllProperties);
-router.get('/:id', getPropertyById);
-router.post('/', createProperty);
-router.put('/:id', updateProperty);
-router.delete('/:id', deleteProperty);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('properties:read'), getAllProperties);
+router.get('/:id', requirePermission('properties:read'), getPropertyById);
+router.post('/', requirePermission('properties:create'), createProperty);
+router.put('/:id', requirePermission('properties:update'), updateProperty);
+router.delete('/:id', requirePermission('properties:delete'), deleteProperty);
 
 module.exports = router;
\ No newline at end of file
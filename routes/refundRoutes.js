@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getRefunds,
+  getRefundById,
+  requestRefund,
+  payRefund,
+  cancelRefund
+} = require('../controllers/refundController');
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission('refunds:read'), getRefunds);
+router.get('/:id', requirePermission('refunds:read'), getRefundById);
+router.post('/', requirePermission('refunds:request'), requestRefund);
+router.post('/:id/pay', requirePermission('refunds:pay'), payRefund);
+router.post('/:id/cancel', requirePermission('refunds:pay'), cancelRefund);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getEscalations,
+  getEscalationById,
+  createEscalation,
+  updateEscalation,
+  cancelEscalation,
+  runEscalationCheck,
+  getRentHistory
+} = require('../controllers/rentEscalationController');
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission('rent_escalations:read'), getEscalations);
+router.get('/history', requirePermission('rent_escalations:read'), getRentHistory);
+router.get('/:id', requirePermission('rent_escalations:read'), getEscalationById);
+router.post('/', requirePermission('rent_escalations:manage'), createEscalation);
+router.post('/run', requirePermission('rent_escalations:manage'), runEscalationCheck);
+router.put('/:id', requirePermission('rent_escalations:manage'), updateEscalation);
+router.post('/:id/cancel', requirePermission('rent_escalations:manage'), cancelEscalation);
+
+module.exports = router;
\ No newline at end of file
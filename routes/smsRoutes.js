@@ -148,42 +148,52 @@ router.post('/send-rent-reminders', async (req, res) => {
 
 /**
  * POST /api/sms/send-payment-confirmation
- * Send payment confirmation to tenant
- * Body: { tenantId, amount, receiptNumber }
+ * Send payment confirmation to tenant, quoting the payment's receipt number
+ * Body: { paymentId }
  */
 router.post('/send-payment-confirmation', async (req, res) => {
     try {
-        const { tenantId, amount, receiptNumber } = req.body;
+        const { paymentId } = req.body;
 
-        if (!tenantId || !amount || !receiptNumber) {
+        if (!paymentId) {
             return res.status(400).json({
                 success: false,
-                message: 'tenantId, amount, and receiptNumber are required'
+                message: 'paymentId is required'
             });
         }
 
         const query = `
-            SELECT full_name as tenant_name, phone, rent_balance as balance 
-            FROM tenants 
-            WHERE tenant_id = $1
+            SELECT p.tenant_id, p.amount, p.receipt_number,
+                   t.full_name as tenant_name, t.phone, t.rent_balance as balance
+            FROM payments p
+            JOIN tenants t ON p.tenant_id = t.tenant_id
+            WHERE p.payment_id = $1
         `;
-        const result = await pool.query(query, [tenantId]);
+        const result = await pool.query(query, [paymentId]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({
                 success: false,
-                message: 'Tenant not found'
+                message: 'Payment not found'
+            });
+        }
+
+        const payment = result.rows[0];
+
+        if (!payment.receipt_number) {
+            return res.status(409).json({
+                success: false,
+                message: 'No receipt has been issued for this payment'
             });
         }
 
-        const tenant = result.rows[0];
         const smsResult = await smsService.sendPaymentConfirmation(
-            tenant.tenant_name,
-            tenant.phone,
-            amount,
-            receiptNumber,
-            tenant.balance,
-            tenantId
+            payment.tenant_name,
+            payment.phone,
+            Number(payment.amount),
+            payment.receipt_number,
+            Number(payment.balance),
+            payment.tenant_id
         );
 
         res.json(smsResult);
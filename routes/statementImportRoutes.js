@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  uploadStatement,
+  getStatementImports,
+  getStatementImportById,
+  confirmStatementImport
+} = require('../controllers/statementImportController');
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission('payments:import'), getStatementImports);
+router.post('/', requirePermission('payments:import'), express.text({ type: 'text/csv', limit: '10mb' }), uploadStatement);
+router.get('/:id', requirePermission('payments:import'), getStatementImportById);
+router.post('/:id/confirm', requirePermission('payments:import'), confirmStatementImport);
+
+module.exports = router;
\ No newline at end of file
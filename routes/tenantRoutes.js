@@ -1,14 +1,44 @@
-const express = require('express');
+﻿const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { createLinkedAccount } = require('../utils/accounts');
+const { getLedger, postManualEntry } = require('../utils/ledger');
+const { recordDepositPayment } = require('../utils/deposits');
+const { getTenantAllocation } = require('../utils/allocations');
+const { validateTerms, addLease, getLease } = require('../utils/leases');
+const { DOCUMENT_TYPES, generateDocument, listDocuments, getDocument } = require('../utils/documents');
+const { listMoveOuts } = require('../utils/moveOuts');
+const {
+  propertyScope,
+  findAccessibleUnit,
+  findAccessibleTenant
+} = require('../utils/ownership');
 const { 
   validatePhone, 
   normalizePhone, 
-  formatCurrency 
+  formatCurrency,
+  isValidDate,
+  todayString
 } = require('../utils/helpers');
 
+router.use(authMiddleware);
+
+// Details that can be edited on a tenant. The unit, rent and deposit come
+// from the lease (/api/leases), balances from the ledger and deposit
+// account, and moving out from /api/move-outs.
+const TENANT_FIELDS = [
+  'full_name',
+  'email',
+  'phone',
+  'id_number',
+  'move_in_date',
+  'emergency_contact_name',
+  'emergency_contact_phone'
+];
+
 // POST - Create new tenant
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('tenants:create'), async (req, res) => {
   try {
     const {
       full_name,
@@ -19,7 +49,11 @@ router.post('/', async (req, res) => {
       emergency_contact_name,
       emergency_contact_phone,
       move_in_date,
-      deposit_paid
+      deposit_paid,
+      rent_amount,
+      deposit_amount,
+      lease_end_date,
+      billing_day
     } = req.body;
 
     if (!full_name || !phone || !email || !unit_id) {
@@ -56,46 +90,101 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // The tenant starts on a lease with these terms
+    const leaseTerms = {
+      unit_id,
+      start_date: move_in_date || todayString(),
+      end_date: lease_end_date,
+      rent_amount,
+      deposit_amount,
+      billing_day,
+      activate: true
+    };
+    const termsError = validateTerms(leaseTerms);
+    if (termsError) {
+      return res.status(400).json({
+        success: false,
+        error: termsError
+      });
+    }
+
+    const unit = await findAccessibleUnit(req.user, unit_id);
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found'
+      });
+    }
+
+    // Without a rent of its own the lease takes the unit's
+    leaseTerms.rent_amount = rent_amount || unit.monthly_rent || 0;
+
     const normalizedPhone = normalizePhone(phone);
     const normalizedEmergencyPhone = emergency_contact_phone 
       ? normalizePhone(emergency_contact_phone) 
       : null;
 
-    const result = await pool.query(
-      `INSERT INTO tenants (
-        full_name, 
-        phone, 
-        email,
-        unit_id,
-        emergency_contact_name, 
-        emergency_contact_phone, 
-        move_in_date, 
-        deposit_paid
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)  
-      RETURNING *`,
-      [
-        full_name,
-        normalizedPhone,
-        email,
-        unit_id,
-        emergency_contact_name,
-        normalizedEmergencyPhone,
-        move_in_date,
-        deposit_paid || 0
-      ]
-    );
-
-    if (unit_id) {
-      await pool.query(
-        'UPDATE units SET is_occupied = true WHERE unit_id = $1',
-        [unit_id]
+    // The tenant, their unit, lease and deposit are saved together or not at all
+    const client = await pool.connect();
+    let tenant;
+    let lease;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO tenants (
+          full_name, 
+          phone, 
+          email,
+          unit_id,
+          property_id,
+          emergency_contact_name, 
+          emergency_contact_phone, 
+          move_in_date, 
+          deposit_paid
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)  
+        RETURNING *`,
+        [
+          full_name,
+          normalizedPhone,
+          email,
+          unit_id,
+          unit.property_id,
+          emergency_contact_name,
+          normalizedEmergencyPhone,
+          move_in_date,
+          deposit_paid || 0
+        ]
       );
+      tenant = result.rows[0];
+
+      // The unit is marked occupied when the lease starts
+      const leaseId = await addLease(req.user, tenant, leaseTerms, req.user.user_id, client);
+      lease = await getLease(req.user, leaseId, client);
+
+      if (parseFloat(deposit_paid) > 0) {
+        await recordDepositPayment(
+          tenant,
+          { amount: deposit_paid, date: move_in_date },
+          req.user.user_id,
+          client
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
     res.status(201).json({
       success: true,
       message: 'Tenant created successfully',
-      data: result.rows[0]
+      data: { ...tenant, lease }
     });
   } catch (error) {
     console.error('Error creating tenant:', error);
@@ -107,16 +196,19 @@ router.post('/', async (req, res) => {
       });
     }
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to create tenant'
+      error: error.statusCode ? error.message : 'Failed to create tenant'
     });
   }
 });
 
 // GET - Get all tenants
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('tenants:read'), async (req, res) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'COALESCE(t.property_id, u.property_id)', params);
+
     const result = await pool.query(`
       SELECT 
         t.*,
@@ -129,9 +221,9 @@ router.get('/', async (req, res) => {
       FROM tenants t
       LEFT JOIN units u ON t.unit_id = u.unit_id
       LEFT JOIN properties p ON u.property_id = p.property_id
-      WHERE t.is_active = true
+      WHERE t.is_active = true AND ${scope}
       ORDER BY t.created_at DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -147,21 +239,30 @@ router.get('/', async (req, res) => {
 });
 
 // GET - Get tenants with arrears
-router.get('/arrears', async (req, res) => {
+router.get('/arrears', requirePermission('tenants:read'), async (req, res) => {
   try {
+    const params = [];
+    const scope = propertyScope(req.user, 'COALESCE(t.property_id, u.property_id)', params);
+
     const result = await pool.query(`
       SELECT 
         t.*,
         u.unit_number,
         u.monthly_rent,
-        p.property_name
+        p.property_name,
+        l.lease_id,
+        l.rent_amount as lease_rent_amount,
+        COALESCE(l.billing_day, p.rent_due_day) as rent_due_day,
+        ROUND(t.rent_balance / NULLIF(l.rent_amount, 0), 1) as months_in_arrears
       FROM tenants t
       LEFT JOIN units u ON t.unit_id = u.unit_id
       LEFT JOIN properties p ON u.property_id = p.property_id
+      LEFT JOIN leases l ON l.tenant_id = t.tenant_id AND l.status = 'active'
       WHERE t.is_active = true 
         AND t.rent_balance > 0
+        AND ${scope}
       ORDER BY t.rent_balance DESC
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -177,9 +278,11 @@ router.get('/arrears', async (req, res) => {
 });
 
 // GET - Get specific tenant (FIXED - includes bedrooms)
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('tenants:read'), async (req, res) => {
   try {
     const { id } = req.params;
+    const params = [id];
+    const scope = propertyScope(req.user, 'COALESCE(t.property_id, u.property_id)', params);
 
     const result = await pool.query(`
       SELECT 
@@ -195,8 +298,8 @@ router.get('/:id', async (req, res) => {
       FROM tenants t
       LEFT JOIN units u ON t.unit_id = u.unit_id
       LEFT JOIN properties p ON u.property_id = p.property_id
-      WHERE t.tenant_id = $1
-    `, [id]);
+      WHERE t.tenant_id = $1 AND ${scope}
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -219,10 +322,35 @@ router.get('/:id', async (req, res) => {
 });
 
 // PUT - Update tenant
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('tenants:update'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const body = req.body || {};
+    const updates = {};
+    for (const field of TENANT_FIELDS) {
+      if (body[field] !== undefined) updates[field] = body[field];
+    }
+
+    if (!(await findAccessibleTenant(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No fields to update; these can be changed: ${TENANT_FIELDS.join(', ')}`
+      });
+    }
+
+    if (updates.move_in_date && !isValidDate(updates.move_in_date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'move_in_date must be a date (YYYY-MM-DD)'
+      });
+    }
 
     if (updates.phone && !validatePhone(updates.phone)) {
       return res.status(400).json({
@@ -255,7 +383,7 @@ router.put('/:id', async (req, res) => {
     const values = Object.values(updates);
 
     const result = await pool.query(
-      `UPDATE tenants SET ${fields} WHERE tenant_id = $1 RETURNING *`,
+      `UPDATE tenants SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE tenant_id = $1 RETURNING *`,
       [id, ...values]
     );
 
@@ -288,42 +416,243 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE - Soft delete tenant
-router.delete('/:id', async (req, res) => {
+// GET - Tenant ledger with running balance (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/:id/ledger', requirePermission('ledger:read'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { from, to } = req.query;
 
-    const tenant = await pool.query(
-      'SELECT unit_id FROM tenants WHERE tenant_id = $1',
-      [id]
-    );
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
 
-    if (tenant.rows.length === 0) {
+    if (!(await findAccessibleTenant(req.user, id))) {
       return res.status(404).json({
         success: false,
         error: 'Tenant not found'
       });
     }
 
-    const result = await pool.query(
-      `UPDATE tenants 
-       SET is_active = false, move_out_date = CURRENT_DATE 
-       WHERE tenant_id = $1 
-       RETURNING *`,
-      [id]
-    );
+    const ledger = await getLedger(id, { from: from || null, to: to || null });
 
-    if (tenant.rows[0].unit_id) {
-      await pool.query(
-        'UPDATE units SET is_occupied = false WHERE unit_id = $1',
-        [tenant.rows[0].unit_id]
-      );
+    res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    console.error('Error fetching tenant ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tenant ledger'
+    });
+  }
+});
+
+// POST - Record a credit or adjustment on the tenant ledger
+router.post('/:id/ledger', requirePermission('ledger:adjust'), async (req, res) => {
+  try {
+    const tenant = await findAccessibleTenant(req.user, req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
     }
 
+    const result = await postManualEntry(tenant, req.body, req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger entry recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error recording ledger entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to record ledger entry'
+    });
+  }
+});
+
+// GET - Unpaid charges in the order payments will settle them, and credit carried forward
+router.get('/:id/outstanding', requirePermission('ledger:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await findAccessibleTenant(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const allocation = await getTenantAllocation(id);
+
     res.json({
       success: true,
-      message: 'Tenant deleted successfully',
-      data: result.rows[0]
+      data: allocation
+    });
+  } catch (error) {
+    console.error('Error fetching outstanding charges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch outstanding charges'
+    });
+  }
+});
+
+// GET - Letters and agreements generated for the tenant (?document_type=)
+router.get('/:id/documents', requirePermission('documents:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { document_type } = req.query;
+
+    if (document_type && !DOCUMENT_TYPES.includes(document_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (!(await findAccessibleTenant(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const documents = await listDocuments(id, { document_type });
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    console.error('Error fetching tenant documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tenant documents'
+    });
+  }
+});
+
+// POST - Generate a document for the tenant from a template
+router.post('/:id/documents', requirePermission('documents:generate'), async (req, res) => {
+  try {
+    const tenant = await findAccessibleTenant(req.user, req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const document = await generateDocument(req.user, tenant, req.body || {}, req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document generated successfully',
+      data: document
+    });
+  } catch (error) {
+    console.error('Error generating tenant document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to generate document'
+    });
+  }
+});
+
+// GET - Download a generated document as PDF
+router.get('/:id/documents/:documentId/pdf', requirePermission('documents:read'), async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    if (!(await findAccessibleTenant(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const document = await getDocument(id, documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${document.file_name}"`
+    });
+    res.send(document.pdf_data);
+  } catch (error) {
+    console.error('Error fetching tenant document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document'
+    });
+  }
+});
+
+// POST - Create a login for the tenant
+router.post('/:id/account', requirePermission('accounts:create'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await findAccessibleTenant(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const user = await createLinkedAccount('tenant', id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tenant account created successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error creating tenant account:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create tenant account'
+    });
+  }
+});
+
+// DELETE - Tenants are moved out rather than deleted, so their history is kept
+router.delete('/:id', requirePermission('tenants:delete'), async (req, res) => {
+  try {
+    const tenant = await findAccessibleTenant(req.user, req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    const [open] = await listMoveOuts(req.user, { tenant_id: tenant.tenant_id, status: 'in_progress' });
+
+    res.status(409).json({
+      success: false,
+      error: open
+        ? `Tenants are not deleted; finish their move-out (#${open.move_out_id}, next step: ${open.next_step})`
+        : 'Tenants are not deleted; start a move-out with POST /api/move-outs to close the tenancy',
+      move_out_id: open ? open.move_out_id : null
     });
   } catch (error) {
     console.error('Error deleting tenant:', error);
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllUnits,
   getUnitById,
@@ -9,11 +10,13 @@ const {
   getVacantUnits
 } = require('../controllers/unitController');
 
-router.get('/', getAllUnits);
-router.get('/vacant', getVacantUnits);
-router.get('/:id', getUnitById);
-router.post('/', createUnit);
-router.put('/:id', updateUnit);
-router.delete('/:id', deleteUnit);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('units:read'), getAllUnits);
+router.get('/vacant', requirePermission('units:read'), getVacantUnits);
+router.get('/:id', requirePermission('units:read'), getUnitById);
+router.post('/', requirePermission('units:create'), createUnit);
+router.put('/:id', requirePermission('units:update'), updateUnit);
+router.delete('/:id', requirePermission('units:delete'), deleteUnit);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllUsers,
   getUserById,
   createUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  unlockUser
 } = require('../controllers/userController');
 
+router.use(authMiddleware);
+
 router.get('/', getAllUsers);
 router.get('/:id', getUserById);
-router.post('/', createUser);
+router.post('/', requirePermission('users:create'), createUser);
 router.put('/:id', updateUser);
+router.post('/:id/unlock', requirePermission('users:unlock'), unlockUser);
 router.delete('/:id', deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllUtilities,
   getUtilityById,
@@ -9,11 +10,13 @@ const {
   getPendingUtilities
 } = require('../controllers/utilityController');
 
-router.get('/', getAllUtilities);
-router.get('/pending', getPendingUtilities);
-router.get('/:id', getUtilityById);
-router.post('/', createUtility);
-router.put('/:id', updateUtility);
-router.delete('/:id', deleteUtility);
+router.use(authMiddleware);
+
+router.get('/', requirePermission('utilities:read'), getAllUtilities);
+router.get('/pending', requirePermission('utilities:read'), getPendingUtilities);
+router.get('/:id', requirePermission('utilities:read'), getUtilityById);
+router.post('/', requirePermission('utilities:create'), createUtility);
+router.put('/:id', requirePermission('utilities:update'), updateUtility);
+router.delete('/:id', requirePermission('utilities:delete'), deleteUtility);
 
 module.exports = router;
\ No newline at end of file
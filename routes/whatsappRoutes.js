@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const {
   getAllMessages,
   getMessageById,
@@ -11,28 +12,30 @@ const {
   sendWhatsAppMessage  // Add this import
 } = require('../controllers/whatsappController');
 
+router.use(authMiddleware);
+
 // Check WhatsApp connection status
-router.get('/status', checkWhatsAppStatus);
+router.get('/status', requirePermission('messages:read'), checkWhatsAppStatus);
 
 // Send WhatsApp message (NEW - Add this route)
-router.post('/send-message', sendWhatsAppMessage);
+router.post('/send-message', requirePermission('messages:send'), sendWhatsAppMessage);
 
 // Get all messages
-router.get('/', getAllMessages);
+router.get('/', requirePermission('messages:read'), getAllMessages);
 
 // Get messages by tenant
-router.get('/tenant/:tenant_id', getMessagesByTenant);
+router.get('/tenant/:tenant_id', requirePermission('messages:read'), getMessagesByTenant);
 
 // Get messages by type
-router.get('/type/:type', getMessagesByType);
+router.get('/type/:type', requirePermission('messages:read'), getMessagesByType);
 
 // Get messages by status
-router.get('/status/:status', getMessagesByStatus);
+router.get('/status/:status', requirePermission('messages:read'), getMessagesByStatus);
 
 // Get message by ID
-router.get('/:id', getMessageById);
+router.get('/:id', requirePermission('messages:read'), getMessageById);
 
 // Log message
-router.post('/', logMessage);
+router.post('/', requirePermission('messages:send'), logMessage);
 
 module.exports = router;
\ No newline at end of file
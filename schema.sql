@@ -269,9 +269,924 @@ CREATE TABLE IF NOT EXISTS sms_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- =====================================================
+-- SESSIONS TABLE (one row per logged-in device)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+    previous_token_hash VARCHAR(64),
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+-- =====================================================
+-- TWO-FACTOR AUTHENTICATION
+-- =====================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_method VARCHAR(10) DEFAULT 'sms';
+
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    challenge_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    purpose VARCHAR(10) NOT NULL CHECK (purpose IN ('login', 'setup')),
+    method VARCHAR(10) NOT NULL CHECK (method IN ('sms', 'email')),
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    resend_count INTEGER DEFAULT 0,
+    last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    code_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- AUTH THROTTLING (brute-force protection)
+-- =====================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS auth_attempts (
+    attempt_id SERIAL PRIMARY KEY,
+    action VARCHAR(30) NOT NULL,
+    ip_address VARCHAR(64),
+    identifier VARCHAR(255),
+    succeeded BOOLEAN,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- OWNERSHIP (every record resolves to properties.user_id)
+-- =====================================================
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL;
+
+-- Backfill property links on rows created before ownership scoping. Runs
+-- before the ledger, deposit and receipt backfills below, which read them
+UPDATE tenants t SET property_id = u.property_id
+FROM units u
+WHERE t.unit_id = u.unit_id AND t.property_id IS NULL;
+
+UPDATE payments p SET property_id = t.property_id
+FROM tenants t
+WHERE p.tenant_id = t.tenant_id AND p.property_id IS NULL;
+
+UPDATE payment_plans pp SET property_id = t.property_id
+FROM tenants t
+WHERE pp.tenant_id = t.tenant_id AND pp.property_id IS NULL;
+
+-- =====================================================
+-- INVOICES (rent charges, one per tenant per billing period)
+-- =====================================================
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS rent_balance DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS rent_due_day INTEGER DEFAULT 5 CHECK (rent_due_day BETWEEN 1 AND 28);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    invoice_id SERIAL PRIMARY KEY,
+    invoice_number VARCHAR(30) UNIQUE,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    unit_id INTEGER REFERENCES units(unit_id) ON DELETE SET NULL,
+    billing_period VARCHAR(7) NOT NULL,
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE NOT NULL,
+    total_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'issued' CHECK (status IN ('issued', 'void')),
+    void_reason TEXT,
+    voided_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A tenant has at most one live invoice per period; voiding frees the slot
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_tenant_period
+    ON invoices(tenant_id, billing_period) WHERE status <> 'void';
+
+CREATE TABLE IF NOT EXISTS invoice_lines (
+    line_id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(invoice_id) ON DELETE CASCADE,
+    line_type VARCHAR(30) NOT NULL DEFAULT 'rent',
+    description TEXT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Proration for mid-month move-in and move-out
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS proration_method VARCHAR(20) DEFAULT 'daily' CHECK (proration_method IN ('daily', 'thirty_day'));
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS proration_method VARCHAR(20);
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS billed_from DATE;
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS billed_to DATE;
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS days_billed INTEGER;
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS basis_days INTEGER;
+ALTER TABLE invoice_lines ADD COLUMN IF NOT EXISTS full_amount DECIMAL(10, 2);
+
+-- =====================================================
+-- TENANT LEDGER (append-only; tenants.rent_balance caches its total)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS tenant_ledger_entries (
+    entry_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    entry_type VARCHAR(30) NOT NULL,
+    description TEXT NOT NULL,
+    debit DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    credit DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    contra_account VARCHAR(30) NOT NULL,
+    invoice_id INTEGER REFERENCES invoices(invoice_id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (debit >= 0 AND credit >= 0 AND (debit = 0) <> (credit = 0))
+);
+
+-- Balances kept before the ledger existed carry over as an opening entry
+INSERT INTO tenant_ledger_entries (tenant_id, property_id, entry_type, description, debit, credit, contra_account)
+SELECT t.tenant_id, t.property_id, 'adjustment', 'Opening balance',
+       GREATEST(t.rent_balance, 0), GREATEST(-t.rent_balance, 0), 'opening_balance'
+FROM tenants t
+WHERE COALESCE(t.rent_balance, 0) <> 0
+  AND NOT EXISTS (SELECT 1 FROM tenant_ledger_entries e WHERE e.tenant_id = t.tenant_id);
+
+-- =====================================================
+-- LATE FEES (per-property rules, applied to overdue invoices)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS late_fee_rules (
+    rule_id SERIAL PRIMARY KEY,
+    property_id INTEGER UNIQUE NOT NULL REFERENCES properties(property_id) ON DELETE CASCADE,
+    grace_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_days >= 0),
+    fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('flat', 'percentage')),
+    fee_value DECIMAL(10, 2) NOT NULL CHECK (fee_value > 0),
+    frequency VARCHAR(10) NOT NULL DEFAULT 'once' CHECK (frequency IN ('once', 'daily')),
+    max_fee DECIMAL(10, 2) CHECK (max_fee > 0),
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS late_fees (
+    late_fee_id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(invoice_id) ON DELETE CASCADE,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    fee_date DATE NOT NULL,
+    days_charged INTEGER NOT NULL DEFAULT 1,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    description TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'applied' CHECK (status IN ('applied', 'waived')),
+    waive_reason TEXT,
+    waived_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    waived_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (invoice_id, fee_date)
+);
+
+ALTER TABLE tenant_ledger_entries ADD COLUMN IF NOT EXISTS late_fee_id INTEGER REFERENCES late_fees(late_fee_id) ON DELETE SET NULL;
+
+-- =====================================================
+-- SECURITY DEPOSITS (deposit account and move-out settlement)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS deposit_settlements (
+    settlement_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER UNIQUE NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    settlement_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    deposit_held DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    rent_credit DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    total_deductions DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    deposit_applied DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    net_refund DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    amount_owed DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    refund_method VARCHAR(50),
+    refund_reference VARCHAR(100),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS deposit_settlement_items (
+    item_id SERIAL PRIMARY KEY,
+    settlement_id INTEGER NOT NULL REFERENCES deposit_settlements(settlement_id) ON DELETE CASCADE,
+    category VARCHAR(30) NOT NULL,
+    description TEXT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0)
+);
+
+CREATE TABLE IF NOT EXISTS deposit_transactions (
+    transaction_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('payment', 'deduction', 'refund')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    category VARCHAR(30),
+    description TEXT,
+    payment_method VARCHAR(50),
+    reference_number VARCHAR(100),
+    transaction_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    settlement_id INTEGER REFERENCES deposit_settlements(settlement_id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Open a deposit account for tenants who paid a deposit before accounts existed
+INSERT INTO deposit_transactions (tenant_id, property_id, transaction_type, amount, description, transaction_date)
+SELECT t.tenant_id, t.property_id, 'payment', t.deposit_paid, 'Deposit received',
+       COALESCE(t.move_in_date, t.created_at::date, CURRENT_DATE)
+FROM tenants t
+WHERE COALESCE(t.deposit_paid, 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM deposit_transactions d WHERE d.tenant_id = t.tenant_id);
+
+-- =====================================================
+-- M-PESA STK PUSH (Lipa Na M-Pesa Online requests)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS mpesa_transactions (
+    transaction_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(tenant_id) ON DELETE SET NULL,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    unit_id INTEGER REFERENCES units(unit_id) ON DELETE SET NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    account_reference VARCHAR(20),
+    merchant_request_id VARCHAR(100),
+    checkout_request_id VARCHAR(100) UNIQUE NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
+    result_code INTEGER,
+    result_desc TEXT,
+    mpesa_receipt_number VARCHAR(50),
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    initiated_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- =====================================================
+-- M-PESA PAYBILL (C2B confirmations and suspense queue)
+-- =====================================================
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS paybill_prefix VARCHAR(10) UNIQUE;
+
+-- The landlord a Paybill or till belongs to; payments to it only match their units
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mpesa_shortcode VARCHAR(20) UNIQUE;
+
+CREATE TABLE IF NOT EXISTS mpesa_c2b_transactions (
+    c2b_id SERIAL PRIMARY KEY,
+    trans_id VARCHAR(50) UNIQUE NOT NULL,
+    trans_type VARCHAR(50),
+    transaction_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    amount DECIMAL(10, 2) NOT NULL,
+    business_short_code VARCHAR(20),
+    bill_ref_number VARCHAR(50),
+    phone_number VARCHAR(20),
+    payer_name VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'suspense' CHECK (status IN ('matched', 'suspense', 'assigned')),
+    suspense_reason TEXT,
+    tenant_id INTEGER REFERENCES tenants(tenant_id) ON DELETE SET NULL,
+    unit_id INTEGER REFERENCES units(unit_id) ON DELETE SET NULL,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    assigned_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP,
+    raw_payload JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The landlord whose shortcode was paid, so unmatched payments stay in their suspense queue
+ALTER TABLE mpesa_c2b_transactions ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+
+UPDATE mpesa_c2b_transactions c
+SET owner_id = u.user_id
+FROM users u
+WHERE c.owner_id IS NULL AND u.mpesa_shortcode = c.business_short_code;
+
+-- =====================================================
+-- STATEMENT IMPORTS (M-Pesa and bank CSV reconciliation)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS statement_imports (
+    import_id SERIAL PRIMARY KEY,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('mpesa', 'bank')),
+    file_name VARCHAR(255),
+    line_count INTEGER NOT NULL DEFAULT 0,
+    ignored_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+    imported_by INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    confirmed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS statement_import_lines (
+    line_id SERIAL PRIMARY KEY,
+    import_id INTEGER NOT NULL REFERENCES statement_imports(import_id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    transaction_date DATE NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    reference VARCHAR(100),
+    account_reference VARCHAR(100),
+    payer_name VARCHAR(255),
+    payer_phone VARCHAR(20),
+    details TEXT,
+    suggested_tenant_id INTEGER REFERENCES tenants(tenant_id) ON DELETE SET NULL,
+    match_method VARCHAR(20) CHECK (match_method IN ('reference', 'phone', 'name')),
+    duplicate_payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    duplicate_reason TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'posted', 'skipped')),
+    posted_tenant_id INTEGER REFERENCES tenants(tenant_id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL
+);
+
+-- =====================================================
+-- PAYMENT ALLOCATION (which charges each payment settled)
+-- =====================================================
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS allocation_method VARCHAR(20) DEFAULT 'oldest_first'
+    CHECK (allocation_method IN ('oldest_first', 'penalties_first', 'utilities_first'));
+
+-- Utility bills are charged on the ledger. No foreign key: a deleted bill's
+-- charge and reversal keep their link so they still net off.
+ALTER TABLE tenant_ledger_entries ADD COLUMN IF NOT EXISTS utility_id INTEGER;
+
+-- Payments made against a particular bill or payment plan
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS utility_id INTEGER REFERENCES utilities(utility_id) ON DELETE SET NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES payment_plans(plan_id) ON DELETE SET NULL;
+
+-- Rebuilt from the ledger on every posting; category 'credit' is money
+-- not yet needed by any charge
+CREATE TABLE IF NOT EXISTS payment_allocations (
+    allocation_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE CASCADE,
+    credit_entry_id INTEGER REFERENCES tenant_ledger_entries(entry_id) ON DELETE CASCADE,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('rent', 'penalty', 'utility', 'deposit', 'other', 'credit')),
+    invoice_id INTEGER REFERENCES invoices(invoice_id) ON DELETE CASCADE,
+    late_fee_id INTEGER REFERENCES late_fees(late_fee_id) ON DELETE CASCADE,
+    utility_id INTEGER REFERENCES utilities(utility_id) ON DELETE CASCADE,
+    charge_entry_id INTEGER REFERENCES tenant_ledger_entries(entry_id) ON DELETE CASCADE,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Charge utility bills raised before they went on the ledger, with what was
+-- already marked as paid against them
+WITH charged AS (
+    INSERT INTO tenant_ledger_entries (tenant_id, property_id, entry_date, entry_type, description, debit, contra_account, utility_id)
+    SELECT ut.tenant_id, u.property_id, ut.billing_month, 'charge',
+           initcap(ut.utility_type) || ' bill for ' || to_char(ut.billing_month, 'FMMonth YYYY'),
+           ut.amount_due, 'utility_income', ut.utility_id
+    FROM utilities ut
+    JOIN units u ON ut.unit_id = u.unit_id
+    WHERE ut.tenant_id IS NOT NULL AND ut.amount_due > 0
+      AND NOT EXISTS (SELECT 1 FROM tenant_ledger_entries e WHERE e.utility_id = ut.utility_id)
+    RETURNING utility_id
+)
+INSERT INTO tenant_ledger_entries (tenant_id, property_id, entry_date, entry_type, description, credit, contra_account, utility_id)
+SELECT ut.tenant_id, u.property_id, ut.billing_month, 'payment', 'Utility payment recorded before the ledger',
+       ut.amount_paid, 'cash', ut.utility_id
+FROM utilities ut
+JOIN units u ON ut.unit_id = u.unit_id
+JOIN charged c ON c.utility_id = ut.utility_id
+WHERE ut.amount_paid > 0;
+
+UPDATE tenants t SET rent_balance = COALESCE((
+    SELECT SUM(debit - credit) FROM tenant_ledger_entries WHERE tenant_id = t.tenant_id
+), 0)
+WHERE EXISTS (SELECT 1 FROM tenant_ledger_entries e WHERE e.tenant_id = t.tenant_id AND e.utility_id IS NOT NULL);
+
+-- =====================================================
+-- RECEIPTS (gap-free official receipt numbers)
+-- =====================================================
+-- A property with its own prefix keeps its own series; the rest share the landlord's
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS receipt_prefix VARCHAR(10);
+
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+    series_key VARCHAR(40) PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS receipt_number VARCHAR(30);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS receipt_series VARCHAR(40);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS receipt_issued_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_receipt ON payments(receipt_series, receipt_number);
+
+-- Number payments completed before receipts existed, oldest first, the first time this runs
+WITH numbered AS (
+    SELECT p.payment_id, 'landlord:' || pr.user_id AS series_key,
+           ROW_NUMBER() OVER (PARTITION BY pr.user_id ORDER BY p.payment_date, p.payment_id) AS sequence
+    FROM payments p
+    JOIN properties pr ON p.property_id = pr.property_id
+    WHERE p.payment_status = 'completed'
+      AND p.payment_method IS DISTINCT FROM 'Deposit'
+      AND p.receipt_number IS NULL
+      AND pr.user_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM receipt_sequences)
+)
+UPDATE payments p
+SET receipt_number = 'RCT-' || LPAD(n.sequence::text, 6, '0'),
+    receipt_series = n.series_key,
+    receipt_issued_at = CURRENT_TIMESTAMP
+FROM numbered n
+WHERE p.payment_id = n.payment_id;
+
+INSERT INTO receipt_sequences (series_key, last_number)
+SELECT receipt_series, COUNT(*) FROM payments WHERE receipt_series IS NOT NULL GROUP BY receipt_series
+ON CONFLICT (series_key) DO NOTHING;
+
+-- =====================================================
+-- REVERSALS AND REFUNDS (completed payments are never edited)
+-- =====================================================
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS reversal_reason TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS reversed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS payment_events (
+    event_id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL REFERENCES payments(payment_id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('updated', 'cancelled', 'reversed', 'refunded')),
+    reason TEXT,
+    changes JSONB,
+    performed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Money paid back to a tenant out of the credit on their account
+CREATE TABLE IF NOT EXISTS payment_refunds (
+    refund_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'paid', 'cancelled')),
+    payout_method VARCHAR(50),
+    payout_account VARCHAR(100),
+    payout_reference VARCHAR(100),
+    paid_date DATE,
+    ledger_entry_id INTEGER REFERENCES tenant_ledger_entries(entry_id) ON DELETE SET NULL,
+    requested_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    paid_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    paid_at TIMESTAMP,
+    cancelled_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP,
+    cancel_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- DUPLICATE PAYMENTS (idempotent retries)
+-- =====================================================
+-- The first request with a key claims it; its response is replayed to retries
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status_code INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+-- =====================================================
+-- PAYMENT PLAN SCHEDULES (one row per installment)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS payment_plan_installments (
+    installment_id SERIAL PRIMARY KEY,
+    plan_id INTEGER NOT NULL REFERENCES payment_plans(plan_id) ON DELETE CASCADE,
+    installment_number INTEGER NOT NULL,
+    due_date DATE NOT NULL,
+    amount_due DECIMAL(10, 2) NOT NULL CHECK (amount_due > 0),
+    amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'partial', 'paid')),
+    paid_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (plan_id, installment_number)
+);
+
+-- Schedule plans created before schedules existed, counting from their start date,
+-- with what they have been paid spread over the installments oldest first
+INSERT INTO payment_plan_installments (plan_id, installment_number, due_date, amount_due, amount_paid, status)
+SELECT s.plan_id, s.n, s.due_date, s.amount_due,
+       GREATEST(LEAST(s.paid - s.due_before, s.amount_due), 0),
+       CASE WHEN s.paid - s.due_before >= s.amount_due THEN 'paid'
+            WHEN s.paid > s.due_before THEN 'partial'
+            ELSE 'pending' END
+FROM (
+    SELECT p.plan_id, n,
+           (p.start_date + CASE p.installment_frequency
+                WHEN 'weekly' THEN make_interval(days => 7 * n)
+                WHEN 'biweekly' THEN make_interval(days => 14 * n)
+                WHEN 'quarterly' THEN make_interval(months => 3 * n)
+                ELSE make_interval(months => n)
+            END)::date AS due_date,
+           LEAST(p.installment_amount, p.total_amount - p.installment_amount * (n - 1)) AS amount_due,
+           p.installment_amount * (n - 1) AS due_before,
+           COALESCE(p.amount_paid, 0) AS paid
+    FROM payment_plans p
+    CROSS JOIN LATERAL generate_series(1, CEIL(p.total_amount / p.installment_amount)::int) AS n
+    WHERE p.installment_amount > 0 AND p.total_amount > 0
+      AND NOT EXISTS (SELECT 1 FROM payment_plan_installments i WHERE i.plan_id = p.plan_id)
+) s;
+
+-- next_due_date is the first installment not yet paid
+UPDATE payment_plans p
+SET next_due_date = n.due_date
+FROM (
+    SELECT plan_id, MIN(due_date) AS due_date
+    FROM payment_plan_installments
+    WHERE status <> 'paid'
+    GROUP BY plan_id
+) n
+WHERE p.plan_id = n.plan_id AND p.status = 'active' AND p.next_due_date IS DISTINCT FROM n.due_date;
+
+-- =====================================================
+-- PAYMENT PLAN ARREARS (overdue installments, default, notifications)
+-- =====================================================
+-- Days the oldest unpaid installment may be overdue before a plan is in arrears, then defaulted
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS plan_arrears_days INTEGER DEFAULT 7 CHECK (plan_arrears_days >= 0);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS plan_default_days INTEGER DEFAULT 60 CHECK (plan_default_days >= 0);
+
+ALTER TABLE payment_plan_installments DROP CONSTRAINT IF EXISTS payment_plan_installments_status_check;
+ALTER TABLE payment_plan_installments ADD CONSTRAINT payment_plan_installments_status_check
+    CHECK (status IN ('pending', 'partial', 'overdue', 'paid'));
+
+CREATE TABLE IF NOT EXISTS payment_plan_status_history (
+    history_id SERIAL PRIMARY KEY,
+    plan_id INTEGER NOT NULL REFERENCES payment_plans(plan_id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    changed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Start the history of existing plans at the status they have now
+INSERT INTO payment_plan_status_history (plan_id, from_status, to_status, reason)
+SELECT p.plan_id, NULL, p.status, 'Status when history began'
+FROM payment_plans p
+WHERE NOT EXISTS (SELECT 1 FROM payment_plan_status_history h WHERE h.plan_id = p.plan_id);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    notification_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    notification_type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    entity_type VARCHAR(50),
+    entity_id INTEGER,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- PAYMENT PLAN RESTRUCTURING (new terms are a new, linked version)
+-- =====================================================
+ALTER TABLE payment_plans ADD COLUMN IF NOT EXISTS restructured_from INTEGER REFERENCES payment_plans(plan_id) ON DELETE SET NULL;
+ALTER TABLE payment_plans ADD COLUMN IF NOT EXISTS restructured_to INTEGER REFERENCES payment_plans(plan_id) ON DELETE SET NULL;
+
+-- Paid under earlier versions; scheduled as the new version's first, settled installment
+ALTER TABLE payment_plans ADD COLUMN IF NOT EXISTS carried_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payment_plan_installments ADD COLUMN IF NOT EXISTS carried_over BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- =====================================================
+-- LEASES (the terms a tenant occupies a unit on)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS leases (
+    lease_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    unit_id INTEGER REFERENCES units(unit_id) ON DELETE SET NULL,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    start_date DATE NOT NULL,
+    end_date DATE, -- NULL for a month-to-month lease
+    rent_amount DECIMAL(10, 2) NOT NULL CHECK (rent_amount >= 0),
+    deposit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (deposit_amount >= 0),
+    billing_day INTEGER CHECK (billing_day BETWEEN 1 AND 28), -- NULL: the property's rent_due_day
+    notice_period_days INTEGER NOT NULL DEFAULT 30 CHECK (notice_period_days >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'pending', 'active', 'ended', 'terminated', 'cancelled')),
+    notes TEXT,
+    termination_reason TEXT,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    terminated_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    activated_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- Activated before its start date, a lease is pending until then
+ALTER TABLE leases DROP CONSTRAINT IF EXISTS leases_status_check;
+ALTER TABLE leases ADD CONSTRAINT leases_status_check
+    CHECK (status IN ('draft', 'pending', 'active', 'ended', 'terminated', 'cancelled'));
+
+-- A tenant has at most one lease in effect, and one waiting to start
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leases_one_active ON leases(tenant_id) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leases_one_pending ON leases(tenant_id) WHERE status = 'pending';
+
+-- Tenants from before leases get one from the terms on their record
+INSERT INTO leases (tenant_id, unit_id, property_id, start_date, end_date, rent_amount, deposit_amount, status, activated_at, notes)
+SELECT
+    t.tenant_id,
+    t.unit_id,
+    COALESCE(t.property_id, u.property_id),
+    COALESCE(t.move_in_date, t.created_at::date, CURRENT_DATE),
+    CASE WHEN t.move_out_date IS NOT NULL
+        THEN GREATEST(t.move_out_date, COALESCE(t.move_in_date, t.created_at::date, CURRENT_DATE))
+    END,
+    COALESCE(NULLIF(t.rent_amount, 0), u.monthly_rent, 0),
+    COALESCE(t.deposit_amount, 0),
+    CASE WHEN COALESCE(t.is_active, TRUE) THEN 'active' ELSE 'ended' END,
+    CURRENT_TIMESTAMP,
+    'Created from the tenant record when leases began'
+FROM tenants t
+LEFT JOIN units u ON t.unit_id = u.unit_id
+WHERE NOT EXISTS (SELECT 1 FROM leases l WHERE l.tenant_id = t.tenant_id);
+
+-- =====================================================
+-- LEASE RENEWALS (expiry alerts and renewal offers)
+-- =====================================================
+-- Tightest expiry window (90, 60, 30 days; 0 once overdue) already alerted
+ALTER TABLE leases ADD COLUMN IF NOT EXISTS expiry_alert_days INTEGER;
+
+CREATE TABLE IF NOT EXISTS lease_renewals (
+    renewal_id SERIAL PRIMARY KEY,
+    lease_id INTEGER NOT NULL REFERENCES leases(lease_id) ON DELETE CASCADE,
+    rent_amount DECIMAL(10, 2) NOT NULL CHECK (rent_amount >= 0),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'offered' CHECK (status IN ('offered', 'accepted', 'declined', 'month_to_month')),
+    response_notes TEXT,
+    new_lease_id INTEGER REFERENCES leases(lease_id) ON DELETE SET NULL,
+    offered_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    responded_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- One offer at a time waits for an answer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lease_renewals_one_open ON lease_renewals(lease_id) WHERE status = 'offered';
+
+-- =====================================================
+-- RENT ESCALATION (scheduled increases and rent history)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rent_escalations (
+    escalation_id SERIAL PRIMARY KEY,
+    lease_id INTEGER REFERENCES leases(lease_id) ON DELETE CASCADE,
+    unit_id INTEGER REFERENCES units(unit_id) ON DELETE CASCADE,
+    escalation_type VARCHAR(20) NOT NULL CHECK (escalation_type IN ('percentage', 'fixed')),
+    value DECIMAL(10, 2) NOT NULL CHECK (value > 0),
+    interval_months INTEGER NOT NULL DEFAULT 12 CHECK (interval_months BETWEEN 1 AND 120),
+    notice_days INTEGER NOT NULL DEFAULT 30 CHECK (notice_days >= 0),
+    next_date DATE NOT NULL,
+    notice_sent_for DATE, -- the next_date the tenant has been told about
+    notice_sent_at TIMESTAMP,
+    last_applied_at TIMESTAMP,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((lease_id IS NULL) <> (unit_id IS NULL))
+);
+
+-- One schedule in force per lease and per unit
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rent_escalations_one_per_lease ON rent_escalations(lease_id) WHERE is_active AND lease_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rent_escalations_one_per_unit ON rent_escalations(unit_id) WHERE is_active AND unit_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS rent_history (
+    history_id SERIAL PRIMARY KEY,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE CASCADE,
+    unit_id INTEGER REFERENCES units(unit_id) ON DELETE SET NULL,
+    lease_id INTEGER REFERENCES leases(lease_id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(tenant_id) ON DELETE SET NULL,
+    previous_rent DECIMAL(10, 2),
+    rent_amount DECIMAL(10, 2) NOT NULL,
+    effective_date DATE NOT NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('lease', 'escalation', 'manual')),
+    escalation_id INTEGER REFERENCES rent_escalations(escalation_id) ON DELETE SET NULL,
+    notes TEXT,
+    changed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Leases from before rent history start it with the rent they began on
+INSERT INTO rent_history (property_id, unit_id, lease_id, tenant_id, rent_amount, effective_date, change_type, notes)
+SELECT l.property_id, l.unit_id, l.lease_id, l.tenant_id, l.rent_amount, l.start_date, 'lease', 'Rent when history began'
+FROM leases l
+WHERE l.status <> 'draft'
+  AND NOT EXISTS (SELECT 1 FROM rent_history h WHERE h.lease_id = l.lease_id);
+
+-- =====================================================
+-- DOCUMENTS (templates and the PDFs generated from them)
+-- =====================================================
+-- user_id NULL: a built-in template every landlord can use but not change
+CREATE TABLE IF NOT EXISTS document_templates (
+    template_id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('lease_agreement', 'vacate_notice', 'demand_letter', 'statement', 'other')),
+    name VARCHAR(255) NOT NULL,
+    body_html TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tenant_documents (
+    document_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    lease_id INTEGER REFERENCES leases(lease_id) ON DELETE SET NULL,
+    template_id INTEGER REFERENCES document_templates(template_id) ON DELETE SET NULL,
+    document_type VARCHAR(30) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    body_html TEXT NOT NULL, -- the template with its fields filled in
+    pdf_data BYTEA NOT NULL,
+    file_size INTEGER NOT NULL,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO document_templates (document_type, name, body_html)
+SELECT t.document_type, t.name, t.body_html
+FROM (VALUES
+    ('lease_agreement', 'Lease agreement', $tpl$<h1>Tenancy Agreement</h1>
+<p>This agreement is made on {{document.date}} between <strong>{{landlord.full_name}}</strong> (the landlord) and <strong>{{tenant.full_name}}</strong>, ID number {{tenant.id_number}} (the tenant).</p>
+<h2>Premises</h2>
+<p>Unit {{unit.unit_number}}, {{property.property_name}}, {{property.location}}.</p>
+<h2>Term</h2>
+<p>The tenancy runs {{lease.term}}. Either party may end it by giving {{lease.notice_period_days}} days' notice in writing.</p>
+<h2>Rent and deposit</h2>
+<ul>
+<li>Monthly rent: {{lease.rent_amount}}, due by day {{lease.billing_day}} of each month.</li>
+<li>Deposit: {{lease.deposit_amount}}, refundable at the end of the tenancy less any amount owed or needed for repairs beyond fair wear and tear.</li>
+</ul>
+<h2>Tenant's obligations</h2>
+<ol>
+<li>Pay rent on time and keep the premises clean and in good repair.</li>
+<li>Not sublet the premises or make alterations without the landlord's written consent.</li>
+<li>Allow the landlord reasonable access for inspection and repairs.</li>
+</ol>
+<p>&nbsp;</p>
+<p>Landlord: ______________________ Date: ____________</p>
+<p>Tenant: ______________________ Date: ____________</p>$tpl$),
+    ('vacate_notice', 'Notice to vacate', $tpl$<h1>Notice to Vacate</h1>
+<p>Date: {{document.date}}</p>
+<p>To: <strong>{{tenant.full_name}}</strong><br>Unit {{unit.unit_number}}, {{property.property_name}}, {{property.location}}</p>
+<p>You are hereby given {{lease.notice_period_days}} days' notice to vacate the premises and hand over vacant possession on or before <strong>{{document.due_date}}</strong>.</p>
+<p>Your balance as at today is {{balance.amount}}. Please clear it before you move out. The deposit of {{lease.deposit_amount}} will be settled after the exit inspection.</p>
+<p>&nbsp;</p>
+<p>{{landlord.full_name}}<br>{{landlord.phone}}</p>$tpl$),
+    ('demand_letter', 'Demand for rent arrears', $tpl$<h1>Demand for Rent Arrears</h1>
+<p>Date: {{document.date}}</p>
+<p>To: <strong>{{tenant.full_name}}</strong><br>Unit {{unit.unit_number}}, {{property.property_name}}, {{property.location}}</p>
+<p>Our records show that you owe <strong>{{balance.amount}}</strong> in rent and charges as at {{balance.as_of}}.</p>
+<p>You are required to pay this amount in full on or before <strong>{{document.due_date}}</strong>. If it is not paid by then, we will take further action to recover it without further notice to you.</p>
+<p>&nbsp;</p>
+<p>{{landlord.full_name}}<br>{{landlord.phone}}</p>$tpl$),
+    ('statement', 'Tenant statement', $tpl$<h1>Statement of Account</h1>
+<p><strong>{{tenant.full_name}}</strong><br>Unit {{unit.unit_number}}, {{property.property_name}}</p>
+<p>Period: {{statement.from}} to {{statement.to}}</p>
+{{statement.table}}
+<p>Closing balance: <strong>{{statement.closing_balance}}</strong></p>$tpl$)
+) AS t(document_type, name, body_html)
+WHERE NOT EXISTS (
+    SELECT 1 FROM document_templates d WHERE d.user_id IS NULL AND d.document_type = t.document_type
+);
+
+-- =====================================================
+-- MOVE-OUTS (from notice to a closed tenancy)
+-- =====================================================
+-- Steps are done when their columns are set: inspected_at, meters_read_at,
+-- settlement_id and completed_at
+CREATE TABLE IF NOT EXISTS move_outs (
+    move_out_id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+    lease_id INTEGER REFERENCES leases(lease_id) ON DELETE SET NULL,
+    unit_id INTEGER REFERENCES units(unit_id) ON DELETE SET NULL,
+    property_id INTEGER REFERENCES properties(property_id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'cancelled')),
+    notice_date DATE NOT NULL,
+    move_out_date DATE NOT NULL, -- planned until the move-out is completed, then the day the tenant left
+    reason TEXT,
+    notes TEXT,
+    inspection_date DATE,
+    inspection_notes TEXT,
+    inspected_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    inspected_at TIMESTAMP,
+    meters_read_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    meters_read_at TIMESTAMP,
+    settlement_id INTEGER REFERENCES deposit_settlements(settlement_id) ON DELETE SET NULL,
+    settled_at TIMESTAMP,
+    completed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    completed_at TIMESTAMP,
+    cancellation_reason TEXT,
+    cancelled_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (move_out_date >= notice_date)
+);
+
+-- A tenant has one move-out under way at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_move_outs_one_open ON move_outs(tenant_id) WHERE status = 'in_progress';
+
+-- What the exit inspection found, charged against the deposit at settlement
+CREATE TABLE IF NOT EXISTS move_out_inspection_items (
+    item_id SERIAL PRIMARY KEY,
+    move_out_id INTEGER NOT NULL REFERENCES move_outs(move_out_id) ON DELETE CASCADE,
+    category VARCHAR(30) NOT NULL,
+    description TEXT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0)
+);
+
+-- Final meter readings are billed as ordinary utility bills
+ALTER TABLE utilities ADD COLUMN IF NOT EXISTS move_out_id INTEGER REFERENCES move_outs(move_out_id) ON DELETE SET NULL;
+
+-- =====================================================
+-- ROLES (caretaker, agent and tenant logins)
+-- =====================================================
+ALTER TABLE caretakers ADD COLUMN IF NOT EXISTS user_id INTEGER UNIQUE REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS user_id INTEGER UNIQUE REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS user_id INTEGER UNIQUE REFERENCES users(user_id) ON DELETE SET NULL;
+
+-- Expenses recorded by caretakers wait for landlord approval
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) DEFAULT 'approved';
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+
 -- =====================================================
 -- INDEXES (CREATE IF NOT EXISTS)
 -- =====================================================
+CREATE INDEX IF NOT EXISTS idx_properties_user ON properties(user_id);
+CREATE INDEX IF NOT EXISTS idx_payments_property ON payments(property_id);
+CREATE INDEX IF NOT EXISTS idx_agents_property ON agents(property_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_two_factor_challenges_user ON two_factor_challenges(user_id);
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_user ON two_factor_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip ON auth_attempts(action, ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_identifier ON auth_attempts(action, identifier, created_at);
+CREATE INDEX IF NOT EXISTS idx_invoices_property_period ON invoices(property_id, billing_period);
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice ON invoice_lines(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_tenant_date ON tenant_ledger_entries(tenant_id, entry_date, entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_invoice ON tenant_ledger_entries(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_payment ON tenant_ledger_entries(payment_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_late_fee ON tenant_ledger_entries(late_fee_id);
+CREATE INDEX IF NOT EXISTS idx_late_fees_tenant ON late_fees(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_deposit_transactions_tenant ON deposit_transactions(tenant_id, transaction_date);
+CREATE INDEX IF NOT EXISTS idx_deposit_settlement_items ON deposit_settlement_items(settlement_id);
+CREATE INDEX IF NOT EXISTS idx_mpesa_transactions_tenant ON mpesa_transactions(tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_mpesa_c2b_status ON mpesa_c2b_transactions(status, property_id);
+CREATE INDEX IF NOT EXISTS idx_mpesa_c2b_owner ON mpesa_c2b_transactions(owner_id, status);
+CREATE INDEX IF NOT EXISTS idx_statement_imports_user ON statement_imports(imported_by);
+CREATE INDEX IF NOT EXISTS idx_statement_import_lines_import ON statement_import_lines(import_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_payments_mpesa_code ON payments(mpesa_code);
+CREATE INDEX IF NOT EXISTS idx_payments_reference ON payments(reference_number);
+CREATE INDEX IF NOT EXISTS idx_payments_mpesa_code_upper ON payments(UPPER(TRIM(mpesa_code)));
+CREATE INDEX IF NOT EXISTS idx_payments_reference_upper ON payments(UPPER(TRIM(reference_number)));
+CREATE INDEX IF NOT EXISTS idx_payments_tenant_amount ON payments(tenant_id, amount);
+CREATE INDEX IF NOT EXISTS idx_ledger_utility ON tenant_ledger_entries(utility_id);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_tenant ON payment_allocations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_payment ON payment_allocations(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_events_payment ON payment_events(payment_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_tenant ON payment_refunds(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_plan_installments_due ON payment_plan_installments(due_date, status);
+CREATE INDEX IF NOT EXISTS idx_plan_status_history_plan ON payment_plan_status_history(plan_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payment_plans_restructured_from ON payment_plans(restructured_from);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at, created_at);
+CREATE INDEX IF NOT EXISTS idx_leases_tenant ON leases(tenant_id, start_date);
+CREATE INDEX IF NOT EXISTS idx_leases_property ON leases(property_id, status);
+CREATE INDEX IF NOT EXISTS idx_leases_end_date ON leases(end_date) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_lease_renewals_lease ON lease_renewals(lease_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_rent_escalations_next ON rent_escalations(next_date) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_rent_history_lease ON rent_history(lease_id, effective_date);
+CREATE INDEX IF NOT EXISTS idx_rent_history_unit ON rent_history(unit_id, effective_date);
+CREATE INDEX IF NOT EXISTS idx_document_templates_user ON document_templates(user_id, document_type);
+CREATE INDEX IF NOT EXISTS idx_tenant_documents_tenant ON tenant_documents(tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_move_outs_property ON move_outs(property_id, status);
+CREATE INDEX IF NOT EXISTS idx_move_out_items_move_out ON move_out_inspection_items(move_out_id);
+CREATE INDEX IF NOT EXISTS idx_utilities_move_out ON utilities(move_out_id);
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_properties_name ON properties(property_name);
 CREATE INDEX IF NOT EXISTS idx_units_property ON units(property_id);
@@ -313,9 +1228,27 @@ CREATE TRIGGER update_tenants_updated_at BEFORE UPDATE ON tenants FOR EACH ROW E
 DROP TRIGGER IF EXISTS update_payments_updated_at ON payments;
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+DROP TRIGGER IF EXISTS update_invoices_updated_at ON invoices;
+CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_late_fee_rules_updated_at ON late_fee_rules;
+CREATE TRIGGER update_late_fee_rules_updated_at BEFORE UPDATE ON late_fee_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
 DROP TRIGGER IF EXISTS update_payment_plans_updated_at ON payment_plans;
 CREATE TRIGGER update_payment_plans_updated_at BEFORE UPDATE ON payment_plans FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+DROP TRIGGER IF EXISTS update_leases_updated_at ON leases;
+CREATE TRIGGER update_leases_updated_at BEFORE UPDATE ON leases FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_rent_escalations_updated_at ON rent_escalations;
+CREATE TRIGGER update_rent_escalations_updated_at BEFORE UPDATE ON rent_escalations FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_document_templates_updated_at ON document_templates;
+CREATE TRIGGER update_document_templates_updated_at BEFORE UPDATE ON document_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_move_outs_updated_at ON move_outs;
+CREATE TRIGGER update_move_outs_updated_at BEFORE UPDATE ON move_outs FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
 DROP TRIGGER IF EXISTS utilities_updated_at ON utilities;
 CREATE TRIGGER utilities_updated_at BEFORE UPDATE ON utilities FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
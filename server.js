@@ -20,6 +20,10 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 // MIDDLEWARE CONFIGURATION
 // ============================================
 
+// Proxy - Behind Render/Heroku the client IP arrives in X-Forwarded-For.
+// Auth throttling is per IP, so it must see the real client address.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || (NODE_ENV === 'production' ? 1 : 0));
+
 // Compression - Reduce response size
 app.use(compression());
 
@@ -191,7 +195,17 @@ if (NODE_ENV === 'production') {
 const routes = [
   { path: '/api/auth', file: './routes/auth', name: 'Auth' },
   { path: '/api/tenants', file: './routes/tenantRoutes', name: 'Tenant' },
+  { path: '/api/leases', file: './routes/leaseRoutes', name: 'Lease' },
+  { path: '/api/move-outs', file: './routes/moveOutRoutes', name: 'Move-out' },
+  { path: '/api/rent-escalations', file: './routes/rentEscalationRoutes', name: 'Rent Escalation' },
+  { path: '/api/document-templates', file: './routes/documentTemplateRoutes', name: 'Document Template' },
   { path: '/api/payments', file: './routes/paymentRoutes', name: 'Payment' },
+  { path: '/api/invoices', file: './routes/invoiceRoutes', name: 'Invoice' },
+  { path: '/api/late-fees', file: './routes/lateFeeRoutes', name: 'Late Fee' },
+  { path: '/api/deposits', file: './routes/depositRoutes', name: 'Deposit' },
+  { path: '/api/refunds', file: './routes/refundRoutes', name: 'Refund' },
+  { path: '/api/mpesa', file: './routes/mpesaRoutes', name: 'M-Pesa' },
+  { path: '/api/statement-imports', file: './routes/statementImportRoutes', name: 'Statement Import' },
   { path: '/api/properties', file: './routes/propertyRoutes', name: 'Property' },
   { path: '/api/units', file: './routes/unitRoutes', name: 'Unit' },
   { path: '/api/expenses', file: './routes/expenseRoutes', name: 'Expense' },
@@ -199,6 +213,7 @@ const routes = [
   { path: '/api/users', file: './routes/userRoutes', name: 'User' },
   { path: '/api/caretaker', file: './routes/caretakerRoutes', name: 'Caretaker' },
   { path: '/api/payment-plans', file: './routes/paymentPlanRoutes', name: 'Payment Plan' },
+  { path: '/api/notifications', file: './routes/notificationRoutes', name: 'Notification' },
   { path: '/api/agents', file: './routes/agentRoutes', name: 'Agent' },
   { path: '/api/maintenance', file: './routes/maintenanceRoutes', name: 'Maintenance' },
   { path: '/api/whatsapp', file: './routes/whatsappRoutes', name: 'WhatsApp' }
@@ -224,6 +239,15 @@ try {
   console.error('❌ WhatsApp service failed:', err.message);
 }
 
+// Start scheduled jobs (invoicing, late fees, payment plan arrears)
+if (NODE_ENV !== 'test') {
+  try {
+    require('./services/scheduler').startScheduler();
+  } catch (err) {
+    console.error('❌ Scheduler failed:', err.message);
+  }
+}
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -0,0 +1,265 @@
+// services/mpesaService.js
+// Safaricom Daraja (M-Pesa) client for SimamiaKodi Rent Management System
+
+const axios = require('axios');
+
+class MpesaService {
+    constructor(config = process.env) {
+        // Point MPESA_BASE_URL at a local Daraja stand-in when testing
+        this.baseUrl = (config.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/+$/, '');
+        this.consumerKey = config.MPESA_CONSUMER_KEY;
+        this.consumerSecret = config.MPESA_CONSUMER_SECRET;
+        this.shortCode = config.MPESA_SHORTCODE;
+        this.passkey = config.MPESA_PASSKEY;
+        this.callbackUrl = config.MPESA_CALLBACK_URL;
+        this.callbackToken = config.MPESA_CALLBACK_TOKEN || null;
+        this.c2bConfirmationUrl = config.MPESA_C2B_CONFIRMATION_URL;
+        this.c2bValidationUrl = config.MPESA_C2B_VALIDATION_URL;
+        this.c2bRejectUnmatched = config.MPESA_C2B_REJECT_UNMATCHED === 'true';
+        this.transactionType = config.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline';
+        this.timeout = parseInt(config.MPESA_TIMEOUT_MS, 10) || 30000;
+
+        this.accessToken = null;
+        this.tokenExpiresAt = 0;
+    }
+
+    // Callbacks are refused without a token, so there is no point sending a
+    // request whose result we would turn away
+    isConfigured() {
+        return Boolean(
+            this.consumerKey && this.consumerSecret && this.shortCode && this.passkey &&
+            this.callbackUrl && this.callbackToken
+        );
+    }
+
+    /**
+     * Format phone number to 2547XXXXXXXX
+     */
+    formatPhoneNumber(phone) {
+        phone = String(phone || '').replace(/\D/g, '');
+        if (phone.startsWith('0')) {
+            phone = '254' + phone.substring(1);
+        }
+        if (!phone.startsWith('254')) {
+            phone = '254' + phone;
+        }
+        return phone;
+    }
+
+    /**
+     * Daraja timestamp (YYYYMMDDHHmmss, East Africa Time)
+     */
+    timestamp(date = new Date()) {
+        const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+        return eat.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+    }
+
+    password(timestamp) {
+        return Buffer.from(`${this.shortCode}${this.passkey}${timestamp}`).toString('base64');
+    }
+
+    /**
+     * OAuth token, cached until shortly before it expires
+     */
+    async getAccessToken() {
+        if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+            return this.accessToken;
+        }
+
+        const credentials = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+        const response = await axios.get(
+            `${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+            {
+                headers: { 'Authorization': `Basic ${credentials}` },
+                timeout: this.timeout
+            }
+        );
+
+        const expiresIn = parseInt(response.data.expires_in, 10) || 3599;
+        this.accessToken = response.data.access_token;
+        this.tokenExpiresAt = Date.now() + (expiresIn - 60) * 1000;
+
+        return this.accessToken;
+    }
+
+    /**
+     * Add the callback token to a URL we hand to Daraja
+     */
+    withCallbackToken(url) {
+        if (!this.callbackToken || !url) return url;
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}token=${encodeURIComponent(this.callbackToken)}`;
+    }
+
+    /**
+     * Callback URL Daraja should post the STK result to
+     */
+    stkCallbackUrl() {
+        return this.withCallbackToken(this.callbackUrl);
+    }
+
+    /**
+     * Check the token a callback arrived with. The callback URLs are public,
+     * so every callback is refused while MPESA_CALLBACK_TOKEN is unset.
+     */
+    isValidCallbackToken(token) {
+        return Boolean(this.callbackToken) && token === this.callbackToken;
+    }
+
+    /**
+     * Send an STK Push prompt to the customer's phone.
+     * Returns { success, data } or { success: false, error, status }.
+     */
+    async stkPush({ phoneNumber, amount, accountReference, description }) {
+        try {
+            const token = await this.getAccessToken();
+            const timestamp = this.timestamp();
+            const phone = this.formatPhoneNumber(phoneNumber);
+
+            const response = await axios.post(
+                `${this.baseUrl}/mpesa/stkpush/v1/processrequest`,
+                {
+                    BusinessShortCode: this.shortCode,
+                    Password: this.password(timestamp),
+                    Timestamp: timestamp,
+                    TransactionType: this.transactionType,
+                    Amount: amount,
+                    PartyA: phone,
+                    PartyB: this.shortCode,
+                    PhoneNumber: phone,
+                    CallBackURL: this.stkCallbackUrl(),
+                    AccountReference: String(accountReference).substring(0, 12),
+                    TransactionDesc: String(description || 'Rent').substring(0, 13)
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: this.timeout
+                }
+            );
+
+            if (String(response.data.ResponseCode) !== '0') {
+                return {
+                    success: false,
+                    error: response.data.ResponseDescription || response.data.CustomerMessage || 'STK Push was not accepted',
+                    data: response.data
+                };
+            }
+
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            console.error('M-Pesa STK Push Error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.errorMessage || error.message,
+                status: error.response?.status
+            };
+        }
+    }
+
+    /**
+     * Register the Paybill's C2B validation and confirmation URLs.
+     * Returns { success, data } or { success: false, error, status }.
+     */
+    async registerC2BUrls() {
+        try {
+            const token = await this.getAccessToken();
+            const response = await axios.post(
+                `${this.baseUrl}/mpesa/c2b/v1/registerurl`,
+                {
+                    ShortCode: this.shortCode,
+                    ResponseType: this.c2bRejectUnmatched ? 'Cancelled' : 'Completed',
+                    ConfirmationURL: this.withCallbackToken(this.c2bConfirmationUrl),
+                    ValidationURL: this.withCallbackToken(this.c2bValidationUrl)
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: this.timeout
+                }
+            );
+
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            console.error('M-Pesa C2B Register Error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.errorMessage || error.message,
+                status: error.response?.status
+            };
+        }
+    }
+
+    /**
+     * Flatten a C2B validation or confirmation body. Returns null if it is
+     * not one.
+     */
+    parseC2BPayload(body) {
+        if (!body || !body.TransID) return null;
+
+        // TransTime comes as a string like 20261019143005
+        const rawTime = String(body.TransTime || '');
+        const transactionDate = rawTime.length >= 8
+            ? `${rawTime.substring(0, 4)}-${rawTime.substring(4, 6)}-${rawTime.substring(6, 8)}`
+            : null;
+
+        return {
+            transId: String(body.TransID),
+            transType: body.TransactionType || null,
+            transactionDate,
+            amount: Number(body.TransAmount),
+            shortCode: body.BusinessShortCode ? String(body.BusinessShortCode) : null,
+            billRefNumber: String(body.BillRefNumber || '').trim(),
+            phoneNumber: body.MSISDN ? String(body.MSISDN) : null,
+            payerName: [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(' ') || null
+        };
+    }
+
+    /**
+     * Flatten an STK callback body. Returns null if it is not one.
+     */
+    parseStkCallback(body) {
+        const callback = body && body.Body && body.Body.stkCallback;
+        if (!callback || !callback.CheckoutRequestID) return null;
+
+        const items = {};
+        ((callback.CallbackMetadata && callback.CallbackMetadata.Item) || []).forEach((item) => {
+            items[item.Name] = item.Value;
+        });
+
+        // TransactionDate comes as a number like 20261019143005
+        const rawDate = items.TransactionDate ? String(items.TransactionDate) : null;
+        const transactionDate = rawDate && rawDate.length >= 8
+            ? `${rawDate.substring(0, 4)}-${rawDate.substring(4, 6)}-${rawDate.substring(6, 8)}`
+            : null;
+
+        return {
+            merchantRequestId: callback.MerchantRequestID,
+            checkoutRequestId: callback.CheckoutRequestID,
+            resultCode: Number(callback.ResultCode),
+            resultDesc: callback.ResultDesc,
+            amount: items.Amount !== undefined ? Number(items.Amount) : null,
+            receiptNumber: items.MpesaReceiptNumber || null,
+            transactionDate,
+            phoneNumber: items.PhoneNumber ? String(items.PhoneNumber) : null
+        };
+    }
+}
+
+// Create a single instance
+const mpesaService = new MpesaService();
+
+module.exports = mpesaService;
+module.exports.MpesaService = MpesaService;
@@ -0,0 +1,90 @@
+const cron = require('node-cron');
+const { currentPeriod, generateInvoices } = require('../utils/invoices');
+const { applyLateFees } = require('../utils/lateFees');
+const { TIMEZONE } = require('../utils/helpers');
+const { checkPlanArrears } = require('../utils/paymentPlans');
+const { checkLeaseExpiry } = require('../utils/leaseRenewals');
+const { runEscalations } = require('../utils/rentEscalations');
+const { activateDueLeases } = require('../utils/leases');
+
+// Scheduled jobs run with full scope, like an admin
+const SYSTEM_USER = { user_id: null, role: 'admin' };
+
+/**
+ * Background jobs, run on the calendar of SCHEDULER_TIMEZONE. Each job is
+ * idempotent, and the daily jobs catch up on a missed day at their next
+ * run. The monthly invoice job does not: it only bills the month it runs
+ * in, so a month it missed is billed with POST /api/invoices/generate.
+ */
+const jobs = [
+  {
+    // Runs first so a lease starting today has its rent escalated and billed
+    name: 'Lease start',
+    schedule: process.env.LEASE_START_CRON || '5 0 * * *',
+    run: async () => {
+      const result = await activateDueLeases(SYSTEM_USER);
+      console.log(`🔑 Leases for ${result.date}: ${result.activated.length} started`);
+    }
+  },
+  {
+    // Runs before the invoices so an increase due on the 1st is billed that month
+    name: 'Rent escalation',
+    schedule: process.env.RENT_ESCALATION_CRON || '15 0 * * *',
+    run: async () => {
+      const result = await runEscalations(SYSTEM_USER);
+      console.log(`📈 Rent escalation for ${result.date}: ${result.noticed.length} notice(s), ${result.applied.length} increase(s)`);
+    }
+  },
+  {
+    name: 'Monthly rent invoices',
+    schedule: process.env.INVOICE_CRON || '30 0 1 * *',
+    run: async () => {
+      const period = currentPeriod();
+      const result = await generateInvoices(SYSTEM_USER, period);
+      console.log(`🧾 Invoices for ${period}: ${result.created.length} created, ${result.skipped.length} skipped`);
+    }
+  },
+  {
+    name: 'Late fees',
+    schedule: process.env.LATE_FEE_CRON || '0 1 * * *',
+    run: async () => {
+      const result = await applyLateFees(SYSTEM_USER);
+      console.log(`⚠️ Late fees for ${result.date}: ${result.applied.length} applied`);
+    }
+  },
+  {
+    name: 'Payment plan arrears',
+    schedule: process.env.PLAN_ARREARS_CRON || '30 1 * * *',
+    run: async () => {
+      const result = await checkPlanArrears(SYSTEM_USER);
+      console.log(`📅 Payment plans for ${result.date}: ${result.checked} checked, ${result.changed.length} changed status`);
+    }
+  },
+  {
+    name: 'Lease expiry',
+    schedule: process.env.LEASE_EXPIRY_CRON || '0 2 * * *',
+    run: async () => {
+      const result = await checkLeaseExpiry(SYSTEM_USER);
+      console.log(`📜 Leases for ${result.date}: ${result.checked} expiring, ${result.notified.length} alert(s) sent`);
+    }
+  }
+];
+
+const startScheduler = () => {
+  jobs.forEach(job => {
+    cron.schedule(job.schedule, async () => {
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`❌ ${job.name} job failed:`, err.message);
+      }
+    }, { timezone: TIMEZONE });
+
+    console.log(`⏰ ${job.name} scheduled (${job.schedule})`);
+  });
+};
+
+module.exports = {
+  SYSTEM_USER,
+  startScheduler
+};
\ No newline at end of file
@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../../server');
 const { cleanDatabase } = require('../testDatabase');
 const pool = require('../../config/db');
+const { authHeaderFor } = require('../testConfig');
 
 describe('Payment API Integration Tests', () => {
   
@@ -9,6 +10,7 @@ describe('Payment API Integration Tests', () => {
   let testPropertyId;
   let testUnitId;
   let testUserId;
+  let auth;
 
   beforeEach(async () => {
     // Create a test user before each test
@@ -29,9 +31,12 @@ describe('Payment API Integration Tests', () => {
       }
     }
 
+    auth = await authHeaderFor(testUserId);
+
     // Create test property
     const propertyRes = await request(app)
       .post('/api/properties')
+      .set('Authorization', auth)
       .send({
         user_id: testUserId,
         property_name: 'Payment Test Property',
@@ -43,6 +48,7 @@ describe('Payment API Integration Tests', () => {
     // Create test unit
     const unitRes = await request(app)
       .post('/api/units')
+      .set('Authorization', auth)
       .send({
         property_id: testPropertyId,
         unit_number: 'B1',
@@ -55,6 +61,7 @@ describe('Payment API Integration Tests', () => {
     const uniqueEmail = `payment.test.${Date.now()}@example.com`;
     const tenantRes = await request(app)
       .post('/api/tenants')
+      .set('Authorization', auth)
       .send({
         unit_id: testUnitId,
         full_name: 'Payment Test Tenant',
@@ -76,6 +83,7 @@ describe('Payment API Integration Tests', () => {
     test('should record a new payment', async () => {
       const response = await request(app)
         .post('/api/payments')
+        .set('Authorization', auth)
         .send({
           tenant_id: testTenantId,
           property_id: testPropertyId,
@@ -93,6 +101,7 @@ describe('Payment API Integration Tests', () => {
     test('should reject payment with missing fields', async () => {
       const response = await request(app)
         .post('/api/payments')
+        .set('Authorization', auth)
         .send({
           tenant_id: testTenantId,
           amount: 25000
@@ -105,7 +114,7 @@ describe('Payment API Integration Tests', () => {
 
   describe('GET /api/payments', () => {
     test('should return all payments', async () => {
-      const response = await request(app).get('/api/payments');
+      const response = await request(app).get('/api/payments').set('Authorization', auth);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -115,7 +124,7 @@ describe('Payment API Integration Tests', () => {
 
   describe('GET /api/payments/tenant/:tenant_id', () => {
     test('should return payments for specific tenant', async () => {
-      const response = await request(app).get(`/api/payments/tenant/${testTenantId}`);
+      const response = await request(app).get(`/api/payments/tenant/${testTenantId}`).set('Authorization', auth);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -126,6 +135,7 @@ describe('Payment API Integration Tests', () => {
     test('should return monthly payments', async () => {
       const response = await request(app)
         .get('/api/payments/monthly')
+        .set('Authorization', auth)
         .query({ month: 12, year: 2024 });
 
       expect(response.status).toBe(200);
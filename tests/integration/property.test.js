@@ -2,9 +2,11 @@ const request = require('supertest');
 const app = require('../../server');
 const { cleanDatabase } = require('../testDatabase');
 const pool = require('../../config/db');
+const { authHeaderFor } = require('../testConfig');
 
 describe('Property API Integration Tests', () => {
   let testUserId;
+  let auth;
 
   beforeEach(async () => {
     // Create a test user before each test
@@ -24,12 +26,15 @@ describe('Property API Integration Tests', () => {
         testUserId = existingUser.rows[0].user_id;
       }
     }
+
+    auth = await authHeaderFor(testUserId);
   });
 
   describe('POST /api/properties', () => {
     test('should create a new property', async () => {
       const response = await request(app)
         .post('/api/properties')
+        .set('Authorization', auth)
         .send({
           user_id: testUserId,
           property_name: 'Jamii Apartments',
@@ -46,6 +51,7 @@ describe('Property API Integration Tests', () => {
     test('should reject property with missing fields', async () => {
       const response = await request(app)
         .post('/api/properties')
+        .set('Authorization', auth)
         .send({
           property_name: 'Incomplete Property'
         });
@@ -57,7 +63,7 @@ describe('Property API Integration Tests', () => {
 
   describe('GET /api/properties', () => {
     test('should return all properties', async () => {
-      const response = await request(app).get('/api/properties');
+      const response = await request(app).get('/api/properties').set('Authorization', auth);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -67,15 +73,39 @@ describe('Property API Integration Tests', () => {
 
   describe('GET /api/properties/:id', () => {
     test('should return a specific property', async () => {
-      const allProperties = await request(app).get('/api/properties');
+      const allProperties = await request(app).get('/api/properties').set('Authorization', auth);
       if (allProperties.body.data.length > 0) {
         const propertyId = allProperties.body.data[0].property_id;
         
-        const response = await request(app).get(`/api/properties/${propertyId}`);
+        const response = await request(app).get(`/api/properties/${propertyId}`).set('Authorization', auth);
         
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
       }
     });
+
+    test("should return 404 for another landlord's property", async () => {
+      const created = await request(app)
+        .post('/api/properties')
+        .set('Authorization', auth)
+        .send({
+          property_name: 'Private Court',
+          location: 'Kilimani, Nairobi',
+          total_units: 4
+        });
+
+      const otherUser = await pool.query(`
+        INSERT INTO users (username, email, password_hash, full_name)
+        VALUES ('otherlandlord', 'other@example.com', '$2a$10$dummyhash', 'Other Landlord')
+        RETURNING user_id
+      `);
+
+      const response = await request(app)
+        .get(`/api/properties/${created.body.data.property_id}`)
+        .set('Authorization', await authHeaderFor(otherUser.rows[0].user_id));
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
   });
 });
\ No newline at end of file
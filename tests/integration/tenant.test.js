@@ -2,9 +2,11 @@ const request = require('supertest');
 const app = require('../../server');
 const { cleanDatabase } = require('../testDatabase');
 const pool = require('../../config/db');
+const { authHeaderFor } = require('../testConfig');
 
 describe('Tenant API Integration Tests', () => {
   let testUserId;
+  let auth;
   
   beforeEach(async () => {
     // Create a test user before each test (since cleanDatabase runs before each test)
@@ -24,6 +26,8 @@ describe('Tenant API Integration Tests', () => {
         testUserId = existingUser.rows[0].user_id;
       }
     }
+
+    auth = await authHeaderFor(testUserId);
   });
 
   describe('POST /api/tenants', () => {
@@ -31,6 +35,7 @@ describe('Tenant API Integration Tests', () => {
       // First create property and unit
       const propertyRes = await request(app)
         .post('/api/properties')
+        .set('Authorization', auth)
         .send({
           user_id: testUserId,
           property_name: 'Test Property',
@@ -41,6 +46,7 @@ describe('Tenant API Integration Tests', () => {
 
       const unitRes = await request(app)
         .post('/api/units')
+        .set('Authorization', auth)
         .send({
           property_id: propertyRes.body.data.property_id,
           unit_number: 'A1',
@@ -52,6 +58,7 @@ describe('Tenant API Integration Tests', () => {
 
       const response = await request(app)
         .post('/api/tenants')
+        .set('Authorization', auth)
         .send({
           unit_id: unitRes.body.data.unit_id,
           full_name: 'John Doe',
@@ -71,6 +78,7 @@ describe('Tenant API Integration Tests', () => {
     test('should reject tenant with invalid phone', async () => {
       const response = await request(app)
         .post('/api/tenants')
+        .set('Authorization', auth)
         .send({
           unit_id: 1,
           full_name: 'Jane Doe',
@@ -87,6 +95,7 @@ describe('Tenant API Integration Tests', () => {
     test('should reject tenant with invalid email', async () => {
       const response = await request(app)
         .post('/api/tenants')
+        .set('Authorization', auth)
         .send({
           unit_id: 1,
           full_name: 'Jane Doe',
@@ -102,6 +111,7 @@ describe('Tenant API Integration Tests', () => {
     test('should reject tenant with missing email', async () => {
       const response = await request(app)
         .post('/api/tenants')
+        .set('Authorization', auth)
         .send({
           unit_id: 1,
           full_name: 'Jane Doe',
@@ -117,6 +127,7 @@ describe('Tenant API Integration Tests', () => {
       // First create property and unit
       const propertyRes = await request(app)
         .post('/api/properties')
+        .set('Authorization', auth)
         .send({
           user_id: testUserId,
           property_name: 'Test Property 2',
@@ -127,6 +138,7 @@ describe('Tenant API Integration Tests', () => {
 
       const unitRes = await request(app)
         .post('/api/units')
+        .set('Authorization', auth)
         .send({
           property_id: propertyRes.body.data.property_id,
           unit_number: 'A2',
@@ -139,6 +151,7 @@ describe('Tenant API Integration Tests', () => {
       // Create first tenant
       await request(app)
         .post('/api/tenants')
+        .set('Authorization', auth)
         .send({
           unit_id: unitRes.body.data.unit_id,
           full_name: 'First Tenant',
@@ -151,6 +164,7 @@ describe('Tenant API Integration Tests', () => {
       // Try to create second tenant with same email
       const response = await request(app)
         .post('/api/tenants')
+        .set('Authorization', auth)
         .send({
           unit_id: unitRes.body.data.unit_id,
           full_name: 'Second Tenant',
@@ -168,7 +182,7 @@ describe('Tenant API Integration Tests', () => {
   // ... rest of the tests remain the same
   describe('GET /api/tenants', () => {
     test('should return all tenants', async () => {
-      const response = await request(app).get('/api/tenants');
+      const response = await request(app).get('/api/tenants').set('Authorization', auth);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -178,7 +192,7 @@ describe('Tenant API Integration Tests', () => {
 
   describe('GET /api/tenants/arrears', () => {
     test('should return tenants with outstanding rent', async () => {
-      const response = await request(app).get('/api/tenants/arrears');
+      const response = await request(app).get('/api/tenants/arrears').set('Authorization', auth);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -188,11 +202,11 @@ describe('Tenant API Integration Tests', () => {
 
   describe('GET /api/tenants/:id', () => {
     test('should return a specific tenant', async () => {
-      const allTenants = await request(app).get('/api/tenants');
+      const allTenants = await request(app).get('/api/tenants').set('Authorization', auth);
       if (allTenants.body.data.length > 0) {
         const tenantId = allTenants.body.data[0].tenant_id;
         
-        const response = await request(app).get(`/api/tenants/${tenantId}`);
+        const response = await request(app).get(`/api/tenants/${tenantId}`).set('Authorization', auth);
         
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
@@ -201,7 +215,7 @@ describe('Tenant API Integration Tests', () => {
     });
 
     test('should return 404 for non-existent tenant', async () => {
-      const response = await request(app).get('/api/tenants/99999');
+      const response = await request(app).get('/api/tenants/99999').set('Authorization', auth);
 
       expect(response.status).toBe(404);
       expect(response.body.success).toBe(false);
@@ -209,7 +223,7 @@ describe('Tenant API Integration Tests', () => {
   });
 describe('PUT /api/tenants/:id', () => {
   test('should update tenant information', async () => {
-    const allTenants = await request(app).get('/api/tenants');
+    const allTenants = await request(app).get('/api/tenants').set('Authorization', auth);
     if (allTenants.body.data.length > 0) {
       const tenantId = allTenants.body.data[0].tenant_id;
       
@@ -218,6 +232,7 @@ describe('PUT /api/tenants/:id', () => {
       
       const response = await request(app)
         .put(`/api/tenants/${tenantId}`)
+        .set('Authorization', auth)
         .send({
           email: uniqueEmail,
           phone: '0722345678'  // Also update phone to verify multiple fields
@@ -231,15 +246,16 @@ describe('PUT /api/tenants/:id', () => {
 });
 
   describe('DELETE /api/tenants/:id', () => {
-    test('should soft delete a tenant', async () => {
-      const allTenants = await request(app).get('/api/tenants');
+    test('should point to the move-out process instead of deleting', async () => {
+      const allTenants = await request(app).get('/api/tenants').set('Authorization', auth);
       if (allTenants.body.data.length > 0) {
         const tenantId = allTenants.body.data[0].tenant_id;
         
-        const response = await request(app).delete(`/api/tenants/${tenantId}`);
+        const response = await request(app).delete(`/api/tenants/${tenantId}`).set('Authorization', auth);
         
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
+        expect(response.status).toBe(409);
+        expect(response.body.success).toBe(false);
+        expect(response.body.error).toMatch(/move-out/);
       }
     });
   });
@@ -0,0 +1,16 @@
+const { createSession } = require('../utils/sessions');
+require('dotenv').config();
+
+/**
+ * Build an Authorization header for a test user.
+ * Routes are scoped to req.user and access tokens must belong to a live
+ * session, so every request carries one backed by a sessions row.
+ */
+const authHeaderFor = async (userId, role = 'landlord') => {
+  const { token } = await createSession({ user_id: userId, role });
+  return `Bearer ${token}`;
+};
+
+module.exports = {
+  authHeaderFor
+};
@@ -0,0 +1,103 @@
+// tests/unit/allocations.test.js
+const { allocate, outstandingFrom, sourceKey } = require('../../utils/allocations');
+
+describe('Payment allocation', () => {
+
+  const entries = [
+    { entry_id: 1, entry_date: '2026-08-01', invoice_id: 1, debit: '10000', credit: '0' },
+    { entry_id: 2, entry_date: '2026-08-10', late_fee_id: 1, debit: '500', credit: '0' },
+    { entry_id: 3, entry_date: '2026-08-15', utility_id: 1, debit: '800', credit: '0' },
+    { entry_id: 4, entry_date: '2026-09-01', invoice_id: 2, debit: '10000', credit: '0' },
+    { entry_id: 5, entry_date: '2026-09-05', payment_id: 1, debit: '0', credit: '10600' }
+  ];
+
+  test('oldest first settles charges in date order', () => {
+    const outstanding = outstandingFrom(allocate(entries, 'oldest_first'));
+    expect(outstanding).toEqual({ 'utility:1': 700, 'invoice:2': 10000 });
+  });
+
+  test('penalties first settles late fees before the oldest rent', () => {
+    const result = allocate(entries, 'penalties_first');
+
+    expect(result.lines[0]).toMatchObject({ payment_id: 1, category: 'penalty', late_fee_id: 1, amount: 500 });
+    expect(outstandingFrom(result)).toEqual({ 'utility:1': 700, 'invoice:2': 10000 });
+  });
+
+  test('utilities first settles bills, then rent, then the rest', () => {
+    const result = allocate(entries, 'utilities_first');
+
+    expect(result.lines.map(line => [line.charge, line.amount])).toEqual([
+      ['utility:1', 800],
+      ['invoice:1', 9800]
+    ]);
+    expect(outstandingFrom(result)).toEqual({ 'invoice:1': 200, 'late_fee:1': 500, 'invoice:2': 10000 });
+  });
+
+  test('overpayments are held as credit and used on later charges', () => {
+    const result = allocate([
+      { entry_id: 1, invoice_id: 1, debit: '10000', credit: '0' },
+      { entry_id: 2, payment_id: 1, debit: '0', credit: '15000' },
+      { entry_id: 3, invoice_id: 2, debit: '10000', credit: '0' }
+    ]);
+
+    expect(result.lines).toEqual([
+      expect.objectContaining({ payment_id: 1, charge: 'invoice:1', amount: 10000 }),
+      expect.objectContaining({ payment_id: 1, charge: 'invoice:2', amount: 5000 })
+    ]);
+    expect(result.credit).toBe(0);
+    expect(outstandingFrom(result)).toEqual({ 'invoice:2': 5000 });
+  });
+
+  test('credit left over is reported as a credit line', () => {
+    const result = allocate([
+      { entry_id: 1, invoice_id: 1, debit: '10000', credit: '0' },
+      { entry_id: 2, payment_id: 1, debit: '0', credit: '12500.50' }
+    ]);
+
+    expect(result.credit).toBe(2500.5);
+    expect(result.lines[1]).toMatchObject({ payment_id: 1, category: 'credit', charge: null, amount: 2500.5 });
+  });
+
+  test('a payment made against a bill goes to that bill first', () => {
+    const result = allocate([
+      { entry_id: 1, invoice_id: 1, debit: '10000', credit: '0' },
+      { entry_id: 2, utility_id: 4, debit: '800', credit: '0' },
+      { entry_id: 3, payment_id: 9, target_utility_id: 4, debit: '0', credit: '800' }
+    ]);
+
+    expect(result.lines).toEqual([
+      expect.objectContaining({ payment_id: 9, utility_id: 4, category: 'utility', amount: 800 })
+    ]);
+  });
+
+  test('voided charges, cancelled payments and paid deposits drop out', () => {
+    const result = allocate([
+      { entry_id: 1, entry_type: 'deposit', debit: '15000', credit: '0' },
+      { entry_id: 2, entry_type: 'deposit', debit: '0', credit: '15000' },
+      { entry_id: 3, invoice_id: 1, debit: '10000', credit: '0' },
+      { entry_id: 4, invoice_id: 1, debit: '0', credit: '10000' },
+      { entry_id: 5, payment_id: 1, debit: '0', credit: '3000' },
+      { entry_id: 6, payment_id: 1, debit: '3000', credit: '0' },
+      { entry_id: 7, invoice_id: 2, debit: '10000', credit: '0' }
+    ]);
+
+    expect(result.lines).toEqual([]);
+    expect(result.charges.map(charge => charge.key)).toEqual(['invoice:2']);
+  });
+
+  test('manual credits are allocated without a payment', () => {
+    const result = allocate([
+      { entry_id: 1, invoice_id: 1, debit: '10000', credit: '0' },
+      { entry_id: 2, entry_type: 'credit', debit: '0', credit: '1000' }
+    ]);
+
+    expect(result.lines[0]).toMatchObject({ payment_id: null, credit_entry_id: 2, invoice_id: 1, amount: 1000 });
+  });
+
+  test('source keys follow the ledger links', () => {
+    expect(sourceKey({ entry_id: 1, utility_id: 3 })).toBe('utility:3');
+    expect(sourceKey({ entry_id: 1, entry_type: 'deposit' })).toBe('deposit');
+    expect(sourceKey({ entry_id: 7, entry_type: 'adjustment' })).toBe('entry:7');
+  });
+
+});
@@ -0,0 +1,31 @@
+// tests/unit/authThrottle.test.js
+const { accountDelay, isLocked } = require('../../utils/authThrottle');
+
+describe('Auth throttling', () => {
+
+  const now = new Date('2026-01-01T12:00:00Z').getTime();
+  const secondsAgo = (s) => new Date(now - s * 1000);
+
+  test('no delay for the first few failures', () => {
+    expect(accountDelay({ failed_login_count: 0 }, now)).toBe(0);
+    expect(accountDelay({ failed_login_count: 2, last_failed_login_at: secondsAgo(0) }, now)).toBe(0);
+  });
+
+  test('delays double with each further failure', () => {
+    expect(accountDelay({ failed_login_count: 3, last_failed_login_at: secondsAgo(0) }, now)).toBe(1);
+    expect(accountDelay({ failed_login_count: 5, last_failed_login_at: secondsAgo(0) }, now)).toBe(4);
+    expect(accountDelay({ failed_login_count: 5, last_failed_login_at: secondsAgo(3) }, now)).toBe(1);
+    expect(accountDelay({ failed_login_count: 5, last_failed_login_at: secondsAgo(4) }, now)).toBe(0);
+  });
+
+  test('delays are capped', () => {
+    expect(accountDelay({ failed_login_count: 20, last_failed_login_at: secondsAgo(0) }, now)).toBe(60);
+  });
+
+  test('isLocked compares against locked_until', () => {
+    expect(isLocked({ locked_until: null }, now)).toBe(false);
+    expect(isLocked({ locked_until: new Date(now + 1000) }, now)).toBe(true);
+    expect(isLocked({ locked_until: secondsAgo(1) }, now)).toBe(false);
+  });
+
+});
@@ -0,0 +1,43 @@
+// tests/unit/deposits.test.js
+const { validateDeductions, calculateSettlement } = require('../../utils/deposits');
+
+describe('Security deposits', () => {
+
+  const damages = { category: 'damages', description: 'Broken window', amount: 3000 };
+
+  test('unpaid rent from the ledger is deducted before the refund', () => {
+    const statement = calculateSettlement({ held: '20000.00', rentBalance: '5000.00', deductions: [damages] });
+
+    expect(statement.items.map(item => item.category)).toEqual(['unpaid_rent', 'damages']);
+    expect(statement).toMatchObject({
+      total_deductions: 8000,
+      deposit_applied: 8000,
+      net_refund: 12000,
+      amount_owed: 0
+    });
+  });
+
+  test('a shortfall is still owed after the whole deposit is applied', () => {
+    const statement = calculateSettlement({ held: 10000, rentBalance: 9000, deductions: [damages] });
+
+    expect(statement).toMatchObject({ deposit_applied: 10000, net_refund: 0, amount_owed: 2000 });
+  });
+
+  test('a credit balance is refunded with the deposit', () => {
+    const statement = calculateSettlement({ held: 10000, rentBalance: '-1500.50', deductions: [] });
+
+    expect(statement.items).toEqual([]);
+    expect(statement).toMatchObject({ rent_credit: 1500.5, deposit_applied: 0, net_refund: 11500.5 });
+  });
+
+  test('deductions are validated', () => {
+    expect(validateDeductions([damages])).toBeNull();
+    expect(validateDeductions([{ category: 'unpaid_rent', amount: 100 }])).toMatch(/taken from the tenant ledger/);
+    expect(validateDeductions([{ category: 'unpaid_rent', amount: 100 }], { allowUnpaidRent: true })).toBeNull();
+    expect(validateDeductions({})).toMatch(/list/);
+    expect(validateDeductions([{ ...damages, category: 'legal' }])).toMatch(/category/);
+    expect(validateDeductions([{ ...damages, amount: 0 }])).toMatch(/amount/);
+    expect(validateDeductions([{ ...damages, description: ' ' }])).toMatch(/description/);
+  });
+
+});
@@ -0,0 +1,99 @@
+// tests/unit/documents.test.js
+const {
+  templateFields,
+  validateTemplate,
+  mergeTemplate,
+  buildMergeFields,
+  parseHtml,
+  renderHtmlPdf
+} = require('../../utils/documents');
+
+describe('Tenant documents', () => {
+
+  const ledger = {
+    from: '2026-09-01',
+    to: '2026-10-19',
+    opening_balance: 2000,
+    total_debits: 15000,
+    total_credits: 12000,
+    closing_balance: 5000,
+    entries: [
+      { entry_date: '2026-10-01', description: 'Rent October 2026', debit: '15000.00', credit: '0.00', running_balance: 17000 },
+      { entry_date: '2026-10-05', description: 'Payment <M-Pesa>', debit: '0.00', credit: '12000.00', running_balance: 5000 }
+    ]
+  };
+
+  const fields = (lease) => buildMergeFields({
+    tenant: { full_name: 'Jane O\'Brien', phone: '0712345678' },
+    unit: { unit_number: 'A4' },
+    property: { property_name: 'Sunrise Court', location: 'Kilimani' },
+    landlord: { full_name: 'John Kamau' },
+    lease,
+    ledger,
+    today: '2026-10-19',
+    dueDate: '2026-11-02'
+  });
+
+  test('templates may only use known merge fields', () => {
+    expect(templateFields('<p>{{tenant.full_name}} {{ unit.unit_number }} {{tenant.full_name}}</p>'))
+      .toEqual(['tenant.full_name', 'unit.unit_number']);
+    expect(validateTemplate({ document_type: 'vacate_notice', name: 'Notice', body_html: '<p>{{balance.amount}}</p>' })).toBeNull();
+    expect(validateTemplate({ body_html: '<p>{{tenant.salary}}</p>' })).toBe('Unknown merge field(s): {{tenant.salary}}');
+    expect(validateTemplate({ document_type: 'eviction' })).toMatch(/document_type must be one of/);
+    expect(validateTemplate({ name: '  ' })).toBe('name is required');
+  });
+
+  test('merged values are escaped, the statement table is not', () => {
+    const html = mergeTemplate('<p>{{tenant.full_name}} owes {{balance.amount}}</p>{{statement.table}}{{tenant.unknown}}', fields(null));
+
+    expect(html).toContain('<p>Jane O&#39;Brien owes KSh 5,000.00</p><table>');
+    expect(html).toContain('<td>Payment &lt;M-Pesa&gt;</td>');
+    expect(html).not.toContain('{{');
+  });
+
+  test('lease fields describe a fixed term or month to month', () => {
+    const lease = { start_date: '2026-01-01', end_date: '2026-12-31', rent_amount: '15000.00', deposit_amount: '30000.00', rent_due_day: 5, notice_period_days: 60 };
+
+    expect(fields(lease)).toMatchObject({
+      'lease.rent_amount': 'KSh 15,000.00',
+      'lease.billing_day': 5,
+      'lease.notice_period_days': 60
+    });
+    expect(fields(lease)['lease.term']).toMatch(/^from .+ to .+$/);
+    expect(fields({ ...lease, end_date: null })['lease.term']).toMatch(/, month to month$/);
+    expect(fields(null)['lease.term']).toBe('');
+  });
+
+  test('HTML is broken into headings, paragraphs, lists, rules and tables', () => {
+    const blocks = parseHtml(`
+      <h2>Notice</h2>
+      <p>Dear <strong>Jane</strong>,<br>please note &amp; act.</p>
+      <p><b>Final demand</b></p>
+      <p>&nbsp;</p>
+      <ol><li>First</li><li>Second</li></ol>
+      <hr>
+      <table><tr><th width="30%">Date</th><th align="right">Amount</th></tr><tr><td>1 Oct</td><td align="right">100</td></tr></table>
+      <script>ignored()</script>
+    `);
+
+    expect(blocks.map(block => block.type)).toEqual(['heading', 'paragraph', 'paragraph', 'paragraph', 'item', 'item', 'rule', 'table']);
+    expect(blocks[0]).toMatchObject({ level: 2, text: 'Notice', bold: true });
+    expect(blocks[1]).toMatchObject({ text: 'Dear Jane,\nplease note & act.', bold: false });
+    expect(blocks[2]).toMatchObject({ text: 'Final demand', bold: true });
+    expect(blocks[3].text).toBe('');
+    expect(blocks[5]).toMatchObject({ marker: '2.', text: 'Second' });
+    expect(blocks[7].rows[0][0]).toMatchObject({ text: 'Date', bold: true, width: 30 });
+    expect(blocks[7].rows[1][1]).toMatchObject({ text: '100', align: 'right' });
+  });
+
+  test('long documents run onto more pages', () => {
+    const short = renderHtmlPdf('<p>One page</p>', { title: 'Notice' }).toString('latin1');
+    const long = renderHtmlPdf('<p>Paragraph of text</p>'.repeat(40)).toString('latin1');
+
+    expect(short.startsWith('%PDF-1.4')).toBe(true);
+    expect(short).toContain('(One page) Tj');
+    expect(short).toContain('/Count 1');
+    expect(long).toContain('/Count 2');
+  });
+
+});
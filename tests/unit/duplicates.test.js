@@ -0,0 +1,71 @@
+// tests/unit/duplicates.test.js
+const { normalizeCode, assertNotDuplicate } = require('../../utils/duplicates');
+
+describe('Duplicate payments', () => {
+
+  // Answers the owner lookup, then hands out the given rows for each search
+  const fakeDb = (...searches) => {
+    const queries = [];
+    return {
+      queries,
+      query: async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes('pg_advisory_xact_lock')) return { rows: [] };
+        if (sql.includes('FROM properties')) return { rows: [{ user_id: 7 }] };
+        return { rows: searches.shift() || [] };
+      }
+    };
+  };
+
+  const payment = {
+    tenant_id: 1,
+    property_id: 2,
+    amount: 10000,
+    payment_date: '2026-09-05',
+    payment_method: 'M-Pesa',
+    mpesa_code: ' sik7xyz123',
+    reference_number: 'KIL-A1'
+  };
+
+  test('codes are compared trimmed and in capitals', () => {
+    expect(normalizeCode(' sik7xyz123 ')).toBe('SIK7XYZ123');
+    expect(normalizeCode('  ')).toBeNull();
+    expect(normalizeCode(null)).toBeNull();
+  });
+
+  test('a recorded M-Pesa code is refused even with the override', async () => {
+    const db = fakeDb([{ payment_id: 4, receipt_number: 'RCT-000004', tenant_name: 'Jane', payment_date_text: '2026-09-01', matched: 'SIK7XYZ123' }]);
+
+    await expect(assertNotDuplicate(payment, { allowDuplicate: true }, db)).rejects.toMatchObject({
+      statusCode: 409,
+      overridable: false,
+      message: 'SIK7XYZ123 is already recorded on payment #4 (RCT-000004) for Jane on 2026-09-01'
+    });
+  });
+
+  test('the account number on an M-Pesa payment is not treated as unique', async () => {
+    const db = fakeDb([], []);
+    await assertNotDuplicate({ ...payment, mpesa_code: null }, {}, db);
+
+    expect(db.queries.some(q => String(q.params).includes('payment-reference'))).toBe(false);
+  });
+
+  test('a bank reference is unique per landlord', async () => {
+    const db = fakeDb([], []);
+    await assertNotDuplicate({ ...payment, payment_method: 'Bank Transfer', mpesa_code: null, reference_number: 'ft2609' }, {}, db);
+
+    expect(db.queries.map(q => q.params && q.params[0])).toContain('payment-reference:7:FT2609');
+  });
+
+  test('a similar payment is a warning the override skips', async () => {
+    const similar = [{ payment_id: 5, tenant_name: 'Jane', payment_date_text: '2026-09-05' }];
+
+    await expect(assertNotDuplicate(payment, {}, fakeDb([], similar))).rejects.toMatchObject({
+      statusCode: 409,
+      overridable: true,
+      duplicates: similar
+    });
+    await expect(assertNotDuplicate(payment, { allowDuplicate: true }, fakeDb([], similar))).resolves.toBeUndefined();
+  });
+
+});
@@ -4,7 +4,12 @@ const {
   formatDate,
   validatePhone,
   normalizePhone,
-  monthsBetween
+  monthsBetween,
+  isValidDate,
+  todayString,
+  dateString,
+  addDays,
+  daysBetween
 } = require('../../utils/helpers');
 
 describe('Helper functions', () => {
@@ -55,4 +60,22 @@ describe('Helper functions', () => {
     expect(monthsBetween('2025-01-01', '2026-01-01')).toBe(12);
   });
 
+  test('date filters must be YYYY-MM-DD', () => {
+    expect(isValidDate('2026-10-01')).toBe(true);
+    expect(isValidDate('2026-10-1')).toBe(false);
+    expect(isValidDate('2026-13-01')).toBe(false);
+    expect(isValidDate('yesterday')).toBe(false);
+  });
+
+  test('date helpers cross month ends', () => {
+    expect(addDays('2026-10-30', 3)).toBe('2026-11-02');
+    expect(daysBetween('2026-10-05', '2026-10-08')).toBe(3);
+    expect(dateString(new Date(2026, 9, 5))).toBe('2026-10-05');
+  });
+
+  test('today is the date in Nairobi', () => {
+    expect(todayString(new Date(Date.UTC(2026, 9, 19, 20, 59)))).toBe('2026-10-19');
+    expect(todayString(new Date(Date.UTC(2026, 9, 19, 21, 0)))).toBe('2026-10-20');
+  });
+
 });
@@ -0,0 +1,24 @@
+// tests/unit/idempotency.test.js
+const { requestFingerprint } = require('../../utils/idempotency');
+
+describe('Idempotency keys', () => {
+
+  const request = {
+    method: 'POST',
+    originalUrl: '/api/payments',
+    body: { tenant_id: 1, amount: 10000, payment_method: 'M-Pesa' }
+  };
+
+  test('the same request gives the same fingerprint whatever the key order', () => {
+    const reordered = { ...request, body: { payment_method: 'M-Pesa', amount: 10000, tenant_id: 1 } };
+    expect(requestFingerprint(reordered)).toBe(requestFingerprint(request));
+  });
+
+  test('a different body or path gives a different fingerprint', () => {
+    const base = requestFingerprint(request);
+
+    expect(requestFingerprint({ ...request, body: { ...request.body, amount: 1000 } })).not.toBe(base);
+    expect(requestFingerprint({ ...request, originalUrl: '/api/payment-plans/3/payments' })).not.toBe(base);
+  });
+
+});
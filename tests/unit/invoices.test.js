@@ -0,0 +1,114 @@
+// tests/unit/invoices.test.js
+const {
+  isValidPeriod,
+  currentPeriod,
+  periodBounds,
+  dueDateFor,
+  invoiceNumberFor,
+  prorateRent,
+  buildInvoiceLines,
+  previewInvoices
+} = require('../../utils/invoices');
+
+describe('Invoice helpers', () => {
+
+  test('periods are YYYY-MM', () => {
+    expect(isValidPeriod('2026-10')).toBe(true);
+    expect(isValidPeriod('2026-13')).toBe(false);
+    expect(isValidPeriod('2026-1')).toBe(false);
+    expect(isValidPeriod(undefined)).toBe(false);
+    expect(currentPeriod(new Date(2026, 0, 15))).toBe('2026-01');
+  });
+
+  test('the current period follows Nairobi time, not the server clock', () => {
+    // 00:30 on 1 November in Nairobi is still 31 October in UTC
+    expect(currentPeriod(new Date(Date.UTC(2026, 9, 31, 21, 30)))).toBe('2026-11');
+    expect(currentPeriod(new Date(Date.UTC(2026, 9, 31, 20, 30)))).toBe('2026-10');
+  });
+
+  test('periodBounds covers the whole month', () => {
+    expect(periodBounds('2026-02')).toEqual({ start: '2026-02-01', end: '2026-02-28', days: 28 });
+    expect(periodBounds('2028-02').end).toBe('2028-02-29');
+    expect(periodBounds('2026-12').end).toBe('2026-12-31');
+  });
+
+  test('due date follows the property due day', () => {
+    expect(dueDateFor('2026-10')).toBe('2026-10-05');
+    expect(dueDateFor('2026-10', 1)).toBe('2026-10-01');
+    expect(dueDateFor('2026-02', 31)).toBe('2026-02-28');
+    expect(dueDateFor('2026-10', null)).toBe('2026-10-05');
+  });
+
+  test('invoice numbers embed the period', () => {
+    expect(invoiceNumberFor('2026-10', 42)).toBe('INV-202610-00042');
+  });
+
+  test('rent line uses the resolved rent amount', () => {
+    const lines = buildInvoiceLines({ unit_number: 'A1', rent_amount: '15000.00' }, '2026-10');
+    expect(lines).toEqual([
+      { line_type: 'rent', description: 'Rent for October 2026 - Unit A1', amount: 15000 }
+    ]);
+  });
+
+  test('a mid-month move-in is charged per day occupied', () => {
+    const lines = buildInvoiceLines(
+      { unit_number: 'A1', rent_amount: '10000.00', move_in_date: '2026-10-15' },
+      '2026-10'
+    );
+
+    expect(lines[0]).toMatchObject({
+      description: 'Rent for October 2026 - Unit A1, 15 Oct - 31 Oct (10000.00 x 17/31 days)',
+      amount: 5483.87,
+      proration_method: 'daily',
+      days_billed: 17,
+      basis_days: 31
+    });
+  });
+
+  test('a move-out includes the move-out day', () => {
+    const { amount, proration } = prorateRent(10000, '2026-02', { moveIn: '2025-06-01', moveOut: '2026-02-14' });
+    expect(amount).toBe(5000);
+    expect(proration).toMatchObject({ billed_from: '2026-02-01', billed_to: '2026-02-14', days_billed: 14, basis_days: 28 });
+  });
+
+  test('the 30-day convention never charges more than a month', () => {
+    expect(prorateRent(9000, '2026-02', { moveIn: '2026-02-15', method: 'thirty_day' }).amount).toBe(4200);
+    expect(prorateRent(9000, '2026-10', { moveIn: '2026-10-02', method: 'thirty_day' }).amount).toBe(9000);
+    expect(prorateRent(9000, '2026-10', { moveIn: '2026-09-20' })).toEqual({ amount: 9000, proration: null });
+  });
+
+  describe('billing from leases', () => {
+    const admin = { user_id: 1, role: 'admin' };
+    const tenant = {
+      tenant_id: 7,
+      tenant_name: 'Jane',
+      unit_id: 3,
+      property_id: 2,
+      unit_number: 'B2',
+      lease_unit_number: 'B2',
+      existing_invoice_id: null
+    };
+    const preview = (rows) => previewInvoices(admin, '2026-10', {}, { query: async () => ({ rows }) });
+
+    test('a lease taking over mid-month bills each part at its own rent', async () => {
+      const [entry] = await preview([
+        { ...tenant, lease_id: 1, rent_amount: '10000.00', move_in_date: '2025-01-01', move_out_date: '2026-10-15', rent_due_day: 5 },
+        { ...tenant, lease_id: 2, rent_amount: '12400.00', move_in_date: '2026-10-16', move_out_date: null, rent_due_day: 10 }
+      ]);
+
+      expect(entry.lines.map(line => [line.billed_from, line.billed_to, line.amount])).toEqual([
+        ['2026-10-01', '2026-10-15', 4838.71],
+        ['2026-10-16', '2026-10-31', 6400]
+      ]);
+      expect(entry.total_amount).toBe(11238.71);
+      expect(entry.due_date).toBe('2026-10-10');
+      expect(entry.status).toBe('new');
+    });
+
+    test('a tenant without a lease is not invoiced', async () => {
+      const [entry] = await preview([{ ...tenant, lease_id: null, rent_amount: null, rent_due_day: 5 }]);
+      expect(entry).toMatchObject({ status: 'no_lease', lines: [], total_amount: 0 });
+    });
+  });
+
+});
@@ -0,0 +1,54 @@
+// tests/unit/lateFees.test.js
+const { validateRule, calculateLateFee } = require('../../utils/lateFees');
+
+describe('Late fees', () => {
+
+  const flat = { grace_days: 3, fee_type: 'flat', fee_value: '500', frequency: 'once', max_fee: null };
+  const invoice = { dueDate: '2026-10-05', outstanding: 10000 };
+
+  test('nothing is charged during the grace period', () => {
+    expect(calculateLateFee(flat, { ...invoice, today: '2026-10-08' })).toBeNull();
+    expect(calculateLateFee(flat, { ...invoice, today: '2026-10-09' })).toEqual({ amount: 500, days: 1 });
+  });
+
+  test('a one-off fee is charged once, even if it was waived', () => {
+    expect(calculateLateFee(flat, { ...invoice, today: '2026-10-20', feeCount: 1 })).toBeNull();
+  });
+
+  test('invoices overdue before the rule took effect are not charged', () => {
+    const rule = { ...flat, effective_from: '2026-10-10' };
+    expect(calculateLateFee(rule, { ...invoice, today: '2026-10-20' })).toBeNull();
+    expect(calculateLateFee({ ...rule, effective_from: '2026-10-09' }, { ...invoice, today: '2026-10-20' }))
+      .toEqual({ amount: 500, days: 1 });
+  });
+
+  test('paid invoices are not charged', () => {
+    expect(calculateLateFee(flat, { ...invoice, today: '2026-10-20', outstanding: 0 })).toBeNull();
+  });
+
+  test('percentage fees apply to the unpaid amount', () => {
+    const rule = { ...flat, fee_type: 'percentage', fee_value: '5' };
+    expect(calculateLateFee(rule, { ...invoice, outstanding: 4000, today: '2026-10-20' })).toEqual({ amount: 200, days: 1 });
+  });
+
+  test('daily fees catch up on missed days and stop at the cap', () => {
+    const rule = { ...flat, frequency: 'daily', fee_value: '100', max_fee: '1000' };
+
+    expect(calculateLateFee(rule, { ...invoice, today: '2026-10-10' })).toEqual({ amount: 200, days: 2 });
+    expect(calculateLateFee(rule, { ...invoice, today: '2026-10-10', lastFeeDate: '2026-10-10' })).toBeNull();
+    expect(calculateLateFee(rule, { ...invoice, today: '2026-10-13', lastFeeDate: '2026-10-10', charged: 200 }))
+      .toEqual({ amount: 300, days: 3 });
+    expect(calculateLateFee(rule, { ...invoice, today: '2026-10-30', lastFeeDate: '2026-10-20', charged: 900 }))
+      .toEqual({ amount: 100, days: 10 });
+    expect(calculateLateFee(rule, { ...invoice, today: '2026-10-31', lastFeeDate: '2026-10-30', charged: 1000 })).toBeNull();
+  });
+
+  test('rules are validated', () => {
+    expect(validateRule({ fee_type: 'flat', fee_value: 500 })).toBeNull();
+    expect(validateRule({ fee_type: 'weekly', fee_value: 500 })).toMatch(/fee_type/);
+    expect(validateRule({ fee_type: 'percentage', fee_value: 150 })).toMatch(/100/);
+    expect(validateRule({ fee_type: 'flat', fee_value: 500, grace_days: -1 })).toMatch(/grace_days/);
+    expect(validateRule({ fee_type: 'flat', fee_value: 500, max_fee: 0 })).toMatch(/max_fee/);
+  });
+
+});
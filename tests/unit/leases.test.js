@@ -0,0 +1,60 @@
+// tests/unit/leases.test.js
+const { validateTerms } = require('../../utils/leases');
+const { expiryWindow, alertDue } = require('../../utils/leaseRenewals');
+
+describe('Lease terms', () => {
+
+  test('a complete set of terms is valid', () => {
+    expect(validateTerms({
+      start_date: '2026-11-01',
+      end_date: '2027-10-31',
+      rent_amount: '15000',
+      deposit_amount: 30000,
+      billing_day: 5,
+      notice_period_days: 30
+    })).toBeNull();
+  });
+
+  test('fields left out are not checked', () => {
+    expect(validateTerms({})).toBeNull();
+    expect(validateTerms({ start_date: '2026-11-01', end_date: '', billing_day: null })).toBeNull();
+  });
+
+  test('a fixed term cannot end before it starts', () => {
+    expect(validateTerms({ start_date: '2026-11-01', end_date: '2026-10-31' }))
+      .toBe('end_date cannot be before start_date');
+    expect(validateTerms({ start_date: '2026-11-01', end_date: '2026-11-01' })).toBeNull();
+    expect(validateTerms({ start_date: '1/11/2026' })).toMatch(/start_date must be a date/);
+  });
+
+  test('amounts and days must be sensible', () => {
+    expect(validateTerms({ rent_amount: -1 })).toBe('rent_amount must be 0 or more');
+    expect(validateTerms({ deposit_amount: 'abc' })).toBe('deposit_amount must be 0 or more');
+    expect(validateTerms({ billing_day: 29 })).toMatch(/billing_day/);
+    expect(validateTerms({ billing_day: 2.5 })).toMatch(/billing_day/);
+    expect(validateTerms({ notice_period_days: -7 })).toMatch(/notice_period_days/);
+    expect(validateTerms({ notice_period_days: 0 })).toBeNull();
+  });
+
+  describe('expiry alerts', () => {
+    test('a lease falls in the tightest window it has reached', () => {
+      expect(expiryWindow(120)).toBeNull();
+      expect(expiryWindow(90)).toBe(90);
+      expect(expiryWindow(61)).toBe(90);
+      expect(expiryWindow(45)).toBe(60);
+      expect(expiryWindow(0)).toBe(30);
+      expect(expiryWindow(-3)).toBe(0);
+    });
+
+    test('each window is alerted once, and a missed one is skipped', () => {
+      expect(alertDue(88, null)).toBe(90);
+      expect(alertDue(75, 90)).toBeNull();
+      expect(alertDue(60, 90)).toBe(60);
+      expect(alertDue(20, 90)).toBe(30);
+      expect(alertDue(20, 30)).toBeNull();
+      expect(alertDue(-1, 30)).toBe(0);
+      expect(alertDue(-40, 0)).toBeNull();
+    });
+  });
+
+});
@@ -0,0 +1,34 @@
+// tests/unit/ledger.test.js
+const { withRunningBalance, outstandingBySource } = require('../../utils/ledger');
+
+describe('Tenant ledger', () => {
+
+  test('running balance adds debits and subtracts credits', () => {
+    const entries = withRunningBalance([
+      { debit: '10000.00', credit: '0.00' },
+      { debit: '0.00', credit: '4000.00' },
+      { debit: '0.00', credit: '6000.10' }
+    ]);
+
+    expect(entries.map(e => e.running_balance)).toEqual([10000, 6000, -0.1]);
+  });
+
+  test('running balance starts from the opening balance', () => {
+    const entries = withRunningBalance([{ debit: '0.30', credit: '0' }], '0.10');
+    expect(entries[0].running_balance).toBe(0.4);
+  });
+
+  test('credits settle the oldest charges first', () => {
+    const outstanding = outstandingBySource([
+      { entry_id: 1, invoice_id: 1, debit: '10000', credit: '0' },
+      { entry_id: 2, invoice_id: 2, debit: '10000', credit: '0' },
+      { entry_id: 3, payment_id: 1, debit: '0', credit: '12000' },
+      { entry_id: 4, invoice_id: 3, debit: '10000', credit: '0' },
+      { entry_id: 5, invoice_id: 3, debit: '0', credit: '10000' },
+      { entry_id: 6, late_fee_id: 1, debit: '500', credit: '0' }
+    ]);
+
+    expect(outstanding).toEqual({ 'invoice:2': 8000, 'late_fee:1': 500 });
+  });
+
+});
@@ -0,0 +1,67 @@
+// tests/unit/moveOuts.test.js
+const {
+  moveOutProgress,
+  validateInspectionItems,
+  validateReadings
+} = require('../../utils/moveOuts');
+
+describe('Move-outs', () => {
+
+  const moveOut = {
+    status: 'in_progress',
+    created_at: '2026-09-15T08:00:00Z',
+    inspected_at: null,
+    meters_read_at: '2026-10-14T09:00:00Z',
+    settled_at: null,
+    completed_at: null
+  };
+
+  test('progress lists every step and the first one still to do', () => {
+    const { steps, next_step } = moveOutProgress(moveOut);
+
+    expect(steps.map(step => [step.step, step.done])).toEqual([
+      ['notice', true],
+      ['inspection', false],
+      ['meter_readings', true],
+      ['settlement', false],
+      ['close', false]
+    ]);
+    expect(steps[2].done_at).toBe('2026-10-14T09:00:00Z');
+    expect(next_step).toBe('inspection');
+  });
+
+  test('a finished or cancelled move-out has no next step', () => {
+    expect(moveOutProgress({ ...moveOut, status: 'cancelled' }).next_step).toBeNull();
+    expect(moveOutProgress({
+      ...moveOut,
+      status: 'completed',
+      inspected_at: '2026-10-14T08:00:00Z',
+      settled_at: '2026-10-15T08:00:00Z',
+      completed_at: '2026-10-15T09:00:00Z'
+    }).steps.every(step => step.done)).toBe(true);
+  });
+
+  test('inspection items are itemised charges other than rent', () => {
+    expect(validateInspectionItems([])).toBeNull();
+    expect(validateInspectionItems([{ category: 'damages', description: 'Broken window', amount: 2000 }])).toBeNull();
+    expect(validateInspectionItems([{ category: 'damages', amount: 2000 }])).toBe('Each deduction needs a description');
+    expect(validateInspectionItems([{ category: 'unpaid_rent', amount: 500 }])).toMatch(/taken from the tenant ledger/);
+    expect(validateInspectionItems('window')).toBe('deductions must be a list');
+  });
+
+  test('final readings name a utility once, with readings and rates of 0 or more', () => {
+    expect(validateReadings([])).toBeNull();
+    expect(validateReadings([
+      { utility_type: 'water', current_reading: 140 },
+      { utility_type: 'electricity', current_reading: '0', previous_reading: 0, rate_per_unit: '25.50' }
+    ])).toBeNull();
+    expect(validateReadings([{ utility_type: 'steam', current_reading: 1 }])).toMatch(/utility_type/);
+    expect(validateReadings([{ utility_type: 'water' }])).toBe('current_reading for water must be 0 or more');
+    expect(validateReadings([{ utility_type: 'water', current_reading: 5, rate_per_unit: -1 }])).toBe('rate_per_unit for water must be 0 or more');
+    expect(validateReadings([
+      { utility_type: 'water', current_reading: 5 },
+      { utility_type: 'water', current_reading: 6 }
+    ])).toBe('water is read more than once');
+  });
+
+});
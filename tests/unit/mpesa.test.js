@@ -0,0 +1,159 @@
+// tests/unit/mpesa.test.js
+const { MpesaService } = require('../../services/mpesaService');
+const { normalizeReference, pickAccountMatch } = require('../../utils/mpesa');
+
+describe('M-Pesa service', () => {
+
+  const mpesa = new MpesaService({
+    MPESA_BASE_URL: 'http://localhost:9090/',
+    MPESA_SHORTCODE: '174379',
+    MPESA_PASSKEY: 'passkey',
+    MPESA_CALLBACK_URL: 'https://example.com/api/mpesa/stk-push/callback',
+    MPESA_CALLBACK_TOKEN: 's3cret'
+  });
+
+  test('base URL is configurable', () => {
+    expect(mpesa.baseUrl).toBe('http://localhost:9090');
+    expect(new MpesaService({}).baseUrl).toBe('https://sandbox.safaricom.co.ke');
+  });
+
+  test('phone numbers are sent in 254 format', () => {
+    expect(mpesa.formatPhoneNumber('0712 345 678')).toBe('254712345678');
+    expect(mpesa.formatPhoneNumber('+254712345678')).toBe('254712345678');
+    expect(mpesa.formatPhoneNumber('712345678')).toBe('254712345678');
+  });
+
+  test('timestamp and password follow the Daraja format', () => {
+    const timestamp = mpesa.timestamp(new Date(Date.UTC(2026, 9, 19, 21, 30, 5)));
+    expect(timestamp).toBe('20261020003005');
+    expect(Buffer.from(mpesa.password(timestamp), 'base64').toString()).toBe('174379passkey20261020003005');
+  });
+
+  test('the callback URL carries the callback token', () => {
+    expect(mpesa.stkCallbackUrl()).toBe('https://example.com/api/mpesa/stk-push/callback?token=s3cret');
+    expect(mpesa.isValidCallbackToken('s3cret')).toBe(true);
+    expect(mpesa.isValidCallbackToken('guess')).toBe(false);
+  });
+
+  test('callbacks are refused when no callback token is set', () => {
+    const open = new MpesaService({
+      MPESA_CONSUMER_KEY: 'key',
+      MPESA_CONSUMER_SECRET: 'secret',
+      MPESA_SHORTCODE: '174379',
+      MPESA_PASSKEY: 'passkey',
+      MPESA_CALLBACK_URL: 'https://example.com/api/mpesa/stk-push/callback'
+    });
+
+    expect(open.isValidCallbackToken(undefined)).toBe(false);
+    expect(open.isValidCallbackToken('')).toBe(false);
+    expect(open.isConfigured()).toBe(false);
+  });
+
+  test('successful callbacks are flattened', () => {
+    const parsed = mpesa.parseStkCallback({
+      Body: {
+        stkCallback: {
+          MerchantRequestID: '29115-34620561-1',
+          CheckoutRequestID: 'ws_CO_191020261430',
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          CallbackMetadata: {
+            Item: [
+              { Name: 'Amount', Value: 10000 },
+              { Name: 'MpesaReceiptNumber', Value: 'TJK7XYZ123' },
+              { Name: 'TransactionDate', Value: 20261019143005 },
+              { Name: 'PhoneNumber', Value: 254712345678 }
+            ]
+          }
+        }
+      }
+    });
+
+    expect(parsed).toMatchObject({
+      checkoutRequestId: 'ws_CO_191020261430',
+      resultCode: 0,
+      amount: 10000,
+      receiptNumber: 'TJK7XYZ123',
+      transactionDate: '2026-10-19',
+      phoneNumber: '254712345678'
+    });
+  });
+
+  test('failed and malformed callbacks', () => {
+    const parsed = mpesa.parseStkCallback({
+      Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 1032, ResultDesc: 'Request cancelled by user' } }
+    });
+
+    expect(parsed).toMatchObject({ resultCode: 1032, amount: null, receiptNumber: null });
+    expect(mpesa.parseStkCallback({})).toBeNull();
+  });
+
+  test('C2B payloads are flattened', () => {
+    const parsed = mpesa.parseC2BPayload({
+      TransactionType: 'Pay Bill',
+      TransID: 'TJK1ABC234',
+      TransTime: '20261019143005',
+      TransAmount: '10000.00',
+      BusinessShortCode: '600638',
+      BillRefNumber: ' kil-a1 ',
+      MSISDN: '254712345678',
+      FirstName: 'Jane',
+      LastName: 'Wanjiru'
+    });
+
+    expect(parsed).toMatchObject({
+      transId: 'TJK1ABC234',
+      transactionDate: '2026-10-19',
+      amount: 10000,
+      billRefNumber: 'kil-a1',
+      payerName: 'Jane Wanjiru'
+    });
+    expect(mpesa.parseC2BPayload({ BillRefNumber: 'A1' })).toBeNull();
+  });
+
+});
+
+describe('Paybill account matching', () => {
+
+  const unit = (unit_id, unit_number, property_id, paybill_prefix, tenant_id) => ({
+    unit_id, unit_number, property_id, paybill_prefix, tenant_id
+  });
+
+  test('account numbers ignore case, spaces and dashes', () => {
+    expect(normalizeReference(' kil-a 1')).toBe('KILA1');
+  });
+
+  test('a prefixed unit number wins over bare unit numbers elsewhere', () => {
+    const match = pickAccountMatch('KIL-A1', [
+      unit(1, 'A1', 10, 'KIL', 100),
+      unit(2, 'A1', 20, null, 200)
+    ]);
+
+    expect(match).toEqual({ tenant: { tenant_id: 100, unit_id: 1, property_id: 10 } });
+    expect(pickAccountMatch('KIL-A1', [unit(1, 'A1', 10, 'KIL', 100), unit(3, 'LA1', 20, 'KI', 300)]).reason)
+      .toMatch(/more than one unit/);
+  });
+
+  test('a bare unit number only matches when it is unambiguous', () => {
+    expect(pickAccountMatch('B2', [unit(4, 'B2', 10, 'KIL', 400)]).tenant.tenant_id).toBe(400);
+    expect(pickAccountMatch('A1', [unit(1, 'A1', 10, 'KIL', 100), unit(2, 'A1', 20, null, 200)]))
+      .toEqual({ reason: 'Account number matches more than one unit', property_id: null });
+  });
+
+  test('a shared Paybill only takes prefixed account numbers', () => {
+    const candidates = [unit(1, 'A1', 10, 'KIL', 100), unit(4, 'B2', 20, null, 400)];
+
+    expect(pickAccountMatch('KIL A1', candidates, { prefixedOnly: true }).tenant.tenant_id).toBe(100);
+    expect(pickAccountMatch('B2', candidates, { prefixedOnly: true }))
+      .toEqual({ reason: 'Account number must start with the property\'s paybill prefix', property_id: null });
+  });
+
+  test('vacant or shared units go to suspense under their property', () => {
+    expect(pickAccountMatch('A1', [unit(1, 'A1', 10, null, null)]))
+      .toEqual({ reason: 'Unit has no active tenant', property_id: 10 });
+    expect(pickAccountMatch('A1', [unit(1, 'A1', 10, null, 100), unit(1, 'A1', 10, null, 101)]).reason)
+      .toMatch(/more than one active tenant/);
+    expect(pickAccountMatch('Z9', [])).toEqual({ reason: 'No unit matches the account number', property_id: null });
+  });
+
+});
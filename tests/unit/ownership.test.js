@@ -0,0 +1,48 @@
+// tests/unit/ownership.test.js
+const { isAdmin, propertyScope, tenantScope } = require('../../utils/ownership');
+
+describe('Ownership scoping', () => {
+
+  test('isAdmin only accepts the admin role', () => {
+    expect(isAdmin({ user_id: 1, role: 'admin' })).toBe(true);
+    expect(isAdmin({ user_id: 2, role: 'landlord' })).toBe(false);
+    expect(isAdmin(null)).toBe(false);
+  });
+
+  test('propertyScope gives admins a global view', () => {
+    const params = [5];
+    expect(propertyScope({ user_id: 1, role: 'admin' }, 'u.property_id', params)).toBe('TRUE');
+    expect(params).toEqual([5]);
+  });
+
+  test('propertyScope limits landlords to their own properties', () => {
+    const params = [5];
+    const clause = propertyScope({ user_id: 7, role: 'landlord' }, 'u.property_id', params);
+
+    expect(clause).toBe('u.property_id IN (SELECT property_id FROM properties WHERE user_id = $2)');
+    expect(params).toEqual([5, 7]);
+  });
+
+  test('propertyScope limits caretakers to their assigned property', () => {
+    const params = [];
+    const clause = propertyScope({ user_id: 9, role: 'caretaker' }, 'p.property_id', params);
+
+    expect(clause).toBe('p.property_id IN (SELECT property_id FROM caretakers WHERE user_id = $1 AND is_active = TRUE)');
+    expect(params).toEqual([9]);
+  });
+
+  test('propertyScope denies unknown roles', () => {
+    const params = [];
+    expect(propertyScope({ user_id: 3, role: 'guest' }, 'p.property_id', params)).toBe('FALSE');
+    expect(params).toEqual([]);
+  });
+
+  test('tenantScope only narrows tenant accounts', () => {
+    const params = [1];
+    expect(tenantScope({ user_id: 7, role: 'landlord' }, 'p.tenant_id', params)).toBe('TRUE');
+    expect(tenantScope({ user_id: 4, role: 'tenant' }, 'p.tenant_id', params))
+      .toBe('p.tenant_id IN (SELECT tenant_id FROM tenants WHERE user_id = $2)');
+    expect(params).toEqual([1, 4]);
+  });
+
+});
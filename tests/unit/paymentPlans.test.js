@@ -0,0 +1,110 @@
+// tests/unit/paymentPlans.test.js
+const {
+  addPeriods,
+  buildSchedule,
+  periodsUntil,
+  spreadPayments,
+  planStanding,
+  nextPlanStatus
+} = require('../../utils/paymentPlans');
+
+describe('Payment plan schedules', () => {
+
+  test('monthly due dates stay on the start day, clamped to month end', () => {
+    expect([1, 2, 3, 4].map(n => addPeriods('2026-01-31', 'monthly', n)))
+      .toEqual(['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+  });
+
+  test('weekly, biweekly and quarterly periods', () => {
+    expect(addPeriods('2026-12-28', 'weekly', 1)).toBe('2027-01-04');
+    expect(addPeriods('2026-09-01', 'biweekly', 2)).toBe('2026-09-29');
+    expect(addPeriods('2026-11-30', 'quarterly', 1)).toBe('2027-02-28');
+  });
+
+  test('the last installment takes what is left', () => {
+    const schedule = buildSchedule({
+      total_amount: 25000,
+      installment_amount: 10000,
+      installment_frequency: 'monthly',
+      start_date: '2026-09-15'
+    });
+
+    expect(schedule).toEqual([
+      { installment_number: 1, due_date: '2026-10-15', amount_due: 10000 },
+      { installment_number: 2, due_date: '2026-11-15', amount_due: 10000 },
+      { installment_number: 3, due_date: '2026-12-15', amount_due: 5000 }
+    ]);
+  });
+
+  test('a restructured plan carries what was paid as its first installment', () => {
+    const schedule = buildSchedule({
+      total_amount: 25000,
+      carried_amount: 12000,
+      installment_amount: 5000,
+      installment_frequency: 'weekly',
+      start_date: '2026-10-19'
+    });
+
+    expect(schedule).toEqual([
+      { installment_number: 1, due_date: '2026-10-19', amount_due: 12000, carried_over: true },
+      { installment_number: 2, due_date: '2026-10-26', amount_due: 5000 },
+      { installment_number: 3, due_date: '2026-11-02', amount_due: 5000 },
+      { installment_number: 4, due_date: '2026-11-09', amount_due: 3000 }
+    ]);
+    expect(spreadPayments(schedule, 12000).map(i => i.status)).toEqual(['paid', 'pending', 'pending', 'pending']);
+  });
+
+  test('periods that fit before an end date', () => {
+    expect(periodsUntil('2026-10-19', 'monthly', '2027-01-19')).toBe(3);
+    expect(periodsUntil('2026-10-19', 'monthly', '2027-01-18')).toBe(2);
+    expect(periodsUntil('2026-10-19', 'weekly', '2026-10-20')).toBe(0);
+  });
+
+  test('payments settle installments oldest first', () => {
+    const installments = [
+      { installment_number: 1, amount_due: '10000.00' },
+      { installment_number: 2, amount_due: '10000.00' },
+      { installment_number: 3, amount_due: '5000.00' }
+    ];
+
+    expect(spreadPayments(installments, '12500.50').map(i => [i.amount_paid, i.status])).toEqual([
+      [10000, 'paid'],
+      [2500.5, 'partial'],
+      [0, 'pending']
+    ]);
+    expect(spreadPayments(installments, 0).every(i => i.status === 'pending')).toBe(true);
+  });
+
+  describe('arrears', () => {
+    const installments = [
+      { installment_number: 1, due_date: '2026-08-15', amount_due: '10000.00' },
+      { installment_number: 2, due_date: '2026-09-15', amount_due: '10000.00' },
+      { installment_number: 3, due_date: '2026-10-15', amount_due: '5000.00' }
+    ];
+    const thresholds = { arrearsDays: 7, defaultDays: 60 };
+
+    test('unpaid installments past their due date are overdue', () => {
+      expect(spreadPayments(installments, 12000, '2026-09-20').map(i => i.status))
+        .toEqual(['paid', 'overdue', 'pending']);
+    });
+
+    test('the oldest unpaid installment decides how far behind a plan is', () => {
+      const standing = (paid, today) => planStanding(spreadPayments(installments, paid, today), { today, ...thresholds });
+
+      expect(standing(10000, '2026-09-22')).toMatchObject({ standing: 'active', daysOverdue: 7 });
+      expect(standing(10000, '2026-09-23')).toMatchObject({ standing: 'in_arrears', daysOverdue: 8 });
+      expect(standing(0, '2026-10-15')).toMatchObject({ standing: 'defaulted', daysOverdue: 61 });
+      expect(standing(25000, '2026-12-01').standing).toBe('completed');
+    });
+
+    test('a defaulted plan stays defaulted until it is paid up', () => {
+      expect(nextPlanStatus('in_arrears', 'active')).toBe('active');
+      expect(nextPlanStatus('defaulted', 'active')).toBe('defaulted');
+      expect(nextPlanStatus('defaulted', 'completed')).toBe('completed');
+      expect(nextPlanStatus('completed', 'in_arrears')).toBe('in_arrears');
+      expect(nextPlanStatus('cancelled', 'defaulted')).toBe('cancelled');
+      expect(nextPlanStatus('restructured', 'completed')).toBe('restructured');
+    });
+  });
+
+});
@@ -0,0 +1,45 @@
+// tests/unit/pdf.test.js
+const { createPdf, textWidth, wrapText } = require('../../utils/pdf');
+
+describe('PDF writer', () => {
+
+  const build = () => createPdf({ title: 'Test' })
+    .text('Hello (world) \\ KSh 1,000.00', 50, 50, { bold: true })
+    .line(50, 70, 545, 70)
+    .addPage()
+    .text('Page two', 50, 50)
+    .toBuffer()
+    .toString('latin1');
+
+  test('writes a PDF with one page object per page', () => {
+    const pdf = build();
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('/Count 2');
+    expect(pdf.match(/\/Type \/Page /g)).toHaveLength(2);
+  });
+
+  test('cross-reference offsets point at their objects', () => {
+    const pdf = build();
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.substring(xref, xref + 4)).toBe('xref');
+
+    const offsets = pdf.substring(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.substring(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(pdf.substring(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  test('escapes brackets and backslashes and replaces characters the fonts lack', () => {
+    const pdf = createPdf().text('A (b) \\ c — ’ ✓', 0, 0).toBuffer().toString('latin1');
+    expect(pdf).toContain('(A \\(b\\) \\\\ c - \' ?) Tj');
+  });
+
+  test('measures and wraps text in Helvetica widths', () => {
+    expect(textWidth('0000', 10)).toBeCloseTo(22.24);
+    expect(wrapText('one two three four', textWidth('three four', 10), 10)).toEqual(['one two', 'three four']);
+    expect(wrapText('first\n\nsecond', 500)).toEqual(['first', '', 'second']);
+  });
+
+});
@@ -0,0 +1,60 @@
+// tests/unit/permissions.test.js
+const { ROLES, PERMISSIONS, hasPermission } = require('../../config/permissions');
+const { requirePermission } = require('../../middleware/auth');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Permission matrix', () => {
+
+  test('only lists known roles', () => {
+    Object.values(PERMISSIONS).forEach(roles => {
+      roles.forEach(role => expect(ROLES).toContain(role));
+    });
+  });
+
+  test('admins may perform every action', () => {
+    Object.keys(PERMISSIONS).forEach(action => {
+      expect(hasPermission('admin', action)).toBe(true);
+    });
+  });
+
+  test('caretakers record expenses but cannot approve them', () => {
+    expect(hasPermission('caretaker', 'expenses:create')).toBe(true);
+    expect(hasPermission('caretaker', 'expenses:approve')).toBe(false);
+    expect(hasPermission('landlord', 'expenses:approve')).toBe(true);
+  });
+
+  test('unknown actions are denied', () => {
+    expect(hasPermission('landlord', 'properties:sell')).toBe(false);
+  });
+
+  test('requirePermission rejects unknown actions at startup', () => {
+    expect(() => requirePermission('properties:sell')).toThrow('Unknown permission');
+  });
+
+  test('requirePermission returns 403 for a role without the permission', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requirePermission('payments:create')({ user: { user_id: 4, role: 'tenant' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('requirePermission calls next for an allowed role', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requirePermission('payments:create')({ user: { user_id: 9, role: 'caretaker' } }, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+});
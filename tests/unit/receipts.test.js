@@ -0,0 +1,54 @@
+// tests/unit/receipts.test.js
+const { formatReceiptNumber, renderReceiptHtml, renderReceiptPdf } = require('../../utils/receipts');
+
+describe('Receipts', () => {
+
+  const receipt = {
+    receipt_number: 'RCT-000042',
+    cancelled: false,
+    payment_id: 7,
+    payment_date: '2026-10-05',
+    amount: 12000,
+    payment_method: 'M-Pesa',
+    reference: 'TJK1ABC234',
+    tenant: { name: 'Jane <Wanjiku>', phone: '0712345678', email: null },
+    unit_number: 'A1',
+    property: { name: 'Kilimani Court', location: 'Nairobi' },
+    landlord: { name: 'Otieno', phone: '0722000000', email: null },
+    balance: -500,
+    allocations: [
+      { category: 'rent', description: 'Rent - INV-202610-00002 (2026-10)', amount: 11500 },
+      { category: 'credit', description: 'Credit carried forward', amount: 500 }
+    ]
+  };
+
+  test('receipt numbers are zero-padded within their prefix', () => {
+    expect(formatReceiptNumber('RCT', 42)).toBe('RCT-000042');
+    expect(formatReceiptNumber('KIL', 1234567)).toBe('KIL-1234567');
+  });
+
+  test('HTML receipt lists what the payment settled and escapes names', () => {
+    const html = renderReceiptHtml(receipt);
+
+    expect(html).toContain('RCT-000042');
+    expect(html).toContain('Jane &lt;Wanjiku&gt;');
+    expect(html).toContain('Rent - INV-202610-00002 (2026-10)');
+    expect(html).toContain('Credit carried forward');
+    expect(html).toContain('Account in credit');
+    expect(html).not.toContain('CANCELLED');
+  });
+
+  test('cancelled payments are marked on the receipt', () => {
+    expect(renderReceiptHtml({ ...receipt, cancelled: true })).toContain('CANCELLED');
+    expect(renderReceiptPdf({ ...receipt, cancelled: true }).toString('latin1')).toContain('(CANCELLED');
+  });
+
+  test('PDF receipt carries the receipt number and total', () => {
+    const pdf = renderReceiptPdf(receipt).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-')).toBe(true);
+    expect(pdf).toContain('(RCT-000042) Tj');
+    expect(pdf).toContain('(Total received) Tj');
+  });
+
+});
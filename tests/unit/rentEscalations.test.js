@@ -0,0 +1,37 @@
+// tests/unit/rentEscalations.test.js
+const {
+  escalatedRent,
+  nextAnniversary,
+  validateEscalation
+} = require('../../utils/rentEscalations');
+
+describe('Rent escalation', () => {
+
+  test('a percentage increase is worked out to the cent', () => {
+    expect(escalatedRent('15000.00', { escalation_type: 'percentage', value: '7.5' })).toBe(16125);
+    expect(escalatedRent(12345.67, { escalation_type: 'percentage', value: 5 })).toBe(12962.95);
+  });
+
+  test('a fixed increase is added as is', () => {
+    expect(escalatedRent('15000.00', { escalation_type: 'fixed', value: '1000.50' })).toBe(16000.5);
+  });
+
+  test('the next anniversary is the first one after today', () => {
+    expect(nextAnniversary('2025-03-15', 12, '2026-10-19')).toBe('2027-03-15');
+    expect(nextAnniversary('2026-03-15', 12, '2026-10-19')).toBe('2027-03-15');
+    expect(nextAnniversary('2025-10-19', 12, '2026-10-19')).toBe('2027-10-19');
+    expect(nextAnniversary('2024-02-29', 6, '2026-10-19')).toBe('2027-02-28');
+  });
+
+  test('schedules are checked before they are saved', () => {
+    expect(validateEscalation({ escalation_type: 'percentage', value: 10, interval_months: 12, notice_days: 30 })).toBeNull();
+    expect(validateEscalation({ escalation_type: 'compound' })).toMatch(/escalation_type/);
+    expect(validateEscalation({ escalation_type: 'fixed', value: 0 })).toBe('value must be greater than 0');
+    expect(validateEscalation({ escalation_type: 'percentage', value: 150 })).toMatch(/cannot be more than 100/);
+    expect(validateEscalation({ escalation_type: 'fixed', value: 150 })).toBeNull();
+    expect(validateEscalation({ interval_months: 0 })).toMatch(/interval_months/);
+    expect(validateEscalation({ notice_days: 1.5 })).toMatch(/notice_days/);
+    expect(validateEscalation({ next_date: '15/03/2027' })).toMatch(/next_date/);
+  });
+
+});
@@ -0,0 +1,51 @@
+// tests/unit/reversals.test.js
+const { changedFields, updateBlockedReason } = require('../../utils/reversals');
+
+describe('Payment changes', () => {
+
+  const payment = {
+    payment_id: 1,
+    amount: '10000.00',
+    payment_date: new Date(2026, 8, 5),
+    payment_month: '2026-09',
+    payment_method: 'M-Pesa',
+    mpesa_code: 'SIK7XYZ123',
+    payment_status: 'completed',
+    notes: null
+  };
+
+  test('only fields that actually change are reported', () => {
+    expect(changedFields(payment, {
+      amount: 10000,
+      payment_date: '2026-09-05',
+      payment_month: '2026-09-01',
+      mpesa_code: 'SIK7XYZ123',
+      notes: 'Paid at the office'
+    })).toEqual({ notes: { from: null, to: 'Paid at the office' } });
+  });
+
+  test('notes and the rent month can change on a completed payment', () => {
+    const changes = changedFields(payment, { notes: 'Late', payment_month: '2026-10' });
+    expect(updateBlockedReason(payment, changes)).toBeNull();
+  });
+
+  test('a completed payment amount cannot be rewritten', () => {
+    const changes = changedFields(payment, { amount: 8000, notes: 'Typo' });
+    expect(updateBlockedReason(payment, changes)).toMatch(/completed payment cannot be changed \(amount\)\. Reverse it/);
+  });
+
+  test('reversed payments are closed to edits', () => {
+    const reversed = { ...payment, payment_status: 'reversed' };
+    expect(updateBlockedReason(reversed, changedFields(reversed, { payment_status: 'completed' })))
+      .toMatch(/reversed payment cannot be changed/);
+  });
+
+  test('pending payments can be edited and completed but not reversed', () => {
+    const pending = { ...payment, payment_status: 'pending' };
+
+    expect(updateBlockedReason(pending, changedFields(pending, { amount: 9000, payment_status: 'completed' }))).toBeNull();
+    expect(updateBlockedReason(pending, changedFields(pending, { payment_status: 'reversed' })))
+      .toMatch(/payment_status can only be set to/);
+  });
+
+});
@@ -0,0 +1,25 @@
+// tests/unit/sessions.test.js
+const jwt = require('jsonwebtoken');
+const { hashToken, generateAccessToken } = require('../../utils/sessions');
+
+describe('Sessions', () => {
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  test('hashToken is a stable SHA-256 hex digest', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).toHaveLength(64);
+    expect(hashToken('abc')).not.toBe(hashToken('abd'));
+  });
+
+  test('access tokens carry the session they belong to', () => {
+    const token = generateAccessToken(7, 'landlord', 42);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    expect(decoded).toMatchObject({ userId: 7, role: 'landlord', sessionId: 42 });
+    expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(15 * 60);
+  });
+
+});
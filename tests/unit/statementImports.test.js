@@ -0,0 +1,97 @@
+// tests/unit/statementImports.test.js
+const {
+  parseCsv,
+  parseStatementDate,
+  parseAmount,
+  extractPhone,
+  parseStatement,
+  suggestMatch
+} = require('../../utils/statementImports');
+
+describe('Statement import', () => {
+
+  const mpesaCsv = [
+    'MPESA STATEMENT',
+    'Customer Name:,SIMAMIA HOMES',
+    '',
+    'Receipt No.,Completion Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Other Party Info,A/C No.',
+    'TJK1ABC234,2026-10-03 09:15:00,"Pay Bill from 2547******78 - JANE WANJIRU Acc. KIL-A1",Completed,"10,000.00",,"10,000.00",254712****78 - JANE WANJIRU,KIL-A1',
+    'TJK1ABC235,2026-10-03 10:00:00,Business Payment to 600000,Completed,,"2,000.00","8,000.00",,',
+    'TJK1ABC236,2026-10-04 11:00:00,Pay Bill from 254722000111 - PETER OTIENO Acc. B7,Failed,"5,000.00",,,,B7'
+  ].join('\r\n');
+
+  const bankCsv = [
+    'Transaction Date,Value Date,Narrative,Reference,Debit,Credit,Running Balance',
+    '05/10/2026,05/10/2026,RTGS FROM PETER OTIENO RENT,FT26278ABC,,"15,000.00","25,000.00"',
+    '06-Oct-2026,06-Oct-2026,LEDGER FEE,CHG001,50.00,,"24,950.00"'
+  ].join('\n');
+
+  test('CSV cells may be quoted and contain commas and quotes', () => {
+    expect(parseCsv('a,"b, c","say ""hi"""\n1,2,3\n')).toEqual([['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+    expect(parseCsv('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('dates are read day first in the usual formats', () => {
+    expect(parseStatementDate('2026-10-03 09:15:00')).toBe('2026-10-03');
+    expect(parseStatementDate('05/10/2026')).toBe('2026-10-05');
+    expect(parseStatementDate('06-Oct-2026')).toBe('2026-10-06');
+    expect(parseStatementDate('6 October 26')).toBe('2026-10-06');
+    expect(parseStatementDate('31/02/2026')).toBeNull();
+    expect(parseStatementDate('Opening balance')).toBeNull();
+  });
+
+  test('amounts drop thousands separators and currency', () => {
+    expect(parseAmount('KES 1,500.00')).toBe(1500);
+    expect(parseAmount('(200.00)')).toBe(-200);
+    expect(parseAmount('')).toBe(0);
+  });
+
+  test('phones may be full or masked', () => {
+    expect(extractPhone('from 0712345678 - JANE')).toEqual({ phone: '254712345678' });
+    expect(extractPhone('Pay Bill from 2547******78 - JANE')).toEqual({ prefix: '2547', suffix: '78' });
+    expect(extractPhone('LEDGER FEE')).toBeNull();
+  });
+
+  test('Safaricom statements keep completed money-in lines only', () => {
+    const statement = parseStatement(mpesaCsv);
+
+    expect(statement.source).toBe('mpesa');
+    expect(statement.ignored).toBe(2);
+    expect(statement.lines).toHaveLength(1);
+    expect(statement.lines[0]).toMatchObject({
+      transaction_date: '2026-10-03',
+      amount: 10000,
+      reference: 'TJK1ABC234',
+      account_reference: 'KIL-A1',
+      payer_name: 'JANE WANJIRU'
+    });
+  });
+
+  test('bank statements use the credit column', () => {
+    const statement = parseStatement(bankCsv);
+
+    expect(statement.source).toBe('bank');
+    expect(statement.lines).toEqual([expect.objectContaining({
+      transaction_date: '2026-10-05',
+      amount: 15000,
+      reference: 'FT26278ABC'
+    })]);
+    expect(parseStatement('name,age\nJane,30')).toBeNull();
+  });
+
+  test('matches prefer the account number, then phone, then name', () => {
+    const tenants = [
+      { tenant_id: 1, full_name: 'Jane Wanjiru', phone: '0712345678', unit_number: 'A1', paybill_prefix: 'KIL' },
+      { tenant_id: 2, full_name: 'Peter Otieno', phone: '0722000111', unit_number: 'B7', paybill_prefix: 'KIL' },
+      { tenant_id: 3, full_name: 'Mary Achieng', phone: '0712000078', unit_number: 'C1', paybill_prefix: null }
+    ];
+
+    expect(suggestMatch({ account_reference: 'kil a1' }, tenants)).toEqual({ tenant_id: 1, match_method: 'reference' });
+    expect(suggestMatch({ phone: { phone: '254722000111' } }, tenants)).toEqual({ tenant_id: 2, match_method: 'phone' });
+    expect(suggestMatch({ phone: { prefix: '2547', suffix: '78' }, payer_name: 'JANE WANJIRU' }, tenants))
+      .toEqual({ tenant_id: 1, match_method: 'name' });
+    expect(suggestMatch({ details: 'RTGS FROM PETER OTIENO RENT' }, tenants)).toEqual({ tenant_id: 2, match_method: 'name' });
+    expect(suggestMatch({ details: 'CASH DEPOSIT' }, tenants)).toBeNull();
+  });
+
+});
@@ -0,0 +1,36 @@
+// tests/unit/twoFactor.test.js
+const {
+  hashOtp,
+  maskPhone,
+  maskEmail,
+  generatePreAuthToken,
+  verifyPreAuthToken
+} = require('../../utils/twoFactor');
+const { generateAccessToken } = require('../../utils/sessions');
+
+describe('Two-factor helpers', () => {
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  test('hashOtp binds the code to its challenge', () => {
+    expect(hashOtp(1, '123456')).toBe(hashOtp(1, '123456'));
+    expect(hashOtp(1, '123456')).not.toBe(hashOtp(2, '123456'));
+  });
+
+  test('destinations are masked', () => {
+    expect(maskPhone('+254712345678')).toBe('+254*****678');
+    expect(maskEmail('jane@example.com')).toBe('j***@example.com');
+    expect(maskPhone(null)).toBeNull();
+  });
+
+  test('pre-auth tokens round-trip and reject access tokens', () => {
+    const preAuth = verifyPreAuthToken(generatePreAuthToken(7, 3));
+    expect(preAuth).toMatchObject({ userId: 7, challengeId: 3, purpose: '2fa' });
+
+    expect(verifyPreAuthToken(generateAccessToken(7, 'landlord', 1))).toBeNull();
+    expect(verifyPreAuthToken('not-a-token')).toBeNull();
+  });
+
+});
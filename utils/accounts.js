@@ -0,0 +1,94 @@
+// accounts.js
+const bcrypt = require('bcryptjs');
+const pool = require('../config/db');
+
+/**
+ * Records that can be given their own login, keyed by the role the login gets
+ */
+const LINKABLE = {
+  caretaker: { table: 'caretakers', idColumn: 'caretaker_id', label: 'Caretaker' },
+  agent: { table: 'agents', idColumn: 'agent_id', label: 'Agent' },
+  tenant: { table: 'tenants', idColumn: 'tenant_id', label: 'Tenant' }
+};
+
+const accountError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Create a user account for a caretaker, agent or tenant row and link it
+ * through the row's user_id. The caller is responsible for checking that
+ * the row is within the requesting user's scope.
+ *
+ * Throws errors carrying a statusCode for the error handler.
+ */
+const createLinkedAccount = async (role, recordId, { username, email, password }) => {
+  const { table, idColumn, label } = LINKABLE[role];
+
+  if (!username || !password) {
+    throw accountError(400, 'Missing required fields: username, password');
+  }
+
+  if (password.length < 8 || !/[A-Z]/.test(password) || !/[a-z]/.test(password) || !/\d/.test(password)) {
+    throw accountError(400, 'Password must be at least 8 characters with an uppercase letter, a lowercase letter and a number');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const record = await client.query(
+      `SELECT full_name, phone, email, user_id FROM ${table} WHERE ${idColumn} = $1 FOR UPDATE`,
+      [recordId]
+    );
+
+    if (record.rows.length === 0) {
+      throw accountError(404, `${label} not found`);
+    }
+
+    const { full_name, phone, user_id } = record.rows[0];
+    const accountEmail = email || record.rows[0].email || null;
+
+    if (user_id) {
+      throw accountError(409, `${label} already has an account`);
+    }
+
+    const exists = await client.query(
+      'SELECT 1 FROM users WHERE username = $1 OR email = $2',
+      [username, accountEmail]
+    );
+
+    if (exists.rows.length > 0) {
+      throw accountError(409, 'Username or email already exists');
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const user = await client.query(`
+      INSERT INTO users (username, email, password_hash, full_name, phone, role)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING user_id, username, email, full_name, phone, role, created_at
+    `, [username, accountEmail, passwordHash, full_name, phone || null, role]);
+
+    await client.query(
+      `UPDATE ${table} SET user_id = $1 WHERE ${idColumn} = $2`,
+      [user.rows[0].user_id, recordId]
+    );
+
+    await client.query('COMMIT');
+    return user.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  createLinkedAccount
+};
@@ -0,0 +1,315 @@
+// allocations.js
+const pool = require('../config/db');
+const { dateString } = require('./helpers');
+
+/**
+ * Payment allocation.
+ * Which charges a payment settled is worked out from the tenant's ledger:
+ * entries are grouped by their source (an invoice, a late fee, a utility
+ * bill, a payment, ...), sources that net to a debit are charges and sources
+ * that net to a credit are money in. Money in is spread over the charges
+ * open at the time in the property's priority order; whatever is left is
+ * held as credit and used on the next charges as they are posted.
+ *
+ * The allocation is rebuilt from the ledger whenever an entry is posted,
+ * so voids, cancellations and edits are always reflected.
+ */
+
+// Categories settled ahead of the rest, in this order; the rest go oldest first
+const ALLOCATION_METHODS = {
+  oldest_first: [],
+  penalties_first: ['penalty'],
+  utilities_first: ['utility', 'rent']
+};
+
+const DEFAULT_METHOD = 'oldest_first';
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+// Sort rank of a charge under an allocation method (lower is settled first)
+const rankFor = (method) => {
+  const priority = ALLOCATION_METHODS[method] || ALLOCATION_METHODS[DEFAULT_METHOD];
+  return (charge) => {
+    const index = priority.indexOf(charge.category);
+    return index === -1 ? priority.length : index;
+  };
+};
+
+const sourceKey = (entry) => {
+  if (entry.invoice_id) return `invoice:${entry.invoice_id}`;
+  if (entry.late_fee_id) return `late_fee:${entry.late_fee_id}`;
+  if (entry.utility_id) return `utility:${entry.utility_id}`;
+  if (entry.payment_id) return `payment:${entry.payment_id}`;
+  // Deposit charged and deposit received net off against each other
+  if (entry.entry_type === 'deposit') return 'deposit';
+  return `entry:${entry.entry_id}`;
+};
+
+const categoryOf = (entry) => {
+  if (entry.invoice_id) return 'rent';
+  if (entry.late_fee_id) return 'penalty';
+  if (entry.utility_id) return 'utility';
+  if (entry.entry_type === 'deposit') return 'deposit';
+  if (entry.contra_account === 'opening_balance') return 'rent';
+  return 'other';
+};
+
+/**
+ * Group entries (sorted oldest first) by source, keeping the first entry's
+ * details and the net amount in cents.
+ */
+const groupSources = (entries) => {
+  const sources = new Map();
+
+  entries.forEach((entry, order) => {
+    const key = sourceKey(entry);
+    let source = sources.get(key);
+
+    if (!source) {
+      source = {
+        key,
+        order,
+        category: categoryOf(entry),
+        date: dateString(entry.entry_date),
+        description: entry.description || null,
+        invoice_id: entry.invoice_id || null,
+        late_fee_id: entry.late_fee_id || null,
+        utility_id: entry.utility_id || null,
+        payment_id: entry.payment_id || null,
+        entry_id: key.startsWith('entry:') ? entry.entry_id : null,
+        // Money meant for a particular bill goes there before anything else
+        target: entry.target_utility_id ? `utility:${entry.target_utility_id}` : null,
+        net: 0
+      };
+      sources.set(key, source);
+    }
+
+    source.net += toCents(entry.debit) - toCents(entry.credit);
+  });
+
+  return [...sources.values()];
+};
+
+/**
+ * Allocate money in to charges. Entries must be sorted oldest first.
+ * Returns the allocation lines (amounts in cents are converted back to
+ * shillings), every charge with what is still outstanding on it, and the
+ * credit left over.
+ */
+const allocate = (entries, method = DEFAULT_METHOD) => {
+  const rank = rankFor(method);
+  const charges = [];
+  const held = [];
+  const lines = [];
+
+  const apply = (fund) => {
+    const open = charges
+      .filter((charge) => charge.remaining > 0)
+      .sort((a, b) => (b.key === fund.target) - (a.key === fund.target) || rank(a) - rank(b) || a.order - b.order);
+
+    for (const charge of open) {
+      if (fund.remaining === 0) break;
+      const amount = Math.min(fund.remaining, charge.remaining);
+      fund.remaining -= amount;
+      charge.remaining -= amount;
+      lines.push({ fund, charge, amount });
+    }
+  };
+
+  for (const source of groupSources(entries)) {
+    if (source.net > 0) {
+      charges.push({ ...source, remaining: source.net });
+      held.forEach(apply);
+    } else if (source.net < 0) {
+      const fund = { ...source, remaining: -source.net };
+      apply(fund);
+      held.push(fund);
+    }
+  }
+
+  const toLine = ({ fund, charge, amount }) => ({
+    payment_id: fund.payment_id,
+    credit_entry_id: fund.payment_id ? null : fund.entry_id,
+    source: fund.key,
+    charge: charge ? charge.key : null,
+    category: charge ? charge.category : 'credit',
+    invoice_id: charge ? charge.invoice_id : null,
+    late_fee_id: charge ? charge.late_fee_id : null,
+    utility_id: charge ? charge.utility_id : null,
+    charge_entry_id: charge ? charge.entry_id : null,
+    amount: amount / 100
+  });
+
+  const credit = held.filter((fund) => fund.remaining > 0);
+
+  return {
+    lines: [
+      ...lines.map(toLine),
+      ...credit.map((fund) => toLine({ fund, charge: null, amount: fund.remaining }))
+    ],
+    charges: charges.map((charge) => ({
+      key: charge.key,
+      category: charge.category,
+      date: charge.date,
+      description: charge.description,
+      amount: charge.net / 100,
+      paid: (charge.net - charge.remaining) / 100,
+      outstanding: charge.remaining / 100
+    })),
+    credit: credit.reduce((total, fund) => total + fund.remaining, 0) / 100
+  };
+};
+
+/**
+ * Unpaid amount of every charge that is not fully settled, keyed by source
+ * ('invoice:12', 'late_fee:3', 'entry:40')
+ */
+const outstandingFrom = (allocation) => {
+  const outstanding = {};
+  for (const charge of allocation.charges) {
+    if (charge.outstanding > 0) outstanding[charge.key] = charge.outstanding;
+  }
+  return outstanding;
+};
+
+const loadAllocation = async (tenantId, db = pool) => {
+  const method = await db.query(`
+    SELECT COALESCE(pr.allocation_method, $2) as allocation_method
+    FROM tenants t
+    LEFT JOIN properties pr ON t.property_id = pr.property_id
+    WHERE t.tenant_id = $1
+  `, [tenantId, DEFAULT_METHOD]);
+
+  const entries = await db.query(`
+    SELECT e.*, p.utility_id as target_utility_id
+    FROM tenant_ledger_entries e
+    LEFT JOIN payments p ON e.payment_id = p.payment_id
+    WHERE e.tenant_id = $1
+    ORDER BY e.entry_date, e.entry_id
+  `, [tenantId]);
+
+  const allocationMethod = method.rows[0] ? method.rows[0].allocation_method : DEFAULT_METHOD;
+  return { method: allocationMethod, ...allocate(entries.rows, allocationMethod) };
+};
+
+/**
+ * Rebuild a tenant's stored allocation lines from the ledger and bring the
+ * paid amounts on their utility bills up to date
+ */
+const reallocateTenant = async (tenantId, db = pool) => {
+  const allocation = await loadAllocation(tenantId, db);
+
+  await db.query('DELETE FROM payment_allocations WHERE tenant_id = $1', [tenantId]);
+
+  for (const line of allocation.lines) {
+    await db.query(`
+      INSERT INTO payment_allocations (
+        tenant_id, payment_id, credit_entry_id, category,
+        invoice_id, late_fee_id, utility_id, charge_entry_id, amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      tenantId,
+      line.payment_id,
+      line.credit_entry_id,
+      line.category,
+      line.invoice_id,
+      line.late_fee_id,
+      line.utility_id,
+      line.charge_entry_id,
+      line.amount
+    ]);
+  }
+
+  const outstanding = outstandingFrom(allocation);
+  const utilities = await db.query(
+    'SELECT utility_id, amount_due, amount_paid, payment_status FROM utilities WHERE tenant_id = $1',
+    [tenantId]
+  );
+
+  for (const utility of utilities.rows) {
+    const due = toCents(utility.amount_due);
+    const paid = Math.max(due - toCents(outstanding[`utility:${utility.utility_id}`]), 0);
+    const status = paid >= due ? 'paid' : paid > 0 ? 'partial' : 'pending';
+
+    if (paid !== toCents(utility.amount_paid) || status !== utility.payment_status) {
+      await db.query(
+        'UPDATE utilities SET amount_paid = $1, payment_status = $2 WHERE utility_id = $3',
+        [paid / 100, status, utility.utility_id]
+      );
+    }
+  }
+
+  return allocation;
+};
+
+/**
+ * Rebuild the allocation for every tenant in a property, e.g. after its
+ * allocation method changes
+ */
+const reallocateProperty = async (propertyId, db = pool) => {
+  const tenants = await db.query('SELECT tenant_id FROM tenants WHERE property_id = $1', [propertyId]);
+  for (const tenant of tenants.rows) {
+    await reallocateTenant(tenant.tenant_id, db);
+  }
+  return tenants.rows.length;
+};
+
+/**
+ * What a payment was put towards, with a label for each charge
+ */
+const getPaymentAllocations = async (paymentId, db = pool) => {
+  const result = await db.query(`
+    SELECT
+      a.*,
+      i.invoice_number,
+      i.billing_period,
+      f.description as late_fee_description,
+      ut.utility_type,
+      to_char(ut.billing_month, 'YYYY-MM') as utility_month,
+      e.description as charge_description
+    FROM payment_allocations a
+    LEFT JOIN invoices i ON a.invoice_id = i.invoice_id
+    LEFT JOIN late_fees f ON a.late_fee_id = f.late_fee_id
+    LEFT JOIN utilities ut ON a.utility_id = ut.utility_id
+    LEFT JOIN tenant_ledger_entries e ON a.charge_entry_id = e.entry_id
+    WHERE a.payment_id = $1
+    ORDER BY a.allocation_id
+  `, [paymentId]);
+
+  return result.rows.map((row) => ({ ...row, amount: Number(row.amount) }));
+};
+
+/**
+ * A tenant's open charges in the order payments will settle them, and the
+ * credit carried forward
+ */
+const getTenantAllocation = async (tenantId, db = pool) => {
+  const allocation = await loadAllocation(tenantId, db);
+  const rank = rankFor(allocation.method);
+
+  const open = allocation.charges
+    .map((charge, order) => ({ ...charge, order }))
+    .filter((charge) => charge.outstanding > 0)
+    .sort((a, b) => rank(a) - rank(b) || a.order - b.order)
+    .map(({ order, ...charge }) => charge);
+
+  return {
+    allocation_method: allocation.method,
+    total_outstanding: open.reduce((total, charge) => total + toCents(charge.outstanding), 0) / 100,
+    credit: allocation.credit,
+    charges: open
+  };
+};
+
+module.exports = {
+  ALLOCATION_METHODS,
+  DEFAULT_METHOD,
+  sourceKey,
+  allocate,
+  outstandingFrom,
+  loadAllocation,
+  reallocateTenant,
+  reallocateProperty,
+  getPaymentAllocations,
+  getTenantAllocation
+};
@@ -0,0 +1,183 @@
+// authThrottle.js
+const pool = require('../config/db');
+const { sendMail } = require('../config/email');
+
+/**
+ * Brute-force protection for the public auth endpoints.
+ *
+ * Per IP: failed attempts are logged in auth_attempts and an address that
+ * exceeds `ipLimit` inside the window is refused until the window moves on.
+ * forgot-password counts every request, since each one sends an email.
+ *
+ * Per account: users.failed_login_count drives a doubling delay between
+ * attempts, then a temporary lock that emails the owner. Wrong two-factor
+ * codes count as failures too, and the count is only cleared once a login
+ * is complete, so a known password does not buy fresh guesses at the code.
+ */
+const POLICIES = {
+  login: { windowMinutes: 15, ipLimit: 30 },
+  two_factor: { windowMinutes: 15, ipLimit: 30 },
+  forgot_password: { windowMinutes: 60, ipLimit: 10, identifierLimit: 3, countAll: true },
+  reset_password: { windowMinutes: 15, ipLimit: 10 }
+};
+
+const ACCOUNT_DELAY_AFTER = 3;
+const ACCOUNT_MAX_DELAY_SECONDS = 60;
+const ACCOUNT_LOCK_AFTER = 8;
+const ACCOUNT_LOCK_MINUTES = 30;
+
+const normalizeIdentifier = (value) => value ? String(value).trim().toLowerCase() : null;
+
+/**
+ * Log an attempt. `succeeded` is null for requests that always count.
+ */
+const recordAttempt = async (action, ip, identifier, succeeded, db = pool) => {
+  await db.query(
+    'INSERT INTO auth_attempts (action, ip_address, identifier, succeeded) VALUES ($1, $2, $3, $4)',
+    [action, ip || null, normalizeIdentifier(identifier), succeeded]
+  );
+};
+
+/**
+ * Seconds until the oldest counted attempt leaves the window, or 0 if the
+ * limit has not been reached.
+ */
+const retryAfterFor = async (action, column, value, limit, db = pool) => {
+  const { windowMinutes, countAll } = POLICIES[action];
+
+  const result = await db.query(`
+    SELECT COUNT(*)::int AS attempts,
+           EXTRACT(EPOCH FROM (MIN(created_at) + make_interval(mins => $3) - NOW()))::int AS retry_after
+    FROM auth_attempts
+    WHERE action = $1 AND ${column} = $2
+      AND created_at > NOW() - make_interval(mins => $3)
+      AND (succeeded = FALSE OR ($4 AND succeeded IS NULL))
+  `, [action, value, windowMinutes, Boolean(countAll)]);
+
+  const { attempts, retry_after } = result.rows[0];
+  return attempts >= limit ? Math.max(retry_after, 1) : 0;
+};
+
+/**
+ * Check the per-IP (and, where the policy has one, per-identifier) limits.
+ * Returns the number of seconds to wait, or 0 when the request may proceed.
+ */
+const checkLimits = async (action, ip, identifier, db = pool) => {
+  const policy = POLICIES[action];
+
+  if (ip) {
+    const wait = await retryAfterFor(action, 'ip_address', ip, policy.ipLimit, db);
+    if (wait) return wait;
+  }
+
+  const normalized = normalizeIdentifier(identifier);
+  if (policy.identifierLimit && normalized) {
+    return retryAfterFor(action, 'identifier', normalized, policy.identifierLimit, db);
+  }
+
+  return 0;
+};
+
+/**
+ * Seconds the account must wait before its next login attempt.
+ * Delays double from 1s once ACCOUNT_DELAY_AFTER failures have piled up.
+ */
+const accountDelay = (user, now = Date.now()) => {
+  const failures = user.failed_login_count || 0;
+  if (failures < ACCOUNT_DELAY_AFTER || !user.last_failed_login_at) return 0;
+
+  const delay = Math.min(2 ** (failures - ACCOUNT_DELAY_AFTER), ACCOUNT_MAX_DELAY_SECONDS);
+  const elapsed = (now - new Date(user.last_failed_login_at).getTime()) / 1000;
+
+  return elapsed >= delay ? 0 : Math.ceil(delay - elapsed);
+};
+
+const isLocked = (user, now = Date.now()) => {
+  return Boolean(user.locked_until && new Date(user.locked_until).getTime() > now);
+};
+
+const sendLockoutEmail = async (user, lockedUntil) => {
+  if (!user.email) return;
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5000';
+
+  try {
+    await sendMail({
+      from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+      to: user.email,
+      subject: 'Account Temporarily Locked - SimamiaKodi',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #dc3545;">Account Temporarily Locked</h2>
+            <p>Hello <strong>${user.full_name || user.username}</strong>,</p>
+            <p>We locked your account after ${ACCOUNT_LOCK_AFTER} failed sign-in attempts.
+               It will unlock automatically at ${lockedUntil.toUTCString()}.</p>
+            <p>If this was not you, someone may be trying to guess your password.
+               <a href="${frontendUrl}/pages/auth/forgot-password.html">Reset your password</a>
+               once the lock expires, or contact support to unlock it sooner.</p>
+          </div>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error('Failed to send lockout email:', err.message);
+  }
+};
+
+/**
+ * Count a wrong password (or two-factor code) against the account, locking it at the limit.
+ * Returns the lock expiry when this failure caused a lock.
+ */
+const recordLoginFailure = async (user, db = pool) => {
+  const lockedUntil = new Date(Date.now() + ACCOUNT_LOCK_MINUTES * 60 * 1000);
+
+  // Counted and locked in one statement, so of several failures at once
+  // only the one reaching the limit locks the account
+  const result = await db.query(`
+    UPDATE users
+    SET failed_login_count = CASE
+          WHEN COALESCE(failed_login_count, 0) + 1 >= $2 THEN 0
+          ELSE COALESCE(failed_login_count, 0) + 1
+        END,
+        locked_until = CASE
+          WHEN COALESCE(failed_login_count, 0) + 1 >= $2 THEN $3
+          ELSE locked_until
+        END,
+        last_failed_login_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1
+    RETURNING COALESCE(locked_until = $3, FALSE) AS locked_now
+  `, [user.user_id, ACCOUNT_LOCK_AFTER, lockedUntil]);
+
+  if (!result.rows[0].locked_now) return null;
+
+  console.warn(`Account ${user.user_id} locked until ${lockedUntil.toISOString()}`);
+  await sendLockoutEmail(user, lockedUntil);
+
+  return lockedUntil;
+};
+
+/**
+ * Clear failure counters and any lock (successful login, reset or admin unlock)
+ */
+const clearLoginFailures = async (userId, db = pool) => {
+  const result = await db.query(`
+    UPDATE users
+    SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE user_id = $1
+    RETURNING user_id
+  `, [userId]);
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  POLICIES,
+  ACCOUNT_LOCK_AFTER,
+  recordAttempt,
+  checkLimits,
+  accountDelay,
+  isLocked,
+  recordLoginFailure,
+  clearLoginFailures
+};
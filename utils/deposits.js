@@ -0,0 +1,473 @@
+// deposits.js
+const pool = require('../config/db');
+const { postEntry, postDeposit, syncPaymentEntries, refreshRentBalance } = require('./ledger');
+const { assertNotDuplicate } = require('./duplicates');
+
+/**
+ * Security deposits.
+ * Each tenancy has a deposit account made of deposit_transactions:
+ * payments in, deductions (deposit money used to settle what the tenant
+ * owes) and refunds out. What is held is payments less deductions and
+ * refunds; tenants.deposit_paid mirrors the total paid in.
+ *
+ * A deduction is recorded as a 'Deposit' payment so it settles the tenant's
+ * ledger like any other payment. Deductions for anything other than rent
+ * (damages, utilities...) first post the matching charge to the ledger.
+ */
+const DEDUCTION_CATEGORIES = ['unpaid_rent', 'damages', 'utilities', 'cleaning', 'other'];
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+const depositError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check a list of itemised deductions. Returns an error message or null.
+ * A settlement takes unpaid rent from the ledger itself, so it can only be
+ * itemised (`allowUnpaidRent`) for a deduction during the tenancy.
+ */
+const validateDeductions = (deductions, { allowUnpaidRent = false } = {}) => {
+  if (!Array.isArray(deductions)) return 'deductions must be a list';
+
+  for (const item of deductions) {
+    if (!item || !DEDUCTION_CATEGORIES.includes(item.category)) {
+      return `Each deduction needs a category: ${DEDUCTION_CATEGORIES.join(', ')}`;
+    }
+    if (item.category === 'unpaid_rent' && !allowUnpaidRent) {
+      return 'Unpaid rent is taken from the tenant ledger; itemise other deductions only';
+    }
+    if (!(Number(item.amount) > 0)) return 'Each deduction amount must be greater than 0';
+    if (item.category !== 'unpaid_rent' && !(item.description && String(item.description).trim())) {
+      return 'Each deduction needs a description';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Work out a move-out settlement.
+ * Unpaid rent comes from the ledger balance; a credit balance is added to
+ * the refund. The deposit covers deductions first; any shortfall is still
+ * owed by the tenant.
+ */
+const calculateSettlement = ({ held, rentBalance, deductions = [] }) => {
+  const balance = toCents(rentBalance);
+
+  const items = [];
+  if (balance > 0) {
+    items.push({ category: 'unpaid_rent', description: 'Unpaid rent and charges', amount: balance / 100 });
+  }
+  deductions.forEach((item) => {
+    items.push({
+      category: item.category,
+      description: String(item.description).trim(),
+      amount: toCents(item.amount) / 100
+    });
+  });
+
+  const heldCents = toCents(held);
+  const credit = Math.max(-balance, 0);
+  const total = items.reduce((sum, item) => sum + toCents(item.amount), 0);
+  const applied = Math.min(heldCents, total);
+
+  return {
+    deposit_held: heldCents / 100,
+    rent_credit: credit / 100,
+    items,
+    total_deductions: total / 100,
+    deposit_applied: applied / 100,
+    net_refund: (heldCents - applied + credit) / 100,
+    amount_owed: (total - applied) / 100
+  };
+};
+
+/**
+ * A tenant's deposit account with its transactions. The deposit required is
+ * the one on their current lease (the one waiting to start before they
+ * move in, their last one once it has ended).
+ */
+const getDepositAccount = async (tenantId, db = pool) => {
+  const tenant = await db.query(`
+    SELECT COALESCE(
+      (SELECT l.deposit_amount FROM leases l
+       WHERE l.tenant_id = t.tenant_id AND l.status NOT IN ('draft', 'cancelled')
+       ORDER BY (l.status = 'active') DESC, l.start_date DESC
+       LIMIT 1),
+      t.deposit_amount
+    ) as deposit_amount
+    FROM tenants t
+    WHERE t.tenant_id = $1
+  `, [tenantId]);
+
+  const transactions = await db.query(`
+    SELECT * FROM deposit_transactions
+    WHERE tenant_id = $1
+    ORDER BY transaction_date, transaction_id
+  `, [tenantId]);
+
+  const totals = { payment: 0, deduction: 0, refund: 0 };
+  transactions.rows.forEach((txn) => {
+    totals[txn.transaction_type] += toCents(txn.amount);
+  });
+
+  const required = toCents(tenant.rows[0] && tenant.rows[0].deposit_amount);
+  const held = totals.payment - totals.deduction - totals.refund;
+
+  return {
+    required: required / 100,
+    paid_in: totals.payment / 100,
+    deducted: totals.deduction / 100,
+    refunded: totals.refund / 100,
+    held: held / 100,
+    shortfall: Math.max(required - held, 0) / 100,
+    transactions: transactions.rows
+  };
+};
+
+const insertTransaction = async (tenant, fields, createdBy, db) => {
+  const result = await db.query(`
+    INSERT INTO deposit_transactions (
+      tenant_id, property_id, transaction_type, amount, category, description,
+      payment_method, reference_number, transaction_date, settlement_id, payment_id, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::date, CURRENT_DATE), $10, $11, $12)
+    RETURNING *
+  `, [
+    tenant.tenant_id,
+    tenant.property_id,
+    fields.type,
+    fields.amount,
+    fields.category || null,
+    fields.description || null,
+    fields.payment_method || null,
+    fields.reference_number || null,
+    fields.date || null,
+    fields.settlementId || null,
+    fields.paymentId || null,
+    createdBy || null
+  ]);
+
+  return result.rows[0];
+};
+
+/**
+ * Record deposit money received (the initial deposit or a top-up)
+ */
+const recordDepositPayment = async (tenant, { amount, payment_method, reference_number, date }, createdBy, db = pool) => {
+  const txn = await insertTransaction(tenant, {
+    type: 'payment',
+    amount,
+    description: 'Deposit received',
+    payment_method,
+    reference_number,
+    date
+  }, createdBy, db);
+
+  await db.query(`
+    UPDATE tenants
+    SET deposit_paid = (
+      SELECT COALESCE(SUM(amount), 0) FROM deposit_transactions
+      WHERE tenant_id = $1 AND transaction_type = 'payment'
+    )
+    WHERE tenant_id = $1
+  `, [tenant.tenant_id]);
+
+  await postDeposit(tenant, { charged: amount, paid: amount, entryDate: date || null, createdBy }, db);
+
+  return txn;
+};
+
+/**
+ * Post the ledger charge behind a non-rent deduction
+ */
+const postDeductionCharge = async (tenant, item, date, createdBy, db) => {
+  if (item.category === 'unpaid_rent') return;
+
+  await postEntry({
+    tenantId: tenant.tenant_id,
+    propertyId: tenant.property_id,
+    entryType: 'charge',
+    contraAccount: item.category,
+    amount: item.amount,
+    description: item.description,
+    entryDate: date || null,
+    createdBy
+  }, db);
+};
+
+/**
+ * Use deposit money to settle what the tenant owes. Creates the 'Deposit'
+ * payment and the matching deduction. Returns both.
+ */
+const payFromDeposit = async (tenant, { amount, category, description, date, settlementId }, createdBy, db) => {
+  // Deposit payments carry no reference, and one can rightly match a rent
+  // payment the same day, so only the reference check applies
+  await assertNotDuplicate({
+    tenant_id: tenant.tenant_id,
+    property_id: tenant.property_id,
+    amount,
+    payment_date: date,
+    payment_method: 'Deposit'
+  }, { allowDuplicate: true }, db);
+
+  const payment = await db.query(`
+    INSERT INTO payments (
+      tenant_id, property_id, unit_id, amount, payment_date, payment_method, payment_status, notes
+    ) VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), 'Deposit', 'completed', $6)
+    RETURNING *
+  `, [tenant.tenant_id, tenant.property_id, tenant.unit_id, amount, date || null, description]);
+
+  await syncPaymentEntries(payment.rows[0], createdBy, db);
+
+  const txn = await insertTransaction(tenant, {
+    type: 'deduction',
+    amount,
+    category,
+    description,
+    date,
+    settlementId,
+    paymentId: payment.rows[0].payment_id
+  }, createdBy, db);
+
+  return { payment: payment.rows[0], transaction: txn };
+};
+
+// Lock the tenant row and read what the deposit account holds
+const lockAccount = async (tenantId, db) => {
+  const tenant = await db.query(`
+    SELECT t.tenant_id, t.unit_id, COALESCE(t.property_id, u.property_id) as property_id,
+           t.move_in_date, t.rent_balance
+    FROM tenants t
+    LEFT JOIN units u ON t.unit_id = u.unit_id
+    WHERE t.tenant_id = $1
+    FOR UPDATE OF t
+  `, [tenantId]);
+
+  const account = await getDepositAccount(tenantId, db);
+  return { tenant: tenant.rows[0], held: account.held };
+};
+
+// Run `work` in a transaction holding the tenant's deposit account, or in
+// the caller's transaction when `db` is given
+const withAccount = async (tenantId, work, db = null) => {
+  if (db) {
+    const { tenant, held } = await lockAccount(tenantId, db);
+    return work(db, tenant, held);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const { tenant, held } = await lockAccount(tenantId, client);
+    const result = await work(client, tenant, held);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deduct from the deposit during the tenancy
+ */
+const deductFromDeposit = (tenantId, { category, description, amount, date }, createdBy) => {
+  return withAccount(tenantId, async (db, tenant, held) => {
+    if (toCents(amount) > toCents(held)) {
+      throw depositError(400, `Deduction exceeds the deposit held (${held})`);
+    }
+
+    const item = {
+      category,
+      description: String(description || '').trim() || 'Unpaid rent',
+      amount: Number(amount)
+    };
+
+    await postDeductionCharge(tenant, item, date, createdBy, db);
+    return payFromDeposit(tenant, { ...item, date }, createdBy, db);
+  });
+};
+
+/**
+ * Pay deposit money back to the tenant
+ */
+const refundDeposit = (tenantId, { amount, payment_method, reference_number, date }, createdBy) => {
+  return withAccount(tenantId, async (db, tenant, held) => {
+    if (toCents(amount) > toCents(held)) {
+      throw depositError(400, `Refund exceeds the deposit held (${held})`);
+    }
+
+    return insertTransaction(tenant, {
+      type: 'refund',
+      amount,
+      description: 'Deposit refunded',
+      payment_method,
+      reference_number,
+      date
+    }, createdBy, db);
+  });
+};
+
+/**
+ * The settlement a set of deductions would produce today, without saving it
+ */
+const previewSettlement = async (tenantId, deductions = []) => {
+  const invalid = validateDeductions(deductions);
+  if (invalid) throw depositError(400, invalid);
+
+  const tenant = await pool.query('SELECT rent_balance FROM tenants WHERE tenant_id = $1', [tenantId]);
+  const account = await getDepositAccount(tenantId);
+
+  return calculateSettlement({ held: account.held, rentBalance: tenant.rows[0].rent_balance, deductions });
+};
+
+/**
+ * Settle the deposit at move-out: post the itemised deductions, apply the
+ * deposit to them, refund the rest and store the statement. A tenancy is
+ * settled once. Pass `db` to settle inside the caller's transaction.
+ */
+const settleDeposit = async (tenantId, { deductions = [], settlement_date, payment_method, reference_number, notes }, createdBy, db = null) => {
+  const invalid = validateDeductions(deductions);
+  if (invalid) throw depositError(400, invalid);
+
+  return withAccount(tenantId, async (db, tenant, held) => {
+    const existing = await db.query(
+      'SELECT settlement_id FROM deposit_settlements WHERE tenant_id = $1',
+      [tenantId]
+    );
+    if (existing.rows.length > 0) {
+      throw depositError(409, 'The deposit for this tenancy has already been settled');
+    }
+
+    const date = settlement_date || null;
+    const statement = calculateSettlement({ held, rentBalance: tenant.rent_balance, deductions });
+
+    const settlement = await db.query(`
+      INSERT INTO deposit_settlements (
+        tenant_id, property_id, settlement_date, deposit_held, rent_credit, total_deductions,
+        deposit_applied, net_refund, amount_owed, refund_method, refund_reference, notes, created_by
+      ) VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      tenant.tenant_id,
+      tenant.property_id,
+      date,
+      statement.deposit_held,
+      statement.rent_credit,
+      statement.total_deductions,
+      statement.deposit_applied,
+      statement.net_refund,
+      statement.amount_owed,
+      statement.net_refund > 0 ? (payment_method || null) : null,
+      statement.net_refund > 0 ? (reference_number || null) : null,
+      notes || null,
+      createdBy || null
+    ]);
+
+    const settlementId = settlement.rows[0].settlement_id;
+
+    for (const item of statement.items) {
+      await db.query(
+        'INSERT INTO deposit_settlement_items (settlement_id, category, description, amount) VALUES ($1, $2, $3, $4)',
+        [settlementId, item.category, item.description, item.amount]
+      );
+      await postDeductionCharge(tenant, item, date, createdBy, db);
+    }
+
+    let payment = null;
+    if (statement.deposit_applied > 0) {
+      ({ payment } = await payFromDeposit(tenant, {
+        amount: statement.deposit_applied,
+        category: 'settlement',
+        description: `Deposit applied at move-out settlement #${settlementId}`,
+        date,
+        settlementId
+      }, createdBy, db));
+    }
+
+    const depositRefund = toCents(statement.deposit_held) - toCents(statement.deposit_applied);
+    if (depositRefund > 0) {
+      await insertTransaction(tenant, {
+        type: 'refund',
+        amount: depositRefund / 100,
+        description: `Refund at move-out settlement #${settlementId}`,
+        payment_method,
+        reference_number,
+        date,
+        settlementId
+      }, createdBy, db);
+    }
+
+    // A credit balance on the ledger is paid out with the refund
+    if (statement.rent_credit > 0) {
+      await postEntry({
+        tenantId: tenant.tenant_id,
+        propertyId: tenant.property_id,
+        entryType: 'adjustment',
+        contraAccount: 'cash',
+        amount: statement.rent_credit,
+        description: `Credit balance refunded at move-out settlement #${settlementId}`,
+        entryDate: date,
+        createdBy
+      }, db);
+      await refreshRentBalance(tenant.tenant_id, db);
+    }
+
+    const saved = await db.query(
+      'UPDATE deposit_settlements SET payment_id = $1 WHERE settlement_id = $2 RETURNING *',
+      [payment ? payment.payment_id : null, settlementId]
+    );
+
+    return { ...saved.rows[0], items: statement.items, payment };
+  }, db);
+};
+
+/**
+ * A stored settlement with its items, laid out as a statement
+ */
+const getSettlementStatement = async (tenantId, db = pool) => {
+  const result = await db.query(`
+    SELECT s.*, t.full_name as tenant_name, t.phone as tenant_phone,
+           u.unit_number, p.property_name, p.location
+    FROM deposit_settlements s
+    JOIN tenants t ON s.tenant_id = t.tenant_id
+    LEFT JOIN units u ON t.unit_id = u.unit_id
+    LEFT JOIN properties p ON s.property_id = p.property_id
+    WHERE s.tenant_id = $1
+  `, [tenantId]);
+
+  if (result.rows.length === 0) return null;
+
+  const settlement = result.rows[0];
+  const items = await db.query(
+    'SELECT category, description, amount FROM deposit_settlement_items WHERE settlement_id = $1 ORDER BY item_id',
+    [settlement.settlement_id]
+  );
+
+  return {
+    ...settlement,
+    items: items.rows,
+    summary: settlement.amount_owed > 0
+      ? `Tenant owes ${settlement.amount_owed} after the deposit of ${settlement.deposit_held} was applied`
+      : `Refund due to tenant: ${settlement.net_refund}`
+  };
+};
+
+module.exports = {
+  DEDUCTION_CATEGORIES,
+  validateDeductions,
+  calculateSettlement,
+  getDepositAccount,
+  recordDepositPayment,
+  deductFromDeposit,
+  refundDeposit,
+  previewSettlement,
+  settleDeposit,
+  getSettlementStatement
+};
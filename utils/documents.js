@@ -0,0 +1,693 @@
+// documents.js
+const pool = require('../config/db');
+const { isAdmin } = require('./ownership');
+const { getLedger } = require('./ledger');
+const { DEFAULT_NOTICE_DAYS } = require('./leases');
+const { formatCurrency, formatDate, isValidDate, todayString, dateString, addDays } = require('./helpers');
+const { createPdf, wrapText, PAGE_HEIGHT } = require('./pdf');
+
+/**
+ * Letters and agreements generated for a tenant from HTML templates.
+ * A template is ordinary HTML with merge fields such as
+ * {{tenant.full_name}} or {{balance.amount}}; the fields are filled in from
+ * the tenant's record, unit, property, lease and ledger, and the result is
+ * laid out as a PDF and kept against the tenant.
+ *
+ * Built-in templates (user_id NULL) are shared by every landlord and cannot
+ * be changed; landlords write their own alongside them.
+ *
+ * The layout understands the HTML a letter needs: headings, paragraphs,
+ * line breaks, lists, rules, tables and bold text. Anything else is shown
+ * as plain text.
+ */
+const DOCUMENT_TYPES = ['lease_agreement', 'vacate_notice', 'demand_letter', 'statement', 'other'];
+const MAX_TEMPLATE_LENGTH = 100000;
+
+// Days from the document date to {{document.due_date}} when none is given
+const DUE_DAYS = { demand_letter: 14 };
+
+const MERGE_FIELDS = {
+  'document.date': 'Date the document is generated',
+  'document.due_date': 'Date to pay or vacate by (the lease notice period from today unless given)',
+  'tenant.full_name': 'Tenant name',
+  'tenant.phone': 'Tenant phone number',
+  'tenant.email': 'Tenant email',
+  'tenant.id_number': 'Tenant ID number',
+  'tenant.move_in_date': 'Move-in date',
+  'unit.unit_number': 'Unit number',
+  'unit.unit_type': 'Unit type',
+  'unit.monthly_rent': 'Current asking rent for the unit',
+  'property.property_name': 'Property name',
+  'property.location': 'Property location',
+  'property.address': 'Property address',
+  'landlord.full_name': 'Landlord name',
+  'landlord.phone': 'Landlord phone number',
+  'landlord.email': 'Landlord email',
+  'lease.start_date': 'Lease start date',
+  'lease.end_date': 'Lease end date (blank for month-to-month)',
+  'lease.term': 'Lease term in words, e.g. "from 1 January 2026 to 31 December 2026"',
+  'lease.rent_amount': 'Monthly rent on the lease',
+  'lease.deposit_amount': 'Deposit on the lease',
+  'lease.billing_day': 'Day of the month rent is due',
+  'lease.notice_period_days': 'Notice period in days',
+  'balance.amount': 'Balance owed (negative when in credit)',
+  'balance.as_of': 'Date the balance is worked out to',
+  'statement.from': 'Start of the statement period',
+  'statement.to': 'End of the statement period',
+  'statement.opening_balance': 'Balance brought forward',
+  'statement.total_debits': 'Charges in the period',
+  'statement.total_credits': 'Payments and credits in the period',
+  'statement.closing_balance': 'Balance at the end of the period',
+  'statement.table': 'Table of ledger entries with a running balance'
+};
+
+// Fields that are already HTML and go in without escaping
+const RAW_FIELDS = ['statement.table'];
+
+const FIELD_PATTERN = /\{\{\s*([a-z_]+\.[a-z_]+)\s*\}\}/g;
+
+const documentError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Merge fields used in a template, each once
+ */
+const templateFields = (html) => [...new Set([...String(html || '').matchAll(FIELD_PATTERN)].map(match => match[1]))];
+
+/**
+ * Check a template from a request body. Returns an error message or null.
+ * Fields that are left out are not checked.
+ */
+const validateTemplate = ({ document_type, name, body_html }) => {
+  if (document_type !== undefined && !DOCUMENT_TYPES.includes(document_type)) {
+    return `document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`;
+  }
+  if (name !== undefined && !String(name || '').trim()) return 'name is required';
+  if (body_html !== undefined) {
+    if (typeof body_html !== 'string' || !body_html.trim()) return 'body_html is required';
+    if (body_html.length > MAX_TEMPLATE_LENGTH) return `body_html cannot be longer than ${MAX_TEMPLATE_LENGTH} characters`;
+
+    const unknown = templateFields(body_html).filter(field => !MERGE_FIELDS[field]);
+    if (unknown.length) return `Unknown merge field(s): ${unknown.map(field => `{{${field}}}`).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Fill in a template's merge fields. Values are escaped; unknown fields
+ * come out blank.
+ */
+const mergeTemplate = (html, values) => String(html || '').replace(FIELD_PATTERN, (match, field) => {
+  if (RAW_FIELDS.includes(field)) return values[field] || '';
+  return escapeHtml(values[field]);
+});
+
+const money = (value) => (value === null || value === undefined ? '' : formatCurrency(value));
+const date = (value) => (value ? formatDate(dateString(value)) : '');
+
+/**
+ * Ledger entries as an HTML table for {{statement.table}}
+ */
+const statementTable = (ledger) => {
+  const cell = (value, attributes = '') => `<td${attributes}>${escapeHtml(value)}</td>`;
+  const amount = (value) => (Number(value) ? money(value) : '');
+
+  const rows = [
+    `<tr>${cell(ledger.from ? date(ledger.from) : '', ' width="18%"')}${cell('Balance brought forward', ' width="34%"')}` +
+      `${cell('')}${cell('')}${cell(money(ledger.opening_balance), ' align="right"')}</tr>`,
+    ...ledger.entries.map(entry => `<tr>${cell(date(entry.entry_date))}${cell(entry.description)}` +
+      `${cell(amount(entry.debit), ' align="right"')}${cell(amount(entry.credit), ' align="right"')}` +
+      `${cell(money(entry.running_balance), ' align="right"')}</tr>`)
+  ];
+
+  return '<table>\n<tr><th width="18%">Date</th><th width="34%">Description</th><th align="right">Charges</th>' +
+    `<th align="right">Payments</th><th align="right">Balance</th></tr>\n${rows.join('\n')}\n</table>`;
+};
+
+/**
+ * Merge field values from the records a document draws on
+ */
+const buildMergeFields = ({ tenant = {}, unit = {}, property = {}, landlord = {}, lease = null, ledger, today, dueDate }) => {
+  const term = lease && (lease.end_date
+    ? `from ${date(lease.start_date)} to ${date(lease.end_date)}`
+    : `from ${date(lease.start_date)}, month to month`);
+
+  return {
+    'document.date': date(today),
+    'document.due_date': date(dueDate),
+    'tenant.full_name': tenant.full_name,
+    'tenant.phone': tenant.phone,
+    'tenant.email': tenant.email,
+    'tenant.id_number': tenant.id_number,
+    'tenant.move_in_date': date(tenant.move_in_date),
+    'unit.unit_number': unit.unit_number,
+    'unit.unit_type': unit.unit_type,
+    'unit.monthly_rent': money(unit.monthly_rent),
+    'property.property_name': property.property_name,
+    'property.location': property.location,
+    'property.address': property.address,
+    'landlord.full_name': landlord.full_name,
+    'landlord.phone': landlord.phone,
+    'landlord.email': landlord.email,
+    'lease.start_date': lease ? date(lease.start_date) : '',
+    'lease.end_date': lease ? date(lease.end_date) : '',
+    'lease.term': term || '',
+    'lease.rent_amount': lease ? money(lease.rent_amount) : '',
+    'lease.deposit_amount': lease ? money(lease.deposit_amount) : '',
+    'lease.billing_day': lease ? lease.rent_due_day : '',
+    'lease.notice_period_days': lease ? lease.notice_period_days : DEFAULT_NOTICE_DAYS,
+    'balance.amount': money(ledger.closing_balance),
+    'balance.as_of': date(ledger.to || today),
+    'statement.from': ledger.from ? date(ledger.from) : 'the start of the tenancy',
+    'statement.to': date(ledger.to || today),
+    'statement.opening_balance': money(ledger.opening_balance),
+    'statement.total_debits': money(ledger.total_debits),
+    'statement.total_credits': money(ledger.total_credits),
+    'statement.closing_balance': money(ledger.closing_balance),
+    'statement.table': statementTable(ledger)
+  };
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : Number(name.substring(1));
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[name.toLowerCase()] || match;
+});
+
+const attribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`${name}\\s*=\\s*["']?([^"'\\s>]+)`, 'i'));
+  return match ? match[1].toLowerCase() : null;
+};
+
+const HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 3, h5: 3, h6: 3 };
+const BLOCKS = ['p', 'div', 'blockquote', 'li', ...Object.keys(HEADINGS)];
+const SKIPPED = ['script', 'style', 'head', 'title'];
+
+/**
+ * Break HTML into the blocks the PDF layout draws: headings, paragraphs,
+ * list items, rules and tables. A block is bold when bold text covers all
+ * of it.
+ */
+const parseHtml = (html) => {
+  const blocks = [];
+  const lists = [];
+  let current = null;
+  let table = null;
+  let row = null;
+  let cell = null;
+  let bold = 0;
+  let skipping = 0;
+
+  const finish = (parts) => {
+    const raw = parts.map(part => part.text).join('');
+    const text = raw.split('\n').map(line => line.replace(/ +/g, ' ').trim()).join('\n').replace(/\u00a0/g, ' ');
+    const visible = parts.filter(part => part.text.trim());
+    return {
+      text: text.trim() || (raw.includes('\u00a0') || raw.includes('\n') ? ' ' : ''),
+      bold: visible.length > 0 && visible.every(part => part.bold)
+    };
+  };
+
+  const flush = () => {
+    if (!current) return;
+    const { text, bold: allBold } = finish(current.parts);
+    if (text) blocks.push({ ...current.block, text: text.trim(), bold: allBold || current.block.type === 'heading' });
+    current = null;
+  };
+
+  const start = (block) => {
+    flush();
+    current = { block, parts: [] };
+  };
+
+  const append = (text) => {
+    if (cell) {
+      cell.parts.push({ text, bold: bold > 0 || cell.header });
+      return;
+    }
+    if (!current) start({ type: 'paragraph' });
+    current.parts.push({ text, bold: bold > 0 });
+  };
+
+  const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(String(html || ''))) !== null) {
+    const [, closing, rawTag, attributes = '', text] = match;
+
+    if (text !== undefined) {
+      if (!skipping) append(decodeEntities(text.replace(/[ \t\r\n\f]+/g, ' ')));
+      continue;
+    }
+    if (!rawTag) continue;
+
+    const tag = rawTag.toLowerCase();
+
+    if (SKIPPED.includes(tag)) {
+      skipping = Math.max(0, skipping + (closing ? -1 : 1));
+      continue;
+    }
+    if (skipping) continue;
+
+    if (closing) {
+      if (BLOCKS.includes(tag)) flush();
+      else if (tag === 'ul' || tag === 'ol') {
+        flush();
+        lists.pop();
+      } else if ((tag === 'td' || tag === 'th') && cell && row) {
+        row.push({ ...finish(cell.parts), align: cell.align, width: cell.width });
+        cell = null;
+      } else if (tag === 'tr' && row && table) {
+        if (row.length) table.rows.push(row);
+        row = null;
+      } else if (tag === 'table' && table) {
+        if (table.rows.length) blocks.push(table);
+        table = null;
+      } else if (tag === 'strong' || tag === 'b') {
+        bold = Math.max(0, bold - 1);
+      }
+      continue;
+    }
+
+    if (HEADINGS[tag]) start({ type: 'heading', level: HEADINGS[tag] });
+    else if (tag === 'li') {
+      const list = lists[lists.length - 1];
+      const marker = list && list.ordered ? `${++list.count}.` : '-';
+      start({ type: 'item', marker, depth: Math.max(lists.length, 1) });
+    } else if (BLOCKS.includes(tag)) start({ type: 'paragraph' });
+    else if (tag === 'br') append('\n');
+    else if (tag === 'hr') {
+      flush();
+      blocks.push({ type: 'rule' });
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      lists.push({ ordered: tag === 'ol', count: 0 });
+    } else if (tag === 'table') {
+      flush();
+      table = { type: 'table', rows: [] };
+    } else if (tag === 'tr' && table) {
+      row = [];
+    } else if ((tag === 'td' || tag === 'th') && row) {
+      const width = attribute(attributes, 'width');
+      cell = {
+        parts: [],
+        header: tag === 'th',
+        align: attribute(attributes, 'align') === 'right' ? 'right' : 'left',
+        width: width && width.endsWith('%') ? Number(width.slice(0, -1)) : null
+      };
+    } else if (tag === 'strong' || tag === 'b') {
+      bold += 1;
+    }
+  }
+
+  flush();
+  if (table && table.rows.length) blocks.push(table);
+
+  return blocks;
+};
+
+const HEADING_SIZES = { 1: 18, 2: 14, 3: 12 };
+const BODY_SIZE = 10;
+const CELL_SIZE = 9;
+const CELL_PADDING = 4;
+
+/**
+ * Lay HTML out on A4 pages and return the PDF
+ */
+const renderHtmlPdf = (html, { title = null } = {}) => {
+  const doc = createPdf({ title });
+  const left = doc.margin;
+  const right = doc.width - doc.margin;
+  const bottom = PAGE_HEIGHT - doc.margin;
+  let y = doc.margin;
+
+  const room = (height) => {
+    if (y + height > bottom && y > doc.margin) {
+      doc.addPage();
+      y = doc.margin;
+    }
+  };
+
+  const write = (text, x, { size = BODY_SIZE, bold = false, width = right - x } = {}) => {
+    const leading = size * 1.4;
+    for (const line of wrapText(text, width, size)) {
+      room(leading);
+      if (line) doc.text(line, x, y, { size, bold });
+      y += leading;
+    }
+  };
+
+  const drawTable = ({ rows }) => {
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const set = rows[0].slice(0, columns).map(cell => cell.width || 0);
+    const fixed = set.reduce((total, width) => total + width, 0);
+    const open = columns - set.filter(Boolean).length;
+    const share = open ? Math.max(100 - fixed, 0) / open : 0;
+    const widths = Array.from({ length: columns }, (_, index) => ((set[index] || share) / 100) * (right - left));
+
+    for (const cells of rows) {
+      const wrapped = cells.map((cell, index) => wrapText(cell.text.trim(), widths[index] - CELL_PADDING * 2, CELL_SIZE));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * CELL_SIZE * 1.3 + CELL_PADDING * 2;
+      room(height);
+
+      if (cells.every(cell => cell.bold)) doc.rect(left, y, right - left, height);
+
+      let x = left;
+      cells.forEach((cell, index) => {
+        let top = y + CELL_PADDING;
+        for (const line of wrapped[index]) {
+          if (cell.align === 'right') doc.text(line, x + widths[index] - CELL_PADDING, top, { size: CELL_SIZE, bold: cell.bold, align: 'right' });
+          else doc.text(line, x + CELL_PADDING, top, { size: CELL_SIZE, bold: cell.bold });
+          top += CELL_SIZE * 1.3;
+        }
+        x += widths[index];
+      });
+
+      y += height;
+      doc.line(left, y, right, y);
+    }
+  };
+
+  for (const block of parseHtml(html)) {
+    if (block.type === 'heading') {
+      const size = HEADING_SIZES[block.level];
+      if (y > doc.margin) y += size * 0.6;
+      room(size * 2.5);
+      write(block.text, left, { size, bold: true });
+      y += 4;
+    } else if (block.type === 'item') {
+      const x = left + (block.depth - 1) * 15;
+      room(BODY_SIZE * 1.4);
+      doc.text(block.marker, x, y, { bold: block.bold });
+      write(block.text, x + 18, { bold: block.bold });
+      y += 3;
+    } else if (block.type === 'rule') {
+      room(12);
+      y += 4;
+      doc.line(left, y, right, y);
+      y += 8;
+    } else if (block.type === 'table') {
+      drawTable(block);
+      y += 10;
+    } else {
+      write(block.text, left, { bold: block.bold });
+      y += 6;
+    }
+  }
+
+  return doc.toBuffer();
+};
+
+const slug = (value) => String(value || 'document').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'document';
+
+// Landlords see the built-in templates and their own
+const templateScope = (user, params) => {
+  if (isAdmin(user)) return 'TRUE';
+  params.push(user.user_id);
+  return `(dt.user_id IS NULL OR dt.user_id = $${params.length})`;
+};
+
+const TEMPLATE_SELECT = `
+  SELECT dt.*, (dt.user_id IS NULL) as is_builtin
+  FROM document_templates dt
+`;
+
+/**
+ * Templates the user can use, built-in ones first
+ */
+const listTemplates = async (user, { document_type, active } = {}, db = pool) => {
+  const params = [];
+  const conditions = [templateScope(user, params)];
+
+  if (document_type) {
+    params.push(document_type);
+    conditions.push(`dt.document_type = $${params.length}`);
+  }
+  if (active !== undefined) {
+    params.push(active);
+    conditions.push(`dt.is_active = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${TEMPLATE_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY (dt.user_id IS NULL) DESC, dt.document_type, dt.name
+  `, params);
+
+  return result.rows;
+};
+
+const getTemplate = async (user, templateId, db = pool) => {
+  const params = [templateId];
+  const scope = templateScope(user, params);
+
+  const result = await db.query(`
+    ${TEMPLATE_SELECT}
+    WHERE dt.template_id = $1 AND ${scope}
+  `, params);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Save a new template for the user
+ */
+const createTemplate = async (user, body = {}, createdBy = null) => {
+  const { document_type = 'other', name, body_html } = body;
+
+  const invalid = validateTemplate({ document_type, name: name || '', body_html: body_html || '' });
+  if (invalid) throw documentError(400, invalid);
+
+  const result = await pool.query(`
+    INSERT INTO document_templates (user_id, document_type, name, body_html, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *, FALSE as is_builtin
+  `, [user.user_id, document_type, String(name).trim(), body_html, createdBy]);
+
+  return result.rows[0];
+};
+
+// Fetch a template the user may change, or null when it is not theirs to see
+const findOwnTemplate = async (user, templateId) => {
+  const template = await getTemplate(user, templateId);
+  if (template && template.is_builtin) {
+    throw documentError(403, 'Built-in templates cannot be changed; save a copy as your own template');
+  }
+  return template;
+};
+
+/**
+ * Change a template's type, name, body or whether it is offered
+ */
+const updateTemplate = async (user, templateId, body = {}) => {
+  const { document_type, name, body_html, is_active } = body;
+
+  const invalid = validateTemplate({ document_type, name, body_html });
+  if (invalid) throw documentError(400, invalid);
+
+  const template = await findOwnTemplate(user, templateId);
+  if (!template) return null;
+
+  const result = await pool.query(`
+    UPDATE document_templates
+    SET document_type = COALESCE($2, document_type),
+        name = COALESCE($3, name),
+        body_html = COALESCE($4, body_html),
+        is_active = COALESCE($5, is_active)
+    WHERE template_id = $1
+    RETURNING *, FALSE as is_builtin
+  `, [
+    template.template_id,
+    document_type || null,
+    name === undefined ? null : String(name).trim(),
+    body_html === undefined ? null : body_html,
+    is_active === undefined ? null : Boolean(is_active)
+  ]);
+
+  return result.rows[0];
+};
+
+/**
+ * Delete one of the user's templates. Documents already generated from it
+ * are kept.
+ */
+const deleteTemplate = async (user, templateId) => {
+  const template = await findOwnTemplate(user, templateId);
+  if (!template) return false;
+
+  await pool.query('DELETE FROM document_templates WHERE template_id = $1', [template.template_id]);
+  return true;
+};
+
+/**
+ * Everything a document about the tenant can draw on. The lease is the one
+ * asked for, else the active lease, else the newest draft or past lease.
+ */
+const loadDocumentData = async (tenantId, { lease_id = null, from = null, to = null } = {}, db = pool) => {
+  const records = await db.query(`
+    SELECT
+      row_to_json(t) as tenant,
+      row_to_json(u) as unit,
+      row_to_json(pr) as property,
+      json_build_object('full_name', lu.full_name, 'phone', lu.phone, 'email', lu.email) as landlord
+    FROM tenants t
+    LEFT JOIN units u ON t.unit_id = u.unit_id
+    LEFT JOIN properties pr ON pr.property_id = COALESCE(t.property_id, u.property_id)
+    LEFT JOIN users lu ON pr.user_id = lu.user_id
+    WHERE t.tenant_id = $1
+  `, [tenantId]);
+
+  const lease = await db.query(`
+    SELECT l.*, COALESCE(l.billing_day, pr.rent_due_day) as rent_due_day
+    FROM leases l
+    LEFT JOIN properties pr ON l.property_id = pr.property_id
+    WHERE l.tenant_id = $1 AND ($2::int IS NULL OR l.lease_id = $2::int)
+    ORDER BY (l.status = 'active') DESC, (l.status = 'pending') DESC, (l.status = 'draft') DESC,
+      l.start_date DESC, l.lease_id DESC
+    LIMIT 1
+  `, [tenantId, lease_id]);
+
+  if (lease_id && lease.rows.length === 0) {
+    throw documentError(404, 'Lease not found for this tenant');
+  }
+
+  const ledger = await getLedger(tenantId, { from, to }, db);
+  const { tenant, unit, property, landlord } = records.rows[0];
+
+  return {
+    tenant,
+    unit: unit || {},
+    property: property || {},
+    landlord,
+    lease: lease.rows[0] || null,
+    ledger
+  };
+};
+
+/**
+ * Fill in a template for a tenant, lay it out as a PDF and keep it against
+ * the tenant. `tenant` comes from findAccessibleTenant.
+ *
+ * Options: lease_id (which lease to quote), from and to (the statement
+ * period; the balance is worked out to `to`), due_date.
+ */
+const generateDocument = async (user, tenant, options = {}, createdBy = null) => {
+  const { template_id, lease_id, from, to, due_date, title } = options;
+  const today = todayString();
+
+  if (!template_id) throw documentError(400, 'template_id is required');
+  if (lease_id && !Number.isInteger(Number(lease_id))) throw documentError(400, 'lease_id must be a lease number');
+  for (const [field, value] of Object.entries({ from, to, due_date })) {
+    if (value && !isValidDate(value)) throw documentError(400, `${field} must be a date in YYYY-MM-DD format`);
+  }
+  if (from && to && from > to) throw documentError(400, 'from cannot be after to');
+
+  const template = await getTemplate(user, template_id);
+  if (!template || !template.is_active) throw documentError(404, 'Template not found');
+
+  const data = await loadDocumentData(tenant.tenant_id, { lease_id: lease_id || null, from: from || null, to: to || today });
+  const noticeDays = data.lease ? data.lease.notice_period_days : DEFAULT_NOTICE_DAYS;
+  const dueDate = due_date || addDays(today, DUE_DAYS[template.document_type] || noticeDays);
+
+  const html = mergeTemplate(template.body_html, buildMergeFields({ ...data, today, dueDate }));
+  const documentTitle = String(title || '').trim() || `${template.name} - ${data.tenant.full_name}`;
+  const pdf = renderHtmlPdf(html, { title: documentTitle });
+  const fileName = `${slug(template.name)}-${slug(data.tenant.full_name)}-${today}.pdf`;
+
+  const result = await pool.query(`
+    INSERT INTO tenant_documents (
+      tenant_id, property_id, lease_id, template_id, document_type,
+      title, file_name, body_html, pdf_data, file_size, created_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING document_id, tenant_id, property_id, lease_id, template_id, document_type,
+              title, file_name, file_size, created_by, created_at
+  `, [
+    tenant.tenant_id,
+    tenant.property_id,
+    data.lease ? data.lease.lease_id : null,
+    template.template_id,
+    template.document_type,
+    documentTitle,
+    fileName,
+    html,
+    pdf,
+    pdf.length,
+    createdBy
+  ]);
+
+  return result.rows[0];
+};
+
+/**
+ * Documents generated for a tenant, newest first (without their content)
+ */
+const listDocuments = async (tenantId, { document_type } = {}, db = pool) => {
+  const params = [tenantId];
+  let typeFilter = '';
+
+  if (document_type) {
+    params.push(document_type);
+    typeFilter = `AND d.document_type = $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT
+      d.document_id, d.tenant_id, d.property_id, d.lease_id, d.template_id, d.document_type,
+      d.title, d.file_name, d.file_size, d.created_by, d.created_at,
+      dt.name as template_name,
+      u.full_name as created_by_name
+    FROM tenant_documents d
+    LEFT JOIN document_templates dt ON d.template_id = dt.template_id
+    LEFT JOIN users u ON d.created_by = u.user_id
+    WHERE d.tenant_id = $1 ${typeFilter}
+    ORDER BY d.created_at DESC, d.document_id DESC
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * One of a tenant's documents with its PDF, or null
+ */
+const getDocument = async (tenantId, documentId, db = pool) => {
+  const result = await db.query(
+    'SELECT * FROM tenant_documents WHERE tenant_id = $1 AND document_id = $2',
+    [tenantId, documentId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MERGE_FIELDS,
+  templateFields,
+  validateTemplate,
+  mergeTemplate,
+  statementTable,
+  buildMergeFields,
+  parseHtml,
+  renderHtmlPdf,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  generateDocument,
+  listDocuments,
+  getDocument
+};
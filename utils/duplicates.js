@@ -0,0 +1,134 @@
+// duplicates.js
+const pool = require('../config/db');
+
+/**
+ * Duplicate payment detection.
+ * An M-Pesa code, or the reference of a bank, cash or cheque payment, can
+ * only be on one live payment per landlord: entering it again is refused
+ * outright. Reversed, cancelled and failed payments do not count, so a
+ * payment recorded against the wrong tenant can be reversed and entered
+ * again.
+ *
+ * A payment that looks like one just recorded (same tenant and amount,
+ * entered within a few minutes or dated the same day) is only a warning and
+ * can be recorded anyway with an explicit override.
+ *
+ * Checks take transaction-level advisory locks on the references and the
+ * tenant, so two requests racing each other cannot both pass.
+ */
+const SIMILAR_WINDOW_MINUTES = 10;
+
+// Payments that no longer count as money received
+const DEAD_STATUSES = ['cancelled', 'reversed', 'failed'];
+
+// ' sik7xyz123 ' -> 'SIK7XYZ123'
+const normalizeCode = (value) => {
+  const code = String(value === null || value === undefined ? '' : value).trim().toUpperCase();
+  return code || null;
+};
+
+const duplicateError = (message, duplicates, overridable) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  error.duplicates = duplicates;
+  error.overridable = overridable;
+  return error;
+};
+
+const describePayment = (payment) => {
+  const label = payment.receipt_number ? `payment #${payment.payment_id} (${payment.receipt_number})` : `payment #${payment.payment_id}`;
+  return `${label} for ${payment.tenant_name || 'another tenant'} on ${String(payment.payment_date_text)}`;
+};
+
+// On M-Pesa payments reference_number is the account number the tenant typed, which repeats
+const referenceApplies = (payment) => payment.payment_method !== 'M-Pesa';
+
+/**
+ * Live payments of the property's landlord already carrying the payment's
+ * M-Pesa code, or its reference for payments other than M-Pesa
+ */
+const findReferenceConflicts = async (payment, { excludePaymentId = null } = {}, db = pool) => {
+  const code = normalizeCode(payment.mpesa_code);
+  const reference = referenceApplies(payment) ? normalizeCode(payment.reference_number) : null;
+  if ((!code && !reference) || !payment.property_id) return [];
+
+  const owner = await db.query('SELECT user_id FROM properties WHERE property_id = $1', [payment.property_id]);
+  const ownerId = owner.rows[0] ? owner.rows[0].user_id : null;
+
+  // Held until the transaction ends, always in this order so lockers cannot deadlock
+  if (code) await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payment-code:${ownerId}:${code}`]);
+  if (reference) await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payment-reference:${ownerId}:${reference}`]);
+
+  const result = await db.query(`
+    SELECT p.payment_id, p.receipt_number, p.mpesa_code, p.reference_number, p.amount,
+           to_char(p.payment_date, 'YYYY-MM-DD') as payment_date_text, t.full_name as tenant_name,
+           CASE WHEN UPPER(TRIM(p.mpesa_code)) = $2 THEN $2 ELSE $3 END as matched
+    FROM payments p
+    JOIN properties pr ON p.property_id = pr.property_id
+    LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
+    WHERE pr.user_id IS NOT DISTINCT FROM $1
+      AND (
+        UPPER(TRIM(p.mpesa_code)) = $2
+        OR (p.payment_method IS DISTINCT FROM 'M-Pesa' AND UPPER(TRIM(p.reference_number)) = $3)
+      )
+      AND p.payment_status <> ALL($4)
+      AND p.payment_id IS DISTINCT FROM $5
+    ORDER BY p.payment_id
+  `, [ownerId, code, reference, DEAD_STATUSES, excludePaymentId]);
+
+  return result.rows;
+};
+
+/**
+ * Live payments for the same tenant and amount entered in the last few
+ * minutes or dated the same day
+ */
+const findSimilarPayments = async ({ tenant_id, amount, payment_date }, db = pool) => {
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payment-tenant:${tenant_id}`]);
+
+  const result = await db.query(`
+    SELECT p.payment_id, p.receipt_number, p.amount, p.payment_method, p.mpesa_code, p.reference_number,
+           to_char(p.payment_date, 'YYYY-MM-DD') as payment_date_text, p.created_at, t.full_name as tenant_name
+    FROM payments p
+    LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
+    WHERE p.tenant_id = $1
+      AND p.amount = $2
+      AND p.payment_status <> ALL($3)
+      AND (p.created_at > NOW() - make_interval(mins => $4) OR p.payment_date = COALESCE($5::date, CURRENT_DATE))
+    ORDER BY p.created_at DESC
+  `, [tenant_id, amount, DEAD_STATUSES, SIMILAR_WINDOW_MINUTES, payment_date || null]);
+
+  return result.rows;
+};
+
+/**
+ * Refuse a payment whose reference is already recorded, and unless
+ * `allowDuplicate` is set, one that looks like a payment just recorded.
+ * Must run inside the transaction that inserts the payment.
+ */
+const assertNotDuplicate = async (payment, { allowDuplicate = false, excludePaymentId = null } = {}, db = pool) => {
+  const conflicts = await findReferenceConflicts(payment, { excludePaymentId }, db);
+
+  if (conflicts.length > 0) {
+    throw duplicateError(`${conflicts[0].matched} is already recorded on ${describePayment(conflicts[0])}`, conflicts, false);
+  }
+
+  if (allowDuplicate || !payment.tenant_id) return;
+
+  const similar = await findSimilarPayments(payment, db);
+  if (similar.length > 0) {
+    throw duplicateError(
+      `Possible duplicate of ${describePayment(similar[0])}. Send allow_duplicate: true to record it anyway`,
+      similar,
+      true
+    );
+  }
+};
+
+module.exports = {
+  SIMILAR_WINDOW_MINUTES,
+  normalizeCode,
+  findReferenceConflicts,
+  findSimilarPayments,
+  assertNotDuplicate
+};
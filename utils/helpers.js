@@ -71,11 +71,68 @@ const monthsBetween = (startDate, endDate) => {
   return (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
 };
 
+/**
+ * Dates are passed around as 'YYYY-MM-DD' strings
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Jobs and "today" follow the calendar where the properties are, not the server's
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Africa/Nairobi';
+
+const calendar = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * The date in TIMEZONE as 'YYYY-MM-DD'
+ */
+const todayString = (date = new Date()) => {
+  const parts = {};
+  calendar.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// DATE columns come back from pg as local-midnight Dates
+const dateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+const toUtc = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const addDays = (value, days) => {
+  const date = new Date(toUtc(value) + days * DAY_MS);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+const daysBetween = (from, to) => Math.round((toUtc(to) - toUtc(from)) / DAY_MS);
+
 module.exports = {
   formatCurrency,
   formatDate,
   validatePhone,
   normalizePhone,
   validateIdNumber,
-  monthsBetween
+  monthsBetween,
+  TIMEZONE,
+  isValidDate,
+  todayString,
+  dateString,
+  addDays,
+  daysBetween
 };
@@ -0,0 +1,83 @@
+// idempotency.js
+const crypto = require('crypto');
+const pool = require('../config/db');
+
+/**
+ * Idempotency keys for POSTs that record money.
+ * A client that sends an Idempotency-Key header can safely retry: the first
+ * request claims the key, and once it succeeds its response is stored and
+ * replayed for any retry with the same key and body for KEY_TTL_HOURS.
+ * Failed requests release the key so the client can fix the request and
+ * send it again. Keys are per user.
+ */
+const KEY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so key order in the body does not matter
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * What a key is bound to: the method, path and body of the request
+ */
+const requestFingerprint = ({ method, originalUrl, body }) => crypto
+  .createHash('sha256')
+  .update(`${method} ${originalUrl}\n${canonicalJson(body || {})}`)
+  .digest('hex');
+
+/**
+ * Claim a key for a request. Returns null when the key is new (the caller
+ * goes ahead), otherwise the stored row of the earlier request.
+ */
+const claimKey = async (userId, key, fingerprint, db = pool) => {
+  await db.query(`
+    DELETE FROM idempotency_keys
+    WHERE user_id = $1 AND idempotency_key = $2 AND created_at < NOW() - make_interval(hours => $3)
+  `, [userId, key, KEY_TTL_HOURS]);
+
+  const claimed = await db.query(`
+    INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, idempotency_key) DO NOTHING
+    RETURNING idempotency_key
+  `, [userId, key, fingerprint]);
+
+  if (claimed.rows.length > 0) return null;
+
+  const existing = await db.query(
+    'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, key]
+  );
+
+  // Expired and removed by another request in between: treat as still running
+  return existing.rows[0] || { request_hash: fingerprint, status_code: null };
+};
+
+const completeKey = async (userId, key, statusCode, body, db = pool) => {
+  await db.query(`
+    UPDATE idempotency_keys
+    SET status_code = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+    WHERE user_id = $3 AND idempotency_key = $4
+  `, [statusCode, JSON.stringify(body), userId, key]);
+};
+
+const releaseKey = async (userId, key, db = pool) => {
+  await db.query(
+    'DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND status_code IS NULL',
+    [userId, key]
+  );
+};
+
+module.exports = {
+  KEY_TTL_HOURS,
+  MAX_KEY_LENGTH,
+  requestFingerprint,
+  claimKey,
+  completeKey,
+  releaseKey
+};
@@ -0,0 +1,401 @@
+// invoices.js
+const pool = require('../config/db');
+const { propertyScope } = require('./ownership');
+const { syncInvoiceEntries } = require('./ledger');
+const { todayString, daysBetween } = require('./helpers');
+
+/**
+ * Monthly rent invoicing.
+ * A billing period is a calendar month written 'YYYY-MM'. Each active tenant
+ * gets at most one live invoice per period (enforced by a partial unique
+ * index), so generating the same period twice only fills the gaps.
+ * The rent charged and the day it falls due come from the tenant's lease.
+ * A tenant whose lease starts or ends during the month (or who moves out)
+ * pays for the days it covers, start and end days included; when one lease
+ * takes over from another mid-month each gets its own line at its own rent.
+ * A lease is billed at the rent in force on the first day it is billed for
+ * in the period, so an escalation is charged from the next period on.
+ * Part months use the property's proration method:
+ *   daily      - monthly rent / days in that month, per day
+ *   thirty_day - monthly rent / 30, per day, never more than a full month
+ */
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DEFAULT_DUE_DAY = 5;
+const PRORATION_METHODS = ['daily', 'thirty_day'];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const isValidPeriod = (period) => typeof period === 'string' && PERIOD_PATTERN.test(period);
+
+// The month it is in TIMEZONE, so a run just after midnight on the 1st bills the new month
+const currentPeriod = (date = new Date()) => todayString(date).substring(0, 7);
+
+/**
+ * First and last day of a period as 'YYYY-MM-DD' strings
+ */
+const periodBounds = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  const days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return {
+    start: `${period}-01`,
+    end: `${period}-${pad(days)}`,
+    days
+  };
+};
+
+// 'October 2026'
+const periodLabel = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1))
+    .toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+/**
+ * Due date for a period, from the property's rent_due_day.
+ * Days past the end of a short month fall on its last day.
+ */
+const dueDateFor = (period, dueDay = DEFAULT_DUE_DAY) => {
+  const { days } = periodBounds(period);
+  const day = Math.min(Math.max(parseInt(dueDay, 10) || DEFAULT_DUE_DAY, 1), days);
+  return `${period}-${pad(day)}`;
+};
+
+const invoiceNumberFor = (period, invoiceId) => `INV-${period.replace('-', '')}-${pad(invoiceId, 5)}`;
+
+// '15 Oct'
+const shortDate = (date) => new Date(`${date}T00:00:00Z`)
+  .toLocaleString('en-US', { day: 'numeric', month: 'short', timeZone: 'UTC' })
+  .split(' ').reverse().join(' ');
+
+/**
+ * Rent due for the part of a period the tenant occupies.
+ * Returns the full rent with `proration` null for a whole month, otherwise
+ * the prorated amount and how it was worked out.
+ */
+const prorateRent = (rent, period, { moveIn, moveOut, method = 'daily' } = {}) => {
+  const fullCents = Math.round(Number(rent) * 100);
+  const { start, end, days: monthDays } = periodBounds(period);
+  const from = moveIn && moveIn > start ? moveIn : start;
+  const to = moveOut && moveOut < end ? moveOut : end;
+
+  if (from === start && to === end) return { amount: fullCents / 100, proration: null };
+
+  const days = Math.max(daysBetween(from, to) + 1, 0);
+  const basisDays = method === 'thirty_day' ? 30 : monthDays;
+  const cents = Math.min(Math.round(fullCents * days / basisDays), fullCents);
+
+  return {
+    amount: cents / 100,
+    proration: {
+      proration_method: method === 'thirty_day' ? 'thirty_day' : 'daily',
+      billed_from: from,
+      billed_to: to,
+      days_billed: days,
+      basis_days: basisDays,
+      full_amount: fullCents / 100
+    }
+  };
+};
+
+/**
+ * Lines making up a tenant's invoice for a period
+ */
+const buildInvoiceLines = (tenant, period) => {
+  const description = `Rent for ${periodLabel(period)} - Unit ${tenant.unit_number}`;
+  const { amount, proration } = prorateRent(tenant.rent_amount, period, {
+    moveIn: tenant.move_in_date,
+    moveOut: tenant.move_out_date,
+    method: tenant.proration_method
+  });
+
+  if (!proration) {
+    return [{ line_type: 'rent', description, amount }];
+  }
+
+  const { billed_from, billed_to, days_billed, basis_days, full_amount } = proration;
+
+  return [{
+    line_type: 'rent',
+    description: `${description}, ${shortDate(billed_from)} - ${shortDate(billed_to)} `
+      + `(${full_amount.toFixed(2)} x ${days_billed}/${basis_days} days)`,
+    amount,
+    ...proration
+  }];
+};
+
+const invoiceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Tenants occupying a unit at some point in the period, one row for each
+ * lease in force during it (a single row with no lease_id when there is
+ * none), with any live invoice they already have for it
+ */
+const findBillableTenants = async (user, period, { propertyId, tenantId } = {}, db = pool) => {
+  const { start, end } = periodBounds(period);
+  const params = [period, start, end];
+  const scope = propertyScope(user, 'COALESCE(t.property_id, u.property_id)', params);
+
+  let filters = '';
+  if (propertyId) {
+    params.push(propertyId);
+    filters += ` AND COALESCE(t.property_id, u.property_id) = $${params.length}`;
+  }
+  if (tenantId) {
+    params.push(tenantId);
+    filters += ` AND t.tenant_id = $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT
+      t.tenant_id,
+      t.full_name as tenant_name,
+      t.unit_id,
+      COALESCE(t.property_id, u.property_id) as property_id,
+      u.unit_number,
+      pr.property_name,
+      COALESCE(l.billing_day, pr.rent_due_day) as rent_due_day,
+      pr.proration_method,
+      l.lease_id,
+      COALESCE(lu.unit_number, u.unit_number) as lease_unit_number,
+      COALESCE((
+        SELECT rh.rent_amount FROM rent_history rh
+        WHERE rh.lease_id = l.lease_id AND rh.effective_date <= GREATEST(l.start_date, $2::date)
+        ORDER BY rh.effective_date DESC, rh.history_id DESC
+        LIMIT 1
+      ), l.rent_amount) as rent_amount,
+      to_char(l.start_date, 'YYYY-MM-DD') as move_in_date,
+      to_char(
+        CASE WHEN l.status = 'active'
+          -- A lease waiting to start takes over the day it starts
+          THEN LEAST(t.move_out_date, (
+            SELECT MIN(n.start_date) - 1 FROM leases n
+            WHERE n.tenant_id = l.tenant_id AND n.status = 'pending'
+          ))
+          ELSE LEAST(l.end_date, t.move_out_date)
+        END,
+        'YYYY-MM-DD'
+      ) as move_out_date,
+      i.invoice_id as existing_invoice_id,
+      i.invoice_number as existing_invoice_number
+    FROM tenants t
+    JOIN units u ON t.unit_id = u.unit_id
+    JOIN properties pr ON pr.property_id = COALESCE(t.property_id, u.property_id)
+    LEFT JOIN leases l ON l.tenant_id = t.tenant_id
+      AND l.status NOT IN ('draft', 'cancelled')
+      AND l.start_date <= $3
+      AND (l.status = 'active' OR l.end_date IS NULL OR l.end_date >= $2)
+    LEFT JOIN units lu ON l.unit_id = lu.unit_id
+    LEFT JOIN invoices i ON i.tenant_id = t.tenant_id
+      AND i.billing_period = $1 AND i.status <> 'void'
+    WHERE t.is_active = TRUE
+      AND (t.move_in_date IS NULL OR t.move_in_date <= $3)
+      AND (t.move_out_date IS NULL OR t.move_out_date >= $2)
+      AND ${scope}${filters}
+    ORDER BY pr.property_name, u.unit_number, t.tenant_id, l.start_date
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * Work out what generating a period would do, without writing anything.
+ * Each entry's status is 'new', 'exists' (already invoiced), 'no_lease'
+ * or 'no_rent'.
+ */
+const previewInvoices = async (user, period, filters = {}, db = pool) => {
+  const rows = await findBillableTenants(user, period, filters, db);
+
+  const byTenant = new Map();
+  for (const row of rows) {
+    if (!byTenant.has(row.tenant_id)) byTenant.set(row.tenant_id, []);
+    byTenant.get(row.tenant_id).push(row);
+  }
+
+  return [...byTenant.values()].map((leases) => {
+    // The latest lease in the period sets the due day
+    const tenant = leases[leases.length - 1];
+    const lines = leases
+      .filter((lease) => lease.lease_id)
+      .flatMap((lease) => buildInvoiceLines({ ...lease, unit_number: lease.lease_unit_number }, period));
+    const total = lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0) / 100;
+
+    let status = 'new';
+    if (tenant.existing_invoice_id) status = 'exists';
+    else if (!tenant.lease_id) status = 'no_lease';
+    else if (!(total > 0)) status = 'no_rent';
+
+    return {
+      tenant_id: tenant.tenant_id,
+      tenant_name: tenant.tenant_name,
+      property_id: tenant.property_id,
+      property_name: tenant.property_name,
+      unit_id: tenant.unit_id,
+      unit_number: tenant.unit_number,
+      billing_period: period,
+      due_date: dueDateFor(period, tenant.rent_due_day),
+      lines,
+      total_amount: total,
+      status,
+      existing_invoice_id: tenant.existing_invoice_id,
+      existing_invoice_number: tenant.existing_invoice_number
+    };
+  });
+};
+
+/**
+ * Insert one previewed invoice. Returns null if the tenant was invoiced for
+ * the period in the meantime.
+ */
+const insertInvoice = async (entry, createdBy, db) => {
+  const result = await db.query(`
+    INSERT INTO invoices (
+      tenant_id, property_id, unit_id, billing_period, due_date, total_amount, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (tenant_id, billing_period) WHERE status <> 'void' DO NOTHING
+    RETURNING invoice_id
+  `, [
+    entry.tenant_id,
+    entry.property_id,
+    entry.unit_id,
+    entry.billing_period,
+    entry.due_date,
+    entry.total_amount,
+    createdBy || null
+  ]);
+
+  if (result.rows.length === 0) return null;
+
+  const invoiceId = result.rows[0].invoice_id;
+
+  for (const line of entry.lines) {
+    await db.query(`
+      INSERT INTO invoice_lines (
+        invoice_id, line_type, description, amount,
+        proration_method, billed_from, billed_to, days_billed, basis_days, full_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      invoiceId,
+      line.line_type,
+      line.description,
+      line.amount,
+      line.proration_method || null,
+      line.billed_from || null,
+      line.billed_to || null,
+      line.days_billed || null,
+      line.basis_days || null,
+      line.full_amount || null
+    ]);
+  }
+
+  const invoice = await db.query(
+    'UPDATE invoices SET invoice_number = $1 WHERE invoice_id = $2 RETURNING *',
+    [invoiceNumberFor(entry.billing_period, invoiceId), invoiceId]
+  );
+
+  await syncInvoiceEntries(invoice.rows[0], createdBy, db);
+
+  return { ...invoice.rows[0], lines: entry.lines };
+};
+
+/**
+ * Issue invoices for every billable tenant in the user's scope that does
+ * not have one for the period yet. Each invoice commits on its own so one
+ * bad row does not hold up the rest.
+ */
+const generateInvoices = async (user, period, filters = {}, createdBy = null) => {
+  const preview = await previewInvoices(user, period, filters);
+  const created = [];
+  const skipped = [];
+
+  for (const entry of preview) {
+    if (entry.status !== 'new') {
+      skipped.push({ tenant_id: entry.tenant_id, tenant_name: entry.tenant_name, reason: entry.status });
+      continue;
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const invoice = await insertInvoice(entry, createdBy, client);
+      await client.query('COMMIT');
+
+      if (invoice) created.push(invoice);
+      else skipped.push({ tenant_id: entry.tenant_id, tenant_name: entry.tenant_name, reason: 'exists' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to invoice tenant ${entry.tenant_id} for ${period}:`, error.message);
+      skipped.push({ tenant_id: entry.tenant_id, tenant_name: entry.tenant_name, reason: 'error' });
+    } finally {
+      client.release();
+    }
+  }
+
+  return { period, created, skipped };
+};
+
+/**
+ * Void an invoice in the user's scope. Returns null if it is not found;
+ * throws a 409 if it is already void.
+ */
+const voidInvoice = async (user, invoiceId, reason, voidedBy) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [invoiceId];
+    const scope = propertyScope(user, 'property_id', params);
+    const existing = await client.query(
+      `SELECT invoice_id, tenant_id, status FROM invoices WHERE invoice_id = $1 AND ${scope} FOR UPDATE`,
+      params
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (existing.rows[0].status === 'void') {
+      throw invoiceError(409, 'Invoice is already void');
+    }
+
+    const result = await client.query(`
+      UPDATE invoices
+      SET status = 'void', void_reason = $1, voided_by = $2, voided_at = CURRENT_TIMESTAMP
+      WHERE invoice_id = $3
+      RETURNING *
+    `, [reason, voidedBy || null, invoiceId]);
+
+    await syncInvoiceEntries(result.rows[0], voidedBy, client);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  DEFAULT_DUE_DAY,
+  PRORATION_METHODS,
+  isValidPeriod,
+  currentPeriod,
+  periodBounds,
+  periodLabel,
+  dueDateFor,
+  invoiceNumberFor,
+  prorateRent,
+  buildInvoiceLines,
+  findBillableTenants,
+  previewInvoices,
+  generateInvoices,
+  voidInvoice
+};
@@ -0,0 +1,214 @@
+// lateFees.js
+const pool = require('../config/db');
+const { propertyScope } = require('./ownership');
+const { getOutstandingCharges, syncLateFeeEntries } = require('./ledger');
+const { todayString, addDays, daysBetween } = require('./helpers');
+
+/**
+ * Late-payment penalties.
+ * Each property may have one rule: after `grace_days` past an invoice's due
+ * date, a flat or percentage fee is charged once, or every day, up to an
+ * optional cap per invoice. Percentages apply to what is still unpaid on
+ * the invoice. Rules are not retroactive: invoices already past their grace
+ * period when the rule took effect are left alone. Fees are stored one row
+ * per invoice per day, so running the job twice on the same day changes
+ * nothing.
+ */
+const FEE_TYPES = ['flat', 'percentage'];
+const FREQUENCIES = ['once', 'daily'];
+
+const feeError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check a rule from a request body. Returns an error message or null.
+ */
+const validateRule = ({ grace_days = 0, fee_type, fee_value, frequency = 'once', max_fee }) => {
+  if (!FEE_TYPES.includes(fee_type)) return `fee_type must be one of: ${FEE_TYPES.join(', ')}`;
+  if (!FREQUENCIES.includes(frequency)) return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  if (!(Number(fee_value) > 0)) return 'fee_value must be greater than 0';
+  if (fee_type === 'percentage' && Number(fee_value) > 100) return 'A percentage fee cannot exceed 100';
+  if (!Number.isInteger(Number(grace_days)) || Number(grace_days) < 0) return 'grace_days must be a whole number of days';
+  if (max_fee !== undefined && max_fee !== null && !(Number(max_fee) > 0)) return 'max_fee must be greater than 0';
+  return null;
+};
+
+/**
+ * Work out the fee due today on one invoice, or null if none is due.
+ *
+ * `charged` is the total of applied (not waived) fees so far; `lastFeeDate`
+ * and `feeCount` include waived fees, so a waived day is not charged again.
+ * Daily fees catch up on any days the job missed.
+ */
+const calculateLateFee = (rule, { dueDate, today, outstanding, charged = 0, lastFeeDate = null, feeCount = 0 }) => {
+  const graceEnds = addDays(dueDate, Number(rule.grace_days) || 0);
+  if (daysBetween(graceEnds, today) <= 0 || !(Number(outstanding) > 0)) return null;
+  if (rule.effective_from && addDays(graceEnds, 1) < rule.effective_from) return null;
+
+  let days = 1;
+  if (rule.frequency === 'daily') {
+    days = daysBetween(lastFeeDate && lastFeeDate > graceEnds ? lastFeeDate : graceEnds, today);
+    if (days <= 0) return null;
+  } else if (feeCount > 0) {
+    return null;
+  }
+
+  const perDay = rule.fee_type === 'percentage'
+    ? Number(outstanding) * Number(rule.fee_value) / 100
+    : Number(rule.fee_value);
+
+  let cents = Math.round(perDay * days * 100);
+
+  if (rule.max_fee) {
+    cents = Math.min(cents, Math.round((Number(rule.max_fee) - Number(charged)) * 100));
+  }
+
+  return cents > 0 ? { amount: cents / 100, days } : null;
+};
+
+/**
+ * Charge late fees on overdue invoices in the user's scope.
+ * Each tenant is handled in its own transaction.
+ */
+const applyLateFees = async (user, today = todayString()) => {
+  const params = [today];
+  const scope = propertyScope(user, 'i.property_id', params);
+
+  const candidates = await pool.query(`
+    SELECT
+      i.invoice_id,
+      i.invoice_number,
+      i.tenant_id,
+      i.property_id,
+      to_char(i.due_date, 'YYYY-MM-DD') as due_date,
+      r.grace_days, r.fee_type, r.fee_value, r.frequency, r.max_fee,
+      to_char(r.effective_from, 'YYYY-MM-DD') as effective_from,
+      COALESCE(f.charged, 0) as charged,
+      f.last_fee_date,
+      COALESCE(f.fee_count, 0)::int as fee_count
+    FROM invoices i
+    JOIN late_fee_rules r ON r.property_id = i.property_id AND r.is_active = TRUE
+    LEFT JOIN LATERAL (
+      SELECT
+        SUM(amount) FILTER (WHERE status = 'applied') as charged,
+        to_char(MAX(fee_date), 'YYYY-MM-DD') as last_fee_date,
+        COUNT(*) as fee_count
+      FROM late_fees
+      WHERE invoice_id = i.invoice_id
+    ) f ON TRUE
+    WHERE i.status = 'issued'
+      AND i.due_date + r.grace_days < $1::date
+      AND ${scope}
+    ORDER BY i.tenant_id, i.due_date
+  `, params);
+
+  const byTenant = new Map();
+  for (const row of candidates.rows) {
+    if (!byTenant.has(row.tenant_id)) byTenant.set(row.tenant_id, []);
+    byTenant.get(row.tenant_id).push(row);
+  }
+
+  const applied = [];
+
+  for (const [tenantId, invoices] of byTenant) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outstanding = await getOutstandingCharges(tenantId, client);
+
+      for (const invoice of invoices) {
+        const fee = calculateLateFee(invoice, {
+          dueDate: invoice.due_date,
+          today,
+          outstanding: outstanding[`invoice:${invoice.invoice_id}`] || 0,
+          charged: invoice.charged,
+          lastFeeDate: invoice.last_fee_date,
+          feeCount: invoice.fee_count
+        });
+        if (!fee) continue;
+
+        const description = invoice.frequency === 'daily'
+          ? `Late fee on ${invoice.invoice_number} (${fee.days} day${fee.days === 1 ? '' : 's'})`
+          : `Late fee on ${invoice.invoice_number}`;
+
+        const result = await client.query(`
+          INSERT INTO late_fees (invoice_id, tenant_id, property_id, fee_date, days_charged, amount, description)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (invoice_id, fee_date) DO NOTHING
+          RETURNING *
+        `, [invoice.invoice_id, tenantId, invoice.property_id, today, fee.days, fee.amount, description]);
+
+        if (result.rows.length > 0) {
+          await syncLateFeeEntries(result.rows[0], null, client);
+          applied.push(result.rows[0]);
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to apply late fees for tenant ${tenantId}:`, error.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { date: today, applied };
+};
+
+/**
+ * Waive a fee in the user's scope. Returns null if it is not found;
+ * throws a 409 if it was already waived.
+ */
+const waiveLateFee = async (user, feeId, reason, waivedBy) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [feeId];
+    const scope = propertyScope(user, 'property_id', params);
+    const existing = await client.query(
+      `SELECT status FROM late_fees WHERE late_fee_id = $1 AND ${scope} FOR UPDATE`,
+      params
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (existing.rows[0].status === 'waived') {
+      throw feeError(409, 'Late fee has already been waived');
+    }
+
+    const result = await client.query(`
+      UPDATE late_fees
+      SET status = 'waived', waive_reason = $1, waived_by = $2, waived_at = CURRENT_TIMESTAMP
+      WHERE late_fee_id = $3
+      RETURNING *
+    `, [reason, waivedBy || null, feeId]);
+
+    await syncLateFeeEntries(result.rows[0], waivedBy, client);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  FEE_TYPES,
+  FREQUENCIES,
+  validateRule,
+  calculateLateFee,
+  applyLateFees,
+  waiveLateFee
+};
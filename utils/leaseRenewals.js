@@ -0,0 +1,356 @@
+// leaseRenewals.js
+const pool = require('../config/db');
+const { propertyScope, tenantScope } = require('./ownership');
+const { todayString, dateString, addDays, daysBetween } = require('./helpers');
+const { notify } = require('./notifications');
+const { validateTerms, insertLease, putIntoEffect } = require('./leases');
+
+/**
+ * Lease expiry and renewal.
+ * A daily check looks at active leases with an end date and lets the
+ * landlord know as each one comes within 90, 60 and 30 days of ending
+ * (and once more if it runs past its end date still active). The tightest
+ * window already alerted is kept on the lease, so each alert goes out once.
+ *
+ * The landlord offers a renewal with new rent and dates. The tenant's
+ * answer is recorded against the offer:
+ *   accepted       - a new fixed-term lease on the offered terms takes over
+ *   month_to_month - a new lease at the offered rent with no end date
+ *   declined       - nothing changes; the lease runs out on its end date
+ */
+const EXPIRY_WINDOWS = [90, 60, 30];
+const RENEWAL_OUTCOMES = ['accepted', 'declined', 'month_to_month'];
+const RENEWAL_STATUSES = ['offered', ...RENEWAL_OUTCOMES];
+
+const renewalError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * The tightest expiry window a lease ending in `daysLeft` days falls in, or
+ * null when it is further off than all of them. An overdue lease is in the
+ * last one (0 past the end date, so it is alerted again once).
+ */
+const expiryWindow = (daysLeft) => {
+  if (daysLeft < 0) return 0;
+  const windows = EXPIRY_WINDOWS.filter((days) => daysLeft <= days);
+  return windows.length > 0 ? Math.min(...windows) : null;
+};
+
+/**
+ * The window to alert for now, or null when it has already been alerted
+ */
+const alertDue = (daysLeft, alertedWindow = null) => {
+  const window = expiryWindow(daysLeft);
+  if (window === null) return null;
+  if (alertedWindow !== null && alertedWindow !== undefined && window >= alertedWindow) return null;
+  return window;
+};
+
+// Active leases with an end date, each with its latest renewal offer
+const EXPIRING_SELECT = `
+  SELECT
+    l.*,
+    t.full_name as tenant_name,
+    t.phone as tenant_phone,
+    u.unit_number,
+    pr.property_name,
+    pr.user_id as owner_id,
+    (l.end_date - $1::date) as days_left,
+    r.renewal_id,
+    r.status as renewal_status,
+    r.rent_amount as offered_rent
+  FROM leases l
+  JOIN tenants t ON l.tenant_id = t.tenant_id
+  LEFT JOIN units u ON l.unit_id = u.unit_id
+  LEFT JOIN properties pr ON l.property_id = pr.property_id
+  LEFT JOIN LATERAL (
+    SELECT renewal_id, status, rent_amount FROM lease_renewals
+    WHERE lease_id = l.lease_id
+    ORDER BY created_at DESC, renewal_id DESC
+    LIMIT 1
+  ) r ON TRUE
+  WHERE l.status = 'active' AND l.end_date IS NOT NULL
+`;
+
+/**
+ * Active leases ending within `days` days (or already past their end date),
+ * soonest first
+ */
+const listExpiringLeases = async (user, { days = 90, today = todayString() } = {}, db = pool) => {
+  const params = [today, addDays(today, days)];
+  const scope = propertyScope(user, 'l.property_id', params);
+  const ownScope = tenantScope(user, 'l.tenant_id', params);
+
+  const result = await db.query(`
+    ${EXPIRING_SELECT}
+      AND l.end_date <= $2::date
+      AND ${scope} AND ${ownScope}
+    ORDER BY l.end_date, l.lease_id
+  `, params);
+
+  return result.rows;
+};
+
+const RENEWAL_NOTES = {
+  offered: 'A renewal offer is waiting for the tenant\'s answer.',
+  accepted: 'The tenant has renewed; the new lease takes over when it starts.',
+  month_to_month: 'The tenant goes month-to-month when the new lease starts.',
+  declined: 'The tenant has declined to renew.'
+};
+
+const expiryMessage = (lease, today) => {
+  const where = `${lease.tenant_name}'s lease on Unit ${lease.unit_number} (${lease.property_name})`;
+  const endDate = dateString(lease.end_date);
+  const daysLeft = daysBetween(today, endDate);
+
+  const when = daysLeft < 0
+    ? `ended on ${endDate}, ${-daysLeft} day(s) ago, and is still active.`
+    : `ends on ${endDate}, in ${daysLeft} day(s).`;
+
+  return `${where} ${when} ${RENEWAL_NOTES[lease.renewal_status] || 'No renewal has been offered yet.'}`;
+};
+
+/**
+ * Alert landlords to leases coming up to their end date. Returns the leases
+ * alerted for on this run.
+ */
+const checkLeaseExpiry = async (user, today = todayString()) => {
+  const leases = await listExpiringLeases(user, { days: Math.max(...EXPIRY_WINDOWS), today });
+  const notified = [];
+
+  for (const lease of leases) {
+    const window = alertDue(Number(lease.days_left), lease.expiry_alert_days);
+    if (window === null) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const updated = await client.query(`
+        UPDATE leases SET expiry_alert_days = $1
+        WHERE lease_id = $2 AND status = 'active' AND (expiry_alert_days IS NULL OR expiry_alert_days > $1)
+      `, [window, lease.lease_id]);
+
+      if (updated.rowCount > 0) {
+        await notify(lease.owner_id, {
+          type: 'lease_expiring',
+          title: window === 0 ? 'Lease has expired' : `Lease ends within ${window} days`,
+          message: expiryMessage(lease, today),
+          entityType: 'lease',
+          entityId: lease.lease_id
+        }, client);
+
+        notified.push({ lease_id: lease.lease_id, days_left: Number(lease.days_left), window });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to check expiry of lease ${lease.lease_id}:`, error.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { date: today, checked: leases.length, notified };
+};
+
+const RENEWAL_SELECT = `
+  SELECT
+    r.*,
+    l.tenant_id,
+    t.full_name as tenant_name,
+    u.unit_number,
+    pr.property_name
+  FROM lease_renewals r
+  JOIN leases l ON r.lease_id = l.lease_id
+  JOIN tenants t ON l.tenant_id = t.tenant_id
+  LEFT JOIN units u ON l.unit_id = u.unit_id
+  LEFT JOIN properties pr ON l.property_id = pr.property_id
+`;
+
+/**
+ * Renewal offers made on a lease, newest first
+ */
+const listRenewals = async (user, leaseId, db = pool) => {
+  const params = [leaseId];
+  const scope = propertyScope(user, 'l.property_id', params);
+  const ownScope = tenantScope(user, 'l.tenant_id', params);
+
+  const result = await db.query(`
+    ${RENEWAL_SELECT}
+    WHERE r.lease_id = $1 AND ${scope} AND ${ownScope}
+    ORDER BY r.created_at DESC, r.renewal_id DESC
+  `, params);
+
+  return result.rows;
+};
+
+const getRenewal = async (renewalId, db = pool) => {
+  const result = await db.query(`${RENEWAL_SELECT} WHERE r.renewal_id = $1`, [renewalId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Offer to renew an active lease. The new term starts the day after the
+ * lease ends unless another start date is given. Returns null if the lease
+ * is not found.
+ */
+const offerRenewal = async (user, leaseId, { rent_amount, start_date, end_date, notes } = {}, offeredBy = null) => {
+  if (rent_amount === undefined || rent_amount === null || rent_amount === '') {
+    throw renewalError(400, 'rent_amount is required');
+  }
+
+  const client = await pool.connect();
+  let renewalId;
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [leaseId];
+    const scope = propertyScope(user, 'property_id', params);
+    const existing = await client.query(
+      `SELECT * FROM leases WHERE lease_id = $1 AND ${scope} FOR UPDATE`,
+      params
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const lease = existing.rows[0];
+    if (lease.status !== 'active') {
+      throw renewalError(409, `Only active leases can be renewed (this one is ${lease.status})`);
+    }
+
+    const startDate = start_date || (lease.end_date && addDays(dateString(lease.end_date), 1));
+    if (!startDate) throw renewalError(400, 'start_date is required for a lease with no end date');
+
+    const error = validateTerms({ start_date: startDate, end_date, rent_amount });
+    if (error) throw renewalError(400, error);
+    if (startDate <= dateString(lease.start_date)) {
+      throw renewalError(400, `start_date must be after the current lease starts (${dateString(lease.start_date)})`);
+    }
+
+    const open = await client.query(
+      `SELECT renewal_id FROM lease_renewals WHERE lease_id = $1 AND status = 'offered'`,
+      [lease.lease_id]
+    );
+    if (open.rows.length > 0) {
+      throw renewalError(409, `Renewal offer #${open.rows[0].renewal_id} is still waiting for an answer`);
+    }
+
+    const result = await client.query(`
+      INSERT INTO lease_renewals (lease_id, rent_amount, start_date, end_date, notes, offered_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING renewal_id
+    `, [lease.lease_id, rent_amount, startDate, end_date || null, notes || null, offeredBy]);
+
+    renewalId = result.rows[0].renewal_id;
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getRenewal(renewalId);
+};
+
+/**
+ * Record the tenant's answer to a renewal offer. Accepting (or going
+ * month-to-month) puts the new lease into effect, pending until its start
+ * date. Returns null if the offer is not
+ * found.
+ */
+const respondToRenewal = async (user, renewalId, { outcome, notes } = {}, respondedBy = null) => {
+  if (!RENEWAL_OUTCOMES.includes(outcome)) {
+    throw renewalError(400, `outcome must be one of: ${RENEWAL_OUTCOMES.join(', ')}`);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [renewalId];
+    const scope = propertyScope(user, 'l.property_id', params);
+    const existing = await client.query(`
+      SELECT r.*, l.status as lease_status
+      FROM lease_renewals r
+      JOIN leases l ON r.lease_id = l.lease_id
+      WHERE r.renewal_id = $1 AND ${scope}
+      FOR UPDATE OF r, l
+    `, params);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const renewal = existing.rows[0];
+    if (renewal.status !== 'offered') {
+      throw renewalError(409, `This renewal offer has already been answered (${renewal.status})`);
+    }
+
+    let newLeaseId = null;
+
+    if (outcome !== 'declined') {
+      if (renewal.lease_status !== 'active') {
+        throw renewalError(409, `The lease is no longer active (${renewal.lease_status}); it cannot be renewed`);
+      }
+
+      const lease = (await client.query('SELECT * FROM leases WHERE lease_id = $1', [renewal.lease_id])).rows[0];
+      await client.query('SELECT tenant_id FROM tenants WHERE tenant_id = $1 FOR UPDATE', [lease.tenant_id]);
+
+      const draft = await insertLease(lease.tenant_id, lease, {
+        start_date: dateString(renewal.start_date),
+        end_date: outcome === 'accepted' ? dateString(renewal.end_date) : null,
+        rent_amount: renewal.rent_amount,
+        deposit_amount: lease.deposit_amount,
+        billing_day: lease.billing_day,
+        notice_period_days: lease.notice_period_days,
+        notes: outcome === 'accepted'
+          ? `Renewal of lease #${lease.lease_id}`
+          : `Month-to-month after lease #${lease.lease_id}`
+      }, respondedBy, client);
+
+      await putIntoEffect(draft, client);
+      newLeaseId = draft.lease_id;
+    }
+
+    await client.query(`
+      UPDATE lease_renewals
+      SET status = $1, response_notes = $2, responded_by = $3, responded_at = CURRENT_TIMESTAMP,
+          new_lease_id = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE renewal_id = $5
+    `, [outcome, notes || null, respondedBy, newLeaseId, renewal.renewal_id]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getRenewal(renewalId);
+};
+
+module.exports = {
+  EXPIRY_WINDOWS,
+  RENEWAL_OUTCOMES,
+  RENEWAL_STATUSES,
+  expiryWindow,
+  alertDue,
+  listExpiringLeases,
+  checkLeaseExpiry,
+  listRenewals,
+  offerRenewal,
+  respondToRenewal
+};
@@ -0,0 +1,535 @@
+// leases.js
+const pool = require('../config/db');
+const { propertyScope, tenantScope, findAccessibleTenant, findAccessibleUnit } = require('./ownership');
+const { isValidDate, todayString, dateString, addDays } = require('./helpers');
+const { recordRentChange } = require('./rentEscalations');
+
+/**
+ * Lease agreements.
+ * A lease holds the terms a tenant occupies a unit on: start date, an end
+ * date for a fixed term (none for month-to-month), monthly rent, deposit,
+ * the day rent falls due (the property's rent_due_day when not set) and the
+ * notice either side must give. A lease starts as a draft, which can be
+ * edited or deleted. Activating it puts its terms into effect and ends the
+ * tenant's previous lease the day before it starts, so a tenant has at most
+ * one active lease. An active lease is not edited in place: it ends, or is
+ * terminated early, and the next lease takes over.
+ *
+ * A lease activated before its start date is pending until then, and the
+ * tenant stays on their current lease, unit and rent. A daily job starts
+ * pending leases on their start date. A pending lease can be cancelled.
+ *
+ * Invoicing, arrears and the deposit account read the lease. Its rent and
+ * deposit are also copied onto the tenant for screens that still read them
+ * from there.
+ */
+const LEASE_STATUSES = ['draft', 'pending', 'active', 'ended', 'terminated', 'cancelled'];
+const DEFAULT_NOTICE_DAYS = 30;
+
+// Terms that can be set on a draft
+const LEASE_FIELDS = [
+  'unit_id',
+  'start_date',
+  'end_date',
+  'rent_amount',
+  'deposit_amount',
+  'billing_day',
+  'notice_period_days',
+  'notes'
+];
+
+const leaseError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check lease terms from a request body. Returns an error message or null.
+ * Fields that are left out are not checked.
+ */
+const validateTerms = ({ start_date, end_date, rent_amount, deposit_amount, billing_day, notice_period_days }) => {
+  if (!isBlank(start_date) && !isValidDate(start_date)) return 'start_date must be a date (YYYY-MM-DD)';
+  if (!isBlank(end_date) && !isValidDate(end_date)) return 'end_date must be a date (YYYY-MM-DD)';
+  if (!isBlank(start_date) && !isBlank(end_date) && end_date < start_date) return 'end_date cannot be before start_date';
+  if (!isBlank(rent_amount) && !(Number(rent_amount) >= 0)) return 'rent_amount must be 0 or more';
+  if (!isBlank(deposit_amount) && !(Number(deposit_amount) >= 0)) return 'deposit_amount must be 0 or more';
+  if (!isBlank(billing_day)) {
+    const day = Number(billing_day);
+    if (!Number.isInteger(day) || day < 1 || day > 28) return 'billing_day must be a day of the month from 1 to 28';
+  }
+  if (!isBlank(notice_period_days)) {
+    const days = Number(notice_period_days);
+    if (!Number.isInteger(days) || days < 0) return 'notice_period_days must be a whole number of days';
+  }
+  return null;
+};
+
+const LEASE_SELECT = `
+  SELECT
+    l.*,
+    t.full_name as tenant_name,
+    u.unit_number,
+    pr.property_name,
+    COALESCE(l.billing_day, pr.rent_due_day) as rent_due_day
+  FROM leases l
+  JOIN tenants t ON l.tenant_id = t.tenant_id
+  LEFT JOIN units u ON l.unit_id = u.unit_id
+  LEFT JOIN properties pr ON l.property_id = pr.property_id
+`;
+
+/**
+ * Leases in the user's scope, newest first, optionally by status, tenant
+ * or property
+ */
+const listLeases = async (user, { status, tenant_id, property_id } = {}, db = pool) => {
+  const params = [];
+  const conditions = [
+    propertyScope(user, 'l.property_id', params),
+    tenantScope(user, 'l.tenant_id', params)
+  ];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`l.status = $${params.length}`);
+  }
+  if (tenant_id) {
+    params.push(tenant_id);
+    conditions.push(`l.tenant_id = $${params.length}`);
+  }
+  if (property_id) {
+    params.push(property_id);
+    conditions.push(`l.property_id = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${LEASE_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY l.start_date DESC, l.lease_id DESC
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * One lease, or null when it is not visible to the user
+ */
+const getLease = async (user, leaseId, db = pool) => {
+  const params = [leaseId];
+  const scope = propertyScope(user, 'l.property_id', params);
+  const ownScope = tenantScope(user, 'l.tenant_id', params);
+
+  const result = await db.query(`
+    ${LEASE_SELECT}
+    WHERE l.lease_id = $1 AND ${scope} AND ${ownScope}
+  `, params);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * A tenant's active lease, or null
+ */
+const getActiveLease = async (tenantId, db = pool) => {
+  const result = await db.query(
+    `${LEASE_SELECT} WHERE l.tenant_id = $1 AND l.status = 'active'`,
+    [tenantId]
+  );
+  return result.rows[0] || null;
+};
+
+// Run `work` in a transaction holding the lease (in the user's scope) and its tenant
+const withLease = async (user, leaseId, work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [leaseId];
+    const scope = propertyScope(user, 'property_id', params);
+    const lease = await client.query(
+      `SELECT * FROM leases WHERE lease_id = $1 AND ${scope} FOR UPDATE`,
+      params
+    );
+
+    if (lease.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query('SELECT tenant_id FROM tenants WHERE tenant_id = $1 FOR UPDATE', [lease.rows[0].tenant_id]);
+    await work(client, lease.rows[0]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getLease(user, leaseId);
+};
+
+// Start a lease now: it takes over from `current` (the tenant's active lease, if any)
+const startLease = async (lease, current, db) => {
+  const startDate = dateString(lease.start_date);
+
+  if (current) {
+    await db.query(`
+      UPDATE leases
+      SET status = 'ended', end_date = $1, ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE lease_id = $2
+    `, [addDays(startDate, -1), current.lease_id]);
+  }
+
+  const result = await db.query(`
+    UPDATE leases
+    SET status = 'active', activated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE lease_id = $1
+    RETURNING *
+  `, [lease.lease_id]);
+
+  await recordRentChange({
+    propertyId: lease.property_id,
+    unitId: lease.unit_id,
+    leaseId: lease.lease_id,
+    tenantId: lease.tenant_id,
+    rentAmount: lease.rent_amount,
+    effectiveDate: startDate,
+    changeType: 'lease',
+    changedBy: lease.created_by
+  }, db);
+
+  const previous = await db.query(
+    `SELECT unit_id FROM tenants WHERE tenant_id = $1`,
+    [lease.tenant_id]
+  );
+  const previousUnitId = previous.rows[0] && previous.rows[0].unit_id;
+
+  await db.query(`
+    UPDATE tenants
+    SET unit_id = $1, property_id = $2, rent_amount = $3, deposit_amount = $4,
+        move_in_date = COALESCE(move_in_date, $5::date)
+    WHERE tenant_id = $6
+  `, [lease.unit_id, lease.property_id, lease.rent_amount, lease.deposit_amount, startDate, lease.tenant_id]);
+
+  await db.query('UPDATE units SET is_occupied = TRUE WHERE unit_id = $1', [lease.unit_id]);
+
+  // A unit the tenant moved out of is vacant unless someone else lives there
+  if (previousUnitId && previousUnitId !== lease.unit_id) {
+    await db.query(`
+      UPDATE units
+      SET is_occupied = EXISTS (
+        SELECT 1 FROM tenants WHERE unit_id = $1 AND tenant_id <> $2 AND is_active
+      )
+      WHERE unit_id = $1
+    `, [previousUnitId, lease.tenant_id]);
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Put a draft lease into effect. One starting later than `today` is left
+ * pending and started on its start date by activateDueLeases. Otherwise it
+ * starts now: the tenant's current lease ends the day before this one
+ * starts, and the tenant takes on its unit, rent and deposit.
+ */
+const putIntoEffect = async (lease, db, today = todayString()) => {
+  const current = await db.query(
+    `SELECT lease_id, start_date FROM leases WHERE tenant_id = $1 AND status = 'active' AND lease_id <> $2`,
+    [lease.tenant_id, lease.lease_id]
+  );
+
+  const startDate = dateString(lease.start_date);
+
+  if (current.rows.length > 0) {
+    const previousStart = dateString(current.rows[0].start_date);
+    if (previousStart >= startDate) {
+      throw leaseError(409, `The tenant's current lease starts on ${previousStart}; a new lease must start after it`);
+    }
+  }
+
+  if (startDate <= today) {
+    return startLease(lease, current.rows[0] || null, db);
+  }
+
+  const waiting = await db.query(
+    `SELECT lease_id, start_date FROM leases WHERE tenant_id = $1 AND status = 'pending' AND lease_id <> $2`,
+    [lease.tenant_id, lease.lease_id]
+  );
+  if (waiting.rows.length > 0) {
+    throw leaseError(409, `Lease #${waiting.rows[0].lease_id} already starts on ${dateString(waiting.rows[0].start_date)}; cancel it first`);
+  }
+
+  const result = await db.query(`
+    UPDATE leases
+    SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+    WHERE lease_id = $1
+    RETURNING *
+  `, [lease.lease_id]);
+
+  return result.rows[0];
+};
+
+// Insert a draft lease on a unit (already checked to be in scope)
+const insertLease = async (tenantId, unit, terms, createdBy, db) => {
+  const result = await db.query(`
+    INSERT INTO leases (
+      tenant_id, unit_id, property_id, start_date, end_date, rent_amount, deposit_amount,
+      billing_day, notice_period_days, notes, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    tenantId,
+    unit.unit_id,
+    unit.property_id,
+    terms.start_date,
+    isBlank(terms.end_date) ? null : terms.end_date,
+    terms.rent_amount,
+    isBlank(terms.deposit_amount) ? 0 : terms.deposit_amount,
+    isBlank(terms.billing_day) ? null : terms.billing_day,
+    isBlank(terms.notice_period_days) ? DEFAULT_NOTICE_DAYS : terms.notice_period_days,
+    terms.notes || null,
+    createdBy
+  ]);
+
+  return result.rows[0];
+};
+
+/**
+ * Add a lease to a tenant inside the caller's transaction. See createLease.
+ * Returns the new lease_id.
+ */
+const addLease = async (user, tenant, terms, createdBy, db) => {
+  const error = validateTerms(terms);
+  if (error) throw leaseError(400, error);
+  if (isBlank(terms.start_date)) throw leaseError(400, 'start_date is required');
+
+  const unit = await findAccessibleUnit(user, terms.unit_id || tenant.unit_id, db);
+  if (!unit) throw leaseError(404, 'Unit not found');
+
+  const rent = isBlank(terms.rent_amount) ? unit.monthly_rent : terms.rent_amount;
+  if (isBlank(rent)) throw leaseError(400, 'rent_amount is required (the unit has no monthly rent)');
+
+  await db.query('SELECT tenant_id FROM tenants WHERE tenant_id = $1 FOR UPDATE', [tenant.tenant_id]);
+
+  const lease = await insertLease(tenant.tenant_id, unit, { ...terms, rent_amount: rent }, createdBy, db);
+
+  if (terms.activate === true || terms.activate === 'true') {
+    await putIntoEffect(lease, db);
+  }
+
+  return lease.lease_id;
+};
+
+/**
+ * Draft a lease for a tenant (already checked to be in the user's scope),
+ * on their current unit unless another is given. Rent defaults to the
+ * unit's monthly rent. With `activate` the lease goes into effect (pending
+ * until its start date when that is still to come).
+ */
+const createLease = async (user, tenant, terms = {}, createdBy = null) => {
+  const client = await pool.connect();
+  let leaseId;
+
+  try {
+    await client.query('BEGIN');
+    leaseId = await addLease(user, tenant, terms, createdBy, client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getLease(user, leaseId);
+};
+
+/**
+ * Change the terms of a draft lease. Returns null if it is not found.
+ */
+const updateLease = (user, leaseId, updates = {}) => {
+  return withLease(user, leaseId, async (db, lease) => {
+    if (lease.status !== 'draft') {
+      throw leaseError(409, `Only draft leases can be edited (this one is ${lease.status}); end it and start a new lease instead`);
+    }
+
+    const changes = {};
+    for (const field of LEASE_FIELDS) {
+      if (updates[field] !== undefined) changes[field] = isBlank(updates[field]) ? null : updates[field];
+    }
+    if (Object.keys(changes).length === 0) throw leaseError(400, 'No fields to update');
+
+    const merged = {
+      ...lease,
+      start_date: dateString(lease.start_date),
+      end_date: dateString(lease.end_date),
+      ...changes
+    };
+    const error = validateTerms(merged);
+    if (error) throw leaseError(400, error);
+    if (isBlank(merged.start_date)) throw leaseError(400, 'start_date is required');
+    if (isBlank(merged.rent_amount)) throw leaseError(400, 'rent_amount is required');
+
+    if (changes.unit_id) {
+      const unit = await findAccessibleUnit(user, changes.unit_id, db);
+      if (!unit) throw leaseError(404, 'Unit not found');
+      changes.property_id = unit.property_id;
+    }
+
+    const fields = Object.keys(changes);
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+
+    await db.query(
+      `UPDATE leases SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE lease_id = $${fields.length + 1}`,
+      [...Object.values(changes), lease.lease_id]
+    );
+  });
+};
+
+/**
+ * Put a draft lease into effect. Returns null if it is not found.
+ */
+const activateLease = (user, leaseId) => {
+  return withLease(user, leaseId, async (db, lease) => {
+    if (lease.status !== 'draft') {
+      throw leaseError(409, `Only draft leases can be activated (this one is ${lease.status})`);
+    }
+    await putIntoEffect(lease, db);
+  });
+};
+
+/**
+ * End an active lease early on `end_date` (today by default). The tenant
+ * is billed up to that day. Returns null if it is not found.
+ */
+const terminateLease = (user, leaseId, { end_date, reason } = {}, terminatedBy = null) => {
+  if (!reason || !String(reason).trim()) {
+    return Promise.reject(leaseError(400, 'A reason is required to terminate a lease'));
+  }
+  if (!isBlank(end_date) && !isValidDate(end_date)) {
+    return Promise.reject(leaseError(400, 'end_date must be a date (YYYY-MM-DD)'));
+  }
+
+  return withLease(user, leaseId, async (db, lease) => {
+    if (lease.status !== 'active') {
+      throw leaseError(409, `Only active leases can be terminated (this one is ${lease.status})`);
+    }
+
+    const endDate = isBlank(end_date) ? todayString() : end_date;
+    const startDate = dateString(lease.start_date);
+    if (endDate < startDate) {
+      throw leaseError(400, `end_date cannot be before the lease starts (${startDate})`);
+    }
+
+    await db.query(`
+      UPDATE leases
+      SET status = 'terminated', end_date = $1, termination_reason = $2,
+          terminated_by = $3, ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE lease_id = $4
+    `, [endDate, String(reason).trim(), terminatedBy, lease.lease_id]);
+  });
+};
+
+/**
+ * Cancel a pending lease before it starts, with a reason. The tenant stays
+ * on their current lease. Returns null if it is not found.
+ */
+const cancelLease = (user, leaseId, { reason } = {}, cancelledBy = null) => {
+  if (!reason || !String(reason).trim()) {
+    return Promise.reject(leaseError(400, 'A reason is required to cancel a lease'));
+  }
+
+  return withLease(user, leaseId, async (db, lease) => {
+    if (lease.status !== 'pending') {
+      throw leaseError(409, `Only pending leases can be cancelled (this one is ${lease.status})`);
+    }
+
+    await db.query(`
+      UPDATE leases
+      SET status = 'cancelled', termination_reason = $1, terminated_by = $2,
+          ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE lease_id = $3
+    `, [String(reason).trim(), cancelledBy, lease.lease_id]);
+  });
+};
+
+/**
+ * Start the pending leases due by `today`, each in its own transaction.
+ * Returns the leases started on this run.
+ */
+const activateDueLeases = async (user, today = todayString()) => {
+  const params = [today];
+  const scope = propertyScope(user, 'property_id', params);
+
+  const due = await pool.query(`
+    SELECT lease_id FROM leases
+    WHERE status = 'pending' AND start_date <= $1::date AND ${scope}
+    ORDER BY start_date, lease_id
+  `, params);
+
+  const activated = [];
+
+  for (const { lease_id } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query('SELECT * FROM leases WHERE lease_id = $1 FOR UPDATE', [lease_id]);
+      const lease = locked.rows[0];
+
+      if (lease.status === 'pending') {
+        await client.query('SELECT tenant_id FROM tenants WHERE tenant_id = $1 FOR UPDATE', [lease.tenant_id]);
+        await putIntoEffect(lease, client, today);
+        activated.push({ lease_id, tenant_id: lease.tenant_id, start_date: dateString(lease.start_date) });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to start lease ${lease_id}:`, error.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { date: today, activated };
+};
+
+/**
+ * Delete a draft lease. Returns false if it is not found.
+ */
+const deleteLease = async (user, leaseId) => {
+  const lease = await getLease(user, leaseId);
+  if (!lease) return false;
+
+  if (lease.status !== 'draft') {
+    throw leaseError(409, `Only draft leases can be deleted (this one is ${lease.status})`);
+  }
+
+  await pool.query(`DELETE FROM leases WHERE lease_id = $1 AND status = 'draft'`, [leaseId]);
+  return true;
+};
+
+module.exports = {
+  LEASE_STATUSES,
+  DEFAULT_NOTICE_DAYS,
+  validateTerms,
+  listLeases,
+  getLease,
+  getActiveLease,
+  insertLease,
+  putIntoEffect,
+  addLease,
+  createLease,
+  updateLease,
+  activateLease,
+  terminateLease,
+  cancelLease,
+  activateDueLeases,
+  deleteLease
+};
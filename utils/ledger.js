@@ -0,0 +1,394 @@
+// ledger.js
+const pool = require('../config/db');
+const { allocate, outstandingFrom, loadAllocation, reallocateTenant } = require('./allocations');
+const { isValidDate, dateString } = require('./helpers');
+const { assignReceiptNumber } = require('./receipts');
+
+/**
+ * Tenant ledger.
+ * Every entry posts to the tenant's account on one side (debit = the tenant
+ * owes more, credit = the tenant owes less) and names the account on the
+ * other side in contra_account. Entries are never edited or deleted: a
+ * voided invoice or cancelled payment gets a correcting entry instead.
+ *
+ * tenants.rent_balance is a cache of the ledger total and is refreshed,
+ * together with the payment allocation, whenever an entry is posted.
+ */
+const ENTRY_TYPES = ['charge', 'payment', 'credit', 'deposit', 'adjustment', 'late_fee', 'refund'];
+
+// Entry types staff can post by hand; the rest come from invoices and payments
+const MANUAL_ENTRY_TYPES = ['credit', 'adjustment'];
+
+const CONTRA_ACCOUNTS = {
+  charge: 'rent_income',
+  payment: 'cash',
+  credit: 'adjustments',
+  deposit: 'deposit_held',
+  adjustment: 'adjustments',
+  late_fee: 'penalty_income',
+  refund: 'cash'
+};
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+const ledgerError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Add a running balance to entries sorted oldest first
+ */
+const withRunningBalance = (entries, openingBalance = 0) => {
+  let balance = toCents(openingBalance);
+
+  return entries.map((entry) => {
+    balance += toCents(entry.debit) - toCents(entry.credit);
+    return { ...entry, running_balance: balance / 100 };
+  });
+};
+
+/**
+ * Post one entry. `amount` is signed: positive debits the tenant,
+ * negative credits them.
+ */
+const postEntry = async ({
+  tenantId,
+  propertyId = null,
+  entryType,
+  amount,
+  description,
+  entryDate = null,
+  contraAccount = CONTRA_ACCOUNTS[entryType],
+  invoiceId = null,
+  paymentId = null,
+  lateFeeId = null,
+  utilityId = null,
+  createdBy = null
+}, db = pool) => {
+  const cents = toCents(amount);
+  if (cents === 0) return null;
+
+  const result = await db.query(`
+    INSERT INTO tenant_ledger_entries (
+      tenant_id, property_id, entry_date, entry_type, description,
+      debit, credit, contra_account, invoice_id, payment_id, late_fee_id, utility_id, created_by
+    ) VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *
+  `, [
+    tenantId,
+    propertyId,
+    entryDate,
+    entryType,
+    description,
+    cents > 0 ? cents / 100 : 0,
+    cents < 0 ? -cents / 100 : 0,
+    contraAccount,
+    invoiceId,
+    paymentId,
+    lateFeeId,
+    utilityId,
+    createdBy
+  ]);
+
+  return result.rows[0];
+};
+
+/**
+ * Recalculate the cached rent_balance and the payment allocation from the
+ * ledger
+ */
+const refreshRentBalance = async (tenantId, db = pool) => {
+  await reallocateTenant(tenantId, db);
+
+  const result = await db.query(`
+    UPDATE tenants t
+    SET rent_balance = COALESCE((
+      SELECT SUM(debit - credit) FROM tenant_ledger_entries WHERE tenant_id = t.tenant_id
+    ), 0)
+    WHERE t.tenant_id = $1
+    RETURNING rent_balance
+  `, [tenantId]);
+
+  return result.rows[0] ? Number(result.rows[0].rent_balance) : null;
+};
+
+// Net amount already posted against a source row, from the tenant's side
+const postedFor = async (column, id, db) => {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(debit - credit), 0) as net FROM tenant_ledger_entries WHERE ${column} = $1`,
+    [id]
+  );
+  return toCents(result.rows[0].net);
+};
+
+// Ledger column linking an entry to its source row -> postEntry option
+const SOURCE_KEYS = {
+  invoice_id: 'invoiceId',
+  payment_id: 'paymentId',
+  late_fee_id: 'lateFeeId',
+  utility_id: 'utilityId'
+};
+
+/**
+ * Post whatever is needed for a source row (invoice, payment, late fee)
+ * to net to `target` on the ledger. The first posting uses the source's own
+ * entry type; later ones are adjustments dated today.
+ */
+const syncSource = async ({ column, id, target, entry, correction, createdBy }, db) => {
+  const posted = await postedFor(column, id, db);
+  if (target === posted) return;
+
+  const first = posted === 0;
+  await postEntry({
+    ...entry,
+    [SOURCE_KEYS[column]]: id,
+    entryType: first ? entry.entryType : 'adjustment',
+    contraAccount: entry.contraAccount || CONTRA_ACCOUNTS[entry.entryType],
+    amount: (target - posted) / 100,
+    description: first ? entry.description : correction,
+    entryDate: first ? entry.entryDate : null,
+    createdBy
+  }, db);
+};
+
+/**
+ * Bring the ledger in line with an invoice: a live invoice is charged in
+ * full, a void one nets to zero.
+ */
+const syncInvoiceEntries = async (invoice, createdBy = null, db = pool) => {
+  await syncSource({
+    column: 'invoice_id',
+    id: invoice.invoice_id,
+    target: invoice.status === 'void' ? 0 : toCents(invoice.total_amount),
+    entry: {
+      tenantId: invoice.tenant_id,
+      propertyId: invoice.property_id,
+      entryType: 'charge',
+      description: `Invoice ${invoice.invoice_number} (${invoice.billing_period})`,
+      entryDate: invoice.issue_date
+    },
+    correction: `Invoice ${invoice.invoice_number} voided${invoice.void_reason ? `: ${invoice.void_reason}` : ''}`,
+    createdBy
+  }, db);
+
+  return refreshRentBalance(invoice.tenant_id, db);
+};
+
+/**
+ * Bring the ledger in line with a payment: a completed payment is credited
+ * in full and given its receipt number, any other status nets to zero.
+ */
+const syncPaymentEntries = async (payment, createdBy = null, db = pool) => {
+  if (!payment.tenant_id) return null;
+
+  await assignReceiptNumber(payment, db);
+
+  const target = payment.payment_status === 'completed' ? -toCents(payment.amount) : 0;
+  const reference = payment.mpesa_code || payment.reference_number;
+
+  await syncSource({
+    column: 'payment_id',
+    id: payment.payment_id,
+    target,
+    entry: {
+      tenantId: payment.tenant_id,
+      propertyId: payment.property_id,
+      entryType: 'payment',
+      description: `Payment received${payment.payment_method ? ` via ${payment.payment_method}` : ''}${reference ? ` (${reference})` : ''}`,
+      entryDate: payment.payment_date
+    },
+    correction: `Payment #${payment.payment_id} ${target === 0 ? payment.payment_status : 'amended'}${payment.reversal_reason ? `: ${payment.reversal_reason}` : ''}`,
+    createdBy
+  }, db);
+
+  return refreshRentBalance(payment.tenant_id, db);
+};
+
+/**
+ * Bring the ledger in line with a late fee: applied fees are charged,
+ * waived ones net to zero.
+ */
+const syncLateFeeEntries = async (fee, createdBy = null, db = pool) => {
+  await syncSource({
+    column: 'late_fee_id',
+    id: fee.late_fee_id,
+    target: fee.status === 'applied' ? toCents(fee.amount) : 0,
+    entry: {
+      tenantId: fee.tenant_id,
+      propertyId: fee.property_id,
+      entryType: 'late_fee',
+      description: fee.description,
+      entryDate: fee.fee_date
+    },
+    correction: `Late fee waived${fee.waive_reason ? `: ${fee.waive_reason}` : ''}`,
+    createdBy
+  }, db);
+
+  return refreshRentBalance(fee.tenant_id, db);
+};
+
+const UTILITY_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Bring the ledger in line with a utility bill: the amount due is charged,
+ * a deleted bill (`removed: true`) nets to zero.
+ */
+const syncUtilityEntries = async (utility, createdBy = null, db = pool) => {
+  if (!utility.tenant_id) return null;
+
+  const month = dateString(utility.billing_month);
+  const bill = `${utility.utility_type.charAt(0).toUpperCase()}${utility.utility_type.slice(1)} bill for ${UTILITY_MONTHS[Number(month.substring(5, 7)) - 1]} ${month.substring(0, 4)}`;
+  const unit = await db.query('SELECT property_id FROM units WHERE unit_id = $1', [utility.unit_id]);
+
+  await syncSource({
+    column: 'utility_id',
+    id: utility.utility_id,
+    target: utility.removed ? 0 : toCents(utility.amount_due),
+    entry: {
+      tenantId: utility.tenant_id,
+      propertyId: unit.rows[0] ? unit.rows[0].property_id : null,
+      entryType: 'charge',
+      contraAccount: 'utility_income',
+      description: bill,
+      entryDate: month
+    },
+    correction: `${bill} ${utility.removed ? 'deleted' : 'amended'}`,
+    createdBy
+  }, db);
+
+  return refreshRentBalance(utility.tenant_id, db);
+};
+
+/**
+ * Post deposit money to the ledger: the amount charged to the deposit
+ * account and the money received against it. A fully paid deposit leaves
+ * the rent balance unchanged. Dated on move-in unless `entryDate` is given.
+ */
+const postDeposit = async (tenant, { charged, paid, entryDate = null, createdBy = null }, db = pool) => {
+  const base = {
+    tenantId: tenant.tenant_id,
+    propertyId: tenant.property_id,
+    entryType: 'deposit',
+    entryDate: entryDate || tenant.move_in_date || null,
+    createdBy
+  };
+
+  await postEntry({ ...base, amount: charged, description: 'Security deposit charged' }, db);
+  await postEntry({
+    ...base,
+    amount: -paid,
+    contraAccount: CONTRA_ACCOUNTS.payment,
+    description: 'Security deposit received'
+  }, db);
+
+  return refreshRentBalance(tenant.tenant_id, db);
+};
+
+/**
+ * Post a manual credit or adjustment.
+ * Credits always reduce the balance; adjustments are signed like postEntry.
+ */
+const postManualEntry = async (tenant, { entry_type, amount, description, entry_date }, createdBy, db = pool) => {
+  if (!MANUAL_ENTRY_TYPES.includes(entry_type)) {
+    throw ledgerError(400, `entry_type must be one of: ${MANUAL_ENTRY_TYPES.join(', ')}`);
+  }
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value === 0 || (entry_type === 'credit' && value < 0)) {
+    throw ledgerError(400, entry_type === 'credit'
+      ? 'amount must be greater than 0'
+      : 'amount must be a non-zero number');
+  }
+
+  if (!description || !String(description).trim()) {
+    throw ledgerError(400, 'A description is required');
+  }
+
+  if (entry_date && !isValidDate(entry_date)) {
+    throw ledgerError(400, 'entry_date must be in YYYY-MM-DD format');
+  }
+
+  const entry = await postEntry({
+    tenantId: tenant.tenant_id,
+    propertyId: tenant.property_id,
+    entryType: entry_type,
+    amount: entry_type === 'credit' ? -value : value,
+    description: String(description).trim(),
+    entryDate: entry_date || null,
+    createdBy
+  }, db);
+
+  const balance = await refreshRentBalance(tenant.tenant_id, db);
+  return { entry, balance };
+};
+
+/**
+ * What is still unpaid on each charge after allocating payments and
+ * credits with `method` (oldest first by default). Entries must be sorted
+ * oldest first. Returns an object keyed by source ('invoice:12',
+ * 'late_fee:3', 'entry:40') holding the unpaid amount of every charge that
+ * is not fully settled.
+ */
+const outstandingBySource = (entries, method) => outstandingFrom(allocate(entries, method));
+
+// Unpaid charges under the allocation method of the tenant's property
+const getOutstandingCharges = async (tenantId, db = pool) => outstandingFrom(await loadAllocation(tenantId, db));
+
+/**
+ * A tenant's statement between two dates (either may be omitted).
+ * Entries carry the balance after each one, starting from the balance
+ * brought forward from before `from`.
+ */
+const getLedger = async (tenantId, { from = null, to = null } = {}, db = pool) => {
+  const opening = await db.query(`
+    SELECT COALESCE(SUM(debit - credit), 0) as balance
+    FROM tenant_ledger_entries
+    WHERE tenant_id = $1 AND $2::date IS NOT NULL AND entry_date < $2::date
+  `, [tenantId, from]);
+
+  const result = await db.query(`
+    SELECT e.*, i.invoice_number, u.full_name as created_by_name
+    FROM tenant_ledger_entries e
+    LEFT JOIN invoices i ON e.invoice_id = i.invoice_id
+    LEFT JOIN users u ON e.created_by = u.user_id
+    WHERE e.tenant_id = $1
+      AND ($2::date IS NULL OR e.entry_date >= $2::date)
+      AND ($3::date IS NULL OR e.entry_date <= $3::date)
+    ORDER BY e.entry_date, e.entry_id
+  `, [tenantId, from, to]);
+
+  const openingBalance = Number(opening.rows[0].balance);
+  const entries = withRunningBalance(result.rows, openingBalance);
+  const sum = (field) => entries.reduce((total, entry) => total + toCents(entry[field]), 0) / 100;
+
+  return {
+    from,
+    to,
+    opening_balance: openingBalance,
+    total_debits: sum('debit'),
+    total_credits: sum('credit'),
+    closing_balance: entries.length ? entries[entries.length - 1].running_balance : openingBalance,
+    entries
+  };
+};
+
+module.exports = {
+  ENTRY_TYPES,
+  MANUAL_ENTRY_TYPES,
+  CONTRA_ACCOUNTS,
+  withRunningBalance,
+  postEntry,
+  refreshRentBalance,
+  syncInvoiceEntries,
+  syncPaymentEntries,
+  syncLateFeeEntries,
+  syncUtilityEntries,
+  postDeposit,
+  postManualEntry,
+  outstandingBySource,
+  getOutstandingCharges,
+  getLedger
+};
@@ -0,0 +1,615 @@
+// moveOuts.js
+const pool = require('../config/db');
+const { propertyScope, tenantScope } = require('./ownership');
+const { syncUtilityEntries } = require('./ledger');
+const { isValidDate, todayString, dateString, addDays } = require('./helpers');
+const { DEFAULT_NOTICE_DAYS } = require('./leases');
+const {
+  validateDeductions,
+  previewSettlement,
+  settleDeposit,
+  getSettlementStatement
+} = require('./deposits');
+
+/**
+ * Moving a tenant out.
+ * A move-out starts when notice is given and is worked through in steps:
+ * the exit inspection (which lists what is charged against the deposit),
+ * the final meter readings (billed as utility bills), settlement of rent
+ * and deposit, and finally closing the tenancy, which ends the lease,
+ * deactivates the tenant and frees the unit. Tenants are moved out rather
+ * than deleted so their history stays on record.
+ *
+ * Inspection and meter readings can be redone until the move-out is
+ * settled. A move-out can be cancelled (the notice withdrawn) until then.
+ */
+const MOVE_OUT_STATUSES = ['in_progress', 'completed', 'cancelled'];
+const UTILITY_TYPES = ['electricity', 'water', 'gas', 'internet', 'sewage', 'garbage'];
+
+const STEPS = [
+  { step: 'notice', label: 'Notice recorded', done: (m) => m.created_at },
+  { step: 'inspection', label: 'Exit inspection', done: (m) => m.inspected_at },
+  { step: 'meter_readings', label: 'Final meter readings', done: (m) => m.meters_read_at },
+  { step: 'settlement', label: 'Rent and deposit settled', done: (m) => m.settled_at },
+  { step: 'close', label: 'Tenancy closed and unit freed', done: (m) => m.completed_at }
+];
+
+const moveOutError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Each step with when it was done, and the step to do next
+ */
+const moveOutProgress = (moveOut) => {
+  const steps = STEPS.map(({ step, label, done }) => ({
+    step,
+    label,
+    done: Boolean(done(moveOut)),
+    done_at: done(moveOut) || null
+  }));
+  const next = moveOut.status === 'in_progress' ? steps.find(step => !step.done) : null;
+
+  return { steps, next_step: next ? next.step : null };
+};
+
+/**
+ * Check the items found at the exit inspection. Returns an error message
+ * or null. Unpaid rent comes from the ledger at settlement, so it is not
+ * listed here.
+ */
+const validateInspectionItems = (items) => validateDeductions(items);
+
+/**
+ * Check final meter readings. Returns an error message or null.
+ */
+const validateReadings = (readings) => {
+  if (!Array.isArray(readings)) return 'readings must be a list';
+
+  const seen = new Set();
+  for (const reading of readings) {
+    if (!reading || !UTILITY_TYPES.includes(reading.utility_type)) {
+      return `Each reading needs a utility_type: ${UTILITY_TYPES.join(', ')}`;
+    }
+    if (seen.has(reading.utility_type)) return `${reading.utility_type} is read more than once`;
+    seen.add(reading.utility_type);
+
+    if (isBlank(reading.current_reading) || !(Number(reading.current_reading) >= 0)) {
+      return `current_reading for ${reading.utility_type} must be 0 or more`;
+    }
+    if (!isBlank(reading.previous_reading) && !(Number(reading.previous_reading) >= 0)) {
+      return `previous_reading for ${reading.utility_type} must be 0 or more`;
+    }
+    if (!isBlank(reading.rate_per_unit) && !(Number(reading.rate_per_unit) >= 0)) {
+      return `rate_per_unit for ${reading.utility_type} must be 0 or more`;
+    }
+  }
+
+  return null;
+};
+
+const MOVE_OUT_SELECT = `
+  SELECT
+    m.*,
+    t.full_name as tenant_name,
+    t.phone as tenant_phone,
+    u.unit_number,
+    pr.property_name
+  FROM move_outs m
+  JOIN tenants t ON m.tenant_id = t.tenant_id
+  LEFT JOIN units u ON m.unit_id = u.unit_id
+  LEFT JOIN properties pr ON m.property_id = pr.property_id
+`;
+
+/**
+ * Move-outs in the user's scope, newest first, optionally by status,
+ * tenant or property
+ */
+const listMoveOuts = async (user, { status, tenant_id, property_id } = {}, db = pool) => {
+  const params = [];
+  const conditions = [
+    propertyScope(user, 'm.property_id', params),
+    tenantScope(user, 'm.tenant_id', params)
+  ];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`m.status = $${params.length}`);
+  }
+  if (tenant_id) {
+    params.push(tenant_id);
+    conditions.push(`m.tenant_id = $${params.length}`);
+  }
+  if (property_id) {
+    params.push(property_id);
+    conditions.push(`m.property_id = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${MOVE_OUT_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY m.created_at DESC, m.move_out_id DESC
+  `, params);
+
+  return result.rows.map(moveOut => ({ ...moveOut, ...moveOutProgress(moveOut) }));
+};
+
+/**
+ * A move-out with its progress, inspection items, final meter bills and
+ * the deposit settlement (a preview until it is settled). Null if it is
+ * not found.
+ */
+const getMoveOut = async (user, moveOutId, db = pool) => {
+  const params = [moveOutId];
+  const scope = propertyScope(user, 'm.property_id', params);
+  const ownScope = tenantScope(user, 'm.tenant_id', params);
+
+  const result = await db.query(`
+    ${MOVE_OUT_SELECT}
+    WHERE m.move_out_id = $1 AND ${scope} AND ${ownScope}
+  `, params);
+
+  if (result.rows.length === 0) return null;
+  const moveOut = result.rows[0];
+
+  const items = await db.query(
+    'SELECT category, description, amount FROM move_out_inspection_items WHERE move_out_id = $1 ORDER BY item_id',
+    [moveOut.move_out_id]
+  );
+  const readings = await db.query(
+    'SELECT * FROM utilities WHERE move_out_id = $1 ORDER BY utility_type',
+    [moveOut.move_out_id]
+  );
+
+  let settlement = null;
+  if (moveOut.settlement_id) {
+    settlement = await getSettlementStatement(moveOut.tenant_id, db);
+  } else if (moveOut.status === 'in_progress') {
+    settlement = { preview: true, ...(await previewSettlement(moveOut.tenant_id, items.rows)) };
+  }
+
+  return {
+    ...moveOut,
+    ...moveOutProgress(moveOut),
+    inspection_items: items.rows,
+    meter_readings: readings.rows,
+    settlement
+  };
+};
+
+// The tenant's first lease in effect or waiting to start that starts after
+// `date`, which would keep them on after they leave
+const findLeaseStartingAfter = async (tenantId, date, db) => {
+  const result = await db.query(`
+    SELECT lease_id, status, start_date FROM leases
+    WHERE tenant_id = $1 AND status IN ('pending', 'active') AND start_date > $2::date
+    ORDER BY start_date, lease_id
+    LIMIT 1
+  `, [tenantId, date]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Record the tenant's notice and start their move-out. The move-out date
+ * defaults to the lease notice period after the notice date, and is set
+ * on the tenant so their final month is billed up to it. A lease waiting
+ * to start after the tenant leaves (an accepted renewal, say) is cancelled.
+ */
+const startMoveOut = async (user, tenant, { notice_date, move_out_date, reason, notes } = {}, createdBy = null) => {
+  if (!isBlank(notice_date) && !isValidDate(notice_date)) {
+    throw moveOutError(400, 'notice_date must be a date (YYYY-MM-DD)');
+  }
+  if (!isBlank(move_out_date) && !isValidDate(move_out_date)) {
+    throw moveOutError(400, 'move_out_date must be a date (YYYY-MM-DD)');
+  }
+
+  const client = await pool.connect();
+  let moveOutId;
+
+  try {
+    await client.query('BEGIN');
+
+    const record = await client.query(
+      'SELECT tenant_id, is_active FROM tenants WHERE tenant_id = $1 FOR UPDATE',
+      [tenant.tenant_id]
+    );
+    if (record.rows[0].is_active === false) {
+      throw moveOutError(409, 'This tenant has already moved out');
+    }
+
+    const open = await client.query(
+      `SELECT move_out_id FROM move_outs WHERE tenant_id = $1 AND status = 'in_progress'`,
+      [tenant.tenant_id]
+    );
+    if (open.rows.length > 0) {
+      throw moveOutError(409, `This tenant's move-out is already under way (#${open.rows[0].move_out_id})`);
+    }
+
+    const lease = await client.query(
+      `SELECT lease_id, notice_period_days FROM leases WHERE tenant_id = $1 AND status = 'active'`,
+      [tenant.tenant_id]
+    );
+    const activeLease = lease.rows[0] || null;
+
+    const noticeDate = isBlank(notice_date) ? todayString() : notice_date;
+    const moveOutDate = isBlank(move_out_date)
+      ? addDays(noticeDate, activeLease ? activeLease.notice_period_days : DEFAULT_NOTICE_DAYS)
+      : move_out_date;
+
+    if (moveOutDate < noticeDate) {
+      throw moveOutError(400, 'move_out_date cannot be before notice_date');
+    }
+
+    await client.query(`
+      UPDATE leases
+      SET status = 'cancelled', termination_reason = $1, terminated_by = $2,
+          ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $3 AND status = 'pending' AND start_date > $4::date
+    `, [`Tenant gave notice to move out on ${moveOutDate}`, createdBy, tenant.tenant_id, moveOutDate]);
+
+    const later = await findLeaseStartingAfter(tenant.tenant_id, moveOutDate, client);
+    if (later) {
+      throw moveOutError(409, `The tenant's lease starts on ${dateString(later.start_date)}, after the move-out date`);
+    }
+
+    const result = await client.query(`
+      INSERT INTO move_outs (tenant_id, lease_id, unit_id, property_id, notice_date, move_out_date, reason, notes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING move_out_id
+    `, [
+      tenant.tenant_id,
+      activeLease ? activeLease.lease_id : null,
+      tenant.unit_id,
+      tenant.property_id,
+      noticeDate,
+      moveOutDate,
+      isBlank(reason) ? null : String(reason).trim(),
+      notes || null,
+      createdBy
+    ]);
+
+    await client.query(
+      'UPDATE tenants SET move_out_date = $1, updated_at = CURRENT_TIMESTAMP WHERE tenant_id = $2',
+      [moveOutDate, tenant.tenant_id]
+    );
+
+    moveOutId = result.rows[0].move_out_id;
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getMoveOut(user, moveOutId);
+};
+
+// Run `work` in a transaction holding a move-out (in the user's scope) that
+// is still under way. Returns the move-out afterwards, or null if not found.
+const withOpenMoveOut = async (user, moveOutId, work, { settled = false } = {}) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [moveOutId];
+    const scope = propertyScope(user, 'property_id', params);
+    const existing = await client.query(
+      `SELECT * FROM move_outs WHERE move_out_id = $1 AND ${scope} FOR UPDATE`,
+      params
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const moveOut = existing.rows[0];
+    if (moveOut.status !== 'in_progress') {
+      throw moveOutError(409, `This move-out is ${moveOut.status}`);
+    }
+    if (moveOut.settlement_id && !settled) {
+      throw moveOutError(409, 'This move-out has been settled; all that is left is to close the tenancy');
+    }
+
+    await work(client, moveOut);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getMoveOut(user, moveOutId);
+};
+
+/**
+ * Record the exit inspection. Its items replace any recorded before.
+ */
+const recordInspection = (user, moveOutId, { inspection_date, notes, items = [] } = {}, inspectedBy = null) => {
+  const invalid = validateInspectionItems(items);
+  if (invalid) return Promise.reject(moveOutError(400, invalid));
+  if (!isBlank(inspection_date) && !isValidDate(inspection_date)) {
+    return Promise.reject(moveOutError(400, 'inspection_date must be a date (YYYY-MM-DD)'));
+  }
+
+  return withOpenMoveOut(user, moveOutId, async (db, moveOut) => {
+    await db.query('DELETE FROM move_out_inspection_items WHERE move_out_id = $1', [moveOut.move_out_id]);
+
+    for (const item of items) {
+      await db.query(
+        'INSERT INTO move_out_inspection_items (move_out_id, category, description, amount) VALUES ($1, $2, $3, $4)',
+        [moveOut.move_out_id, item.category, String(item.description).trim(), Number(item.amount)]
+      );
+    }
+
+    await db.query(`
+      UPDATE move_outs
+      SET inspection_date = COALESCE($1::date, CURRENT_DATE), inspection_notes = $2,
+          inspected_by = $3, inspected_at = CURRENT_TIMESTAMP
+      WHERE move_out_id = $4
+    `, [isBlank(inspection_date) ? null : inspection_date, notes || null, inspectedBy, moveOut.move_out_id]);
+  });
+};
+
+/**
+ * Bill the final meter readings. The previous reading and rate default to
+ * the unit's last bill for that utility. An empty list records that the
+ * unit has no meters to read.
+ */
+const recordMeterReadings = (user, moveOutId, { reading_date, readings = [] } = {}, readBy = null) => {
+  const invalid = validateReadings(readings);
+  if (invalid) return Promise.reject(moveOutError(400, invalid));
+  if (!isBlank(reading_date) && !isValidDate(reading_date)) {
+    return Promise.reject(moveOutError(400, 'reading_date must be a date (YYYY-MM-DD)'));
+  }
+
+  return withOpenMoveOut(user, moveOutId, async (db, moveOut) => {
+    const readingDate = isBlank(reading_date) ? todayString() : reading_date;
+    const billingMonth = `${readingDate.substring(0, 7)}-01`;
+
+    if (readings.length > 0 && !moveOut.unit_id) {
+      throw moveOutError(409, 'The tenant has no unit to read meters for');
+    }
+
+    for (const reading of readings) {
+      const last = await db.query(`
+        SELECT current_reading, rate_per_unit FROM utilities
+        WHERE unit_id = $1 AND utility_type = $2 AND move_out_id IS DISTINCT FROM $3
+        ORDER BY billing_month DESC, utility_id DESC
+        LIMIT 1
+      `, [moveOut.unit_id, reading.utility_type, moveOut.move_out_id]);
+      const previous = last.rows[0] || {};
+
+      const previousReading = Number(isBlank(reading.previous_reading) ? previous.current_reading || 0 : reading.previous_reading);
+      const rate = isBlank(reading.rate_per_unit) ? previous.rate_per_unit : reading.rate_per_unit;
+      const currentReading = Number(reading.current_reading);
+
+      if (isBlank(rate)) {
+        throw moveOutError(400, `rate_per_unit is required for ${reading.utility_type} (the unit has no earlier bill)`);
+      }
+      if (currentReading < previousReading) {
+        throw moveOutError(400, `The final ${reading.utility_type} reading (${currentReading}) is below the previous one (${previousReading})`);
+      }
+
+      const consumed = Math.round((currentReading - previousReading) * 100) / 100;
+      const amountDue = Math.round(consumed * Number(rate) * 100) / 100;
+
+      const existing = await db.query(
+        'SELECT utility_id, move_out_id FROM utilities WHERE unit_id = $1 AND utility_type = $2 AND billing_month = $3',
+        [moveOut.unit_id, reading.utility_type, billingMonth]
+      );
+      if (existing.rows.length > 0 && existing.rows[0].move_out_id !== moveOut.move_out_id) {
+        throw moveOutError(409, `There is already a ${reading.utility_type} bill for this unit in ${billingMonth.substring(0, 7)} (#${existing.rows[0].utility_id}); amend that bill instead`);
+      }
+
+      const bill = existing.rows.length > 0
+        ? await db.query(`
+            UPDATE utilities
+            SET previous_reading = $1, current_reading = $2, units_consumed = $3, rate_per_unit = $4,
+                amount_due = $5, reading_date = $6, tenant_id = $7
+            WHERE utility_id = $8
+            RETURNING *
+          `, [previousReading, currentReading, consumed, rate, amountDue, readingDate, moveOut.tenant_id, existing.rows[0].utility_id])
+        : await db.query(`
+            INSERT INTO utilities (
+              unit_id, tenant_id, utility_type, billing_month, previous_reading, current_reading,
+              units_consumed, rate_per_unit, amount_due, reading_date, notes, move_out_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'Final reading at move-out', $11)
+            RETURNING *
+          `, [
+            moveOut.unit_id, moveOut.tenant_id, reading.utility_type, billingMonth, previousReading,
+            currentReading, consumed, rate, amountDue, readingDate, moveOut.move_out_id
+          ]);
+
+      await syncUtilityEntries(bill.rows[0], readBy, db);
+    }
+
+    await db.query(
+      'UPDATE move_outs SET meters_read_by = $1, meters_read_at = CURRENT_TIMESTAMP WHERE move_out_id = $2',
+      [readBy, moveOut.move_out_id]
+    );
+  });
+};
+
+/**
+ * Settle rent and the deposit once the inspection and meter readings are
+ * in: the deposit covers the ledger balance and the inspection items, and
+ * the rest is refunded. Rent is settled from the ledger as it stands; the
+ * final month is billed up to the move-out date set at notice. A deposit
+ * already settled through the deposit account is taken as the settlement.
+ */
+const settleMoveOut = (user, moveOutId, { settlement_date, payment_method, reference_number, notes } = {}, settledBy = null) => {
+  if (!isBlank(settlement_date) && !isValidDate(settlement_date)) {
+    return Promise.reject(moveOutError(400, 'settlement_date must be a date (YYYY-MM-DD)'));
+  }
+
+  return withOpenMoveOut(user, moveOutId, async (db, moveOut) => {
+    if (!moveOut.inspected_at) throw moveOutError(409, 'Record the exit inspection before settling');
+    if (!moveOut.meters_read_at) throw moveOutError(409, 'Record the final meter readings before settling');
+
+    // A lease put into effect since the notice would keep the tenant on
+    const later = await findLeaseStartingAfter(moveOut.tenant_id, dateString(moveOut.move_out_date), db);
+    if (later) {
+      throw moveOutError(409, `Lease #${later.lease_id} starts on ${dateString(later.start_date)}, after the move-out date; cancel it before settling`);
+    }
+
+    const items = await db.query(
+      'SELECT category, description, amount FROM move_out_inspection_items WHERE move_out_id = $1 ORDER BY item_id',
+      [moveOut.move_out_id]
+    );
+
+    const existing = await getSettlementStatement(moveOut.tenant_id, db);
+    const settlement = existing || await settleDeposit(moveOut.tenant_id, {
+      deductions: items.rows,
+      settlement_date,
+      payment_method,
+      reference_number,
+      notes: notes || `Move-out #${moveOut.move_out_id}`
+    }, settledBy, db);
+
+    await db.query(
+      'UPDATE move_outs SET settlement_id = $1, settled_at = CURRENT_TIMESTAMP WHERE move_out_id = $2',
+      [settlement.settlement_id, moveOut.move_out_id]
+    );
+  });
+};
+
+/**
+ * Close the tenancy on the day the tenant left (the planned move-out date
+ * unless given): end the lease and anything running on it, deactivate the
+ * tenant and free the unit.
+ */
+const completeMoveOut = (user, moveOutId, { move_out_date } = {}, completedBy = null) => {
+  if (!isBlank(move_out_date) && !isValidDate(move_out_date)) {
+    return Promise.reject(moveOutError(400, 'move_out_date must be a date (YYYY-MM-DD)'));
+  }
+
+  return withOpenMoveOut(user, moveOutId, async (db, moveOut) => {
+    if (!moveOut.settlement_id) throw moveOutError(409, 'Settle rent and the deposit before closing the tenancy');
+
+    const leftOn = isBlank(move_out_date) ? dateString(moveOut.move_out_date) : move_out_date;
+    if (leftOn > todayString()) {
+      throw moveOutError(409, `The tenant is due to leave on ${leftOn}; close the tenancy on or after that day`);
+    }
+    if (leftOn < dateString(moveOut.notice_date)) {
+      throw moveOutError(400, 'move_out_date cannot be before the notice date');
+    }
+
+    await db.query('SELECT tenant_id FROM tenants WHERE tenant_id = $1 FOR UPDATE', [moveOut.tenant_id]);
+
+    const waiting = await db.query(
+      `SELECT lease_id, start_date FROM leases WHERE tenant_id = $1 AND status = 'pending'`,
+      [moveOut.tenant_id]
+    );
+    if (waiting.rows.length > 0) {
+      throw moveOutError(409, `Lease #${waiting.rows[0].lease_id} is waiting to start on ${dateString(waiting.rows[0].start_date)}; cancel it before closing the tenancy`);
+    }
+
+    const lease = await db.query(
+      `SELECT * FROM leases WHERE tenant_id = $1 AND status = 'active' FOR UPDATE`,
+      [moveOut.tenant_id]
+    );
+
+    if (lease.rows.length > 0) {
+      const current = lease.rows[0];
+      const startDate = dateString(current.start_date);
+      if (leftOn < startDate) {
+        throw moveOutError(409, `The tenant's lease starts on ${startDate}, after the move-out date`);
+      }
+
+      // Leaving before the end of a fixed term ends the lease early
+      const early = !current.end_date || leftOn < dateString(current.end_date);
+      await db.query(`
+        UPDATE leases
+        SET status = $1, end_date = $2, termination_reason = $3, terminated_by = $4,
+            ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE lease_id = $5
+      `, [
+        early ? 'terminated' : 'ended',
+        leftOn,
+        early ? `Moved out${moveOut.reason ? `: ${moveOut.reason}` : ''}` : current.termination_reason,
+        early ? completedBy : current.terminated_by,
+        current.lease_id
+      ]);
+
+      await db.query(
+        'UPDATE rent_escalations SET is_active = FALSE WHERE lease_id = $1 AND is_active',
+        [current.lease_id]
+      );
+      await db.query(`
+        UPDATE lease_renewals
+        SET status = 'declined', response_notes = 'Tenant moved out', responded_by = $1,
+            responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE lease_id = $2 AND status = 'offered'
+      `, [completedBy, current.lease_id]);
+    }
+
+    await db.query(
+      'UPDATE tenants SET is_active = FALSE, move_out_date = $1, updated_at = CURRENT_TIMESTAMP WHERE tenant_id = $2',
+      [leftOn, moveOut.tenant_id]
+    );
+
+    if (moveOut.unit_id) {
+      await db.query(`
+        UPDATE units
+        SET is_occupied = EXISTS (
+          SELECT 1 FROM tenants WHERE unit_id = $1 AND tenant_id <> $2 AND is_active
+        )
+        WHERE unit_id = $1
+      `, [moveOut.unit_id, moveOut.tenant_id]);
+    }
+
+    await db.query(`
+      UPDATE move_outs
+      SET status = 'completed', move_out_date = $1, completed_by = $2, completed_at = CURRENT_TIMESTAMP
+      WHERE move_out_id = $3
+    `, [leftOn, completedBy, moveOut.move_out_id]);
+  }, { settled: true });
+};
+
+/**
+ * Withdraw a notice before the move-out is settled. The tenant no longer
+ * has a move-out date; final meter bills already raised stay on their
+ * account, and a lease cancelled at notice stays cancelled.
+ */
+const cancelMoveOut = (user, moveOutId, { reason } = {}) => {
+  if (isBlank(reason) || !String(reason).trim()) {
+    return Promise.reject(moveOutError(400, 'A reason is required to cancel a move-out'));
+  }
+
+  return withOpenMoveOut(user, moveOutId, async (db, moveOut) => {
+    await db.query(`
+      UPDATE move_outs
+      SET status = 'cancelled', cancellation_reason = $1, cancelled_at = CURRENT_TIMESTAMP
+      WHERE move_out_id = $2
+    `, [String(reason).trim(), moveOut.move_out_id]);
+
+    await db.query(
+      'UPDATE tenants SET move_out_date = NULL, updated_at = CURRENT_TIMESTAMP WHERE tenant_id = $1',
+      [moveOut.tenant_id]
+    );
+  });
+};
+
+module.exports = {
+  MOVE_OUT_STATUSES,
+  UTILITY_TYPES,
+  moveOutProgress,
+  validateInspectionItems,
+  validateReadings,
+  listMoveOuts,
+  getMoveOut,
+  startMoveOut,
+  recordInspection,
+  recordMeterReadings,
+  settleMoveOut,
+  completeMoveOut,
+  cancelMoveOut
+};
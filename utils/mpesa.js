@@ -0,0 +1,489 @@
+// mpesa.js
+const pool = require('../config/db');
+const mpesaService = require('../services/mpesaService');
+const { propertyScope, tenantScope } = require('./ownership');
+const { syncPaymentEntries } = require('./ledger');
+const { findReferenceConflicts, normalizeCode } = require('./duplicates');
+
+/**
+ * Rent collection through M-Pesa.
+ *
+ * STK Push: initiating a push stores a pending mpesa_transactions row keyed
+ * by the CheckoutRequestID Daraja returns. The callback settles it: a
+ * successful result creates a completed payment for the tenant, anything
+ * else marks the request failed or cancelled. Callbacks for a request that
+ * is no longer pending are ignored, so Daraja retries are harmless.
+ *
+ * Paybill (C2B): tenants pay with their unit as the account number,
+ * written with the property's paybill_prefix ('KIL-A1', 'kil a1') or, where
+ * it is unambiguous, the bare unit number ('A1'). 'T<tenant_id>' also
+ * works. Every confirmation is stored once per TransID; a match creates
+ * the payment straight away, anything else waits in the suspense queue
+ * for someone to assign it to a tenant.
+ *
+ * A Paybill belongs to the landlord whose users.mpesa_shortcode it is, and
+ * payments to it only match that landlord's units. A Paybill nobody owns
+ * (a shared one) only accepts prefixed account numbers, since prefixes are
+ * unique across landlords and bare unit numbers are not.
+ */
+
+// Daraja result codes for a prompt the customer dismissed or let expire
+const CANCELLED_RESULT_CODES = [1032, 1037];
+
+const mpesaError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// 'kil-a1 ' -> 'KILA1'
+const normalizeReference = (reference) => String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Record a completed M-Pesa payment for a tenant and post it to the ledger.
+ * A receipt already on a payment (typed in by hand before Safaricom told us)
+ * is not recorded twice; the existing payment is returned instead.
+ */
+const createMpesaPayment = async (tenant, { amount, date, reference, receipt, notes }, createdBy, db) => {
+  const recorded = await findReferenceConflicts(
+    { property_id: tenant.property_id, payment_method: 'M-Pesa', mpesa_code: receipt },
+    {},
+    db
+  );
+  if (recorded.length > 0) {
+    const existing = await db.query('SELECT * FROM payments WHERE payment_id = $1', [recorded[0].payment_id]);
+    return existing.rows[0];
+  }
+
+  const payment = await db.query(`
+    INSERT INTO payments (
+      tenant_id, property_id, unit_id, amount, payment_date, payment_method,
+      reference_number, mpesa_code, payment_status, notes
+    ) VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), 'M-Pesa', $6, $7, 'completed', $8)
+    RETURNING *
+  `, [
+    tenant.tenant_id,
+    tenant.property_id,
+    tenant.unit_id,
+    amount,
+    date || null,
+    reference || null,
+    normalizeCode(receipt),
+    notes || null
+  ]);
+
+  await syncPaymentEntries(payment.rows[0], createdBy, db);
+  return payment.rows[0];
+};
+
+/**
+ * Send an STK Push for a tenant's rent. Defaults to the tenant's phone and
+ * outstanding balance. Throws 400 if there is nothing to charge and 502 if
+ * Daraja rejects the request.
+ */
+const initiateStkPush = async (tenantId, { amount, phone_number } = {}, initiatedBy = null) => {
+  if (!mpesaService.isConfigured()) {
+    throw mpesaError(503, 'M-Pesa is not configured');
+  }
+
+  const result = await pool.query(`
+    SELECT t.tenant_id, t.phone, t.rent_balance, t.unit_id,
+           COALESCE(t.property_id, u.property_id) as property_id, u.unit_number
+    FROM tenants t
+    LEFT JOIN units u ON t.unit_id = u.unit_id
+    WHERE t.tenant_id = $1
+  `, [tenantId]);
+
+  const tenant = result.rows[0];
+  const chargeAmount = Math.ceil(Number(amount !== undefined ? amount : tenant.rent_balance));
+
+  if (!(chargeAmount >= 1)) {
+    throw mpesaError(400, amount !== undefined
+      ? 'Amount must be at least 1'
+      : 'Tenant has no outstanding balance; provide an amount');
+  }
+
+  const phone = phone_number || tenant.phone;
+  if (!phone) throw mpesaError(400, 'Tenant has no phone number; provide phone_number');
+
+  const accountReference = tenant.unit_number || `T${tenant.tenant_id}`;
+
+  const response = await mpesaService.stkPush({
+    phoneNumber: phone,
+    amount: chargeAmount,
+    accountReference,
+    description: 'Rent'
+  });
+
+  if (!response.success) {
+    throw mpesaError(502, `M-Pesa request failed: ${response.error}`);
+  }
+
+  const saved = await pool.query(`
+    INSERT INTO mpesa_transactions (
+      tenant_id, property_id, unit_id, phone_number, amount, account_reference,
+      merchant_request_id, checkout_request_id, initiated_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    tenant.tenant_id,
+    tenant.property_id,
+    tenant.unit_id,
+    mpesaService.formatPhoneNumber(phone),
+    chargeAmount,
+    accountReference,
+    response.data.MerchantRequestID,
+    response.data.CheckoutRequestID,
+    initiatedBy || null
+  ]);
+
+  return { ...saved.rows[0], customer_message: response.data.CustomerMessage };
+};
+
+/**
+ * Apply a parsed STK callback. Returns the updated transaction, or null if
+ * the request is unknown or already settled.
+ */
+const handleStkCallback = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT * FROM mpesa_transactions WHERE checkout_request_id = $1 FOR UPDATE`,
+      [callback.checkoutRequestId]
+    );
+
+    const txn = existing.rows[0];
+    if (!txn || txn.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    let status = 'failed';
+    if (callback.resultCode === 0) status = 'completed';
+    else if (CANCELLED_RESULT_CODES.includes(callback.resultCode)) status = 'cancelled';
+
+    let paymentId = null;
+
+    if (status === 'completed') {
+      const payment = await createMpesaPayment(txn, {
+        amount: callback.amount || txn.amount,
+        date: callback.transactionDate,
+        reference: txn.account_reference,
+        receipt: callback.receiptNumber,
+        notes: `M-Pesa STK Push from ${callback.phoneNumber || txn.phone_number}`
+      }, txn.initiated_by, client);
+      paymentId = payment.payment_id;
+    }
+
+    const updated = await client.query(`
+      UPDATE mpesa_transactions
+      SET status = $1, result_code = $2, result_desc = $3, mpesa_receipt_number = $4,
+          payment_id = $5, completed_at = CURRENT_TIMESTAMP
+      WHERE transaction_id = $6
+      RETURNING *
+    `, [
+      status,
+      callback.resultCode,
+      callback.resultDesc || null,
+      callback.receiptNumber,
+      paymentId,
+      txn.transaction_id
+    ]);
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * An STK request in the user's scope, by CheckoutRequestID
+ */
+const findStkTransaction = async (user, checkoutRequestId) => {
+  const params = [checkoutRequestId];
+  const scope = propertyScope(user, 'property_id', params);
+  const ownScope = tenantScope(user, 'tenant_id', params);
+
+  const result = await pool.query(
+    `SELECT * FROM mpesa_transactions WHERE checkout_request_id = $1 AND ${scope} AND ${ownScope}`,
+    params
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Pick the tenant an account number belongs to from the units it could
+ * name. `candidates` has one row per unit and active tenant (tenant_id null
+ * for a vacant unit). Prefixed matches win over bare unit numbers, which
+ * are not tried at all with `prefixedOnly`.
+ * Returns { tenant } or { reason, property_id } when it cannot decide.
+ */
+const pickAccountMatch = (reference, candidates, { prefixedOnly = false } = {}) => {
+  const ref = normalizeReference(reference);
+  const prefixed = candidates.filter(c => c.paybill_prefix && normalizeReference(c.paybill_prefix + c.unit_number) === ref);
+  const matches = prefixed.length > 0 || prefixedOnly
+    ? prefixed
+    : candidates.filter(c => normalizeReference(c.unit_number) === ref);
+
+  if (matches.length === 0 && prefixedOnly) {
+    return { reason: 'Account number must start with the property\'s paybill prefix', property_id: null };
+  }
+
+  const units = [...new Set(matches.map(c => c.unit_id))];
+  const properties = [...new Set(matches.map(c => c.property_id))];
+  const propertyId = properties.length === 1 ? properties[0] : null;
+
+  if (units.length === 0) return { reason: 'No unit matches the account number', property_id: null };
+  if (units.length > 1) return { reason: 'Account number matches more than one unit', property_id: propertyId };
+
+  const tenants = matches.filter(c => c.tenant_id);
+  if (tenants.length === 0) return { reason: 'Unit has no active tenant', property_id: propertyId };
+  if (tenants.length > 1) return { reason: 'Unit has more than one active tenant', property_id: propertyId };
+
+  const { tenant_id, unit_id, property_id } = tenants[0];
+  return { tenant: { tenant_id, unit_id, property_id } };
+};
+
+/**
+ * The landlord a Paybill (`shortCode`, the configured one if not given)
+ * belongs to, or null for a shared one
+ */
+const findShortcodeOwner = async (shortCode, db = pool) => {
+  const owner = await db.query(
+    'SELECT user_id FROM users WHERE mpesa_shortcode = $1',
+    [String(shortCode || mpesaService.shortCode || '')]
+  );
+  return owner.rows.length > 0 ? owner.rows[0].user_id : null;
+};
+
+/**
+ * Resolve an account number paid to a Paybill (`shortCode`, the configured
+ * one if not given) to a tenant. See pickAccountMatch.
+ */
+const matchAccountReference = async (reference, shortCode, db = pool) => {
+  const ref = normalizeReference(reference);
+  if (!ref) return { reason: 'No account number given', property_id: null };
+
+  const ownerId = await findShortcodeOwner(shortCode, db);
+
+  const byTenantId = ref.match(/^T(\d+)$/);
+  if (byTenantId && ownerId) {
+    const tenant = await db.query(`
+      SELECT t.tenant_id, t.unit_id, COALESCE(t.property_id, u.property_id) as property_id
+      FROM tenants t
+      LEFT JOIN units u ON t.unit_id = u.unit_id
+      JOIN properties p ON p.property_id = COALESCE(t.property_id, u.property_id)
+      WHERE t.tenant_id = $1 AND t.is_active = TRUE AND p.user_id = $2
+    `, [byTenantId[1], ownerId]);
+    if (tenant.rows.length > 0) return { tenant: tenant.rows[0] };
+  }
+
+  const candidates = await db.query(`
+    SELECT u.unit_id, u.unit_number, u.property_id, p.paybill_prefix, t.tenant_id
+    FROM units u
+    JOIN properties p ON p.property_id = u.property_id
+    LEFT JOIN tenants t ON t.unit_id = u.unit_id AND t.is_active = TRUE
+    WHERE ($2::integer IS NULL OR p.user_id = $2)
+      AND (regexp_replace(upper(u.unit_number), '[^A-Z0-9]', '', 'g') = $1
+       OR regexp_replace(upper(COALESCE(p.paybill_prefix, '') || u.unit_number), '[^A-Z0-9]', '', 'g') = $1)
+  `, [ref, ownerId]);
+
+  return pickAccountMatch(reference, candidates.rows, { prefixedOnly: !ownerId });
+};
+
+/**
+ * Answer a C2B validation request. Unmatched payments are accepted into
+ * the suspense queue unless MPESA_C2B_REJECT_UNMATCHED is set.
+ */
+const validateC2BPayment = async (payment) => {
+  if (!(payment.amount > 0)) return { accepted: false, reason: 'Invalid amount' };
+  if (!mpesaService.c2bRejectUnmatched) return { accepted: true };
+
+  const match = await matchAccountReference(payment.billRefNumber, payment.shortCode);
+  return match.tenant ? { accepted: true } : { accepted: false, reason: match.reason };
+};
+
+/**
+ * Store a C2B confirmation and pay it to the matched tenant, or leave it
+ * in suspense. Returns the stored row; a repeated TransID returns the row
+ * already stored.
+ */
+const recordC2BPayment = async (payment, raw = null) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const ownerId = await findShortcodeOwner(payment.shortCode, client);
+    const inserted = await client.query(`
+      INSERT INTO mpesa_c2b_transactions (
+        trans_id, trans_type, transaction_date, amount, business_short_code,
+        bill_ref_number, phone_number, payer_name, raw_payload, owner_id
+      ) VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (trans_id) DO NOTHING
+      RETURNING *
+    `, [
+      payment.transId,
+      payment.transType,
+      payment.transactionDate,
+      payment.amount,
+      payment.shortCode,
+      payment.billRefNumber,
+      payment.phoneNumber,
+      payment.payerName,
+      raw ? JSON.stringify(raw) : null,
+      ownerId
+    ]);
+
+    if (inserted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const existing = await pool.query('SELECT * FROM mpesa_c2b_transactions WHERE trans_id = $1', [payment.transId]);
+      return existing.rows[0];
+    }
+
+    const row = inserted.rows[0];
+    const match = await matchAccountReference(payment.billRefNumber, payment.shortCode, client);
+
+    let updated;
+    if (match.tenant) {
+      const created = await createMpesaPayment(match.tenant, {
+        amount: payment.amount,
+        date: payment.transactionDate,
+        reference: payment.billRefNumber,
+        receipt: payment.transId,
+        notes: `M-Pesa Paybill from ${payment.payerName || payment.phoneNumber || 'unknown payer'}`
+      }, null, client);
+
+      updated = await client.query(`
+        UPDATE mpesa_c2b_transactions
+        SET status = 'matched', tenant_id = $1, unit_id = $2, property_id = $3, payment_id = $4
+        WHERE c2b_id = $5
+        RETURNING *
+      `, [match.tenant.tenant_id, match.tenant.unit_id, match.tenant.property_id, created.payment_id, row.c2b_id]);
+    } else {
+      updated = await client.query(`
+        UPDATE mpesa_c2b_transactions
+        SET status = 'suspense', suspense_reason = $1, property_id = $2
+        WHERE c2b_id = $3
+        RETURNING *
+      `, [match.reason, match.property_id, row.c2b_id]);
+    }
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Build a SQL condition limiting C2B entries (`alias` is the table alias,
+ * with its dot) to the user's properties. A landlord also sees payments to
+ * their own shortcode that matched no property.
+ */
+const suspenseScope = (user, alias, params) => {
+  const scope = propertyScope(user, `${alias}property_id`, params);
+  if (!user || user.role !== 'landlord') return scope;
+
+  params.push(user.user_id);
+  return `(${scope} OR (${alias}property_id IS NULL AND ${alias}owner_id = $${params.length}))`;
+};
+
+/**
+ * Paybill payments waiting to be assigned. Payments that matched no
+ * property are in the scope of the shortcode's landlord, or only an
+ * admin's for a shared shortcode.
+ */
+const getSuspenseQueue = async (user) => {
+  const params = [];
+  const scope = suspenseScope(user, 'c.', params);
+
+  const result = await pool.query(`
+    SELECT c.*, p.property_name
+    FROM mpesa_c2b_transactions c
+    LEFT JOIN properties p ON c.property_id = p.property_id
+    WHERE c.status = 'suspense' AND ${scope}
+    ORDER BY c.transaction_date, c.c2b_id
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * Pay a suspense entry to a tenant the caller has already checked access
+ * to. Returns null if the entry is not visible; throws a 409 if it is no
+ * longer in suspense.
+ */
+const assignSuspensePayment = async (user, c2bId, tenant, assignedBy) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [c2bId];
+    const scope = suspenseScope(user, '', params);
+    const existing = await client.query(`
+      SELECT * FROM mpesa_c2b_transactions
+      WHERE c2b_id = $1 AND ${scope}
+      FOR UPDATE
+    `, params);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const entry = existing.rows[0];
+    if (entry.status !== 'suspense') {
+      throw mpesaError(409, 'This payment has already been assigned');
+    }
+
+    const payment = await createMpesaPayment(tenant, {
+      amount: entry.amount,
+      date: entry.transaction_date,
+      reference: entry.bill_ref_number,
+      receipt: entry.trans_id,
+      notes: `M-Pesa Paybill from ${entry.payer_name || entry.phone_number || 'unknown payer'} (assigned from suspense)`
+    }, assignedBy, client);
+
+    const updated = await client.query(`
+      UPDATE mpesa_c2b_transactions
+      SET status = 'assigned', tenant_id = $1, unit_id = $2, property_id = $3, payment_id = $4,
+          assigned_by = $5, assigned_at = CURRENT_TIMESTAMP
+      WHERE c2b_id = $6
+      RETURNING *
+    `, [tenant.tenant_id, tenant.unit_id, tenant.property_id, payment.payment_id, assignedBy || null, c2bId]);
+
+    await client.query('COMMIT');
+    return { ...updated.rows[0], payment };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  normalizeReference,
+  initiateStkPush,
+  handleStkCallback,
+  findStkTransaction,
+  pickAccountMatch,
+  matchAccountReference,
+  validateC2BPayment,
+  recordC2BPayment,
+  getSuspenseQueue,
+  assignSuspensePayment
+};
@@ -0,0 +1,82 @@
+// notifications.js
+const pool = require('../config/db');
+
+/**
+ * In-app notifications.
+ * Background jobs and other users' actions leave a note for the account
+ * that needs to act on it (usually the landlord). Notifications belong to
+ * one user and are only ever read or marked read by that user.
+ */
+const LIST_LIMIT = 100;
+
+/**
+ * Leave a notification for a user. Does nothing without a user, so callers
+ * can pass an owner that may not be set.
+ */
+const notify = async (userId, { type, title, message, entityType = null, entityId = null }, db = pool) => {
+  if (!userId) return null;
+
+  const result = await db.query(`
+    INSERT INTO notifications (user_id, notification_type, title, message, entity_type, entity_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [userId, type, title, message, entityType, entityId]);
+
+  return result.rows[0];
+};
+
+/**
+ * The user's latest notifications, newest first, with the unread count
+ */
+const listNotifications = async (user, { unread = false } = {}, db = pool) => {
+  const params = [user.user_id];
+  const unreadOnly = unread ? 'AND read_at IS NULL' : '';
+
+  const result = await db.query(`
+    SELECT *
+    FROM notifications
+    WHERE user_id = $1 ${unreadOnly}
+    ORDER BY created_at DESC, notification_id DESC
+    LIMIT ${LIST_LIMIT}
+  `, params);
+
+  const count = await db.query(
+    'SELECT COUNT(*)::int as unread FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    params
+  );
+
+  return { notifications: result.rows, unread: count.rows[0].unread };
+};
+
+/**
+ * Mark one of the user's notifications read. Returns null if it is not theirs.
+ */
+const markRead = async (user, notificationId, db = pool) => {
+  const result = await db.query(`
+    UPDATE notifications
+    SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+    WHERE notification_id = $1 AND user_id = $2
+    RETURNING *
+  `, [notificationId, user.user_id]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Mark all of the user's notifications read. Returns how many were unread.
+ */
+const markAllRead = async (user, db = pool) => {
+  const result = await db.query(
+    'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+    [user.user_id]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  notify,
+  listNotifications,
+  markRead,
+  markAllRead
+};
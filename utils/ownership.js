@@ -0,0 +1,109 @@
+// ownership.js
+const pool = require('../config/db');
+
+/**
+ * Every landlord-owned record resolves to a property, and properties.user_id
+ * is the root of ownership. Admins see everything.
+ */
+const isAdmin = (user) => Boolean(user && user.role === 'admin');
+
+/**
+ * Where each role's accessible properties come from.
+ * Caretakers, agents and tenants reach a property through the row their
+ * account is linked to.
+ */
+const PROPERTY_SOURCES = {
+  landlord: 'SELECT property_id FROM properties WHERE user_id = $?',
+  caretaker: 'SELECT property_id FROM caretakers WHERE user_id = $? AND is_active = TRUE',
+  agent: 'SELECT property_id FROM agents WHERE user_id = $? AND is_active = TRUE',
+  tenant: 'SELECT property_id FROM tenants WHERE user_id = $?'
+};
+
+/**
+ * Build a SQL condition limiting `column` (a property_id expression) to the
+ * properties the user may access. Pushes the user id onto `params`.
+ *
+ * @example
+ * const params = [id];
+ * const scope = propertyScope(req.user, 'u.property_id', params);
+ * pool.query(`SELECT * FROM units u WHERE u.unit_id = $1 AND ${scope}`, params);
+ */
+const propertyScope = (user, column, params) => {
+  if (isAdmin(user)) return 'TRUE';
+
+  const source = user && PROPERTY_SOURCES[user.role];
+  if (!source) return 'FALSE';
+
+  params.push(user.user_id);
+  return `${column} IN (${source.replace('$?', `$${params.length}`)})`;
+};
+
+/**
+ * Build a SQL condition limiting `column` (a tenant_id expression) to the
+ * user's own tenancy. Only tenant accounts are narrowed; everyone else
+ * is already limited by propertyScope.
+ */
+const tenantScope = (user, column, params) => {
+  if (!user || user.role !== 'tenant') return 'TRUE';
+
+  params.push(user.user_id);
+  return `${column} IN (SELECT tenant_id FROM tenants WHERE user_id = $${params.length})`;
+};
+
+/**
+ * Check that a property exists and belongs to the user
+ */
+const canAccessProperty = async (user, propertyId, db = pool) => {
+  if (!propertyId) return false;
+
+  const params = [propertyId];
+  const scope = propertyScope(user, 'property_id', params);
+  const result = await db.query(
+    `SELECT property_id FROM properties WHERE property_id = $1 AND ${scope}`,
+    params
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Fetch a unit the user may access, or null
+ */
+const findAccessibleUnit = async (user, unitId, db = pool) => {
+  if (!unitId) return null;
+
+  const params = [unitId];
+  const scope = propertyScope(user, 'property_id', params);
+  const result = await db.query(
+    `SELECT unit_id, property_id, monthly_rent, is_occupied FROM units WHERE unit_id = $1 AND ${scope}`,
+    params
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Fetch a tenant the user may access, or null.
+ * property_id falls back to the unit's property for legacy rows.
+ */
+const findAccessibleTenant = async (user, tenantId, db = pool) => {
+  if (!tenantId) return null;
+
+  const params = [tenantId];
+  const scope = propertyScope(user, 'COALESCE(t.property_id, u.property_id)', params);
+  const ownScope = tenantScope(user, 't.tenant_id', params);
+  const result = await db.query(`
+    SELECT t.tenant_id, t.unit_id, COALESCE(t.property_id, u.property_id) as property_id
+    FROM tenants t
+    LEFT JOIN units u ON t.unit_id = u.unit_id
+    WHERE t.tenant_id = $1 AND ${scope} AND ${ownScope}
+  `, params);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  isAdmin,
+  propertyScope,
+  tenantScope,
+  canAccessProperty,
+  findAccessibleUnit,
+  findAccessibleTenant
+};
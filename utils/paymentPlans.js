@@ -0,0 +1,561 @@
+// paymentPlans.js
+const pool = require('../config/db');
+const { propertyScope } = require('./ownership');
+const { todayString, dateString, daysBetween } = require('./helpers');
+const { notify } = require('./notifications');
+
+/**
+ * Payment plan schedules.
+ * A plan is split into installments when it is created: one per period
+ * from the start date, each for installment_amount except the last, which
+ * takes what is left. Due dates are counted from the start date rather than
+ * from the previous one, so a plan starting on the 31st stays on month end.
+ *
+ * What has been paid towards the plan (payment_plans.amount_paid) is spread
+ * over the installments oldest first whenever it changes, and the plan's
+ * next_due_date, balance and completed status follow from the schedule.
+ *
+ * Unpaid installments past their due date are overdue. Once the oldest has
+ * been overdue for more than the property's plan_arrears_days the plan is
+ * in_arrears, and after plan_default_days it is defaulted. Catching up puts
+ * an in_arrears plan back to active; a defaulted plan stays defaulted until
+ * it is paid up. Every status change is kept in the plan's history, and the
+ * landlord is notified when a plan falls into arrears or defaults by itself.
+ *
+ * Terms are never edited in place. Restructuring closes the plan (status
+ * 'restructured') and opens a new version for the same total, linked both
+ * ways, which carries over what was paid as its first, settled installment
+ * and schedules the rest on the new terms. Payments stay tagged with the
+ * version they were made to; amounts always count towards the latest one.
+ */
+const PLAN_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'quarterly'];
+const PLAN_STATUSES = ['active', 'in_arrears', 'defaulted', 'completed', 'cancelled', 'restructured'];
+const OPEN_STATUSES = ['active', 'in_arrears', 'defaulted'];
+const MAX_INSTALLMENTS = 520;
+
+// For plans whose property has no thresholds of its own
+const DEFAULT_ARREARS_DAYS = 7;
+const DEFAULT_DEFAULT_DAYS = 60;
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const planError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * The date `count` periods after `start` ('YYYY-MM-DD'). Months are added
+ * to the start month and clamped to its last day (Jan 31 -> Feb 28 -> Mar 31).
+ */
+const addPeriods = (start, frequency, count) => {
+  const [year, month, day] = dateString(start).split('-').map(Number);
+
+  if (frequency === 'weekly' || frequency === 'biweekly') {
+    const date = new Date(Date.UTC(year, month - 1, day + count * (frequency === 'weekly' ? 7 : 14)));
+    return date.toISOString().substring(0, 10);
+  }
+
+  const months = count * (frequency === 'quarterly' ? 3 : 1);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${target.getUTCFullYear()}-${pad(target.getUTCMonth() + 1)}-${pad(Math.min(day, lastDay))}`;
+};
+
+/**
+ * Installments for a plan: [{ installment_number, due_date, amount_due }].
+ * The first falls due one period after the start date. A carried_amount
+ * (paid under an earlier version) comes first, due on the start date.
+ */
+const buildSchedule = ({ total_amount, installment_amount, installment_frequency, start_date, carried_amount = 0 }) => {
+  const total = toCents(total_amount);
+  const each = toCents(installment_amount);
+  if (!(total > 0) || !(each > 0)) return [];
+
+  const carried = Math.min(Math.max(toCents(carried_amount), 0), total);
+  const installments = [];
+
+  if (carried > 0) {
+    installments.push({
+      installment_number: 1,
+      due_date: dateString(start_date),
+      amount_due: carried / 100,
+      carried_over: true
+    });
+  }
+
+  for (let period = 1, due = carried; due < total; period += 1) {
+    const amount = Math.min(each, total - due);
+    installments.push({
+      installment_number: installments.length + 1,
+      due_date: addPeriods(start_date, installment_frequency || 'monthly', period),
+      amount_due: amount / 100
+    });
+    due += amount;
+  }
+
+  return installments;
+};
+
+/**
+ * How many whole periods after `start` fall on or before `end`
+ */
+const periodsUntil = (start, frequency, end) => {
+  let count = 0;
+  while (count < MAX_INSTALLMENTS && addPeriods(start, frequency, count + 1) <= dateString(end)) count += 1;
+  return count;
+};
+
+/**
+ * Spread an amount paid over installments in order. Returns each
+ * installment with its amount_paid and status ('pending', 'partial', 'paid',
+ * or 'overdue' when it is not paid and fell due before `today`).
+ */
+const spreadPayments = (installments, amountPaid, today = null) => {
+  let left = Math.max(toCents(amountPaid), 0);
+
+  return installments.map((installment) => {
+    const due = toCents(installment.amount_due);
+    const paid = Math.min(left, due);
+    left -= paid;
+
+    let status = paid > 0 ? 'partial' : 'pending';
+    if (paid >= due) status = 'paid';
+    else if (today && dateString(installment.due_date) < today) status = 'overdue';
+
+    return { ...installment, amount_paid: paid / 100, status };
+  });
+};
+
+/**
+ * Where a plan stands on `today` given its spread installments: 'completed'
+ * when all are paid, otherwise by how long the oldest unpaid one has been
+ * overdue. Returns { standing, installment, daysOverdue }.
+ */
+const planStanding = (installments, { today, arrearsDays = DEFAULT_ARREARS_DAYS, defaultDays = DEFAULT_DEFAULT_DAYS }) => {
+  const oldest = installments.find((installment) => installment.status !== 'paid');
+  if (!oldest) return { standing: 'completed', installment: null, daysOverdue: 0 };
+
+  const daysOverdue = Math.max(daysBetween(dateString(oldest.due_date), today), 0);
+
+  let standing = 'active';
+  if (daysOverdue > Number(defaultDays)) standing = 'defaulted';
+  else if (daysOverdue > Number(arrearsDays)) standing = 'in_arrears';
+
+  return { standing, installment: oldest, daysOverdue };
+};
+
+/**
+ * The status a plan moves to from `current` given its standing. Cancelled
+ * and restructured plans are left alone and defaulted ones only leave by
+ * being paid up.
+ */
+const nextPlanStatus = (current, standing) => {
+  if (current === 'cancelled' || current === 'restructured') return current;
+  if (standing === 'completed') return 'completed';
+  if (current === 'defaulted') return current;
+  return standing;
+};
+
+const STATUS_NOTICES = {
+  in_arrears: 'Payment plan in arrears',
+  defaulted: 'Payment plan defaulted'
+};
+
+/**
+ * Record a plan moving from one status to another, and tell the landlord
+ * when it has fallen into arrears or defaulted (unless `notifyOwner` is
+ * false, as when they changed it themselves). `plan` needs owner_id and
+ * tenant_name for the notification.
+ */
+const recordStatusChange = async (plan, fromStatus, toStatus, { reason = null, changedBy = null, notifyOwner = true } = {}, db = pool) => {
+  await db.query(`
+    INSERT INTO payment_plan_status_history (plan_id, from_status, to_status, reason, changed_by)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [plan.plan_id, fromStatus, toStatus, reason, changedBy]);
+
+  if (notifyOwner && STATUS_NOTICES[toStatus]) {
+    await notify(plan.owner_id, {
+      type: `payment_plan_${toStatus}`,
+      title: STATUS_NOTICES[toStatus],
+      message: `${plan.tenant_name || 'A tenant'}'s payment plan #${plan.plan_id}: ${reason}`,
+      entityType: 'payment_plan',
+      entityId: plan.plan_id
+    }, db);
+  }
+};
+
+const describeStanding = ({ standing, installment, daysOverdue }) => {
+  if (standing === 'completed') return 'Paid in full';
+  if (standing === 'active') return 'No installment overdue beyond the arrears threshold';
+  return `Installment ${installment.installment_number} due ${dateString(installment.due_date)} is ${daysOverdue} day(s) overdue`;
+};
+
+const insertSchedule = async (plan, db = pool) => {
+  const installments = buildSchedule(plan);
+
+  for (const installment of installments) {
+    await db.query(`
+      INSERT INTO payment_plan_installments (plan_id, installment_number, due_date, amount_due, carried_over)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [plan.plan_id, installment.installment_number, installment.due_date, installment.amount_due, installment.carried_over === true]);
+  }
+
+  return installments;
+};
+
+/**
+ * Bring a plan's installments, next_due_date, balance and status in line
+ * with what has been paid towards it as of `today`. `paidDate` is recorded
+ * on installments this settles; `reason` and `changedBy` go into the
+ * history if the status changes (a reason is worked out when none is given).
+ */
+const syncPlanSchedule = async (planId, { paidDate = null, today = todayString(), reason = null, changedBy = null } = {}, db = pool) => {
+  const planResult = await db.query(`
+    SELECT
+      p.*,
+      pr.user_id as owner_id,
+      t.full_name as tenant_name,
+      COALESCE(pr.plan_arrears_days, $2) as arrears_days,
+      COALESCE(pr.plan_default_days, $3) as default_days
+    FROM payment_plans p
+    LEFT JOIN properties pr ON p.property_id = pr.property_id
+    LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
+    WHERE p.plan_id = $1
+    FOR UPDATE OF p
+  `, [planId, DEFAULT_ARREARS_DAYS, DEFAULT_DEFAULT_DAYS]);
+  const plan = planResult.rows[0];
+  if (!plan) return null;
+
+  const current = await db.query(
+    'SELECT * FROM payment_plan_installments WHERE plan_id = $1 ORDER BY installment_number',
+    [planId]
+  );
+
+  const installments = spreadPayments(current.rows, plan.amount_paid, today);
+
+  for (const [index, installment] of installments.entries()) {
+    const before = current.rows[index];
+    if (toCents(before.amount_paid) === toCents(installment.amount_paid) && before.status === installment.status) continue;
+
+    await db.query(`
+      UPDATE payment_plan_installments
+      SET amount_paid = $1, status = $2::varchar,
+          paid_date = CASE WHEN $2::varchar = 'paid' THEN COALESCE(paid_date, $3::date, CURRENT_DATE) ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE installment_id = $4
+    `, [installment.amount_paid, installment.status, paidDate, installment.installment_id]);
+  }
+
+  const open = installments.find((installment) => installment.status !== 'paid');
+  const standing = planStanding(installments, {
+    today,
+    arrearsDays: plan.arrears_days,
+    defaultDays: plan.default_days
+  });
+  const status = installments.length > 0 ? nextPlanStatus(plan.status, standing.standing) : plan.status;
+
+  if (status !== plan.status) {
+    // Falling behind always says which installment is overdue
+    const detail = describeStanding(standing);
+    const behind = reason && STATUS_NOTICES[status] ? `${reason}. ${detail}` : null;
+
+    await recordStatusChange(plan, plan.status, status, {
+      reason: behind || reason || detail,
+      changedBy
+    }, db);
+  }
+
+  const result = await db.query(`
+    UPDATE payment_plans
+    SET balance = total_amount - amount_paid, next_due_date = $1, status = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE plan_id = $3
+    RETURNING *
+  `, [open ? dateString(open.due_date) : null, status, planId]);
+
+  return result.rows[0];
+};
+
+/**
+ * A plan's installments with what is still owed on each, and whether it is
+ * overdue as of today
+ */
+const getPlanSchedule = async (planId, db = pool) => {
+  const result = await db.query(`
+    SELECT
+      i.*,
+      i.amount_due - i.amount_paid as amount_outstanding,
+      (i.status <> 'paid' AND i.due_date < CURRENT_DATE) as overdue
+    FROM payment_plan_installments i
+    WHERE i.plan_id = $1
+    ORDER BY i.installment_number
+  `, [planId]);
+
+  return result.rows.map((row) => ({
+    ...row,
+    amount_due: Number(row.amount_due),
+    amount_paid: Number(row.amount_paid),
+    amount_outstanding: Number(row.amount_outstanding)
+  }));
+};
+
+/**
+ * A plan's status changes, oldest first
+ */
+const getPlanHistory = async (planId, db = pool) => {
+  const result = await db.query(`
+    SELECT h.*, u.full_name as changed_by_name
+    FROM payment_plan_status_history h
+    LEFT JOIN users u ON h.changed_by = u.user_id
+    WHERE h.plan_id = $1
+    ORDER BY h.created_at, h.history_id
+  `, [planId]);
+
+  return result.rows;
+};
+
+/**
+ * The latest version of a plan that may have been restructured
+ */
+const currentPlanVersion = async (planId, db = pool) => {
+  let current = planId;
+
+  for (;;) {
+    const result = await db.query('SELECT restructured_to FROM payment_plans WHERE plan_id = $1', [current]);
+    if (!result.rows[0] || !result.rows[0].restructured_to) return current;
+    current = result.rows[0].restructured_to;
+  }
+};
+
+/**
+ * Every version of a plan, from the original terms to the latest
+ */
+const getPlanVersions = async (planId, db = pool) => {
+  const result = await db.query(`
+    WITH RECURSIVE earlier AS (
+      SELECT plan_id, restructured_from FROM payment_plans WHERE plan_id = $1
+      UNION ALL
+      SELECT p.plan_id, p.restructured_from
+      FROM payment_plans p
+      JOIN earlier e ON p.plan_id = e.restructured_from
+    ),
+    versions AS (
+      SELECT p.* FROM payment_plans p
+      WHERE p.plan_id = (SELECT plan_id FROM earlier WHERE restructured_from IS NULL)
+      UNION ALL
+      SELECT p.* FROM payment_plans p
+      JOIN versions v ON p.restructured_from = v.plan_id
+    )
+    SELECT plan_id, restructured_from, restructured_to, total_amount, carried_amount, amount_paid, balance,
+           installment_amount, installment_frequency, start_date, end_date, status, created_at
+    FROM versions
+    ORDER BY created_at, plan_id
+  `, [planId]);
+
+  return result.rows;
+};
+
+/**
+ * Restructure an open plan in the user's scope onto new terms: any of
+ * installment_amount, installment_frequency and end_date. Given only an
+ * end date, the installment is whatever clears the balance by then. The new
+ * schedule starts from start_date (today by default). Returns
+ * { previous, plan, installments }, or null if the plan is not found.
+ */
+const restructurePlan = async (user, planId, terms = {}, performedBy = null) => {
+  const { installment_amount, installment_frequency, end_date, reason } = terms;
+
+  if (!reason || !String(reason).trim()) {
+    throw planError(400, 'A reason is required to restructure a payment plan');
+  }
+  if (!installment_amount && !installment_frequency && !end_date) {
+    throw planError(400, 'Give a new installment_amount, installment_frequency or end_date');
+  }
+  if (installment_frequency && !PLAN_FREQUENCIES.includes(installment_frequency)) {
+    throw planError(400, `Invalid installment frequency. Must be one of: ${PLAN_FREQUENCIES.join(', ')}`);
+  }
+  if (installment_amount && !(Number(installment_amount) > 0)) {
+    throw planError(400, 'Installment amount must be a positive number');
+  }
+
+  const why = String(reason).trim();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [planId];
+    const scope = propertyScope(user, 'p.property_id', params);
+    const existing = await client.query(`
+      SELECT p.*, t.full_name as tenant_name
+      FROM payment_plans p
+      LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
+      WHERE p.plan_id = $1 AND ${scope}
+      FOR UPDATE OF p
+    `, params);
+
+    const previous = existing.rows[0];
+    if (!previous) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (!OPEN_STATUSES.includes(previous.status)) {
+      throw planError(409, previous.restructured_to
+        ? `This plan was restructured into plan #${previous.restructured_to}`
+        : `Only open plans can be restructured (this one is ${previous.status})`);
+    }
+
+    const outstanding = toCents(previous.total_amount) - toCents(previous.amount_paid);
+    if (outstanding <= 0) {
+      throw planError(409, 'Nothing is left to pay on this plan');
+    }
+
+    const startDate = dateString(terms.start_date) || todayString();
+    const frequency = installment_frequency || previous.installment_frequency || 'monthly';
+    let installmentAmount = Number(installment_amount) || Number(previous.installment_amount);
+
+    if (end_date && !installment_amount) {
+      const periods = periodsUntil(startDate, frequency, end_date);
+      if (periods === 0) {
+        throw planError(400, `No ${frequency} installment falls between ${startDate} and ${dateString(end_date)}`);
+      }
+      installmentAmount = Math.ceil(outstanding / periods) / 100;
+    }
+
+    const next = {
+      total_amount: previous.total_amount,
+      carried_amount: previous.amount_paid,
+      installment_amount: installmentAmount,
+      installment_frequency: frequency,
+      start_date: startDate
+    };
+    const schedule = buildSchedule(next);
+    const lastDueDate = schedule[schedule.length - 1].due_date;
+
+    if (end_date && dateString(end_date) < lastDueDate) {
+      throw planError(400, `Installments of ${installmentAmount} run until ${lastDueDate}, after end_date`);
+    }
+
+    const created = await client.query(`
+      INSERT INTO payment_plans (
+        tenant_id, property_id, unit_id, total_amount, carried_amount, amount_paid, balance,
+        installment_amount, installment_frequency, start_date, end_date, next_due_date,
+        status, description, restructured_from
+      ) VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $10, $11, 'active', $12, $13)
+      RETURNING *
+    `, [
+      previous.tenant_id,
+      previous.property_id,
+      previous.unit_id,
+      previous.total_amount,
+      previous.amount_paid,
+      outstanding / 100,
+      installmentAmount,
+      frequency,
+      startDate,
+      dateString(end_date) || lastDueDate,
+      schedule.find((installment) => !installment.carried_over).due_date,
+      previous.description,
+      previous.plan_id
+    ]);
+    const plan = created.rows[0];
+
+    await client.query(`
+      UPDATE payment_plans
+      SET status = 'restructured', restructured_to = $1, next_due_date = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE plan_id = $2
+    `, [plan.plan_id, previous.plan_id]);
+
+    await recordStatusChange(previous, previous.status, 'restructured', {
+      reason: `Restructured into plan #${plan.plan_id}: ${why}`,
+      changedBy: performedBy
+    }, client);
+    await recordStatusChange(plan, null, 'active', {
+      reason: `Restructured from plan #${previous.plan_id}: ${why}`,
+      changedBy: performedBy
+    }, client);
+
+    await insertSchedule(plan, client);
+    const current = await syncPlanSchedule(plan.plan_id, { changedBy: performedBy }, client);
+    const installments = await getPlanSchedule(plan.plan_id, client);
+    const closed = await client.query('SELECT * FROM payment_plans WHERE plan_id = $1', [previous.plan_id]);
+
+    await client.query('COMMIT');
+
+    return { previous: closed.rows[0], plan: current, installments };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Daily check of open plans in the user's scope with an installment past
+ * due: marks overdue installments and moves plans into arrears or default.
+ * Each plan is checked in its own transaction, so one failure does not
+ * hold up the rest, and running it twice on a day changes nothing.
+ */
+const checkPlanArrears = async (user, today = todayString()) => {
+  const params = [today];
+  const scope = propertyScope(user, 'p.property_id', params);
+
+  const candidates = await pool.query(`
+    SELECT p.plan_id, p.status
+    FROM payment_plans p
+    WHERE p.status IN ('active', 'in_arrears', 'defaulted')
+      AND (p.status = 'in_arrears' OR EXISTS (
+        SELECT 1 FROM payment_plan_installments i
+        WHERE i.plan_id = p.plan_id AND i.status <> 'paid' AND i.due_date < $1::date
+      ))
+      AND ${scope}
+    ORDER BY p.plan_id
+  `, params);
+
+  const changed = [];
+
+  for (const candidate of candidates.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const plan = await syncPlanSchedule(candidate.plan_id, { today }, client);
+      await client.query('COMMIT');
+
+      if (plan && plan.status !== candidate.status) {
+        changed.push({ plan_id: plan.plan_id, from_status: candidate.status, to_status: plan.status });
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to check payment plan ${candidate.plan_id}:`, error.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { date: today, checked: candidates.rows.length, changed };
+};
+
+module.exports = {
+  PLAN_FREQUENCIES,
+  PLAN_STATUSES,
+  addPeriods,
+  buildSchedule,
+  periodsUntil,
+  spreadPayments,
+  planStanding,
+  nextPlanStatus,
+  insertSchedule,
+  recordStatusChange,
+  syncPlanSchedule,
+  getPlanSchedule,
+  getPlanHistory,
+  currentPlanVersion,
+  getPlanVersions,
+  restructurePlan,
+  checkPlanArrears
+};
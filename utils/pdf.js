@@ -0,0 +1,171 @@
+// pdf.js
+
+/**
+ * Minimal PDF writer for receipts and letters: text in the standard
+ * Helvetica fonts, rules and shaded boxes on A4 pages. Coordinates are in
+ * points from the top-left corner of the page.
+ */
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters outside WinAnsi that turn up in names and notes
+const REPLACEMENTS = { '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...' };
+
+const toWinAnsi = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/[‘’“”–—…]/g, (char) => REPLACEMENTS[char])
+  .replace(/[^\x20-\xff]/g, '?');
+
+const escapeText = (value) => value.replace(/[\\()]/g, (char) => `\\${char}`);
+
+const textWidth = (value, size = 10) => {
+  let units = 0;
+  for (const char of toWinAnsi(value)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? WIDTHS[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+};
+
+/**
+ * Break text into lines no wider than `width` points
+ */
+const wrapText = (value, width, size = 10) => {
+  const lines = [];
+
+  for (const paragraph of String(value || '').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && textWidth(next, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+const number = (value) => Number(value.toFixed(2));
+
+/**
+ * Start a document. Draw with the returned methods, then call toBuffer().
+ */
+const createPdf = ({ title = null } = {}) => {
+  const pages = [[]];
+  let current = pages[0];
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    margin: MARGIN,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    /**
+     * Write one line of text. `align` is 'left', 'right' (x is the right
+     * edge) or 'center' (x is the middle).
+     */
+    text(value, x, y, { size = 10, bold = false, align = 'left', color = null } = {}) {
+      const text = toWinAnsi(value);
+      let left = x;
+      if (align === 'right') left = x - textWidth(text, size);
+      if (align === 'center') left = x - textWidth(text, size) / 2;
+
+      const fill = color ? `${color.map(number).join(' ')} rg ` : '';
+      current.push(`BT ${fill}/${bold ? 'F2' : 'F1'} ${size} Tf ${number(left)} ${number(PAGE_HEIGHT - y - size)} Td (${escapeText(text)}) Tj ET`);
+      return doc;
+    },
+
+    /**
+     * Write wrapped text starting at y and return the y below it
+     */
+    paragraph(value, x, y, { width = PAGE_WIDTH - MARGIN - x, size = 10, bold = false, leading = size * 1.4 } = {}) {
+      let top = y;
+      for (const line of wrapText(value, width, size)) {
+        if (line) doc.text(line, x, top, { size, bold });
+        top += leading;
+      }
+      return top;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current.push(`${number(width)} w ${number(x1)} ${number(PAGE_HEIGHT - y1)} m ${number(x2)} ${number(PAGE_HEIGHT - y2)} l S`);
+      return doc;
+    },
+
+    // Filled rectangle, grey by default
+    rect(x, y, w, h, { fill = [0.93, 0.93, 0.93] } = {}) {
+      current.push(`q ${fill.map(number).join(' ')} rg ${number(x)} ${number(PAGE_HEIGHT - y - h)} ${number(w)} ${number(h)} re f Q`);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const kids = pages.map((operations) => {
+        const stream = operations.join('\n');
+        const contents = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contents} 0 R >>`);
+      });
+
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map((id) => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+      const info = title ? add(`<< /Title (${escapeText(toWinAnsi(title))}) /Producer (SimamiaKodi) >>`) : null;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xref = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R${info ? ` /Info ${info} 0 R` : ''} >>\n`;
+      output += `startxref\n${xref}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  MARGIN,
+  textWidth,
+  wrapText,
+  createPdf
+};
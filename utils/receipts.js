@@ -0,0 +1,300 @@
+// receipts.js
+const pool = require('../config/db');
+const { propertyScope, tenantScope } = require('./ownership');
+const { getPaymentAllocations } = require('./allocations');
+const { formatCurrency, formatDate } = require('./helpers');
+const { createPdf } = require('./pdf');
+
+/**
+ * Official receipts.
+ * Every completed payment gets the next number in its series when it
+ * completes. A property with a receipt_prefix keeps its own series; the rest
+ * share their landlord's 'RCT' series. Numbers are taken inside the
+ * payment's transaction, so a rolled-back payment gives its number back and
+ * the series has no gaps. A cancelled payment keeps its number and its
+ * receipt shows as cancelled.
+ */
+const DEFAULT_PREFIX = 'RCT';
+
+// Money moved out of the deposit account is not money received
+const UNRECEIPTED_METHODS = ['Deposit'];
+
+const receiptError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatReceiptNumber = (prefix, sequence) => `${prefix}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Give a completed payment its receipt number if it has none. Sets
+ * receipt_number on `payment` too, so callers returning the row show it.
+ */
+const assignReceiptNumber = async (payment, db = pool) => {
+  if (payment.receipt_number || payment.payment_status !== 'completed') return payment.receipt_number || null;
+  if (UNRECEIPTED_METHODS.includes(payment.payment_method) || !payment.property_id) return null;
+
+  const property = await db.query(
+    'SELECT user_id, receipt_prefix FROM properties WHERE property_id = $1',
+    [payment.property_id]
+  );
+  if (property.rows.length === 0) return null;
+
+  const { user_id: ownerId, receipt_prefix: prefix } = property.rows[0];
+  const series = prefix ? `property:${payment.property_id}` : `landlord:${ownerId}`;
+
+  // The row lock is held until the payment's transaction ends
+  const sequence = await db.query(`
+    INSERT INTO receipt_sequences (series_key, last_number) VALUES ($1, 1)
+    ON CONFLICT (series_key) DO UPDATE
+    SET last_number = receipt_sequences.last_number + 1, updated_at = CURRENT_TIMESTAMP
+    RETURNING last_number
+  `, [series]);
+
+  const receiptNumber = formatReceiptNumber(prefix || DEFAULT_PREFIX, sequence.rows[0].last_number);
+
+  const result = await db.query(`
+    UPDATE payments
+    SET receipt_number = $1, receipt_series = $2, receipt_issued_at = CURRENT_TIMESTAMP
+    WHERE payment_id = $3 AND receipt_number IS NULL
+    RETURNING receipt_number, receipt_series, receipt_issued_at
+  `, [receiptNumber, series, payment.payment_id]);
+
+  Object.assign(payment, result.rows[0]);
+  return payment.receipt_number;
+};
+
+const CATEGORY_LABELS = {
+  rent: 'Rent',
+  penalty: 'Late fee',
+  utility: 'Utilities',
+  deposit: 'Security deposit',
+  other: 'Other charges',
+  credit: 'Credit carried forward'
+};
+
+const allocationLabel = (line) => {
+  if (line.invoice_number) return `Rent - ${line.invoice_number} (${line.billing_period})`;
+  if (line.late_fee_description) return line.late_fee_description;
+  if (line.utility_type) return `${line.utility_type.charAt(0).toUpperCase()}${line.utility_type.slice(1)} - ${line.utility_month}`;
+  if (line.charge_description) return line.charge_description;
+  return CATEGORY_LABELS[line.category] || line.category;
+};
+
+/**
+ * Everything printed on a payment's receipt. Returns null when the payment
+ * is not visible to the user.
+ */
+const getReceipt = async (user, paymentId, db = pool) => {
+  const params = [paymentId];
+  const scope = propertyScope(user, 'p.property_id', params);
+  const ownScope = tenantScope(user, 'p.tenant_id', params);
+
+  const result = await db.query(`
+    SELECT
+      p.*,
+      t.full_name as tenant_name,
+      t.phone as tenant_phone,
+      t.email as tenant_email,
+      t.rent_balance,
+      u.unit_number,
+      pr.property_name,
+      pr.location,
+      l.full_name as landlord_name,
+      l.phone as landlord_phone,
+      l.email as landlord_email
+    FROM payments p
+    LEFT JOIN tenants t ON p.tenant_id = t.tenant_id
+    LEFT JOIN units u ON p.unit_id = u.unit_id
+    LEFT JOIN properties pr ON p.property_id = pr.property_id
+    LEFT JOIN users l ON pr.user_id = l.user_id
+    WHERE p.payment_id = $1 AND ${scope} AND ${ownScope}
+  `, params);
+
+  if (result.rows.length === 0) return null;
+
+  const payment = result.rows[0];
+  if (!payment.receipt_number) {
+    throw receiptError(409, 'No receipt has been issued for this payment');
+  }
+
+  const allocations = await getPaymentAllocations(payment.payment_id, db);
+
+  return {
+    receipt_number: payment.receipt_number,
+    issued_at: payment.receipt_issued_at,
+    cancelled: payment.payment_status !== 'completed',
+    payment_id: payment.payment_id,
+    payment_date: payment.payment_date,
+    amount: Number(payment.amount),
+    payment_method: payment.payment_method,
+    reference: payment.mpesa_code || payment.reference_number || null,
+    notes: payment.notes,
+    tenant: {
+      name: payment.tenant_name,
+      phone: payment.tenant_phone,
+      email: payment.tenant_email
+    },
+    unit_number: payment.unit_number,
+    property: {
+      name: payment.property_name,
+      location: payment.location
+    },
+    landlord: {
+      name: payment.landlord_name,
+      phone: payment.landlord_phone,
+      email: payment.landlord_email
+    },
+    balance: Number(payment.rent_balance || 0),
+    allocations: allocations.map((line) => ({
+      category: line.category,
+      description: allocationLabel(line),
+      amount: line.amount
+    }))
+  };
+};
+
+// Lines shown under "Paid towards"; a payment with no allocation shows the full amount
+const receiptLines = (receipt) => (receipt.allocations.length
+  ? receipt.allocations
+  : [{ description: 'Payment received', amount: receipt.amount }]);
+
+// The tenant's balance when the receipt is printed, not when it was issued
+const balanceLine = (balance) => (balance < 0
+  ? `Account in credit as at ${formatDate(new Date())}: ${formatCurrency(-balance)}`
+  : `Balance due as at ${formatDate(new Date())}: ${formatCurrency(balance)}`);
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Printable HTML receipt (self-contained, suitable for email bodies)
+ */
+const renderReceiptHtml = (receipt) => {
+  const rows = receiptLines(receipt).map((line) => `
+        <tr><td>${escapeHtml(line.description)}</td><td class="amount">${escapeHtml(formatCurrency(line.amount))}</td></tr>`).join('');
+
+  const details = [
+    ['Receipt No', receipt.receipt_number],
+    ['Date', formatDate(receipt.payment_date)],
+    ['Received from', receipt.tenant.name],
+    ['Property', [receipt.property.name, receipt.unit_number && `Unit ${receipt.unit_number}`].filter(Boolean).join(', ')],
+    ['Payment method', receipt.payment_method],
+    ['Reference', receipt.reference]
+  ].filter(([, value]) => value);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(receipt.receipt_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 20px; margin: 0; }
+    .muted { color: #666; font-size: 13px; }
+    .cancelled { color: #b00020; font-weight: bold; font-size: 18px; margin: 12px 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; font-size: 14px; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; border-bottom: 2px solid #222; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(receipt.property.name || 'Official Receipt')}</h1>
+  <div class="muted">${escapeHtml([receipt.property.location, receipt.landlord.name, receipt.landlord.phone].filter(Boolean).join(' · '))}</div>
+  <h2>OFFICIAL RECEIPT</h2>
+  ${receipt.cancelled ? '<div class="cancelled">CANCELLED - this payment has been reversed</div>' : ''}
+  <table>${details.map(([label, value]) => `
+    <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+  <table>
+    <thead><tr><th>Paid towards</th><th class="amount">Amount</th></tr></thead>
+    <tbody>${rows}
+      <tr class="total"><td>Total received</td><td class="amount">${escapeHtml(formatCurrency(receipt.amount))}</td></tr>
+    </tbody>
+  </table>
+  <p>${escapeHtml(balanceLine(receipt.balance))}</p>
+  <p class="muted">Thank you for your payment.</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Printable A4 PDF receipt
+ */
+const renderReceiptPdf = (receipt) => {
+  const doc = createPdf({ title: `Receipt ${receipt.receipt_number}` });
+  const left = doc.margin;
+  const right = doc.width - doc.margin;
+  let y = doc.margin;
+
+  doc.text(receipt.property.name || 'Official Receipt', left, y, { size: 18, bold: true });
+  y += 24;
+  doc.text([receipt.property.location, receipt.landlord.name, receipt.landlord.phone].filter(Boolean).join('  |  '), left, y, { size: 9 });
+  y += 30;
+
+  doc.rect(left, y - 6, right - left, 26);
+  doc.text('OFFICIAL RECEIPT', left + 8, y, { size: 13, bold: true });
+  doc.text(receipt.receipt_number, right - 8, y, { size: 13, bold: true, align: 'right' });
+  y += 36;
+
+  if (receipt.cancelled) {
+    doc.text('CANCELLED - this payment has been reversed', left, y, { size: 12, bold: true, color: [0.7, 0, 0.1] });
+    y += 24;
+  }
+
+  const details = [
+    ['Date', formatDate(receipt.payment_date)],
+    ['Received from', receipt.tenant.name],
+    ['Property', [receipt.property.name, receipt.unit_number && `Unit ${receipt.unit_number}`].filter(Boolean).join(', ')],
+    ['Payment method', receipt.payment_method],
+    ['Reference', receipt.reference]
+  ].filter(([, value]) => value);
+
+  for (const [label, value] of details) {
+    doc.text(label, left, y, { bold: true });
+    doc.text(value, left + 120, y);
+    y += 18;
+  }
+
+  y += 14;
+  doc.text('Paid towards', left, y, { bold: true });
+  doc.text('Amount', right, y, { bold: true, align: 'right' });
+  y += 16;
+  doc.line(left, y, right, y);
+  y += 8;
+
+  for (const line of receiptLines(receipt)) {
+    doc.text(line.description, left, y);
+    doc.text(formatCurrency(line.amount), right, y, { align: 'right' });
+    y += 18;
+  }
+
+  doc.line(left, y, right, y, { width: 1 });
+  y += 8;
+  doc.text('Total received', left, y, { size: 11, bold: true });
+  doc.text(formatCurrency(receipt.amount), right, y, { size: 11, bold: true, align: 'right' });
+  y += 30;
+
+  doc.text(balanceLine(receipt.balance), left, y);
+  y += 30;
+  doc.text('Thank you for your payment.', left, y, { size: 9 });
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  DEFAULT_PREFIX,
+  formatReceiptNumber,
+  assignReceiptNumber,
+  getReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf
+};
@@ -0,0 +1,268 @@
+// refunds.js
+const pool = require('../config/db');
+const { propertyScope, tenantScope } = require('./ownership');
+const { postEntry, refreshRentBalance } = require('./ledger');
+const { recordPaymentEvent } = require('./reversals');
+
+/**
+ * Refunds of rent credit.
+ * A tenant who has paid more than they owe can be paid the difference back.
+ * A refund is requested against the credit on their account, then either
+ * paid out (which posts a 'refund' debit to the ledger, using up the credit)
+ * or cancelled. Requests still open count against the credit, so the same
+ * money cannot be requested twice.
+ */
+const REFUND_STATUSES = ['requested', 'paid', 'cancelled'];
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+const refundError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Credit a tenant can still be refunded: the ledger credit less requests
+ * not yet paid or cancelled (other than `excludeRefundId`)
+ */
+const refundableCredit = async (tenantId, { excludeRefundId = null } = {}, db = pool) => {
+  const result = await db.query(`
+    SELECT
+      t.rent_balance,
+      COALESCE((
+        SELECT SUM(r.amount) FROM payment_refunds r
+        WHERE r.tenant_id = t.tenant_id AND r.status = 'requested'
+          AND r.refund_id IS DISTINCT FROM $2
+      ), 0) as pending
+    FROM tenants t
+    WHERE t.tenant_id = $1
+  `, [tenantId, excludeRefundId]);
+
+  if (result.rows.length === 0) return 0;
+
+  const { rent_balance: balance, pending } = result.rows[0];
+  return Math.max(-toCents(balance) - toCents(pending), 0) / 100;
+};
+
+// Run `work` in a transaction holding the tenant row, so refunds for one tenant queue up
+const withTenant = async (tenantId, work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT tenant_id FROM tenants WHERE tenant_id = $1 FOR UPDATE', [tenantId]);
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const lockRefund = async (refundId, db) => {
+  const result = await db.query('SELECT * FROM payment_refunds WHERE refund_id = $1 FOR UPDATE', [refundId]);
+  if (result.rows.length === 0) throw refundError(404, 'Refund not found');
+  return result.rows[0];
+};
+
+/**
+ * Request a refund out of the tenant's credit. A payment it relates to (an
+ * overpayment, a duplicate) can be named; the refund cannot exceed it.
+ */
+const requestRefund = (tenant, { amount, reason, payment_id, payout_method, payout_account }, requestedBy) => {
+  return withTenant(tenant.tenant_id, async (db) => {
+    if (payment_id) {
+      const payment = await db.query(`
+        SELECT p.amount, p.payment_status,
+               COALESCE((
+                 SELECT SUM(r.amount) FROM payment_refunds r
+                 WHERE r.payment_id = p.payment_id AND r.status <> 'cancelled'
+               ), 0) as refunded
+        FROM payments p
+        WHERE p.payment_id = $1 AND p.tenant_id = $2
+      `, [payment_id, tenant.tenant_id]);
+
+      if (payment.rows.length === 0) throw refundError(400, 'Payment not found for this tenant');
+
+      const { amount: paid, payment_status: status, refunded } = payment.rows[0];
+      if (status !== 'completed') throw refundError(409, `Cannot refund a ${status} payment`);
+      if (toCents(amount) > toCents(paid) - toCents(refunded)) {
+        throw refundError(409, `Refund exceeds what is left of the payment (${(toCents(paid) - toCents(refunded)) / 100})`);
+      }
+    }
+
+    const available = await refundableCredit(tenant.tenant_id, {}, db);
+    if (toCents(amount) > toCents(available)) {
+      throw refundError(409, `Refund exceeds the credit available to refund (${available})`);
+    }
+
+    const result = await db.query(`
+      INSERT INTO payment_refunds (
+        tenant_id, property_id, payment_id, amount, reason, payout_method, payout_account, requested_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      tenant.tenant_id,
+      tenant.property_id,
+      payment_id || null,
+      amount,
+      String(reason).trim(),
+      payout_method || null,
+      payout_account || null,
+      requestedBy
+    ]);
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Record that a requested refund has been paid out to the tenant
+ */
+const payRefund = (refund, { payout_method, payout_reference, paid_date }, paidBy) => {
+  return withTenant(refund.tenant_id, async (db) => {
+    const current = await lockRefund(refund.refund_id, db);
+    if (current.status !== 'requested') {
+      throw refundError(409, `Refund has already been ${current.status}`);
+    }
+
+    const method = payout_method || current.payout_method;
+    if (!method) throw refundError(400, 'payout_method is required');
+
+    // The tenant may have been charged more since the request
+    const available = await refundableCredit(current.tenant_id, { excludeRefundId: current.refund_id }, db);
+    if (toCents(current.amount) > toCents(available)) {
+      throw refundError(409, `The tenant's credit (${available}) no longer covers this refund`);
+    }
+
+    const entry = await postEntry({
+      tenantId: current.tenant_id,
+      propertyId: current.property_id,
+      entryType: 'refund',
+      amount: Number(current.amount),
+      description: `Refund #${current.refund_id} paid via ${method}${payout_reference ? ` (${payout_reference})` : ''}`,
+      entryDate: paid_date || null,
+      createdBy: paidBy
+    }, db);
+
+    const result = await db.query(`
+      UPDATE payment_refunds
+      SET status = 'paid', payout_method = $1, payout_reference = $2,
+          paid_date = COALESCE($3::date, CURRENT_DATE), ledger_entry_id = $4,
+          paid_by = $5, paid_at = CURRENT_TIMESTAMP
+      WHERE refund_id = $6
+      RETURNING *
+    `, [method, payout_reference || null, paid_date || null, entry.entry_id, paidBy, current.refund_id]);
+
+    await refreshRentBalance(current.tenant_id, db);
+
+    if (current.payment_id) {
+      await recordPaymentEvent(current.payment_id, {
+        eventType: 'refunded',
+        reason: current.reason,
+        changes: { refund_id: current.refund_id, amount: Number(current.amount) },
+        performedBy: paidBy
+      }, db);
+    }
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Withdraw a refund that has not been paid
+ */
+const cancelRefund = (refund, { reason }, cancelledBy) => {
+  return withTenant(refund.tenant_id, async (db) => {
+    const current = await lockRefund(refund.refund_id, db);
+    if (current.status !== 'requested') {
+      throw refundError(409, `Refund has already been ${current.status}`);
+    }
+
+    const result = await db.query(`
+      UPDATE payment_refunds
+      SET status = 'cancelled', cancel_reason = $1, cancelled_by = $2, cancelled_at = CURRENT_TIMESTAMP
+      WHERE refund_id = $3
+      RETURNING *
+    `, [reason ? String(reason).trim() : null, cancelledBy, current.refund_id]);
+
+    return result.rows[0];
+  });
+};
+
+const REFUND_SELECT = `
+  SELECT
+    r.*,
+    t.full_name as tenant_name,
+    t.phone as tenant_phone,
+    u.unit_number,
+    pr.property_name,
+    p.receipt_number,
+    rq.full_name as requested_by_name,
+    pd.full_name as paid_by_name
+  FROM payment_refunds r
+  LEFT JOIN tenants t ON r.tenant_id = t.tenant_id
+  LEFT JOIN units u ON t.unit_id = u.unit_id
+  LEFT JOIN properties pr ON r.property_id = pr.property_id
+  LEFT JOIN payments p ON r.payment_id = p.payment_id
+  LEFT JOIN users rq ON r.requested_by = rq.user_id
+  LEFT JOIN users pd ON r.paid_by = pd.user_id
+`;
+
+/**
+ * Refunds visible to the user, newest first
+ */
+const listRefunds = async (user, { status, tenant_id } = {}, db = pool) => {
+  const params = [];
+  const conditions = [
+    propertyScope(user, 'r.property_id', params),
+    tenantScope(user, 'r.tenant_id', params)
+  ];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+  if (tenant_id) {
+    params.push(tenant_id);
+    conditions.push(`r.tenant_id = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${REFUND_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY r.created_at DESC, r.refund_id DESC
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * One refund, or null when it is not visible to the user
+ */
+const getRefund = async (user, refundId, db = pool) => {
+  const params = [refundId];
+  const scope = propertyScope(user, 'r.property_id', params);
+  const ownScope = tenantScope(user, 'r.tenant_id', params);
+
+  const result = await db.query(`
+    ${REFUND_SELECT}
+    WHERE r.refund_id = $1 AND ${scope} AND ${ownScope}
+  `, params);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  REFUND_STATUSES,
+  refundableCredit,
+  requestRefund,
+  payRefund,
+  cancelRefund,
+  listRefunds,
+  getRefund
+};
@@ -0,0 +1,540 @@
+// rentEscalations.js
+const pool = require('../config/db');
+const { propertyScope, tenantScope, findAccessibleUnit } = require('./ownership');
+const { addPeriods } = require('./paymentPlans');
+const { notify } = require('./notifications');
+const { formatCurrency, isValidDate, todayString, dateString } = require('./helpers');
+const MobiwaveSMS = require('../services/smsService');
+
+/**
+ * Scheduled rent escalation and rent history.
+ * An escalation schedule raises rent by a percentage or a fixed amount on
+ * each anniversary (every `interval_months`, 12 by default). A schedule on
+ * a lease raises what that tenant pays; a schedule on a unit raises the
+ * unit's monthly_rent, which new leases start from.
+ *
+ * A daily job (run before the monthly invoices) gives the tenant notice
+ * `notice_days` before each increase, by SMS and in the app, and applies
+ * the increase on its date. An increase is billed from the first invoice
+ * period that starts on or after it.
+ *
+ * Every rent a lease or unit has had is kept in rent_history with the date
+ * it took effect: the lease's starting rent, each escalation and each
+ * change made by hand to a unit.
+ */
+const ESCALATION_TYPES = ['percentage', 'fixed'];
+const DEFAULT_INTERVAL_MONTHS = 12;
+const DEFAULT_NOTICE_DAYS = 30;
+const MAX_INTERVAL_MONTHS = 120;
+
+const sms = new MobiwaveSMS();
+
+const escalationError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * Rent after one escalation step
+ */
+const escalatedRent = (rent, { escalation_type, value }) => {
+  const cents = toCents(rent);
+  const increase = escalation_type === 'percentage'
+    ? Math.round(cents * Number(value) / 100)
+    : toCents(value);
+  return (cents + increase) / 100;
+};
+
+/**
+ * The first anniversary of `startDate` after `today`
+ */
+const nextAnniversary = (startDate, intervalMonths, today = todayString()) => {
+  let count = 1;
+  let date = addPeriods(startDate, 'monthly', intervalMonths);
+  while (date <= today) {
+    count += 1;
+    date = addPeriods(startDate, 'monthly', intervalMonths * count);
+  }
+  return date;
+};
+
+/**
+ * Check a schedule from a request body. Returns an error message or null.
+ * Fields that are left out are not checked.
+ */
+const validateEscalation = ({ escalation_type, value, interval_months, notice_days, next_date }) => {
+  if (escalation_type !== undefined && !ESCALATION_TYPES.includes(escalation_type)) {
+    return `escalation_type must be one of: ${ESCALATION_TYPES.join(', ')}`;
+  }
+  if (value !== undefined) {
+    if (!(Number(value) > 0)) return 'value must be greater than 0';
+    if (escalation_type === 'percentage' && Number(value) > 100) return 'A percentage increase cannot be more than 100';
+  }
+  if (interval_months !== undefined) {
+    const months = Number(interval_months);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_INTERVAL_MONTHS) {
+      return `interval_months must be a whole number from 1 to ${MAX_INTERVAL_MONTHS}`;
+    }
+  }
+  if (notice_days !== undefined) {
+    const days = Number(notice_days);
+    if (!Number.isInteger(days) || days < 0) return 'notice_days must be a whole number of days';
+  }
+  if (next_date !== undefined && !isValidDate(next_date)) return 'next_date must be a date (YYYY-MM-DD)';
+  return null;
+};
+
+/**
+ * Record a rent taking effect on a lease or unit
+ */
+const recordRentChange = async ({
+  propertyId = null,
+  unitId = null,
+  leaseId = null,
+  tenantId = null,
+  previousRent = null,
+  rentAmount,
+  effectiveDate,
+  changeType,
+  escalationId = null,
+  notes = null,
+  changedBy = null
+}, db = pool) => {
+  const result = await db.query(`
+    INSERT INTO rent_history (
+      property_id, unit_id, lease_id, tenant_id, previous_rent, rent_amount, effective_date,
+      change_type, escalation_id, notes, changed_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [propertyId, unitId, leaseId, tenantId, previousRent, rentAmount, effectiveDate, changeType, escalationId, notes, changedBy]);
+
+  return result.rows[0];
+};
+
+/**
+ * Rent history in the user's scope, newest first, by lease, unit or tenant
+ */
+const listRentHistory = async (user, { lease_id, unit_id, tenant_id } = {}, db = pool) => {
+  const params = [];
+  const conditions = [
+    propertyScope(user, 'h.property_id', params),
+    tenantScope(user, 'h.tenant_id', params)
+  ];
+
+  if (lease_id) {
+    params.push(lease_id);
+    conditions.push(`h.lease_id = $${params.length}`);
+  }
+  if (unit_id) {
+    params.push(unit_id);
+    conditions.push(`h.unit_id = $${params.length}`);
+  }
+  if (tenant_id) {
+    params.push(tenant_id);
+    conditions.push(`h.tenant_id = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    SELECT h.*, u.unit_number, t.full_name as tenant_name, cu.full_name as changed_by_name
+    FROM rent_history h
+    LEFT JOIN units u ON h.unit_id = u.unit_id
+    LEFT JOIN tenants t ON h.tenant_id = t.tenant_id
+    LEFT JOIN users cu ON h.changed_by = cu.user_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY h.effective_date DESC, h.history_id DESC
+  `, params);
+
+  return result.rows;
+};
+
+// A schedule with the rent it applies to and who to tell
+const ESCALATION_SELECT = `
+  SELECT
+    e.*,
+    COALESCE(l.unit_id, e.unit_id) as target_unit_id,
+    COALESCE(l.property_id, u.property_id) as property_id,
+    CASE WHEN e.lease_id IS NOT NULL THEN l.rent_amount ELSE u.monthly_rent END as current_rent,
+    l.status as lease_status,
+    l.tenant_id,
+    t.full_name as tenant_name,
+    t.phone as tenant_phone,
+    t.user_id as tenant_user_id,
+    COALESCE(lu.unit_number, u.unit_number) as unit_number,
+    pr.property_name,
+    pr.user_id as owner_id
+  FROM rent_escalations e
+  LEFT JOIN leases l ON e.lease_id = l.lease_id
+  LEFT JOIN tenants t ON l.tenant_id = t.tenant_id
+  LEFT JOIN units lu ON l.unit_id = lu.unit_id
+  LEFT JOIN units u ON e.unit_id = u.unit_id
+  LEFT JOIN properties pr ON pr.property_id = COALESCE(l.property_id, u.property_id)
+`;
+
+const SCOPE_COLUMN = 'COALESCE(l.property_id, u.property_id)';
+
+/**
+ * Escalation schedules in the user's scope, by lease or unit
+ */
+const listEscalations = async (user, { lease_id, unit_id, active } = {}, db = pool) => {
+  const params = [];
+  const conditions = [
+    propertyScope(user, SCOPE_COLUMN, params),
+    tenantScope(user, 'l.tenant_id', params)
+  ];
+
+  if (lease_id) {
+    params.push(lease_id);
+    conditions.push(`e.lease_id = $${params.length}`);
+  }
+  if (unit_id) {
+    params.push(unit_id);
+    conditions.push(`e.unit_id = $${params.length}`);
+  }
+  if (active !== undefined) {
+    params.push(active);
+    conditions.push(`e.is_active = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${ESCALATION_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY e.next_date, e.escalation_id
+  `, params);
+
+  return result.rows;
+};
+
+const getEscalation = async (user, escalationId, db = pool) => {
+  const params = [escalationId];
+  const scope = propertyScope(user, SCOPE_COLUMN, params);
+  const ownScope = tenantScope(user, 'l.tenant_id', params);
+
+  const result = await db.query(`
+    ${ESCALATION_SELECT}
+    WHERE e.escalation_id = $1 AND ${scope} AND ${ownScope}
+  `, params);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Set up an escalation schedule on a lease or a unit (one, not both). The
+ * first increase falls on the next anniversary of the lease start unless a
+ * next_date is given; a unit needs its next_date.
+ */
+const createEscalation = async (user, body = {}, createdBy = null) => {
+  const {
+    lease_id,
+    unit_id,
+    escalation_type,
+    value,
+    interval_months = DEFAULT_INTERVAL_MONTHS,
+    notice_days = DEFAULT_NOTICE_DAYS,
+    next_date,
+    notes
+  } = body;
+
+  if (Boolean(lease_id) === Boolean(unit_id)) {
+    throw escalationError(400, 'Give either a lease_id or a unit_id');
+  }
+  if (!escalation_type || value === undefined) {
+    throw escalationError(400, 'escalation_type and value are required');
+  }
+
+  const error = validateEscalation({ escalation_type, value, interval_months, notice_days, next_date });
+  if (error) throw escalationError(400, error);
+
+  const today = todayString();
+  let firstDate = next_date;
+
+  if (lease_id) {
+    const params = [lease_id];
+    const scope = propertyScope(user, 'property_id', params);
+    const lease = await pool.query(`SELECT * FROM leases WHERE lease_id = $1 AND ${scope}`, params);
+
+    if (lease.rows.length === 0) throw escalationError(404, 'Lease not found');
+    if (!['draft', 'pending', 'active'].includes(lease.rows[0].status)) {
+      throw escalationError(409, `Rent can only be escalated on a draft, pending or active lease (this one is ${lease.rows[0].status})`);
+    }
+
+    if (!firstDate) firstDate = nextAnniversary(dateString(lease.rows[0].start_date), Number(interval_months), today);
+  } else {
+    if (!(await findAccessibleUnit(user, unit_id))) throw escalationError(404, 'Unit not found');
+    if (!firstDate) throw escalationError(400, 'next_date is required for a unit');
+  }
+
+  if (firstDate <= today) throw escalationError(400, 'next_date must be in the future');
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO rent_escalations (
+        lease_id, unit_id, escalation_type, value, interval_months, notice_days, next_date, notes, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING escalation_id
+    `, [
+      lease_id || null,
+      unit_id || null,
+      escalation_type,
+      value,
+      interval_months,
+      notice_days,
+      firstDate,
+      notes || null,
+      createdBy
+    ]);
+
+    return getEscalation(user, result.rows[0].escalation_id);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw escalationError(409, `This ${lease_id ? 'lease' : 'unit'} already has an active escalation schedule`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change an active schedule. Once the tenant has been given notice of the
+ * next increase, its amount and date can no longer change.
+ */
+const updateEscalation = async (user, escalationId, updates = {}) => {
+  const escalation = await getEscalation(user, escalationId);
+  if (!escalation) return null;
+
+  if (!escalation.is_active) throw escalationError(409, 'This escalation schedule has been cancelled');
+
+  const fields = ['escalation_type', 'value', 'interval_months', 'notice_days', 'next_date', 'notes'];
+  const changes = {};
+  for (const field of fields) {
+    if (updates[field] !== undefined) changes[field] = updates[field];
+  }
+  if (Object.keys(changes).length === 0) throw escalationError(400, 'No fields to update');
+
+  const merged = { ...escalation, ...changes };
+  const error = validateEscalation({
+    escalation_type: merged.escalation_type,
+    value: merged.value,
+    interval_months: changes.interval_months,
+    notice_days: changes.notice_days,
+    next_date: changes.next_date
+  });
+  if (error) throw escalationError(400, error);
+
+  if (changes.next_date && changes.next_date <= todayString()) {
+    throw escalationError(400, 'next_date must be in the future');
+  }
+
+  const noticeGiven = escalation.notice_sent_for
+    && dateString(escalation.notice_sent_for) === dateString(escalation.next_date);
+  if (noticeGiven && ['escalation_type', 'value', 'next_date'].some((field) => changes[field] !== undefined)) {
+    throw escalationError(409, 'The tenant has been given notice of the next increase; it can no longer change');
+  }
+
+  const keys = Object.keys(changes);
+  const setClause = keys.map((field, index) => `${field} = $${index + 1}`).join(', ');
+  await pool.query(
+    `UPDATE rent_escalations SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE escalation_id = $${keys.length + 1}`,
+    [...Object.values(changes), escalation.escalation_id]
+  );
+
+  return getEscalation(user, escalation.escalation_id);
+};
+
+/**
+ * Stop a schedule. Increases already applied stay.
+ */
+const cancelEscalation = async (user, escalationId) => {
+  const escalation = await getEscalation(user, escalationId);
+  if (!escalation) return null;
+
+  if (!escalation.is_active) throw escalationError(409, 'This escalation schedule has already been cancelled');
+
+  await pool.query(
+    'UPDATE rent_escalations SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE escalation_id = $1',
+    [escalation.escalation_id]
+  );
+
+  return getEscalation(user, escalation.escalation_id);
+};
+
+const describeStep = ({ escalation_type, value }) => escalation_type === 'percentage'
+  ? `${Number(value)}% increase`
+  : `increase of ${formatCurrency(value)}`;
+
+/**
+ * Tell the tenant (and their landlord) about the next increase on a lease
+ */
+const giveNotice = async (escalation, db) => {
+  const newRent = escalatedRent(escalation.current_rent, escalation);
+  const effective = dateString(escalation.next_date);
+  const message = `Dear ${escalation.tenant_name}, your rent for Unit ${escalation.unit_number} `
+    + `will go up from ${formatCurrency(escalation.current_rent)} to ${formatCurrency(newRent)} `
+    + `from ${effective} (${describeStep(escalation)} as per your lease). SimamiaKodi`;
+
+  if (escalation.tenant_phone) {
+    const result = await sms.sendSMS(escalation.tenant_phone, message, 'rent_increase', escalation.tenant_id);
+    if (!result.success) {
+      console.error(`Rent increase SMS to tenant ${escalation.tenant_id} failed:`, result.error);
+    }
+  }
+
+  await notify(escalation.tenant_user_id, {
+    type: 'rent_increase',
+    title: 'Upcoming rent increase',
+    message,
+    entityType: 'lease',
+    entityId: escalation.lease_id
+  }, db);
+
+  await notify(escalation.owner_id, {
+    type: 'rent_increase',
+    title: 'Rent increase notice sent',
+    message: `${escalation.tenant_name} (Unit ${escalation.unit_number}, ${escalation.property_name}) has been told `
+      + `their rent goes up to ${formatCurrency(newRent)} from ${effective}.`,
+    entityType: 'lease',
+    entityId: escalation.lease_id
+  }, db);
+
+  await db.query(
+    'UPDATE rent_escalations SET notice_sent_for = next_date, notice_sent_at = CURRENT_TIMESTAMP WHERE escalation_id = $1',
+    [escalation.escalation_id]
+  );
+};
+
+/**
+ * Apply every increase that has fallen due, moving the schedule on to its
+ * next anniversary. Returns the steps applied.
+ */
+const applyDueSteps = async (escalation, today, db) => {
+  const steps = [];
+  let rent = Number(escalation.current_rent);
+  let nextDate = dateString(escalation.next_date);
+
+  while (nextDate <= today) {
+    const newRent = escalatedRent(rent, escalation);
+
+    await recordRentChange({
+      propertyId: escalation.property_id,
+      unitId: escalation.target_unit_id,
+      leaseId: escalation.lease_id,
+      tenantId: escalation.tenant_id,
+      previousRent: rent,
+      rentAmount: newRent,
+      effectiveDate: nextDate,
+      changeType: 'escalation',
+      escalationId: escalation.escalation_id,
+      notes: describeStep(escalation)
+    }, db);
+
+    steps.push({ effective_date: nextDate, previous_rent: rent, rent_amount: newRent });
+    rent = newRent;
+    nextDate = addPeriods(nextDate, 'monthly', escalation.interval_months);
+  }
+
+  if (escalation.lease_id) {
+    await db.query('UPDATE leases SET rent_amount = $1, updated_at = CURRENT_TIMESTAMP WHERE lease_id = $2', [rent, escalation.lease_id]);
+    // An increase on the tenant's lease in effect shows on their record too
+    await db.query(`
+      UPDATE tenants SET rent_amount = $1
+      WHERE tenant_id = $2 AND EXISTS (SELECT 1 FROM leases WHERE lease_id = $3 AND status = 'active')
+    `, [rent, escalation.tenant_id, escalation.lease_id]);
+  } else {
+    await db.query('UPDATE units SET monthly_rent = $1, updated_at = CURRENT_TIMESTAMP WHERE unit_id = $2', [rent, escalation.unit_id]);
+  }
+
+  await db.query(
+    'UPDATE rent_escalations SET next_date = $1, last_applied_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE escalation_id = $2',
+    [nextDate, escalation.escalation_id]
+  );
+
+  if (escalation.lease_id) {
+    await notify(escalation.owner_id, {
+      type: 'rent_increase',
+      title: 'Rent increase applied',
+      message: `Rent for ${escalation.tenant_name} (Unit ${escalation.unit_number}, ${escalation.property_name}) `
+        + `is now ${formatCurrency(rent)}.`,
+      entityType: 'lease',
+      entityId: escalation.lease_id
+    }, db);
+  }
+
+  return steps;
+};
+
+/**
+ * The daily escalation run: notices for increases coming within their
+ * notice period, then increases that have fallen due. Schedules on leases
+ * that are no longer in effect are skipped (a draft lease's schedule waits).
+ */
+const runEscalations = async (user, today = todayString()) => {
+  const params = [today];
+  const scope = propertyScope(user, SCOPE_COLUMN, params);
+
+  const candidates = await pool.query(`
+    ${ESCALATION_SELECT}
+    WHERE e.is_active = TRUE
+      AND (e.lease_id IS NULL OR l.status = 'active')
+      AND e.next_date - e.notice_days <= $1::date
+      AND ${scope}
+    ORDER BY e.next_date, e.escalation_id
+  `, params);
+
+  const noticed = [];
+  const applied = [];
+
+  for (const candidate of candidates.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        `${ESCALATION_SELECT} WHERE e.escalation_id = $1 FOR UPDATE OF e`,
+        [candidate.escalation_id]
+      );
+      const escalation = locked.rows[0];
+      const nextDate = dateString(escalation.next_date);
+
+      if (escalation.lease_id && dateString(escalation.notice_sent_for) !== nextDate && nextDate > today) {
+        await giveNotice(escalation, client);
+        noticed.push({ escalation_id: escalation.escalation_id, lease_id: escalation.lease_id, effective_date: nextDate });
+      }
+
+      if (nextDate <= today) {
+        const steps = await applyDueSteps(escalation, today, client);
+        applied.push({
+          escalation_id: escalation.escalation_id,
+          lease_id: escalation.lease_id,
+          unit_id: escalation.unit_id,
+          steps
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to run rent escalation ${candidate.escalation_id}:`, error.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { date: today, noticed, applied };
+};
+
+module.exports = {
+  ESCALATION_TYPES,
+  DEFAULT_INTERVAL_MONTHS,
+  escalatedRent,
+  nextAnniversary,
+  validateEscalation,
+  recordRentChange,
+  listRentHistory,
+  listEscalations,
+  getEscalation,
+  createEscalation,
+  updateEscalation,
+  cancelEscalation,
+  runEscalations
+};
@@ -0,0 +1,264 @@
+// reversals.js
+const pool = require('../config/db');
+const { propertyScope, tenantScope } = require('./ownership');
+const { syncPaymentEntries } = require('./ledger');
+const { dateString } = require('./helpers');
+const { assertNotDuplicate, normalizeCode } = require('./duplicates');
+const { currentPlanVersion, syncPlanSchedule } = require('./paymentPlans');
+
+/**
+ * Payment reversals and the payment audit trail.
+ * A completed payment is never rewritten or deleted: it is reversed, which
+ * posts a counter-entry on the ledger carrying the reason and who did it.
+ * Only pending payments can still be edited or cancelled. Every change to a
+ * payment after it is recorded goes into payment_events.
+ */
+const PAYMENT_FIELDS = [
+  'amount',
+  'payment_date',
+  'payment_month',
+  'payment_method',
+  'reference_number',
+  'mpesa_code',
+  'payment_status',
+  'notes'
+];
+
+// Fields that can still change once a payment has completed
+const OPEN_FIELDS = ['notes', 'payment_month'];
+
+// Statuses a pending payment can be moved to by an update
+const UPDATE_STATUSES = ['pending', 'completed', 'failed', 'cancelled'];
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+const reversalError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const comparable = (field, value) => {
+  if (value === null || value === undefined) return null;
+  if (field === 'amount') return toCents(value);
+  if (field === 'payment_date') return dateString(value);
+  if (field === 'payment_month') return String(value).substring(0, 7);
+  return String(value);
+};
+
+/**
+ * Fields an update would actually change, as { field: { from, to } }.
+ * Fields left out of `updates` (or null) are not changes.
+ */
+const changedFields = (payment, updates) => {
+  const changes = {};
+
+  for (const field of PAYMENT_FIELDS) {
+    if (updates[field] === undefined || updates[field] === null) continue;
+    if (comparable(field, payment[field]) === comparable(field, updates[field])) continue;
+
+    changes[field] = {
+      from: field === 'payment_date' ? dateString(payment[field]) : payment[field],
+      to: field === 'payment_month' ? String(updates[field]).substring(0, 7) : updates[field]
+    };
+  }
+
+  return changes;
+};
+
+/**
+ * Why an update may not be applied to a payment, or null if it can be
+ */
+const updateBlockedReason = (payment, changes) => {
+  const fields = Object.keys(changes);
+
+  if (payment.payment_status === 'pending') {
+    if (changes.payment_status && !UPDATE_STATUSES.includes(changes.payment_status.to)) {
+      return `payment_status can only be set to: ${UPDATE_STATUSES.join(', ')}`;
+    }
+    return null;
+  }
+
+  const locked = fields.filter((field) => !OPEN_FIELDS.includes(field));
+  if (locked.length === 0) return null;
+
+  return payment.payment_status === 'completed'
+    ? `A completed payment cannot be changed (${locked.join(', ')}). Reverse it and record a new payment instead`
+    : `A ${payment.payment_status} payment cannot be changed (${locked.join(', ')})`;
+};
+
+const recordPaymentEvent = async (paymentId, { eventType, reason = null, changes = null, performedBy = null }, db = pool) => {
+  const result = await db.query(`
+    INSERT INTO payment_events (payment_id, event_type, reason, changes, performed_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [paymentId, eventType, reason, changes ? JSON.stringify(changes) : null, performedBy]);
+
+  return result.rows[0];
+};
+
+const getPaymentHistory = async (paymentId, db = pool) => {
+  const result = await db.query(`
+    SELECT e.*, u.full_name as performed_by_name
+    FROM payment_events e
+    LEFT JOIN users u ON e.performed_by = u.user_id
+    WHERE e.payment_id = $1
+    ORDER BY e.created_at, e.event_id
+  `, [paymentId]);
+
+  return result.rows;
+};
+
+// Run `work` in a transaction holding the payment row
+const withPayment = async (user, paymentId, work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [paymentId];
+    const scope = propertyScope(user, 'property_id', params);
+    const ownScope = tenantScope(user, 'tenant_id', params);
+    const payment = await client.query(
+      `SELECT * FROM payments WHERE payment_id = $1 AND ${scope} AND ${ownScope} FOR UPDATE`,
+      params
+    );
+
+    if (payment.rows.length === 0) {
+      throw reversalError(404, 'Payment not found');
+    }
+
+    const result = await work(client, payment.rows[0]);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Edit a payment. Pending payments can change freely (completing one posts
+ * it and issues its receipt); completed ones only their notes and month.
+ */
+const updatePayment = (user, paymentId, updates, performedBy) => {
+  return withPayment(user, paymentId, async (db, payment) => {
+    const changes = changedFields(payment, updates);
+    const blocked = updateBlockedReason(payment, changes);
+    if (blocked) throw reversalError(409, blocked);
+
+    const fields = Object.keys(changes);
+    if (fields.length === 0) return payment;
+
+    // An edit cannot give a payment a reference another live payment already has
+    if (changes.mpesa_code || changes.reference_number || changes.payment_method) {
+      await assertNotDuplicate(
+        { ...payment, ...Object.fromEntries(fields.map((field) => [field, changes[field].to])) },
+        { allowDuplicate: true, excludePaymentId: payment.payment_id },
+        db
+      );
+    }
+
+    if (changes.mpesa_code) changes.mpesa_code.to = normalizeCode(changes.mpesa_code.to);
+
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    const result = await db.query(`
+      UPDATE payments
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE payment_id = $${fields.length + 1}
+      RETURNING *
+    `, [...fields.map((field) => changes[field].to), payment.payment_id]);
+
+    const updated = result.rows[0];
+    await syncPaymentEntries(updated, performedBy, db);
+    await recordPaymentEvent(payment.payment_id, { eventType: 'updated', changes, performedBy }, db);
+
+    return updated;
+  });
+};
+
+/**
+ * Cancel a payment that never completed
+ */
+const cancelPayment = (user, paymentId, { reason = null } = {}, performedBy) => {
+  return withPayment(user, paymentId, async (db, payment) => {
+    if (payment.payment_status === 'completed') {
+      throw reversalError(409, 'A completed payment cannot be cancelled. Reverse it with a reason instead');
+    }
+    if (['cancelled', 'reversed'].includes(payment.payment_status)) {
+      throw reversalError(409, `Payment has already been ${payment.payment_status}`);
+    }
+
+    const result = await db.query(`
+      UPDATE payments SET payment_status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE payment_id = $1
+      RETURNING *
+    `, [payment.payment_id]);
+
+    await syncPaymentEntries(result.rows[0], performedBy, db);
+    await recordPaymentEvent(payment.payment_id, { eventType: 'cancelled', reason, performedBy }, db);
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Reverse a completed payment: the ledger gets a counter-entry, the receipt
+ * shows as reversed and a payment plan it counted towards is put back.
+ */
+const reversePayment = (user, paymentId, { reason } = {}, performedBy) => {
+  if (!reason || !String(reason).trim()) {
+    return Promise.reject(reversalError(400, 'A reason is required to reverse a payment'));
+  }
+  const why = String(reason).trim();
+
+  return withPayment(user, paymentId, async (db, payment) => {
+    if (payment.payment_status !== 'completed') {
+      throw reversalError(409, `Only completed payments can be reversed (this one is ${payment.payment_status})`);
+    }
+    if (payment.payment_method === 'Deposit') {
+      throw reversalError(409, 'Deposit payments are corrected through the deposit account');
+    }
+
+    const result = await db.query(`
+      UPDATE payments
+      SET payment_status = 'reversed', reversal_reason = $1, reversed_by = $2,
+          reversed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE payment_id = $3
+      RETURNING *
+    `, [why, performedBy, payment.payment_id]);
+
+    const reversed = result.rows[0];
+    await syncPaymentEntries(reversed, performedBy, db);
+
+    // A restructured plan's paid amount lives on in its latest version
+    if (reversed.plan_id) {
+      const planId = await currentPlanVersion(reversed.plan_id, db);
+      await db.query(
+        'UPDATE payment_plans SET amount_paid = amount_paid - $1 WHERE plan_id = $2',
+        [reversed.amount, planId]
+      );
+      await syncPlanSchedule(planId, {
+        reason: `Payment #${reversed.payment_id} reversed`,
+        changedBy: performedBy
+      }, db);
+    }
+
+    await recordPaymentEvent(payment.payment_id, { eventType: 'reversed', reason: why, performedBy }, db);
+
+    return reversed;
+  });
+};
+
+module.exports = {
+  OPEN_FIELDS,
+  changedFields,
+  updateBlockedReason,
+  recordPaymentEvent,
+  getPaymentHistory,
+  updatePayment,
+  cancelPayment,
+  reversePayment
+};
@@ -0,0 +1,155 @@
+// sessions.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/db');
+
+/**
+ * Access tokens are short-lived JWTs tied to a row in the sessions table.
+ * Refresh tokens are random strings stored only as a SHA-256 hash and
+ * rotated on every use, so revoking the session ends both.
+ */
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Sign an access token for a session
+const generateAccessToken = (userId, role, sessionId) => {
+  return jwt.sign(
+    { userId, role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * Start a session for a device and return its token pair
+ */
+const createSession = async (user, req, db = pool) => {
+  const refreshToken = newRefreshToken();
+
+  const result = await db.query(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING session_id
+  `, [
+    user.user_id,
+    hashToken(refreshToken),
+    req && req.headers ? (req.headers['user-agent'] || null) : null,
+    req ? (req.ip || null) : null,
+    refreshExpiry()
+  ]);
+
+  const sessionId = result.rows[0].session_id;
+
+  return {
+    sessionId,
+    token: generateAccessToken(user.user_id, user.role, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that was already rotated away means it was copied,
+ * so the whole session is revoked. Returns null when the token is unusable.
+ */
+const rotateSession = async (refreshToken, db = pool) => {
+  const hash = hashToken(refreshToken);
+
+  const reused = await db.query(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    RETURNING session_id
+  `, [hash]);
+
+  if (reused.rows.length > 0) {
+    console.warn(`Refresh token reuse detected, session ${reused.rows[0].session_id} revoked`);
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+
+  const result = await db.query(`
+    UPDATE sessions s
+    SET previous_token_hash = s.refresh_token_hash,
+        refresh_token_hash = $2,
+        expires_at = $3,
+        last_used_at = CURRENT_TIMESTAMP
+    FROM users u
+    WHERE s.refresh_token_hash = $1
+      AND s.user_id = u.user_id
+      AND s.revoked_at IS NULL
+      AND s.expires_at > NOW()
+      AND u.is_active = TRUE
+    RETURNING s.session_id, u.user_id, u.role
+  `, [hash, hashToken(nextToken), refreshExpiry()]);
+
+  if (result.rows.length === 0) return null;
+
+  const { session_id, user_id, role } = result.rows[0];
+
+  return {
+    sessionId: session_id,
+    token: generateAccessToken(user_id, role, session_id),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  };
+};
+
+/**
+ * Check that the session behind an access token is still live
+ */
+const isSessionActive = async (sessionId, userId, db = pool) => {
+  if (!sessionId) return false;
+
+  const result = await db.query(`
+    SELECT 1 FROM sessions
+    WHERE session_id = $1 AND user_id = $2
+      AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionId, userId]);
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke one of the user's sessions. Returns false if it was not theirs.
+ */
+const revokeSession = async (userId, sessionId, db = pool) => {
+  const result = await db.query(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING session_id
+  `, [sessionId, userId]);
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one.
+ * Returns the number of sessions revoked.
+ */
+const revokeAllSessions = async (userId, exceptSessionId = null, db = pool) => {
+  const result = await db.query(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND revoked_at IS NULL
+      AND ($2::int IS NULL OR session_id <> $2)
+  `, [userId, exceptSessionId]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,582 @@
+// statementImports.js
+const pool = require('../config/db');
+const { propertyScope, findAccessibleTenant } = require('./ownership');
+const { syncPaymentEntries } = require('./ledger');
+const { normalizeReference } = require('./mpesa');
+const { findReferenceConflicts, normalizeCode } = require('./duplicates');
+
+/**
+ * Statement import.
+ * A landlord uploads an M-Pesa or bank statement as CSV. Money-in lines are
+ * stored with a suggested tenant (by account number, phone or name) and a
+ * duplicate flag when their reference is already on a payment. Nothing is
+ * posted until the import is confirmed; confirming posts every line that
+ * has a tenant in one transaction and can be repeated for lines fixed
+ * later.
+ *
+ * Columns are found by their headers, so Safaricom statements (Receipt No.,
+ * Completion Time, Paid In...) and the usual bank layouts (Transaction
+ * Date, Narrative, Credit...) work without configuration.
+ */
+const COLUMN_ALIASES = {
+  date: ['completion time', 'transaction date', 'trans date', 'txn date', 'tran date', 'posting date', 'date', 'value date', 'initiation time'],
+  paidIn: ['paid in', 'credit', 'credits', 'credit amount', 'money in', 'deposit', 'deposits', 'amount in', 'cr'],
+  amount: ['amount', 'transaction amount'],
+  reference: ['receipt no', 'receipt', 'transaction id', 'reference', 'reference no', 'reference number', 'ref', 'ref no', 'transaction reference', 'bank reference', 'cheque no', 'document no'],
+  details: ['details', 'narrative', 'description', 'transaction details', 'transaction description', 'particulars', 'narration', 'remarks'],
+  party: ['other party info', 'other party', 'payer', 'customer name'],
+  account: ['a/c no', 'account no', 'acc no', 'account number', 'bill reference', 'bill ref number'],
+  status: ['transaction status', 'status']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const importError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells, doubled quotes,
+ * CRLF line endings and semicolon-separated files.
+ */
+const parseCsv = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.:]+$/, '');
+
+/**
+ * Find the header row (statements often start with a few lines about the
+ * account) and map each field to its column index
+ */
+const detectLayout = (rows) => {
+  for (let index = 0; index < Math.min(rows.length, 30); index++) {
+    const headers = rows[index].map(normalizeHeader);
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      for (const alias of aliases) {
+        const position = headers.indexOf(alias);
+        if (position !== -1) {
+          columns[field] = position;
+          break;
+        }
+      }
+    });
+
+    if (columns.date !== undefined && (columns.paidIn !== undefined || columns.amount !== undefined)) {
+      const source = headers.includes('receipt no') || headers.includes('completion time') ? 'mpesa' : 'bank';
+      return { headerRow: index, columns, source };
+    }
+  }
+
+  return null;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Read a statement date as 'YYYY-MM-DD'. Numeric dates are day first, as
+ * Kenyan banks and Safaricom write them. Returns null if unreadable.
+ */
+const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]+(\d{2,4})/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// '1,500.00' -> 1500, '(200.00)' -> -200, '' -> 0
+const parseAmount = (value) => {
+  const text = String(value || '').replace(/KES|KSH|,|\s/gi, '');
+  if (!text) return 0;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = Number(text.replace(/[()\-+]/g, ''));
+  if (!Number.isFinite(amount)) return 0;
+  return negative ? -amount : amount;
+};
+
+const formatPhone = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('0')) digits = '254' + digits.substring(1);
+  if (digits.length === 9) digits = '254' + digits;
+  return digits;
+};
+
+/**
+ * Pull the payer's phone out of statement text. Safaricom masks the middle
+ * digits ('2547******78'), so a partial phone comes back as a prefix and
+ * suffix.
+ */
+const extractPhone = (text) => {
+  const value = String(text || '');
+  const full = value.match(/(?:\+?254|\b0)([17]\d{8})\b/);
+  if (full) return { phone: `254${full[1]}` };
+
+  const masked = value.match(/\b(?:\+?254|0)([17]\d{0,3})\*+(\d{2,4})\b/);
+  if (masked) return { prefix: `254${masked[1]}`, suffix: masked[2] };
+
+  return null;
+};
+
+// 'Pay Bill from 2547******78 - JANE DOE Acc. KIL-A1' -> 'KIL-A1'
+const extractAccount = (text) => {
+  const match = String(text || '').match(/\bAcc(?:ount)?(?:\.|\s)\s*(?:No\.?\s*)?[:\-]?\s*([A-Za-z0-9][A-Za-z0-9\-\s/]*)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// '254712345678 - JANE DOE' -> 'JANE DOE'
+const extractName = (text) => {
+  const match = String(text || '').match(/\s-\s+([A-Za-z][A-Za-z'.\s]+?)(?:\s+Acc(?:ount)?\b.*)?$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Turn CSV text into money-in statement lines.
+ * Returns { source, lines, ignored } or null if no layout is recognised.
+ */
+const parseStatement = (csv) => {
+  const rows = parseCsv(csv);
+  const layout = detectLayout(rows);
+  if (!layout) return null;
+
+  const { columns, headerRow, source } = layout;
+  const cell = (row, field) => (columns[field] !== undefined ? String(row[columns[field]] || '').trim() : '');
+
+  const lines = [];
+  let ignored = 0;
+
+  rows.slice(headerRow + 1).forEach((row, index) => {
+    const status = cell(row, 'status').toLowerCase();
+    const amount = columns.paidIn !== undefined ? parseAmount(cell(row, 'paidIn')) : parseAmount(cell(row, 'amount'));
+    const date = parseStatementDate(cell(row, 'date'));
+
+    if (!(amount > 0) || !date || (status && !['completed', 'success', 'successful'].includes(status))) {
+      ignored++;
+      return;
+    }
+
+    const details = cell(row, 'details');
+    const party = cell(row, 'party');
+    const text = `${party} ${details}`;
+
+    lines.push({
+      line_number: headerRow + index + 2,
+      transaction_date: date,
+      amount,
+      reference: cell(row, 'reference') || null,
+      account_reference: cell(row, 'account') || extractAccount(details),
+      payer_name: extractName(party) || extractName(details),
+      phone: extractPhone(text),
+      details: [party, details].filter(Boolean).join(' | ') || null
+    });
+  });
+
+  return { source, lines, ignored };
+};
+
+const nameTokens = (name) => String(name || '').toUpperCase().split(/[^A-Z']+/).filter(token => token.length > 1);
+
+/**
+ * Suggest the tenant a statement line came from, trying the account number,
+ * then the phone, then the name. Only a single candidate counts.
+ * Returns { tenant_id, match_method } or null.
+ */
+const suggestMatch = (line, tenants) => {
+  const only = (found) => (found.length === 1 ? found[0] : null);
+
+  if (line.account_reference) {
+    const ref = normalizeReference(line.account_reference);
+    const prefixed = tenants.filter(t => t.paybill_prefix && normalizeReference(t.paybill_prefix + t.unit_number) === ref);
+    const found = only(prefixed.length > 0
+      ? prefixed
+      : tenants.filter(t => `T${t.tenant_id}` === ref || (t.unit_number && normalizeReference(t.unit_number) === ref)));
+    if (found) return { tenant_id: found.tenant_id, match_method: 'reference' };
+  }
+
+  if (line.phone) {
+    const found = only(tenants.filter((t) => {
+      const phone = formatPhone(t.phone);
+      return line.phone.phone
+        ? phone === line.phone.phone
+        : phone.startsWith(line.phone.prefix) && phone.endsWith(line.phone.suffix);
+    }));
+    if (found) return { tenant_id: found.tenant_id, match_method: 'phone' };
+  }
+
+  const words = new Set(nameTokens(`${line.payer_name || ''} ${line.details || ''}`));
+  const found = only(tenants.filter((t) => {
+    const tokens = nameTokens(t.full_name);
+    return tokens.length >= 2 && tokens.every(token => words.has(token));
+  }));
+  if (found) return { tenant_id: found.tenant_id, match_method: 'name' };
+
+  return null;
+};
+
+// Imports belong to the user who uploaded them; admins see all
+const importScope = (user, column, params) => {
+  if (user.role === 'admin') return 'TRUE';
+  params.push(user.user_id);
+  return `${column} = $${params.length}`;
+};
+
+/**
+ * References already used by payments in the user's scope
+ */
+const findUsedReferences = async (user, references, db) => {
+  if (references.length === 0) return new Map();
+
+  const params = [references];
+  const scope = propertyScope(user, 'property_id', params);
+  const result = await db.query(`
+    SELECT payment_id, mpesa_code, reference_number
+    FROM payments
+    WHERE (mpesa_code = ANY($1) OR reference_number = ANY($1)) AND ${scope}
+  `, params);
+
+  const used = new Map();
+  result.rows.forEach((payment) => {
+    [payment.mpesa_code, payment.reference_number].forEach((ref) => {
+      if (ref && references.includes(ref)) used.set(ref, payment.payment_id);
+    });
+  });
+  return used;
+};
+
+/**
+ * Parse and store a statement with match suggestions and duplicate flags.
+ * Throws a 400 if the CSV has no recognisable layout.
+ */
+const createImport = async (user, { csv, file_name }) => {
+  const statement = parseStatement(csv);
+  if (!statement) {
+    throw importError(400, 'Could not find the date and amount columns in this statement');
+  }
+
+  const params = [];
+  const scope = propertyScope(user, 'COALESCE(t.property_id, u.property_id)', params);
+  const tenants = await pool.query(`
+    SELECT t.tenant_id, t.full_name, t.phone, u.unit_number, p.paybill_prefix
+    FROM tenants t
+    LEFT JOIN units u ON t.unit_id = u.unit_id
+    LEFT JOIN properties p ON p.property_id = COALESCE(t.property_id, u.property_id)
+    WHERE t.is_active = TRUE AND ${scope}
+  `, params);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const references = [...new Set(statement.lines.map(line => line.reference).filter(Boolean))];
+    const used = await findUsedReferences(user, references, client);
+
+    const saved = await client.query(`
+      INSERT INTO statement_imports (source, file_name, line_count, ignored_count, imported_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [statement.source, file_name || null, statement.lines.length, statement.ignored, user.user_id]);
+
+    const importId = saved.rows[0].import_id;
+    const seen = new Set();
+
+    for (const line of statement.lines) {
+      const match = suggestMatch(line, tenants.rows);
+
+      let duplicateReason = null;
+      if (line.reference && used.has(line.reference)) {
+        duplicateReason = `Reference already recorded on payment #${used.get(line.reference)}`;
+      } else if (line.reference && seen.has(line.reference)) {
+        duplicateReason = 'Reference appears earlier in this statement';
+      }
+      if (line.reference) seen.add(line.reference);
+
+      await client.query(`
+        INSERT INTO statement_import_lines (
+          import_id, line_number, transaction_date, amount, reference, account_reference,
+          payer_name, payer_phone, details, suggested_tenant_id, match_method,
+          duplicate_payment_id, duplicate_reason
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `, [
+        importId,
+        line.line_number,
+        line.transaction_date,
+        line.amount,
+        line.reference,
+        line.account_reference,
+        line.payer_name,
+        line.phone ? (line.phone.phone || `${line.phone.prefix}***${line.phone.suffix}`) : null,
+        line.details,
+        match ? match.tenant_id : null,
+        match ? match.match_method : null,
+        line.reference && used.has(line.reference) ? used.get(line.reference) : null,
+        duplicateReason
+      ]);
+    }
+
+    await client.query('COMMIT');
+    return getImport(user, importId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * An import with its lines, or null if it is not the user's
+ */
+const getImport = async (user, importId, db = pool) => {
+  const params = [importId];
+  const scope = importScope(user, 'imported_by', params);
+  const result = await db.query(`SELECT * FROM statement_imports WHERE import_id = $1 AND ${scope}`, params);
+
+  if (result.rows.length === 0) return null;
+
+  const lines = await db.query(`
+    SELECT l.*, t.full_name as suggested_tenant_name, u.unit_number as suggested_unit_number
+    FROM statement_import_lines l
+    LEFT JOIN tenants t ON l.suggested_tenant_id = t.tenant_id
+    LEFT JOIN units u ON t.unit_id = u.unit_id
+    WHERE l.import_id = $1
+    ORDER BY l.line_number
+  `, [importId]);
+
+  return { ...result.rows[0], lines: lines.rows };
+};
+
+/**
+ * The user's imports, newest first
+ */
+const listImports = async (user) => {
+  const params = [];
+  const scope = importScope(user, 'i.imported_by', params);
+
+  const result = await pool.query(`
+    SELECT i.*,
+      COUNT(l.line_id) FILTER (WHERE l.status = 'pending') as pending_lines,
+      COUNT(l.line_id) FILTER (WHERE l.status = 'posted') as posted_lines
+    FROM statement_imports i
+    LEFT JOIN statement_import_lines l ON l.import_id = i.import_id
+    WHERE ${scope}
+    GROUP BY i.import_id
+    ORDER BY i.created_at DESC
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * Post the import's pending lines as payments in one transaction.
+ * `overrides` may set a line's tenant_id, skip it, or allow_duplicate.
+ * Lines without a tenant stay pending; flagged duplicates stay pending
+ * unless allowed, and a reference already on one of the landlord's payments
+ * is never posted. Returns null if the import is not the user's.
+ */
+const confirmImport = async (user, importId, overrides = []) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [importId];
+    const scope = importScope(user, 'imported_by', params);
+    const existing = await client.query(
+      `SELECT * FROM statement_imports WHERE import_id = $1 AND ${scope} FOR UPDATE`,
+      params
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const statement = existing.rows[0];
+    const byLine = new Map(overrides.map(o => [Number(o.line_id), o]));
+
+    const lines = await client.query(
+      `SELECT * FROM statement_import_lines WHERE import_id = $1 AND status = 'pending' ORDER BY line_number`,
+      [importId]
+    );
+
+    // Something may have been recorded by hand since the upload
+    const used = await findUsedReferences(
+      user,
+      [...new Set(lines.rows.map(line => line.reference).filter(Boolean))],
+      client
+    );
+
+    const posted = [];
+    const skipped = [];
+    const tenants = new Map();
+
+    for (const line of lines.rows) {
+      const override = byLine.get(line.line_id) || {};
+
+      if (override.skip) {
+        await client.query(`UPDATE statement_import_lines SET status = 'skipped' WHERE line_id = $1`, [line.line_id]);
+        skipped.push({ line_id: line.line_id, reason: 'skipped' });
+        continue;
+      }
+
+      const duplicate = line.duplicate_reason || (line.reference && used.has(line.reference));
+      if (duplicate && !override.allow_duplicate) {
+        skipped.push({ line_id: line.line_id, reason: 'duplicate' });
+        continue;
+      }
+
+      const tenantId = Number(override.tenant_id || line.suggested_tenant_id);
+      if (!tenantId) {
+        skipped.push({ line_id: line.line_id, reason: 'no_tenant' });
+        continue;
+      }
+
+      if (!tenants.has(tenantId)) {
+        tenants.set(tenantId, await findAccessibleTenant(user, tenantId, client));
+      }
+      const tenant = tenants.get(tenantId);
+      if (!tenant) {
+        throw importError(404, `Tenant ${tenantId} not found (line ${line.line_number})`);
+      }
+
+      const isMpesa = statement.source === 'mpesa';
+      const fields = {
+        payment_method: isMpesa ? 'M-Pesa' : 'Bank Transfer',
+        reference_number: isMpesa ? line.account_reference : line.reference,
+        mpesa_code: isMpesa ? normalizeCode(line.reference) : null
+      };
+
+      // An override covers suspected duplicates, never a reference already recorded
+      const recorded = await findReferenceConflicts({ ...fields, property_id: tenant.property_id }, {}, client);
+      if (recorded.length > 0) {
+        skipped.push({ line_id: line.line_id, reason: 'duplicate', payment_id: recorded[0].payment_id });
+        continue;
+      }
+
+      const payment = await client.query(`
+        INSERT INTO payments (
+          tenant_id, property_id, unit_id, amount, payment_date, payment_method,
+          reference_number, mpesa_code, payment_status, notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'completed', $9)
+        RETURNING *
+      `, [
+        tenant.tenant_id,
+        tenant.property_id,
+        tenant.unit_id,
+        line.amount,
+        line.transaction_date,
+        fields.payment_method,
+        fields.reference_number,
+        fields.mpesa_code,
+        `Imported from statement #${importId}, line ${line.line_number}`
+      ]);
+
+      await syncPaymentEntries(payment.rows[0], user.user_id, client);
+
+      await client.query(`
+        UPDATE statement_import_lines
+        SET status = 'posted', payment_id = $1, posted_tenant_id = $2
+        WHERE line_id = $3
+      `, [payment.rows[0].payment_id, tenant.tenant_id, line.line_id]);
+
+      if (line.reference) used.set(line.reference, payment.rows[0].payment_id);
+      posted.push(payment.rows[0]);
+    }
+
+    await client.query(`
+      UPDATE statement_imports
+      SET status = CASE WHEN EXISTS (
+            SELECT 1 FROM statement_import_lines WHERE import_id = $1 AND status = 'pending'
+          ) THEN 'pending' ELSE 'completed' END,
+          confirmed_at = CURRENT_TIMESTAMP
+      WHERE import_id = $1
+    `, [importId]);
+
+    await client.query('COMMIT');
+    return { import_id: Number(importId), posted, skipped };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  parseCsv,
+  detectLayout,
+  parseStatementDate,
+  parseAmount,
+  extractPhone,
+  parseStatement,
+  suggestMatch,
+  createImport,
+  getImport,
+  listImports,
+  confirmImport
+};
@@ -0,0 +1,272 @@
+// twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/db');
+const { sendMail } = require('../config/email');
+const MobiwaveSMS = require('../services/smsService');
+const { hashToken } = require('./sessions');
+
+/**
+ * One-time passcodes for two-factor login.
+ * A challenge holds a hashed 6-digit code for one login (or for confirming
+ * the channel while enabling 2FA). Wrong guesses and resends are capped per
+ * challenge; once a challenge is spent the user has to start over.
+ */
+const METHODS = ['sms', 'email'];
+const OTP_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const MAX_RESENDS = 3;
+const RESEND_COOLDOWN_SECONDS = 60;
+const PRE_AUTH_EXPIRE = '10m';
+const RECOVERY_CODE_COUNT = 10;
+
+const sms = new MobiwaveSMS();
+
+const generateOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Codes are short, so they are keyed with the server secret before hashing
+const hashOtp = (challengeId, code) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${challengeId}:${code}`)
+    .digest('hex');
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const maskPhone = (phone) => phone ? phone.replace(/^(.{4}).*(.{3})$/, '$1*****$2') : null;
+
+const maskEmail = (email) => email ? email.replace(/^(.).*(@.*)$/, '$1***$2') : null;
+
+const destinationFor = (user, method) => method === 'sms' ? maskPhone(user.phone) : maskEmail(user.email);
+
+/**
+ * Deliver a code over the user's chosen channel. Throws if delivery fails.
+ */
+const deliverOtp = async (user, method, code) => {
+  const message = `Your SimamiaKodi verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`;
+
+  if (method === 'sms') {
+    if (!user.phone) throw new Error('No phone number on this account');
+    const result = await sms.sendSMS(user.phone, message, 'otp');
+    if (!result.success) throw new Error(result.error || 'SMS delivery failed');
+    return;
+  }
+
+  if (!user.email) throw new Error('No email address on this account');
+  await sendMail({
+    from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+    to: user.email,
+    subject: 'Your Verification Code - SimamiaKodi',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="padding: 30px; background: #f8f9fa;">
+          <p>Hello <strong>${user.full_name || user.username}</strong>,</p>
+          <p>Your verification code is:</p>
+          <p style="font-size: 2em; font-weight: bold; letter-spacing: 6px; text-align: center;">${code}</p>
+          <p>It expires in ${OTP_TTL_MINUTES} minutes. If you did not try to sign in, change your password.</p>
+        </div>
+      </div>
+    `
+  });
+};
+
+/**
+ * Create a challenge and send its code.
+ * `purpose` is 'login' or 'setup'.
+ */
+const startChallenge = async (user, method, purpose, db = pool) => {
+  const code = generateOtp();
+
+  const result = await db.query(`
+    INSERT INTO two_factor_challenges (user_id, purpose, method, code_hash, expires_at)
+    VALUES ($1, $2, $3, '', NOW() + INTERVAL '${OTP_TTL_MINUTES} minutes')
+    RETURNING challenge_id
+  `, [user.user_id, purpose, method]);
+
+  const challengeId = result.rows[0].challenge_id;
+
+  await db.query(
+    'UPDATE two_factor_challenges SET code_hash = $1 WHERE challenge_id = $2',
+    [hashOtp(challengeId, code), challengeId]
+  );
+
+  await deliverOtp(user, method, code);
+
+  return {
+    challengeId,
+    method,
+    destination: destinationFor(user, method)
+  };
+};
+
+/**
+ * Look up a live challenge belonging to the user
+ */
+const findChallenge = async (userId, challengeId, purpose, db = pool) => {
+  const result = await db.query(`
+    SELECT * FROM two_factor_challenges
+    WHERE challenge_id = $1 AND user_id = $2 AND purpose = $3
+      AND consumed_at IS NULL AND expires_at > NOW()
+  `, [challengeId, userId, purpose]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Spend one of the challenge's guesses on `check`, which is given the
+ * challenge and says whether the guess is right. The guess is claimed
+ * before it is checked, so parallel requests cannot share the last one.
+ * Returns 'ok', 'invalid' or 'locked'. A correct guess consumes the
+ * challenge; so does the last permitted wrong one.
+ */
+const checkChallenge = async (challenge, check, db = pool) => {
+  const claimed = await db.query(`
+    UPDATE two_factor_challenges
+    SET attempts = attempts + 1
+    WHERE challenge_id = $1 AND attempts < $2 AND consumed_at IS NULL AND expires_at > NOW()
+    RETURNING *
+  `, [challenge.challenge_id, MAX_ATTEMPTS]);
+
+  if (claimed.rows.length === 0) return 'locked';
+
+  const current = claimed.rows[0];
+  const correct = await check(current);
+  if (!correct && current.attempts < MAX_ATTEMPTS) return 'invalid';
+
+  const consumed = await db.query(`
+    UPDATE two_factor_challenges SET consumed_at = CURRENT_TIMESTAMP
+    WHERE challenge_id = $1 AND consumed_at IS NULL
+    RETURNING challenge_id
+  `, [challenge.challenge_id]);
+
+  return correct && consumed.rows.length > 0 ? 'ok' : 'locked';
+};
+
+/**
+ * Check a code against a challenge. See checkChallenge.
+ */
+const verifyChallenge = (challenge, code, db = pool) => {
+  return checkChallenge(challenge, (current) => {
+    return Boolean(code) && safeEqual(hashOtp(current.challenge_id, String(code).trim()), current.code_hash);
+  }, db);
+};
+
+/**
+ * Send a fresh code for an existing challenge.
+ * Returns { sent: true } or { sent: false, retryAfter } when throttled.
+ */
+const resendChallenge = async (user, challenge, db = pool) => {
+  if (challenge.resend_count >= MAX_RESENDS) {
+    return { sent: false, retryAfter: null };
+  }
+
+  const elapsed = (Date.now() - new Date(challenge.last_sent_at).getTime()) / 1000;
+  if (elapsed < RESEND_COOLDOWN_SECONDS) {
+    return { sent: false, retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed) };
+  }
+
+  const code = generateOtp();
+
+  await db.query(`
+    UPDATE two_factor_challenges
+    SET code_hash = $1,
+        resend_count = resend_count + 1,
+        last_sent_at = CURRENT_TIMESTAMP,
+        expires_at = NOW() + INTERVAL '${OTP_TTL_MINUTES} minutes'
+    WHERE challenge_id = $2
+  `, [hashOtp(challenge.challenge_id, code), challenge.challenge_id]);
+
+  await deliverOtp(user, challenge.method, code);
+
+  return { sent: true, destination: destinationFor(user, challenge.method) };
+};
+
+/**
+ * Short-lived token proving the password step passed.
+ * It carries no sessionId, so authMiddleware will never accept it.
+ */
+const generatePreAuthToken = (userId, challengeId) => {
+  return jwt.sign(
+    { userId, challengeId, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: PRE_AUTH_EXPIRE }
+  );
+};
+
+// Returns the decoded payload, or null if the token is not a valid pre-auth token
+const verifyPreAuthToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Replace the user's recovery codes and return the new plain-text codes.
+ * They are shown once; only hashes are stored.
+ */
+const generateRecoveryCodes = async (userId, db = pool) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(code)]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * Spend a recovery code. Returns false if it is unknown or already used.
+ */
+const useRecoveryCode = async (userId, code, db = pool) => {
+  const normalized = String(code || '').trim().toLowerCase();
+
+  const result = await db.query(`
+    UPDATE two_factor_recovery_codes
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    RETURNING code_id
+  `, [userId, hashToken(normalized)]);
+
+  return result.rows.length > 0;
+};
+
+const remainingRecoveryCodes = async (userId, db = pool) => {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS remaining FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].remaining;
+};
+
+module.exports = {
+  METHODS,
+  hashOtp,
+  maskPhone,
+  maskEmail,
+  startChallenge,
+  findChallenge,
+  checkChallenge,
+  verifyChallenge,
+  resendChallenge,
+  generatePreAuthToken,
+  verifyPreAuthToken,
+  generateRecoveryCodes,
+  useRecoveryCode,
+  remainingRecoveryCodes
+};